@@ -0,0 +1,255 @@
+/**
+ * Audit Log
+ * Structured audit events: who connected to which desktop and what they did.
+ *
+ * Usage:
+ *   const auditLog = new AuditLog({ sinks: ['file'], file: 'logs/audit.log' });
+ *   auditLog.record('vm.power', { userId, vmId, action: 'force-reset', outcome: 'success' });
+ *
+ * Every event is one JSON object ({ time, type, outcome, ...fields }). Sinks:
+ * - file:   JSON lines appended to a file; the only sink that can be queried
+ * - syslog: RFC 5424 messages over UDP, the JSON event as message body
+ *
+ * Event types: auth.login, auth.logout, auth.refresh, auth.revoke,
+ * connect.info, proxy.open, proxy.close, vm.power, admin.disconnect, access.denied,
+ * mfa.enroll, mfa.disable, admin.mfa_reset, admin.login_unlock,
+ * clipboard.preference, admin.clipboard_policy, screenshot.upload
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dgram = require('dgram');
+const readline = require('readline');
+const logger = require('./logger');
+
+const SYSLOG_FACILITIES = {
+  user: 1, auth: 4, authpriv: 10, daemon: 3,
+  local0: 16, local1: 17, local2: 18, local3: 19,
+  local4: 20, local5: 21, local6: 22, local7: 23,
+};
+const SYSLOG_SEVERITY_WARNING = 4;
+const SYSLOG_SEVERITY_INFO = 6;
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Appends events as JSON lines
+ */
+class FileSink {
+  /**
+   * @param {string} file - Audit log file
+   */
+  constructor(file) {
+    this.file = path.resolve(file);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', error => logger.error('❌ [Audit] File sink error:', error.message));
+  }
+
+  write(event) {
+    this.stream.write(`${JSON.stringify(event)}\n`);
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Sends events to a syslog server (RFC 5424 over UDP)
+ */
+class SyslogSink {
+  /**
+   * @param {Object} options - Syslog options
+   * @param {string} options.host - Syslog server host
+   * @param {number} options.port - Syslog server UDP port
+   * @param {string} options.facility - Facility name (e.g. local0)
+   * @param {string} options.appName - APP-NAME field
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 514;
+    this.facility = SYSLOG_FACILITIES[options.facility] !== undefined
+      ? SYSLOG_FACILITIES[options.facility]
+      : SYSLOG_FACILITIES.local0;
+    this.appName = options.appName || 'novnc-ocloudview';
+    this.hostname = os.hostname();
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('error', error => logger.error('❌ [Audit] Syslog sink error:', error.message));
+    this.socket.unref();
+  }
+
+  write(event) {
+    const severity = event.outcome === 'failure' ? SYSLOG_SEVERITY_WARNING : SYSLOG_SEVERITY_INFO;
+    const message = Buffer.from(
+      `<${this.facility * 8 + severity}>1 ${event.time} ${this.hostname} ${this.appName} ${process.pid} ${event.type} - ${JSON.stringify(event)}`
+    );
+    this.socket.send(message, this.port, this.host, (error) => {
+      if (error) {
+        logger.error('❌ [Audit] Failed to send syslog message:', error.message);
+      }
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.socket.close(resolve));
+  }
+}
+
+class AuditLog {
+  /**
+   * @param {Object} options - Audit log options
+   * @param {string[]} options.sinks - Enabled sinks ('file', 'syslog'); empty disables the audit log
+   * @param {string} options.file - File of the file sink
+   * @param {Object} options.syslog - Syslog sink options (host, port, facility, appName)
+   */
+  constructor(options = {}) {
+    this.sinks = [];
+    this.fileSink = null;
+    this.closed = false;
+
+    const sinks = options.sinks || ['file'];
+    if (sinks.includes('file')) {
+      this.fileSink = new FileSink(options.file || 'logs/audit.log');
+      this.sinks.push(this.fileSink);
+    }
+    if (sinks.includes('syslog')) {
+      this.sinks.push(new SyslogSink(options.syslog));
+    }
+
+    if (this.sinks.length > 0) {
+      logger.info(`📝 Audit log enabled (sinks: ${sinks.join(', ')})`);
+    }
+  }
+
+  /**
+   * Record an audit event
+   * @param {string} type - Event type (e.g. 'auth.login')
+   * @param {Object} fields - Event fields (userId, vmId, ip, outcome, ...)
+   * @returns {Object} The recorded event
+   */
+  record(type, fields = {}) {
+    const event = {
+      time: new Date().toISOString(),
+      type,
+      outcome: 'success',
+      ...fields,
+    };
+
+    // Connections still closing after shutdown have nowhere to go
+    if (this.closed) {
+      return event;
+    }
+
+    for (const sink of this.sinks) {
+      try {
+        sink.write(event);
+      } catch (error) {
+        logger.error(`❌ [Audit] Failed to write ${type} event:`, error.message);
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Whether events can be queried (requires the file sink)
+   * @returns {boolean} true if query() is available
+   */
+  canQuery() {
+    return !!this.fileSink;
+  }
+
+  /**
+   * Query recorded events, newest first
+   * @param {Object} filter - Query filter
+   * @param {string} filter.type - Event type or type prefix ending in '.' (e.g. 'proxy.'); comma-separated list allowed
+   * @param {string} filter.userId - User ID
+   * @param {string} filter.vmId - VM ID
+   * @param {string} filter.outcome - 'success' or 'failure'
+   * @param {string|number} filter.from - Earliest time (ISO string or ms timestamp)
+   * @param {string|number} filter.to - Latest time (ISO string or ms timestamp)
+   * @param {number} filter.limit - Maximum number of events (default 100, max 1000)
+   * @returns {Promise<Object[]>} Matching events
+   */
+  async query(filter = {}) {
+    if (!this.fileSink) {
+      throw new Error('Audit log query requires the file sink');
+    }
+
+    const types = filter.type ? String(filter.type).split(',').map(type => type.trim()).filter(Boolean) : [];
+    const from = parseTime(filter.from);
+    const to = parseTime(filter.to);
+    const limit = Math.min(Math.max(parseInt(filter.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+
+    const matches = (event) => {
+      if (types.length > 0 && !types.some(type => (type.endsWith('.') ? event.type.startsWith(type) : event.type === type))) {
+        return false;
+      }
+      if (filter.userId && event.userId !== filter.userId) return false;
+      if (filter.vmId && event.vmId !== filter.vmId) return false;
+      if (filter.outcome && event.outcome !== filter.outcome) return false;
+      const time = Date.parse(event.time);
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      return true;
+    };
+
+    // Keep only the newest `limit` matches while reading the file front to back
+    const results = [];
+    let input;
+    try {
+      input = fs.createReadStream(this.fileSink.file, { encoding: 'utf-8' });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (matches(event)) {
+          results.push(event);
+          if (results.length > limit) {
+            results.shift();
+          }
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return results.reverse();
+  }
+
+  /**
+   * Flush and close all sinks
+   */
+  async close() {
+    this.closed = true;
+    await Promise.all(this.sinks.map(sink => sink.close()));
+  }
+}
+
+/**
+ * Parse a filter time
+ * @param {string|number} value - ISO string or ms timestamp
+ * @returns {number|null} ms timestamp or null if not given / invalid
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+module.exports = AuditLog;
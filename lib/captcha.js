@@ -0,0 +1,109 @@
+/**
+ * CAPTCHA
+ * Server-side check of a CAPTCHA response token, required by the login
+ * limiter after repeated failed logins.
+ *
+ * hCaptcha, reCAPTCHA v2 and Cloudflare Turnstile share the same protocol:
+ * the browser widget yields a response token, the server posts it with the
+ * secret to the provider's siteverify endpoint and gets { success }. The
+ * widgets also share a render() / getResponse() / reset() JavaScript API, so
+ * the login page only needs the script URL and the global object name.
+ */
+
+'use strict';
+
+const axios = require('axios');
+const logger = require('./logger');
+
+const PROVIDERS = {
+  hcaptcha: {
+    verifyUrl: 'https://api.hcaptcha.com/siteverify',
+    scriptUrl: 'https://js.hcaptcha.com/1/api.js?render=explicit',
+    global: 'hcaptcha',
+    origins: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+  },
+  recaptcha: {
+    verifyUrl: 'https://www.google.com/recaptcha/api/siteverify',
+    scriptUrl: 'https://www.google.com/recaptcha/api.js?render=explicit',
+    global: 'grecaptcha',
+    origins: ['https://www.google.com', 'https://www.gstatic.com'],
+  },
+  turnstile: {
+    verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    scriptUrl: 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+    global: 'turnstile',
+    origins: ['https://challenges.cloudflare.com'],
+  },
+};
+
+class Captcha {
+  /**
+   * @param {Object} options - CAPTCHA options
+   * @param {string} options.provider - 'hcaptcha', 'recaptcha' or 'turnstile'
+   * @param {string} options.siteKey - Public site key for the widget
+   * @param {string} options.secret - Secret key for siteverify
+   * @param {string} options.verifyUrl - siteverify endpoint (default: the provider's)
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.provider = PROVIDERS[options.provider];
+    if (!this.provider) {
+      throw new Error(`Unknown CAPTCHA provider: ${options.provider}`);
+    }
+    this.name = options.provider;
+    this.siteKey = options.siteKey;
+    this.secret = options.secret;
+    this.verifyUrl = options.verifyUrl || this.provider.verifyUrl;
+    this.http = axios.create({ timeout: options.timeout || 10000 });
+  }
+
+  /**
+   * Origins the widget loads scripts and frames from (for the Content-Security-Policy)
+   * @returns {string[]} Origins
+   */
+  get origins() {
+    return this.provider.origins;
+  }
+
+  /**
+   * What the login page needs to render the widget
+   * @returns {Object} { provider, siteKey, scriptUrl, global }
+   */
+  getClientConfig() {
+    return {
+      provider: this.name,
+      siteKey: this.siteKey,
+      scriptUrl: this.provider.scriptUrl,
+      global: this.provider.global,
+    };
+  }
+
+  /**
+   * Verify a response token with the provider
+   * @param {string} token - Response token from the widget
+   * @param {string} ip - Client IP
+   * @returns {Promise<boolean>} true if the CAPTCHA was solved
+   */
+  async verify(token, ip) {
+    if (!token) {
+      return false;
+    }
+
+    try {
+      const params = new URLSearchParams({ secret: this.secret, response: token, remoteip: ip });
+      const { data } = await this.http.post(this.verifyUrl, params);
+      if (!data.success) {
+        logger.debug(`🤖 [Captcha] Rejected: ${(data['error-codes'] || []).join(', ')}`);
+      }
+      return data.success === true;
+    } catch (error) {
+      logger.error('❌ [Captcha] Verification request failed:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  Captcha,
+  PROVIDERS,
+};
@@ -0,0 +1,646 @@
+/**
+ * Clipboard Filter at the Proxy
+ * Drops the clipboard traffic of connections whose user an administrator
+ * forced the clipboard off for, so the force-off also holds against a client
+ * that ignores the policy it is handed.
+ *
+ * VNC: ClientCutText (client message 6) and ServerCutText (server message 3)
+ * are dropped. Finding the server's cut text means framing every server
+ * message, so the encodings the browser asks for are limited to the ones the
+ * filter can frame (Raw, CopyRect, Tight, ZRLE and the pseudo-encodings noVNC
+ * uses). The extended clipboard is never offered.
+ *
+ * SPICE: on the main channel, the vdagent clipboard messages (CLIPBOARD, GRAB,
+ * REQUEST, RELEASE) are dropped in both directions, and the clipboard
+ * capabilities are cleared from the agents' capability announcements, so
+ * neither side offers its clipboard. Other channels are relayed unchanged.
+ *
+ * Data the filter cannot frame is an error: the proxy closes the connection
+ * rather than relay what it cannot inspect.
+ */
+
+'use strict';
+
+const logger = require('./logger');
+
+// RFB client -> server messages
+const RFB_SET_PIXEL_FORMAT = 0;
+const RFB_SET_ENCODINGS = 2;
+const RFB_FRAMEBUFFER_UPDATE_REQUEST = 3;
+const RFB_KEY_EVENT = 4;
+const RFB_POINTER_EVENT = 5;
+const RFB_CLIENT_CUT_TEXT = 6;
+const RFB_ENABLE_CONTINUOUS_UPDATES = 150;
+const RFB_CLIENT_FENCE = 248;
+const RFB_CLIENT_XVP = 250;
+const RFB_SET_DESKTOP_SIZE = 251;
+const RFB_QEMU_CLIENT_MESSAGE = 255;
+const RFB_QEMU_EXTENDED_KEY_EVENT = 0;
+
+// RFB server -> client messages
+const RFB_FRAMEBUFFER_UPDATE = 0;
+const RFB_SET_COLOUR_MAP_ENTRIES = 1;
+const RFB_BELL = 2;
+const RFB_SERVER_CUT_TEXT = 3;
+const RFB_END_OF_CONTINUOUS_UPDATES = 150;
+const RFB_SERVER_FENCE = 248;
+const RFB_SERVER_XVP = 250;
+
+// RFB encodings whose rectangles the filter can frame
+const ENCODING_RAW = 0;
+const ENCODING_COPY_RECT = 1;
+const ENCODING_TIGHT = 7;
+const ENCODING_ZRLE = 16;
+const PSEUDO_DESKTOP_SIZE = -223;
+const PSEUDO_LAST_RECT = -224;
+const PSEUDO_CURSOR = -239;
+const PSEUDO_QEMU_EXTENDED_KEY_EVENT = -258;
+const PSEUDO_QEMU_LED_EVENT = -261;
+const PSEUDO_DESKTOP_NAME = -307;
+const PSEUDO_EXTENDED_DESKTOP_SIZE = -308;
+const PSEUDO_XVP = -309; // answered with server message 250
+const PSEUDO_FENCE = -312; // answered with server message 248
+const PSEUDO_CONTINUOUS_UPDATES = -313; // answered with server message 150
+const FRAMED_ENCODINGS = new Set([
+  ENCODING_RAW, ENCODING_COPY_RECT, ENCODING_TIGHT, ENCODING_ZRLE,
+  PSEUDO_DESKTOP_SIZE, PSEUDO_LAST_RECT, PSEUDO_CURSOR, PSEUDO_QEMU_EXTENDED_KEY_EVENT,
+  PSEUDO_QEMU_LED_EVENT, PSEUDO_DESKTOP_NAME, PSEUDO_EXTENDED_DESKTOP_SIZE,
+  PSEUDO_XVP, PSEUDO_FENCE, PSEUDO_CONTINUOUS_UPDATES,
+]);
+
+// Tight compression control (upper nibble)
+const TIGHT_FILL = 0x08;
+const TIGHT_JPEG = 0x09;
+const TIGHT_PNG = 0x0a;
+const TIGHT_EXPLICIT_FILTER = 0x04;
+const TIGHT_FILTER_COPY = 0;
+const TIGHT_FILTER_PALETTE = 1;
+const TIGHT_FILTER_GRADIENT = 2;
+const TIGHT_MIN_TO_COMPRESS = 12;
+
+// SPICE link handshake and main channel (all integers little-endian)
+const SPICE_LINK_HEADER_SIZE = 16;
+const SPICE_LINK_MESS_CAPS_OFFSET = 14; // connection_id u32, type u8, id u8, num_common_caps u32, num_channel_caps u32
+const SPICE_LINK_RESULT_SIZE = 4;
+const SPICE_ENCRYPTED_TICKET_SIZE = 128;
+const SPICE_CHANNEL_MAIN = 1;
+const SPICE_COMMON_CAP_AUTH_SELECTION = 0;
+const SPICE_COMMON_CAP_AUTH_SPICE = 1;
+const SPICE_COMMON_CAP_MINI_HEADER = 3;
+const SPICE_MINI_HEADER_SIZE = 6; // type u16, size u32
+const SPICE_MSG_MAIN_AGENT_DATA = 109;
+const SPICE_MSGC_MAIN_AGENT_DATA = 107;
+
+// vdagent messages carried in AGENT_DATA
+const VD_AGENT_HEADER_SIZE = 20; // protocol u32, type u32, opaque u64, size u32
+const VD_AGENT_CLIPBOARD = 4;
+const VD_AGENT_ANNOUNCE_CAPABILITIES = 6;
+const VD_AGENT_CLIPBOARD_GRAB = 7;
+const VD_AGENT_CLIPBOARD_REQUEST = 8;
+const VD_AGENT_CLIPBOARD_RELEASE = 9;
+const VD_AGENT_CLIPBOARD_TYPES = new Set([
+  VD_AGENT_CLIPBOARD, VD_AGENT_CLIPBOARD_GRAB, VD_AGENT_CLIPBOARD_REQUEST, VD_AGENT_CLIPBOARD_RELEASE,
+]);
+const VD_AGENT_CAPS_OFFSET = 4; // request u32, then the capability words
+const VD_AGENT_CLIPBOARD_CAPS = (1 << 3) | (1 << 5) | (1 << 6); // CLIPBOARD, CLIPBOARD_BY_DEMAND, CLIPBOARD_SELECTION
+
+/**
+ * One direction of a filtered stream
+ *
+ * The parser looks at the message at the start of the buffer and returns null
+ * until the part it needs has arrived, or
+ *   { length, body, drop, replace } - consume length bytes (forwarded as they
+ *   are, or as replace), then stream body more bytes without looking at them;
+ *   drop discards both.
+ */
+class FilterStream {
+  /**
+   * @param {Function} parse - (buffer) => message or null
+   */
+  constructor(parse) {
+    this.parse = parse;
+    this.pending = Buffer.alloc(0);
+    this.body = 0;
+    this.dropBody = false;
+    this.error = null;
+  }
+
+  /**
+   * @param {Buffer} data - Data in this direction
+   * @returns {Buffer} Data to forward now
+   * @throws {Error} if the data cannot be framed
+   */
+  process(data) {
+    // The stream cannot be resynchronized after an error
+    if (this.error) {
+      throw this.error;
+    }
+
+    try {
+      return this.filter(data);
+    } catch (error) {
+      this.error = error;
+      throw error;
+    }
+  }
+
+  filter(data) {
+    let buffer = this.pending.length > 0 ? Buffer.concat([this.pending, data]) : data;
+    const forward = [];
+
+    while (buffer.length > 0) {
+      if (this.body > 0) {
+        const length = Math.min(this.body, buffer.length);
+        if (!this.dropBody) {
+          forward.push(buffer.subarray(0, length));
+        }
+        this.body -= length;
+        buffer = buffer.subarray(length);
+        continue;
+      }
+
+      const message = this.parse(buffer);
+      if (!message) {
+        break;
+      }
+      if (!message.drop) {
+        forward.push(message.replace || buffer.subarray(0, message.length));
+      }
+      this.body = message.body || 0;
+      this.dropBody = Boolean(message.drop);
+      buffer = buffer.subarray(message.length);
+    }
+
+    this.pending = Buffer.from(buffer);
+    return forward.length === 1 ? forward[0] : Buffer.concat(forward);
+  }
+}
+
+/**
+ * A message of fixed length
+ */
+function fixed(buffer, length) {
+  return buffer.length < length ? null : { length };
+}
+
+/**
+ * Tight compact length (1 to 3 bytes)
+ * @returns {Object|null} { value, size } or null if incomplete
+ */
+function readCompactLength(buffer, offset) {
+  let value = 0;
+  for (let i = 0; i < 3; i++) {
+    if (buffer.length <= offset + i) {
+      return null;
+    }
+    const byte = buffer[offset + i];
+    value |= (i < 2 ? byte & 0x7f : byte) << (7 * i);
+    if (i === 2 || !(byte & 0x80)) {
+      return { value, size: i + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Drops RFB cut text in both directions of one VNC connection
+ *
+ * Starts where the proxy's VNC handshake ends: the client stream with
+ * ClientInit, the server stream with ServerInit.
+ */
+class VncClipboardFilter {
+  constructor() {
+    this.clientInit = false;
+    this.serverInit = false;
+    this.rects = 0; // rectangles left in the current FramebufferUpdate
+    this.bytesPerPixel = 4;
+    this.tightPixelSize = 3;
+    this.client = new FilterStream(buffer => this.parseClient(buffer));
+    this.server = new FilterStream(buffer => this.parseServer(buffer));
+  }
+
+  /**
+   * @param {Buffer} data - Browser data
+   * @returns {Buffer} Data to forward to the server now
+   */
+  fromClient(data) {
+    return this.client.process(data);
+  }
+
+  /**
+   * @param {Buffer} data - Server data
+   * @returns {Buffer} Data to forward to the browser now
+   */
+  fromServer(data) {
+    return this.server.process(data);
+  }
+
+  /**
+   * Pixel format (16 bytes, from ServerInit or SetPixelFormat)
+   */
+  setPixelFormat(format) {
+    const bitsPerPixel = format[0];
+    const depth = format[1];
+    const trueColour = format[3] !== 0;
+    const maxes = [format.readUInt16BE(4), format.readUInt16BE(6), format.readUInt16BE(8)];
+
+    this.bytesPerPixel = bitsPerPixel / 8;
+    // Tight sends 3-byte pixels for 32-bit true colour with 8 bits per channel
+    this.tightPixelSize = bitsPerPixel === 32 && depth === 24 && trueColour && maxes.every(max => max === 255)
+      ? 3
+      : this.bytesPerPixel;
+  }
+
+  parseClient(buffer) {
+    if (!this.clientInit) {
+      this.clientInit = true;
+      return { length: 1 }; // ClientInit
+    }
+
+    const type = buffer[0];
+    switch (type) {
+      case RFB_SET_PIXEL_FORMAT: {
+        if (buffer.length < 20) {
+          return null;
+        }
+        this.setPixelFormat(buffer.subarray(4, 20));
+        return { length: 20 };
+      }
+      case RFB_SET_ENCODINGS: {
+        if (buffer.length < 4) {
+          return null;
+        }
+        const length = 4 + buffer.readUInt16BE(2) * 4;
+        if (buffer.length < length) {
+          return null;
+        }
+        return { length, replace: this.filterEncodings(buffer.subarray(0, length)) };
+      }
+      case RFB_FRAMEBUFFER_UPDATE_REQUEST:
+        return fixed(buffer, 10);
+      case RFB_KEY_EVENT:
+        return fixed(buffer, 8);
+      case RFB_POINTER_EVENT:
+        return fixed(buffer, 6);
+      case RFB_CLIENT_CUT_TEXT: {
+        if (buffer.length < 8) {
+          return null;
+        }
+        // A negative length is an extended clipboard message, which is never negotiated here
+        logger.debug('📋 [Clipboard] Dropped ClientCutText, clipboard is forced off');
+        return { length: 8, body: Math.abs(buffer.readInt32BE(4)), drop: true };
+      }
+      case RFB_ENABLE_CONTINUOUS_UPDATES:
+        return fixed(buffer, 10);
+      case RFB_CLIENT_FENCE:
+        return buffer.length < 9 ? null : { length: 9, body: buffer[8] };
+      case RFB_CLIENT_XVP:
+        return fixed(buffer, 4);
+      case RFB_SET_DESKTOP_SIZE:
+        return buffer.length < 8 ? null : { length: 8, body: buffer[6] * 16 };
+      case RFB_QEMU_CLIENT_MESSAGE:
+        if (buffer.length < 2) {
+          return null;
+        }
+        if (buffer[1] === RFB_QEMU_EXTENDED_KEY_EVENT) {
+          return fixed(buffer, 12);
+        }
+        throw new Error(`Unexpected QEMU client message ${buffer[1]}`);
+      default:
+        throw new Error(`Unexpected VNC client message type ${type}`);
+    }
+  }
+
+  /**
+   * Keep only the encodings the server stream can be framed with
+   * @param {Buffer} message - SetEncodings message
+   * @returns {Buffer} Rewritten message
+   */
+  filterEncodings(message) {
+    const encodings = [];
+    for (let offset = 4; offset < message.length; offset += 4) {
+      const encoding = message.readInt32BE(offset);
+      if (FRAMED_ENCODINGS.has(encoding) ||
+          (encoding >= -32 && encoding <= -23) || // quality level
+          (encoding >= -256 && encoding <= -247)) { // compression level
+        encodings.push(encoding);
+      }
+    }
+
+    const filtered = Buffer.alloc(4 + encodings.length * 4);
+    filtered[0] = RFB_SET_ENCODINGS;
+    filtered.writeUInt16BE(encodings.length, 2);
+    encodings.forEach((encoding, i) => filtered.writeInt32BE(encoding, 4 + i * 4));
+    return filtered;
+  }
+
+  parseServer(buffer) {
+    if (!this.serverInit) {
+      if (buffer.length < 24) {
+        return null;
+      }
+      this.serverInit = true;
+      this.setPixelFormat(buffer.subarray(4, 20));
+      return { length: 24, body: buffer.readUInt32BE(20) }; // name follows
+    }
+
+    if (this.rects > 0) {
+      return this.parseRect(buffer);
+    }
+
+    const type = buffer[0];
+    switch (type) {
+      case RFB_FRAMEBUFFER_UPDATE: {
+        if (buffer.length < 4) {
+          return null;
+        }
+        this.rects = buffer.readUInt16BE(2);
+        return { length: 4 };
+      }
+      case RFB_SET_COLOUR_MAP_ENTRIES:
+        return buffer.length < 6 ? null : { length: 6, body: buffer.readUInt16BE(4) * 6 };
+      case RFB_BELL:
+        return { length: 1 };
+      case RFB_SERVER_CUT_TEXT: {
+        if (buffer.length < 8) {
+          return null;
+        }
+        logger.debug('📋 [Clipboard] Dropped ServerCutText, clipboard is forced off');
+        return { length: 8, body: Math.abs(buffer.readInt32BE(4)), drop: true };
+      }
+      case RFB_END_OF_CONTINUOUS_UPDATES:
+        return { length: 1 };
+      case RFB_SERVER_FENCE:
+        return buffer.length < 9 ? null : { length: 9, body: buffer[8] };
+      case RFB_SERVER_XVP:
+        return fixed(buffer, 4);
+      default:
+        throw new Error(`Unexpected VNC server message type ${type}`);
+    }
+  }
+
+  /**
+   * Rectangle header of a FramebufferUpdate, with the encoding's own header
+   */
+  parseRect(buffer) {
+    if (buffer.length < 12) {
+      return null;
+    }
+    const width = buffer.readUInt16BE(4);
+    const height = buffer.readUInt16BE(6);
+    const encoding = buffer.readInt32BE(8);
+
+    let message;
+    switch (encoding) {
+      case ENCODING_RAW:
+        message = { length: 12, body: width * height * this.bytesPerPixel };
+        break;
+      case ENCODING_COPY_RECT:
+        message = { length: 12, body: 4 };
+        break;
+      case ENCODING_TIGHT:
+        message = this.parseTight(buffer, width, height);
+        break;
+      case ENCODING_ZRLE:
+        message = buffer.length < 16 ? null : { length: 16, body: buffer.readUInt32BE(12) };
+        break;
+      case PSEUDO_CURSOR:
+        message = { length: 12, body: width * height * this.bytesPerPixel + Math.ceil(width / 8) * height };
+        break;
+      case PSEUDO_DESKTOP_SIZE:
+      case PSEUDO_QEMU_EXTENDED_KEY_EVENT:
+      case PSEUDO_LAST_RECT:
+        message = { length: 12 };
+        break;
+      case PSEUDO_QEMU_LED_EVENT:
+        message = { length: 12, body: 1 };
+        break;
+      case PSEUDO_DESKTOP_NAME:
+        message = buffer.length < 16 ? null : { length: 16, body: buffer.readUInt32BE(12) };
+        break;
+      case PSEUDO_EXTENDED_DESKTOP_SIZE:
+        message = buffer.length < 16 ? null : { length: 16, body: buffer[12] * 16 };
+        break;
+      default:
+        throw new Error(`Unexpected VNC rectangle encoding ${encoding}`);
+    }
+
+    if (message) {
+      this.rects = encoding === PSEUDO_LAST_RECT ? 0 : this.rects - 1;
+    }
+    return message;
+  }
+
+  /**
+   * Tight rectangle: compression control and the headers up to the pixel data
+   */
+  parseTight(buffer, width, height) {
+    let offset = 12;
+    if (buffer.length <= offset) {
+      return null;
+    }
+    const control = buffer[offset++] >> 4;
+
+    if (control === TIGHT_FILL) {
+      return { length: offset, body: this.tightPixelSize };
+    }
+    if (control === TIGHT_JPEG || control === TIGHT_PNG) {
+      const compact = readCompactLength(buffer, offset);
+      return compact && { length: offset + compact.size, body: compact.value };
+    }
+    if (control > TIGHT_PNG) {
+      throw new Error(`Unexpected Tight compression control ${control}`);
+    }
+
+    let rowSize = width * this.tightPixelSize;
+    if (control & TIGHT_EXPLICIT_FILTER) {
+      if (buffer.length <= offset) {
+        return null;
+      }
+      const filter = buffer[offset++];
+      if (filter === TIGHT_FILTER_PALETTE) {
+        if (buffer.length <= offset) {
+          return null;
+        }
+        const colours = buffer[offset++] + 1;
+        offset += colours * this.tightPixelSize;
+        if (buffer.length < offset) {
+          return null;
+        }
+        rowSize = colours <= 2 ? Math.ceil(width / 8) : width;
+      } else if (filter !== TIGHT_FILTER_COPY && filter !== TIGHT_FILTER_GRADIENT) {
+        throw new Error(`Unexpected Tight filter ${filter}`);
+      }
+    }
+
+    const dataSize = rowSize * height;
+    if (dataSize < TIGHT_MIN_TO_COMPRESS) {
+      return { length: offset, body: dataSize };
+    }
+    const compact = readCompactLength(buffer, offset);
+    return compact && { length: offset + compact.size, body: compact.value };
+  }
+}
+
+/**
+ * Drops vdagent clipboard messages on one SPICE channel connection
+ *
+ * Agent messages travel in chunks of AGENT_DATA messages, the first chunk
+ * starting with the agent message header. A chunk never holds more than one
+ * agent message (spice-server rejects it otherwise), so whole AGENT_DATA
+ * messages are dropped. The main channel does not use ACKs and the browser
+ * hands the server unlimited agent tokens, so no accounting breaks.
+ */
+class SpiceClipboardFilter {
+  constructor() {
+    this.main = null; // unknown until the client's link message
+    this.clientState = 'link'; // link -> auth -> ticket -> messages
+    this.serverState = 'link'; // link -> result -> messages
+    this.authSelection = false;
+    this.miniHeader = false;
+    this.clientAgent = { remaining: 0, drop: false };
+    this.serverAgent = { remaining: 0, drop: false };
+    this.client = new FilterStream(buffer => this.parseClient(buffer));
+    this.server = new FilterStream(buffer => this.parseServer(buffer));
+  }
+
+  /**
+   * @param {Buffer} data - Browser data
+   * @returns {Buffer} Data to forward to the server now
+   */
+  fromClient(data) {
+    return this.main === false ? data : this.client.process(data);
+  }
+
+  /**
+   * @param {Buffer} data - Server data
+   * @returns {Buffer} Data to forward to the browser now
+   */
+  fromServer(data) {
+    return this.main === false ? data : this.server.process(data);
+  }
+
+  parseClient(buffer) {
+    switch (this.clientState) {
+      case 'link': {
+        if (buffer.length < SPICE_LINK_HEADER_SIZE) {
+          return null;
+        }
+        const length = SPICE_LINK_HEADER_SIZE + buffer.readUInt32LE(12);
+        if (buffer.length < length) {
+          return null;
+        }
+        const mess = buffer.subarray(SPICE_LINK_HEADER_SIZE, length);
+        this.main = mess.length > 4 && mess[4] === SPICE_CHANNEL_MAIN;
+        const numCommonCaps = mess.length >= SPICE_LINK_MESS_CAPS_OFFSET + 4 ? mess.readUInt32LE(6) : 0;
+        const capsOffset = numCommonCaps > 0 ? mess.readUInt32LE(SPICE_LINK_MESS_CAPS_OFFSET) : 0;
+        const caps = numCommonCaps > 0 && capsOffset + 4 <= mess.length ? mess.readUInt32LE(capsOffset) : 0;
+        this.authSelection = (caps & (1 << SPICE_COMMON_CAP_AUTH_SELECTION)) !== 0;
+        // The server uses the mini header whenever the client supports it
+        this.miniHeader = (caps & (1 << SPICE_COMMON_CAP_MINI_HEADER)) !== 0;
+        this.clientState = this.authSelection ? 'auth' : 'ticket';
+        // Only the main channel carries agent data, other channels are relayed from here
+        return this.main ? { length } : { length, body: Infinity };
+      }
+      case 'auth': {
+        if (buffer.length < 4) {
+          return null;
+        }
+        if (buffer.readUInt32LE(0) !== SPICE_COMMON_CAP_AUTH_SPICE) {
+          throw new Error('Unexpected SPICE authentication mechanism');
+        }
+        this.clientState = 'ticket';
+        return { length: 4 };
+      }
+      case 'ticket':
+        this.clientState = 'messages';
+        return { length: 0, body: SPICE_ENCRYPTED_TICKET_SIZE };
+      default:
+        return this.parseMessage(buffer, SPICE_MSGC_MAIN_AGENT_DATA, this.clientAgent);
+    }
+  }
+
+  parseServer(buffer) {
+    switch (this.serverState) {
+      case 'link':
+        if (buffer.length < SPICE_LINK_HEADER_SIZE) {
+          return null;
+        }
+        this.serverState = 'result';
+        return { length: SPICE_LINK_HEADER_SIZE, body: buffer.readUInt32LE(12) };
+      case 'result':
+        this.serverState = 'messages';
+        return { length: 0, body: SPICE_LINK_RESULT_SIZE };
+      default:
+        return this.parseMessage(buffer, SPICE_MSG_MAIN_AGENT_DATA, this.serverAgent);
+    }
+  }
+
+  /**
+   * Main channel message; AGENT_DATA is inspected, everything else streamed
+   * @param {Buffer} buffer - Data from the start of the message
+   * @param {number} agentDataType - AGENT_DATA message type in this direction
+   * @param {Object} agent - Agent message being transferred in this direction
+   */
+  parseMessage(buffer, agentDataType, agent) {
+    if (!this.miniHeader) {
+      throw new Error('SPICE client did not negotiate the mini header');
+    }
+    if (buffer.length < SPICE_MINI_HEADER_SIZE) {
+      return null;
+    }
+    const type = buffer.readUInt16LE(0);
+    const size = buffer.readUInt32LE(2);
+    if (type !== agentDataType) {
+      return { length: SPICE_MINI_HEADER_SIZE, body: size };
+    }
+
+    // Further chunk of the current agent message
+    if (agent.remaining > 0) {
+      if (size > agent.remaining) {
+        throw new Error('SPICE agent data spans agent messages');
+      }
+      agent.remaining -= size;
+      return { length: SPICE_MINI_HEADER_SIZE, body: size, drop: agent.drop };
+    }
+
+    if (size < VD_AGENT_HEADER_SIZE) {
+      throw new Error('SPICE agent data without agent message header');
+    }
+    const headerLength = SPICE_MINI_HEADER_SIZE + VD_AGENT_HEADER_SIZE;
+    if (buffer.length < headerLength) {
+      return null;
+    }
+    const agentType = buffer.readUInt32LE(SPICE_MINI_HEADER_SIZE + 4);
+    const agentSize = VD_AGENT_HEADER_SIZE + buffer.readUInt32LE(SPICE_MINI_HEADER_SIZE + 16);
+    if (size > agentSize) {
+      throw new Error('SPICE agent data spans agent messages');
+    }
+    agent.remaining = agentSize - size;
+    agent.drop = VD_AGENT_CLIPBOARD_TYPES.has(agentType);
+
+    if (agent.drop) {
+      logger.debug(`📋 [Clipboard] Dropped SPICE agent clipboard message ${agentType}, clipboard is forced off`);
+      return { length: SPICE_MINI_HEADER_SIZE, body: size, drop: true };
+    }
+
+    // Clear the clipboard capabilities from the first capability word
+    const capsLength = headerLength + VD_AGENT_CAPS_OFFSET + 4;
+    if (agentType === VD_AGENT_ANNOUNCE_CAPABILITIES && size >= capsLength - SPICE_MINI_HEADER_SIZE) {
+      if (buffer.length < capsLength) {
+        return null;
+      }
+      const replace = Buffer.from(buffer.subarray(0, capsLength));
+      const caps = replace.readUInt32LE(capsLength - 4);
+      replace.writeUInt32LE((caps & ~VD_AGENT_CLIPBOARD_CAPS) >>> 0, capsLength - 4);
+      return { length: capsLength, replace, body: size - (capsLength - SPICE_MINI_HEADER_SIZE) };
+    }
+
+    return { length: SPICE_MINI_HEADER_SIZE, body: size };
+  }
+}
+
+module.exports = {
+  VncClipboardFilter,
+  SpiceClipboardFilter,
+};
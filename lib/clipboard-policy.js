@@ -0,0 +1,110 @@
+/**
+ * Clipboard Sync Policy
+ * Whether noVNC keeps the remote clipboard in sync with the browser clipboard.
+ *
+ * Users turn the sync on or off for themselves; an admin can force it off for
+ * a user, which wins over the user's choice until the admin lifts it. Users
+ * without a record get the configured default. The policy is handed to the
+ * VNC page with the connection info, so it applies from the next connection.
+ * A force-off is also enforced at the proxy, which drops the clipboard traffic
+ * of the user's VNC and SPICE connections (lib/clipboard-filter.js).
+ *
+ * Per-user records live in the session store without expiry ('clipboard:user:'),
+ * keyed on the normalized user ID so a force-off also holds for a login typed
+ * in another case.
+ */
+
+'use strict';
+
+const { SessionStore } = require('./session-store');
+const { normalizeUserId } = require('./user-id');
+const logger = require('./logger');
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function createPolicyError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class ClipboardPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Object} options.sessionStore - Session store whose driver keeps the policy records
+   * @param {boolean} options.syncDefault - Whether sync is on for users who have not chosen
+   */
+  constructor(options = {}) {
+    this.syncDefault = options.syncDefault !== false;
+    this.users = new SessionStore(options.sessionStore.driver, { prefix: 'clipboard:user:', ttl: 0 });
+  }
+
+  /**
+   * Policy of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, forcedOff, forcedBy, forcedAt, sync } - sync is what the client applies
+   */
+  async get(userId) {
+    const record = (await this.users.get(normalizeUserId(userId))) || {};
+    const enabled = typeof record.enabled === 'boolean' ? record.enabled : this.syncDefault;
+    const forcedOff = Boolean(record.forcedOff);
+    return {
+      enabled,
+      forcedOff,
+      forcedBy: forcedOff ? record.forcedBy : null,
+      forcedAt: forcedOff ? record.forcedAt : null,
+      sync: enabled && !forcedOff,
+    };
+  }
+
+  /**
+   * The user's own choice; turning sync on is refused while an admin forces it off
+   * @param {string} userId - User ID
+   * @param {boolean} enabled - Sync on or off
+   * @returns {Promise<Object>} The new policy, as get()
+   */
+  async setEnabled(userId, enabled) {
+    const key = normalizeUserId(userId);
+    const record = (await this.users.get(key)) || {};
+    if (enabled && record.forcedOff) {
+      throw createPolicyError('Clipboard sync is turned off by an administrator', 403);
+    }
+
+    record.enabled = Boolean(enabled);
+    await this.users.set(key, record);
+
+    logger.debug(`📋 [Clipboard] ${userId} turned clipboard sync ${enabled ? 'on' : 'off'}`);
+    return this.get(userId);
+  }
+
+  /**
+   * Force sync off for a user, or lift it (the user's own choice applies again)
+   * @param {string} userId - User ID
+   * @param {boolean} forcedOff - Force off or lift
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} The new policy, as get()
+   */
+  async setForcedOff(userId, forcedOff, adminId) {
+    const key = normalizeUserId(userId);
+    const record = (await this.users.get(key)) || {};
+    if (forcedOff) {
+      record.forcedOff = true;
+      record.forcedBy = adminId;
+      record.forcedAt = Date.now();
+    } else {
+      delete record.forcedOff;
+      delete record.forcedBy;
+      delete record.forcedAt;
+    }
+    await this.users.set(key, record);
+
+    logger.info(`📋 [Clipboard] Admin ${adminId} ${forcedOff ? 'forced off' : 'lifted the force-off of'} clipboard sync for ${userId}`);
+    return this.get(userId);
+  }
+}
+
+module.exports = { ClipboardPolicy };
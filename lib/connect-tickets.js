@@ -0,0 +1,96 @@
+/**
+ * Connect Tickets
+ * Short-lived, single-use tickets for opening a VNC / SPICE WebSocket.
+ *
+ * The login JWT never appears in a WebSocket URL (where it would end up in
+ * browser history, proxy and access logs). Instead the page exchanges it for
+ * a ticket right before opening the socket:
+ *
+ *   POST /api/connect/ticket { vmId, protocol }  ->  { ticket }
+ *   ws://host/vnc/{vmId}?ticket={ticket}
+ *
+ * A ticket is bound to one VM and protocol, expires after a few seconds and
+ * is deleted when redeemed. SPICE opens one socket per channel, so the client
+ * requests a ticket for each channel.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { SessionStore } = require('./session-store');
+const logger = require('./logger');
+
+class ConnectTickets {
+  /**
+   * @param {Object} options - Ticket options
+   * @param {Object} options.sessionStore - Session store whose driver keeps the tickets
+   * @param {number} options.ttl - Ticket lifetime in milliseconds
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 30000;
+    // Same storage as the sessions, so tickets work across gateway instances with Redis
+    this.store = new SessionStore(options.sessionStore.driver, { prefix: 'ticket:', ttl: this.ttl });
+  }
+
+  /**
+   * Issue a ticket
+   * @param {Object} grant - What the ticket allows
+   * @param {string} grant.vmId - VM the ticket is valid for
+   * @param {string} grant.protocol - 'vnc' or 'spice'
+   * @param {string} grant.userId - Owner user ID
+   * @param {string} grant.username - Owner username
+   * @param {string} grant.sessionId - Owner login session
+   * @returns {Promise<Object>} { ticket, expiresIn } - expiresIn in seconds
+   */
+  async issue(grant) {
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    await this.store.set(ticket, {
+      vmId: grant.vmId,
+      protocol: grant.protocol,
+      userId: grant.userId,
+      username: grant.username,
+      sessionId: grant.sessionId,
+      issuedAt: Date.now(),
+    });
+
+    logger.debug(`🎫 Issued ${grant.protocol} ticket for VM ${grant.vmId} (user ${grant.userId})`);
+    return { ticket, expiresIn: Math.round(this.ttl / 1000) };
+  }
+
+  /**
+   * Redeem a ticket (it cannot be used again, even if the check fails)
+   * @param {string} ticket - Ticket from the WebSocket URL
+   * @param {string} vmId - VM the socket is opened for
+   * @param {string} protocol - 'vnc' or 'spice'
+   * @returns {Promise<Object|null>} Grant ({ vmId, protocol, userId, username, sessionId }) or null
+   */
+  async redeem(ticket, vmId, protocol) {
+    const grant = await this.store.take(ticket);
+
+    if (!grant) {
+      logger.error('   [Auth] Ticket unknown, expired or already used');
+      return null;
+    }
+    if (grant.vmId !== vmId || grant.protocol !== protocol) {
+      logger.error(`   [Auth] Ticket was issued for ${grant.protocol} VM ${grant.vmId}, not ${protocol} VM ${vmId}`);
+      return null;
+    }
+
+    return grant;
+  }
+}
+
+/**
+ * Extract the connect ticket from a WebSocket request
+ * @param {Object} req - HTTP request object from WebSocket upgrade
+ * @returns {string|null} Ticket or null
+ */
+function extractTicket(req) {
+  const urlParams = new URLSearchParams(req.url.split('?')[1]);
+  return urlParams.get('ticket');
+}
+
+module.exports = {
+  ConnectTickets,
+  extractTicket,
+};
@@ -0,0 +1,173 @@
+/**
+ * Health Check
+ * Liveness and readiness checks for the gateway.
+ *
+ * Liveness only says the process is up. Readiness probes the things a user
+ * session depends on: ocloudview reachability (cached, time-limited probe),
+ * proxy capacity headroom and the session store.
+ */
+
+'use strict';
+
+const logger = require('./logger');
+
+class HealthCheck {
+  /**
+   * @param {Object} options - Health check options
+   * @param {Object} options.client - axios instance of OcloudviewService
+   * @param {Object} options.wsProxy - WebsockifyProxy instance
+   * @param {Object} options.sessionStore - Session store
+   * @param {number} options.probeTimeout - Timeout of each probe in ms
+   * @param {number} options.cacheTtl - How long an ocloudview probe result is reused in ms
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.wsProxy = options.wsProxy;
+    this.sessionStore = options.sessionStore;
+    this.probeTimeout = options.probeTimeout || 3000;
+    this.cacheTtl = options.cacheTtl || 10000;
+
+    this.ocloudviewResult = null; // last probe result
+    this.pendingProbe = null; // coalesces concurrent probes
+  }
+
+  /**
+   * Liveness: the process is running and serving requests
+   * @returns {Object} Liveness status
+   */
+  getLiveness() {
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+    };
+  }
+
+  /**
+   * Probe ocloudview reachability (cached for cacheTtl)
+   * Any HTTP response counts as reachable, only network errors and timeouts fail
+   * @returns {Promise<Object>} Check result
+   */
+  async checkOcloudview() {
+    if (this.ocloudviewResult && Date.now() - this.ocloudviewResult.checkedAt < this.cacheTtl) {
+      return this.ocloudviewResult;
+    }
+
+    if (!this.pendingProbe) {
+      this.pendingProbe = this.probeOcloudview()
+        .then(result => {
+          this.ocloudviewResult = result;
+          return result;
+        })
+        .finally(() => {
+          this.pendingProbe = null;
+        });
+    }
+    return this.pendingProbe;
+  }
+
+  async probeOcloudview() {
+    const startTime = Date.now();
+    try {
+      const response = await this.client.get('/', {
+        timeout: this.probeTimeout,
+        validateStatus: () => true,
+      });
+      return {
+        status: 'ok',
+        httpStatus: response.status,
+        latencyMs: Date.now() - startTime,
+        checkedAt: Date.now(),
+      };
+    } catch (error) {
+      logger.warn('⚠️  [Health] ocloudview probe failed:', error.message);
+      return {
+        status: 'fail',
+        reason: 'ocloudview_unreachable',
+        error: error.message,
+        latencyMs: Date.now() - startTime,
+        checkedAt: Date.now(),
+      };
+    }
+  }
+
+  /**
+   * Check proxy capacity headroom
+   * @returns {Object} Check result
+   */
+  checkProxy() {
+    const connections = this.wsProxy.connections.size;
+    const maxConnections = this.wsProxy.config.maxConnections;
+    const headroom = Math.max(0, maxConnections - connections);
+
+    return {
+      status: headroom > 0 ? 'ok' : 'fail',
+      ...(headroom === 0 && { reason: 'proxy_at_capacity' }),
+      connections,
+      maxConnections,
+      headroom,
+    };
+  }
+
+  /**
+   * Check that the session store answers within probeTimeout
+   * @returns {Promise<Object>} Check result
+   */
+  async checkSessionStore() {
+    const startTime = Date.now();
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Session store ping timeout')), this.probeTimeout);
+      });
+      const ok = await Promise.race([this.sessionStore.ping(), timeout]);
+      if (!ok) {
+        throw new Error('Unexpected ping reply');
+      }
+      return { status: 'ok', latencyMs: Date.now() - startTime };
+    } catch (error) {
+      logger.warn('⚠️  [Health] Session store check failed:', error.message);
+      return {
+        status: 'fail',
+        reason: 'session_store_unavailable',
+        error: error.message,
+        latencyMs: Date.now() - startTime,
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Readiness: all dependencies needed to serve a desktop session are available
+   * @returns {Promise<Object>} { ready, body } - body is the JSON response
+   */
+  async getReadiness() {
+    const [ocloudview, sessionStore] = await Promise.all([
+      this.checkOcloudview(),
+      this.checkSessionStore(),
+    ]);
+    const checks = {
+      ocloudview,
+      proxy: this.checkProxy(),
+      sessionStore,
+    };
+
+    const reasons = Object.values(checks)
+      .filter(check => check.status !== 'ok')
+      .map(check => check.reason);
+    const ready = reasons.length === 0;
+
+    return {
+      ready,
+      body: {
+        status: ready ? 'ready' : 'not_ready',
+        reasons,
+        timestamp: new Date().toISOString(),
+        checks,
+      },
+    };
+  }
+}
+
+module.exports = HealthCheck;
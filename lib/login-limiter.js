@@ -0,0 +1,155 @@
+/**
+ * Login Limiter
+ * Brute-force protection for the password login.
+ *
+ * Failed logins are counted per username and per client IP. Once a counter
+ * reaches its limit the username / IP is locked out; every further failure
+ * after the lock expires doubles the lockout (up to maxLockout). Attempts
+ * during a lockout are rejected without asking ocloudview. Wrong second-factor
+ * codes (/api/auth/mfa/verify, /api/auth/mfa/disable) are counted the same way.
+ *
+ * Counters and locks live in the session store ('login-fail:', 'login-lock:'),
+ * so with Redis all gateway instances share them. A completed login (after
+ * the second factor, if enabled) clears the username counter; the IP counter
+ * only expires, otherwise one valid account would reset the limit for
+ * guessing others.
+ */
+
+'use strict';
+
+const { SessionStore } = require('./session-store');
+const { normalizeUserId } = require('./user-id');
+const logger = require('./logger');
+
+class LoginLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.sessionStore - Session store whose driver keeps counters and locks
+   * @param {number} options.maxFailures - Failed logins per username before a lockout
+   * @param {number} options.ipMaxFailures - Failed logins per IP before a lockout
+   * @param {number} options.lockout - First lockout in milliseconds
+   * @param {number} options.maxLockout - Longest lockout in milliseconds
+   * @param {number} options.failureWindow - Failures are forgotten after this long without a new one (milliseconds)
+   * @param {number} options.captchaAfter - Failures after which a CAPTCHA is required (0 = never)
+   */
+  constructor(options = {}) {
+    this.maxFailures = options.maxFailures || 5;
+    this.ipMaxFailures = options.ipMaxFailures || 20;
+    this.lockout = options.lockout || 60 * 1000;
+    this.maxLockout = options.maxLockout || 60 * 60 * 1000;
+    this.failureWindow = options.failureWindow || 15 * 60 * 1000;
+    this.captchaAfter = options.captchaAfter || 0;
+
+    // Counters expire failureWindow after the last failure; lockIfExceeded() extends a
+    // locked counter past the lock, so the next failure after a lock doubles it
+    this.failures = new SessionStore(options.sessionStore.driver, { prefix: 'login-fail:', ttl: this.failureWindow });
+    this.locks = new SessionStore(options.sessionStore.driver, { prefix: 'login-lock:', ttl: this.maxLockout });
+  }
+
+  /**
+   * Check whether a login attempt may be made
+   * @param {string} username - Username from the login form
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} { locked, scope ('user' | 'ip'), retryAfter (seconds), captchaRequired }
+   */
+  async check(username, ip) {
+    const userKey = `user:${normalizeUserId(username)}`;
+    const ipKey = `ip:${ip}`;
+
+    for (const [scope, key] of [['user', userKey], ['ip', ipKey]]) {
+      const lock = await this.locks.get(key);
+      if (lock && lock.until > Date.now()) {
+        return { locked: true, scope, retryAfter: Math.ceil((lock.until - Date.now()) / 1000), captchaRequired: false };
+      }
+    }
+
+    const failures = Math.max((await this.failures.get(userKey)) || 0, (await this.failures.get(ipKey)) || 0);
+    return {
+      locked: false,
+      captchaRequired: this.captchaAfter > 0 && failures >= this.captchaAfter,
+    };
+  }
+
+  /**
+   * Count a failed login and lock the username / IP when a limit is reached
+   * @param {string} username - Username from the login form
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} { attemptsLeft, locked, retryAfter (seconds), captchaRequired }
+   */
+  async recordFailure(username, ip) {
+    const name = normalizeUserId(username);
+    const userFailures = await this.failures.incr(`user:${name}`);
+    const ipFailures = await this.failures.incr(`ip:${ip}`);
+
+    const userLock = await this.lockIfExceeded(`user:${name}`, userFailures, this.maxFailures);
+    const ipLock = await this.lockIfExceeded(`ip:${ip}`, ipFailures, this.ipMaxFailures);
+    const lockout = Math.max(userLock, ipLock);
+
+    return {
+      attemptsLeft: Math.max(0, Math.min(this.maxFailures - userFailures, this.ipMaxFailures - ipFailures)),
+      locked: lockout > 0,
+      retryAfter: Math.ceil(lockout / 1000),
+      captchaRequired: this.captchaAfter > 0 && Math.max(userFailures, ipFailures) >= this.captchaAfter,
+    };
+  }
+
+  /**
+   * Lock a key for 'lockout * 2^(failures - limit)', capped at maxLockout, and keep its
+   * counter until failureWindow after the lock ends
+   * @returns {Promise<number>} Lockout in milliseconds, 0 if the limit is not reached
+   */
+  async lockIfExceeded(key, failures, limit) {
+    if (failures < limit) {
+      return 0;
+    }
+
+    const duration = Math.min(this.lockout * 2 ** Math.min(failures - limit, 30), this.maxLockout);
+    await this.locks.set(key, { until: Date.now() + duration, failures, lockedAt: Date.now() }, duration);
+    await this.failures.set(key, failures, duration + this.failureWindow);
+    logger.warn(`🔒 [LoginLimiter] ${key} locked for ${Math.round(duration / 1000)}s after ${failures} failed logins`);
+    return duration;
+  }
+
+  /**
+   * Forget the failures of a username after a successful login
+   * @param {string} username - Username
+   */
+  async recordSuccess(username) {
+    await this.failures.delete(`user:${normalizeUserId(username)}`);
+  }
+
+  /**
+   * Remove a lockout and its failure counter (admin)
+   * @param {string} scope - 'user' or 'ip'
+   * @param {string} value - Username or IP
+   * @returns {Promise<boolean>} false if there was neither a lock nor failures
+   */
+  async unlock(scope, value) {
+    const key = `${scope}:${scope === 'user' ? normalizeUserId(value) : value}`;
+    const existed = (await this.locks.get(key)) !== null || (await this.failures.get(key)) !== null;
+    await this.locks.delete(key);
+    await this.failures.delete(key);
+    return existed;
+  }
+
+  /**
+   * Current lockouts
+   * @returns {Promise<Array>} [{ scope, value, until, failures, lockedAt }]
+   */
+  async listLocks() {
+    const keys = await this.locks.keys();
+    const locks = [];
+    for (const key of keys) {
+      const lock = await this.locks.get(key);
+      if (lock && lock.until > Date.now()) {
+        const separator = key.indexOf(':');
+        locks.push({ scope: key.substring(0, separator), value: key.substring(separator + 1), ...lock });
+      }
+    }
+    return locks.sort((a, b) => b.lockedAt - a.lockedAt);
+  }
+}
+
+module.exports = {
+  LoginLimiter,
+};
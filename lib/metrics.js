@@ -0,0 +1,149 @@
+/**
+ * Metrics Module
+ * Prometheus metrics for the gateway, served by GET /metrics.
+ *
+ * Usage:
+ *   const metrics = require('./lib/metrics');
+ *   metrics.loginTotal.inc({ result: 'success' });
+ *
+ * Counters and histograms are updated where things happen (proxy, ocloudview
+ * client, login route); gauges for live state (connections, sessions) are
+ * read on scrape from the objects passed to registerGatewayGauges().
+ */
+
+'use strict';
+
+const client = require('prom-client');
+
+const PREFIX = 'novnc_ocloudview_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+// ===== Proxy =====
+const tcpConnectAttempts = new client.Counter({
+  name: `${PREFIX}proxy_tcp_connect_attempts_total`,
+  help: 'TCP connection attempts to VNC/SPICE servers (including retries)',
+  registers: [register],
+});
+
+const tcpConnectRetries = new client.Counter({
+  name: `${PREFIX}proxy_tcp_connect_retries_total`,
+  help: 'TCP connection attempts that were retries of a failed attempt',
+  registers: [register],
+});
+
+const tcpConnectFailures = new client.Counter({
+  name: `${PREFIX}proxy_tcp_connect_failures_total`,
+  help: 'TCP connections that failed after all retries',
+  registers: [register],
+});
+
+// ===== Authentication =====
+const loginTotal = new client.Counter({
+  name: `${PREFIX}logins_total`,
+  help: 'Login attempts by result',
+  labelNames: ['result'], // success | failure | locked | captcha
+  registers: [register],
+});
+
+// ===== ocloudview API =====
+const ocloudviewRequestDuration = new client.Histogram({
+  name: `${PREFIX}ocloudview_request_duration_seconds`,
+  help: 'Latency of ocloudview API requests',
+  labelNames: ['method', 'endpoint', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+/**
+ * Replace resource IDs in an ocloudview URL so it can be used as a label
+ * e.g. /ocloud/usermodule/startDomain/<id> -> /ocloud/usermodule/startDomain/:id
+ * @param {string} url - Request URL (relative to the API base URL)
+ * @returns {string} Endpoint template
+ */
+function normalizeEndpoint(url = '') {
+  return url
+    .split('?')[0]
+    .replace(/^(\/ocloud\/v1\/domain)\/[^/]+/, '$1/:id')
+    .replace(/^(\/ocloud\/usermodule\/[^/]+)\/.+$/, '$1/:id');
+}
+
+/**
+ * Observe an ocloudview API request
+ * @param {Object} requestConfig - axios request config (carries metricsStartTime)
+ * @param {number|string} status - HTTP status or 'error' when there was no response
+ */
+function observeOcloudviewRequest(requestConfig, status) {
+  if (!requestConfig || !requestConfig.metricsStartTime) {
+    return;
+  }
+
+  const seconds = Number(process.hrtime.bigint() - requestConfig.metricsStartTime) / 1e9;
+  ocloudviewRequestDuration.observe({
+    method: (requestConfig.method || 'get').toUpperCase(),
+    endpoint: normalizeEndpoint(requestConfig.url),
+    status: String(status),
+  }, seconds);
+}
+
+/**
+ * Register gauges that read live gateway state on every scrape
+ * @param {Object} sources - State sources
+ * @param {Object} sources.wsProxy - WebsockifyProxy instance
+ * @param {Object} sources.sessionStore - Session store
+ */
+function registerGatewayGauges({ wsProxy, sessionStore }) {
+  new client.Gauge({
+    name: `${PREFIX}proxy_active_connections`,
+    help: 'Active proxy connections by protocol',
+    labelNames: ['protocol'],
+    registers: [register],
+    collect() {
+      this.reset();
+      const counts = { vnc: 0, spice: 0 };
+      for (const conn of wsProxy.connections.values()) {
+        counts[conn.protocol] = (counts[conn.protocol] || 0) + 1;
+      }
+      Object.entries(counts).forEach(([protocol, count]) => this.set({ protocol }, count));
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}proxy_vm_connections`,
+    help: 'Active proxy connections per VM',
+    labelNames: ['vm_id'],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const [vmId, connIds] of wsProxy.vmConnections.entries()) {
+        this.set({ vm_id: vmId }, connIds.size);
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: `${PREFIX}sessions`,
+    help: 'Sessions in the session store',
+    registers: [register],
+    async collect() {
+      try {
+        this.set(await sessionStore.size());
+      } catch {
+        // Store unreachable: keep the last value instead of failing the whole scrape
+      }
+    },
+  });
+}
+
+module.exports = {
+  register,
+  tcpConnectAttempts,
+  tcpConnectRetries,
+  tcpConnectFailures,
+  loginTotal,
+  ocloudviewRequestDuration,
+  normalizeEndpoint,
+  observeOcloudviewRequest,
+  registerGatewayGauges,
+};
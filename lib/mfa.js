@@ -0,0 +1,285 @@
+/**
+ * Two-Factor Authentication
+ * Optional TOTP second factor enforced by the gateway after the ocloudview login.
+ *
+ * Enrollment (logged in):
+ *   beginEnrollment()   -> new secret, otpauth URI and QR code, kept as pending
+ *   confirmEnrollment() -> the first valid code enables TOTP and returns recovery codes
+ *
+ * Login of an enrolled user:
+ *   createChallenge()   -> the ocloudview login is parked, the client gets a challenge ID
+ *   verifyChallenge()   -> TOTP or recovery code; only then is the login session created
+ *
+ * Per-user records live in the session store without expiry ('mfa:user:'),
+ * keyed on the normalized user ID so a login typed in another case still has
+ * to pass the second factor. The store has to survive restarts, otherwise
+ * enrollments are lost: with the memory store enrollment is refused unless
+ * explicitly allowed. The TOTP secret is encrypted with AES-256-GCM, recovery
+ * codes are stored as SHA-256 hashes and can be used once. Codes of an already
+ * used time step are rejected (replay). A parked login carries the ocloudview
+ * token, so it is encrypted with the same key while it waits for the code.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { SessionStore } = require('./session-store');
+const { SecretBox } = require('./secret-box');
+const { generateSecret, verifyTotp, otpauthUrl } = require('./totp');
+const { normalizeUserId } = require('./user-id');
+const logger = require('./logger');
+
+const RECOVERY_CODE_COUNT = 10;
+const KEY_SALT = 'novnc-ocloudview-mfa';
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function createMFAError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize a recovery code as typed by the user ('ABCDE 12345' -> 'abcde12345')
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+class MFA {
+  /**
+   * @param {Object} options - MFA options
+   * @param {Object} options.sessionStore - Session store whose driver keeps the MFA records
+   * @param {string} options.encryptionKey - Secret the TOTP secret encryption key is derived from
+   * @param {string} options.issuer - Issuer name shown in authenticator apps
+   * @param {number} options.challengeTtl - Login challenge lifetime in milliseconds
+   * @param {number} options.maxAttempts - Wrong codes allowed per login challenge
+   * @param {boolean} options.available - Whether users may enroll (false when the store does not survive a restart)
+   */
+  constructor(options = {}) {
+    this.issuer = options.issuer || 'noVNC-ocloudview';
+    this.challengeTtl = options.challengeTtl || 5 * 60 * 1000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.available = options.available !== false;
+    this.secrets = new SecretBox(options.encryptionKey, KEY_SALT);
+
+    this.users = new SessionStore(options.sessionStore.driver, { prefix: 'mfa:user:', ttl: 0 });
+    this.challenges = new SessionStore(options.sessionStore.driver, { prefix: 'mfa:challenge:', ttl: this.challengeTtl });
+  }
+
+  /**
+   * Whether a user has to pass the second factor
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} true if TOTP is enabled
+   */
+  async isEnabled(userId) {
+    const record = await this.users.get(normalizeUserId(userId));
+    return Boolean(record && record.enabled);
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { available, enabled, enrolledAt, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    const record = await this.users.get(normalizeUserId(userId));
+    if (!record || !record.enabled) {
+      return { available: this.available, enabled: false, enrolledAt: null, recoveryCodesRemaining: 0 };
+    }
+    return {
+      available: this.available,
+      enabled: true,
+      enrolledAt: record.enrolledAt,
+      recoveryCodesRemaining: record.recoveryCodes.length,
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret (replaces an unconfirmed one)
+   * @param {string} userId - User ID (account name in the authenticator app)
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+   */
+  async beginEnrollment(userId) {
+    if (!this.available) {
+      throw createMFAError('Two-factor authentication requires a persistent session store', 503);
+    }
+    const key = normalizeUserId(userId);
+    const record = await this.users.get(key);
+    if (record && record.enabled) {
+      throw createMFAError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = generateSecret();
+    const url = otpauthUrl(secret, userId, this.issuer);
+    await this.users.set(key, {
+      enabled: false,
+      pendingSecret: this.secrets.encrypt(secret),
+      createdAt: Date.now(),
+    });
+
+    logger.debug(`🔐 [MFA] Enrollment started for ${userId}`);
+    return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<string[]>} Recovery codes (shown to the user once)
+   */
+  async confirmEnrollment(userId, code) {
+    const key = normalizeUserId(userId);
+    const record = await this.users.get(key);
+    if (!record || record.enabled || !record.pendingSecret) {
+      throw createMFAError('No pending enrollment', 400);
+    }
+
+    const secret = this.secrets.decrypt(record.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step === null) {
+      throw createMFAError('Invalid code', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await this.users.set(key, {
+      enabled: true,
+      secret: record.pendingSecret,
+      lastStep: step,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      enrolledAt: Date.now(),
+    });
+
+    logger.info(`🔐 [MFA] Two-factor authentication enabled for ${userId}`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP or recovery code of an enrolled user (a recovery code is used up)
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<string|null>} 'totp' | 'recovery', or null if the code is wrong
+   */
+  async verify(userId, code) {
+    const key = normalizeUserId(userId);
+    const record = await this.users.get(key);
+    if (!record || !record.enabled) {
+      return null;
+    }
+
+    const step = verifyTotp(this.secrets.decrypt(record.secret), code);
+    if (step !== null) {
+      if (step <= record.lastStep) {
+        logger.warn(`⚠️  [MFA] Reused TOTP code for ${userId}`);
+        return null;
+      }
+      record.lastStep = step;
+      await this.users.set(key, record);
+      return 'totp';
+    }
+
+    const index = record.recoveryCodes.indexOf(hashRecoveryCode(code));
+    if (index !== -1) {
+      record.recoveryCodes.splice(index, 1);
+      await this.users.set(key, record);
+      logger.info(`🔐 [MFA] Recovery code used by ${userId} (${record.recoveryCodes.length} left)`);
+      return 'recovery';
+    }
+    return null;
+  }
+
+  /**
+   * Turn two-factor authentication off (user after a valid code, or admin reset)
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} false if the user had no MFA record
+   */
+  async reset(userId) {
+    const key = normalizeUserId(userId);
+    const existed = (await this.users.get(key)) !== null;
+    await this.users.delete(key);
+    return existed;
+  }
+
+  /**
+   * Park a login until the second factor is verified
+   * @param {Object} login - { userId, loginResult, ... } needed to create the session afterwards
+   * @returns {Promise<Object>} { challenge, expiresIn } - expiresIn in seconds
+   */
+  async createChallenge(login) {
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    const { loginResult, ...parked } = login;
+    await this.challenges.set(challenge, {
+      ...parked,
+      loginResult: this.secrets.encrypt(JSON.stringify(loginResult === undefined ? null : loginResult)),
+      attempts: 0,
+    });
+    return { challenge, expiresIn: Math.round(this.challengeTtl / 1000) };
+  }
+
+  /**
+   * User of a parked login, e.g. to check for a login lockout before verifying
+   * @param {string} challenge - Challenge ID from the login response
+   * @returns {Promise<string|null>} User ID, or null for an unknown / expired challenge
+   */
+  async getChallengeUser(challenge) {
+    const login = await this.challenges.get(challenge);
+    return login ? login.userId : null;
+  }
+
+  /**
+   * Verify the second factor of a parked login
+   * @param {string} challenge - Challenge ID from the login response
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<Object>} { login, via } - login as passed to createChallenge()
+   * @throws {Error} with status 400 (unknown / expired challenge, wrong code: attemptsLeft) or 429 (too many wrong codes)
+   */
+  async verifyChallenge(challenge, code) {
+    const login = await this.challenges.get(challenge);
+    if (!login) {
+      throw createMFAError('Unknown or expired challenge', 400);
+    }
+
+    const via = await this.verify(login.userId, code);
+    if (!via) {
+      login.attempts++;
+      if (login.attempts >= this.maxAttempts) {
+        await this.challenges.delete(challenge);
+        throw Object.assign(createMFAError('Too many invalid codes', 429), { userId: login.userId });
+      }
+      await this.challenges.update(challenge, login);
+      throw Object.assign(createMFAError('Invalid code', 400), {
+        userId: login.userId,
+        attemptsLeft: this.maxAttempts - login.attempts,
+      });
+    }
+
+    // Single use: a concurrent request with the same challenge loses
+    if (!(await this.challenges.take(challenge))) {
+      throw createMFAError('Unknown or expired challenge', 400);
+    }
+    delete login.attempts;
+    login.loginResult = JSON.parse(this.secrets.decrypt(login.loginResult));
+    return { login, via };
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.substring(0, 5)}-${code.substring(5)}`;
+    });
+  }
+}
+
+module.exports = {
+  MFA,
+  createMFAError,
+};
@@ -0,0 +1,367 @@
+/**
+ * OpenID Connect Single Sign-On
+ * Authorization code flow with PKCE (S256) against an OpenID Provider.
+ *
+ *   GET /api/auth/oidc/login     -> redirect to the provider's authorization endpoint
+ *   GET /api/auth/oidc/callback  -> code exchange, ID token validation, claim -> ocloudview account
+ *   POST /api/auth/oidc/token    -> the login page swaps a one-time code for the login JWT
+ *
+ * state, nonce and the PKCE code verifier are kept in the session store for a
+ * few minutes and used once, so the flow works across gateway instances with
+ * Redis. state is also bound to the browser that started the login (the
+ * gateway keeps it in a short-lived cookie), so a callback URL from someone
+ * else's login is rejected instead of logging this browser in as them. The
+ * login JWT is not put in the callback redirect either: the browser gets a
+ * short-lived single-use login code and exchanges it with a POST.
+ *
+ * The ocloudview account is taken from one ID token claim (dot paths such as
+ * 'ext.account' are allowed), optionally narrowed by a regular expression whose
+ * first capture group is the account name (e.g. '^([^@]+)@corp\.example$').
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { SessionStore } = require('./session-store');
+const logger = require('./logger');
+
+const REQUEST_TTL = 10 * 60 * 1000; // login at the provider must finish within 10 minutes
+const LOGIN_CODE_TTL = 60 * 1000;
+const METADATA_TTL = 60 * 60 * 1000;
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const SYMMETRIC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function createOIDCError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Random URL-safe string
+ * @param {number} bytes - Entropy in bytes
+ * @returns {string} base64url string
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} true if equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * PKCE S256 code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} Code challenge
+ */
+function codeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+/**
+ * Read a claim by name or dot path
+ * @param {Object} claims - ID token claims
+ * @param {string} name - Claim name, e.g. 'preferred_username' or 'ext.account'
+ * @returns {*} Claim value or undefined
+ */
+function getClaim(claims, name) {
+  if (Object.prototype.hasOwnProperty.call(claims, name)) {
+    return claims[name];
+  }
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+class OIDCClient {
+  /**
+   * @param {Object} options - OIDC options
+   * @param {string} options.issuer - Provider issuer URL (discovery at {issuer}/.well-known/openid-configuration)
+   * @param {string} options.clientId - Client ID
+   * @param {string} options.clientSecret - Client secret (empty for a public client)
+   * @param {string} options.scopes - Requested scopes
+   * @param {string} options.usernameClaim - Claim holding the ocloudview account
+   * @param {string} options.usernamePattern - Regular expression applied to the claim (optional)
+   * @param {number} options.timeout - Provider request timeout in milliseconds
+   * @param {Object} options.sessionStore - Session store whose driver keeps the pending logins
+   */
+  constructor(options = {}) {
+    this.issuer = (options.issuer || '').replace(/\/+$/, '');
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret || '';
+    this.scopes = options.scopes || 'openid profile';
+    this.usernameClaim = options.usernameClaim || 'preferred_username';
+    this.usernamePattern = options.usernamePattern ? new RegExp(options.usernamePattern) : null;
+    this.http = axios.create({ timeout: options.timeout || 10000 });
+    this.requestTtl = REQUEST_TTL;
+
+    this.requests = new SessionStore(options.sessionStore.driver, { prefix: 'oidc:request:', ttl: REQUEST_TTL });
+    this.loginCodes = new SessionStore(options.sessionStore.driver, { prefix: 'oidc:login:', ttl: LOGIN_CODE_TTL });
+
+    this.metadata = null;
+    this.metadataExpiresAt = 0;
+    this.jwks = null;
+  }
+
+  /**
+   * Fetch (and cache) the provider metadata
+   * @returns {Promise<Object>} OpenID Provider metadata
+   */
+  async discover() {
+    if (this.metadata && Date.now() < this.metadataExpiresAt) {
+      return this.metadata;
+    }
+
+    const url = `${this.issuer}/.well-known/openid-configuration`;
+    logger.debug(`🔎 [OIDC] Discovery: ${url}`);
+    let metadata;
+    try {
+      metadata = (await this.http.get(url)).data;
+    } catch (error) {
+      throw createOIDCError(`OIDC discovery failed: ${error.message}`, 502);
+    }
+    if (!metadata || !metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+      throw createOIDCError('OIDC discovery returned incomplete provider metadata', 502);
+    }
+    if (metadata.issuer && metadata.issuer.replace(/\/+$/, '') !== this.issuer) {
+      throw createOIDCError(`OIDC issuer mismatch: ${metadata.issuer}`, 502);
+    }
+
+    this.metadata = metadata;
+    this.metadataExpiresAt = Date.now() + METADATA_TTL;
+    this.jwks = null;
+    return metadata;
+  }
+
+  /**
+   * Start a login: remember state / nonce / PKCE verifier and build the authorization URL
+   * @param {Object} options - Login options
+   * @param {string} options.redirectUri - Callback URL registered at the provider
+   * @param {boolean} options.remember - "Remember me" from the login page, handed back after login
+   * @returns {Promise<Object>} { url, state } - authorization URL to redirect the browser to, and the
+   *   state the browser has to present again at the callback
+   */
+  async createAuthorizationUrl({ redirectUri, remember = false }) {
+    const metadata = await this.discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken(48);
+
+    await this.requests.set(state, { nonce, codeVerifier, redirectUri, remember, createdAt: Date.now() });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', this.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge(codeVerifier));
+    url.searchParams.set('code_challenge_method', 'S256');
+    return { url: url.toString(), state };
+  }
+
+  /**
+   * Finish a login from the callback parameters
+   * @param {Object} params - Callback query ({ code, state })
+   * @param {string} browserState - state remembered by the browser that started the login
+   * @returns {Promise<Object>} { username, claims, remember }
+   * @throws {Error} with status 400 (bad / expired / foreign state), 401 (token rejected) or 502 (provider)
+   */
+  async handleCallback(params, browserState) {
+    if (!params.state || !browserState || !safeEqual(String(params.state), String(browserState))) {
+      throw createOIDCError('Login state does not belong to this browser', 400);
+    }
+
+    const request = await this.requests.take(params.state);
+    if (!request) {
+      throw createOIDCError('Unknown or expired login state', 400);
+    }
+    if (!params.code) {
+      throw createOIDCError('Authorization code missing', 400);
+    }
+
+    const tokens = await this.exchangeCode(params.code, request);
+    const claims = await this.verifyIdToken(tokens.id_token, request.nonce);
+    const username = this.mapAccount(claims);
+
+    logger.debug(`🔑 [OIDC] ${claims.sub} logged in as ocloudview account ${username}`);
+    return { username, claims, remember: request.remember === true };
+  }
+
+  /**
+   * Exchange the authorization code at the token endpoint
+   * @param {string} code - Authorization code
+   * @param {Object} request - Pending login ({ codeVerifier, redirectUri })
+   * @returns {Promise<Object>} Token response
+   */
+  async exchangeCode(code, request) {
+    const metadata = await this.discover();
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: request.redirectUri,
+      code_verifier: request.codeVerifier,
+      client_id: this.clientId,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        form.set('client_secret', this.clientSecret);
+      }
+    }
+
+    let response;
+    try {
+      response = await this.http.post(metadata.token_endpoint, form.toString(), { headers });
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw createOIDCError(`Token request failed: ${reason}`, error.response ? 401 : 502);
+    }
+
+    if (!response.data || !response.data.id_token) {
+      throw createOIDCError('Token response contains no id_token', 502);
+    }
+    return response.data;
+  }
+
+  /**
+   * Validate an ID token (signature, issuer, audience, expiry, nonce)
+   * @param {string} idToken - ID token
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw createOIDCError('Malformed ID token', 401);
+    }
+
+    const { alg, kid } = decoded.header;
+    let key;
+    let algorithms;
+    if (SYMMETRIC_ALGORITHMS.includes(alg) && this.clientSecret) {
+      key = this.clientSecret;
+      algorithms = SYMMETRIC_ALGORITHMS;
+    } else if (ASYMMETRIC_ALGORITHMS.includes(alg)) {
+      key = await this.getSigningKey(kid, alg);
+      algorithms = ASYMMETRIC_ALGORITHMS;
+    } else {
+      throw createOIDCError(`Unsupported ID token algorithm: ${alg}`, 401);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms,
+        issuer: [this.issuer, `${this.issuer}/`],
+        audience: this.clientId,
+        clockTolerance: 60,
+      });
+    } catch (error) {
+      throw createOIDCError(`ID token rejected: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw createOIDCError('ID token nonce mismatch', 401);
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) {
+      throw createOIDCError('ID token authorized party mismatch', 401);
+    }
+    return claims;
+  }
+
+  /**
+   * Find the provider's signing key, reloading the JWKS once for an unknown kid (key rotation)
+   * @param {string} kid - Key ID from the token header
+   * @param {string} alg - Token algorithm (picks the key type when there is no kid)
+   * @returns {Promise<crypto.KeyObject>} Public key
+   */
+  async getSigningKey(kid, alg) {
+    const kty = alg.startsWith('ES') ? 'EC' : 'RSA';
+    for (const reload of [false, true]) {
+      if (reload || !this.jwks) {
+        const metadata = await this.discover();
+        try {
+          this.jwks = (await this.http.get(metadata.jwks_uri)).data.keys || [];
+        } catch (error) {
+          throw createOIDCError(`Failed to load provider keys: ${error.message}`, 502);
+        }
+      }
+
+      const jwk = this.jwks.find(candidate => candidate.use !== 'enc' && (kid ? candidate.kid === kid : candidate.kty === kty));
+      if (jwk) {
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      }
+    }
+    throw createOIDCError(`No provider signing key for kid ${kid || '(none)'}`, 401);
+  }
+
+  /**
+   * Map ID token claims to the ocloudview account
+   * @param {Object} claims - ID token claims
+   * @returns {string} ocloudview login name
+   */
+  mapAccount(claims) {
+    const value = getClaim(claims, this.usernameClaim);
+    if (typeof value !== 'string' || !value) {
+      throw createOIDCError(`ID token has no ${this.usernameClaim} claim`, 403);
+    }
+    if (!this.usernamePattern) {
+      return value;
+    }
+
+    const match = this.usernamePattern.exec(value);
+    const account = match && (match[1] !== undefined ? match[1] : match[0]);
+    if (!account) {
+      throw createOIDCError(`${this.usernameClaim} "${value}" does not map to an ocloudview account`, 403);
+    }
+    return account;
+  }
+
+  /**
+   * Hand a finished login to the login page
+   * @param {Object} login - Login response data ({ token, user, expiresIn })
+   * @returns {Promise<string>} Single-use login code
+   */
+  async issueLoginCode(login) {
+    const code = randomToken();
+    await this.loginCodes.set(code, login);
+    return code;
+  }
+
+  /**
+   * Redeem a login code (single use)
+   * @param {string} code - Login code from the callback redirect
+   * @returns {Promise<Object|null>} Login response data or null
+   */
+  async redeemLoginCode(code) {
+    return this.loginCodes.take(code);
+  }
+}
+
+module.exports = {
+  OIDCClient,
+  createOIDCError,
+  codeChallenge,
+};
@@ -0,0 +1,78 @@
+/**
+ * Refresh Tokens
+ * Rotating refresh tokens for the short-lived access JWTs.
+ *
+ *   login                   -> access JWT + refresh token (family = login session)
+ *   POST /api/auth/refresh  -> the refresh token is consumed, a new pair is issued
+ *
+ * Every refresh token can be used once. A consumed token leaves a marker
+ * behind; presenting it again means the token was copied, so the caller
+ * revokes the whole family (the login session and its proxy connections).
+ *
+ * Only SHA-256 hashes of the tokens are kept in the session store.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { SessionStore } = require('./session-store');
+const logger = require('./logger');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class RefreshTokens {
+  /**
+   * @param {Object} options - Refresh token options
+   * @param {Object} options.sessionStore - Session store whose driver keeps the tokens
+   * @param {number} options.ttl - Refresh token lifetime in milliseconds
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+    this.tokens = new SessionStore(options.sessionStore.driver, { prefix: 'refresh:', ttl: this.ttl });
+    // Consumed tokens are remembered as long as they would have been valid
+    this.used = new SessionStore(options.sessionStore.driver, { prefix: 'refresh-used:', ttl: this.ttl });
+  }
+
+  /**
+   * Issue a refresh token for a login session
+   * @param {string} sessionId - Login session (token family)
+   * @returns {Promise<Object>} { refreshToken, expiresIn } - expiresIn in seconds
+   */
+  async issue(sessionId) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    await this.tokens.set(hashToken(refreshToken), { sessionId, issuedAt: Date.now() });
+    return { refreshToken, expiresIn: Math.round(this.ttl / 1000) };
+  }
+
+  /**
+   * Consume a refresh token and issue its successor
+   * @param {string} refreshToken - Token presented by the client
+   * @returns {Promise<Object|null>} { sessionId, refreshToken, expiresIn } on success,
+   *   { reused: true, sessionId } if the token was already consumed, null if unknown / expired
+   */
+  async rotate(refreshToken) {
+    const hash = hashToken(refreshToken);
+
+    // Single use: of two concurrent requests with the same token only one gets it
+    const record = await this.tokens.take(hash);
+    if (!record) {
+      const used = await this.used.get(hash);
+      if (used) {
+        logger.warn(`⚠️  [Refresh] Reused refresh token for session ${used.sessionId}`);
+        return { reused: true, sessionId: used.sessionId };
+      }
+      return null;
+    }
+
+    await this.used.set(hash, { sessionId: record.sessionId, usedAt: Date.now() });
+    const next = await this.issue(record.sessionId);
+    logger.debug(`🔄 [Refresh] Rotated refresh token for session ${record.sessionId}`);
+    return { sessionId: record.sessionId, ...next };
+  }
+}
+
+module.exports = {
+  RefreshTokens,
+};
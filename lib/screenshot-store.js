@@ -0,0 +1,153 @@
+/**
+ * Screenshot Store
+ * Console screenshots uploaded from vnc.html / spice.html, e.g. for helpdesk tickets.
+ *
+ * Screenshots are annotated in the browser and uploaded as PNG. Each one is
+ * kept as <id>.png with a JSON sidecar holding its metadata (VM, user,
+ * protocol, note, time, size), the same layout as session recordings.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const SCREENSHOT_ID_PATTERN = /^[\w.-]+$/;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function createScreenshotError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Make a value safe for use in a file name
+ * @param {string} value - Raw value
+ * @returns {string} Sanitized value
+ */
+function safeName(value) {
+  return String(value || 'unknown').replace(/[^\w.-]/g, '_').substring(0, 64);
+}
+
+class ScreenshotStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory for screenshots
+   * @param {number} options.maxSize - Largest accepted PNG in bytes
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || 'screenshots');
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+  }
+
+  /**
+   * Save an uploaded screenshot
+   * @param {Buffer} data - PNG data
+   * @param {Object} info - { vmId, userId, username, protocol, note, clientAddr }
+   * @returns {Promise<Object>} Metadata of the new screenshot
+   */
+  async save(data, info) {
+    if (!Buffer.isBuffer(data) || data.length < PNG_SIGNATURE.length ||
+        !data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+      throw createScreenshotError('Screenshot must be a PNG image', 400);
+    }
+    if (data.length > this.maxSize) {
+      throw createScreenshotError('Screenshot is too large', 413);
+    }
+
+    const time = Date.now();
+    const stamp = new Date(time).toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    const meta = {
+      id: `${stamp}_${safeName(info.vmId)}_${crypto.randomBytes(3).toString('hex')}`,
+      vmId: info.vmId,
+      userId: info.userId || null,
+      username: info.username || null,
+      protocol: info.protocol,
+      note: String(info.note || '').substring(0, MAX_NOTE_LENGTH),
+      clientAddr: info.clientAddr,
+      time,
+      bytes: data.length,
+    };
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.dir, `${meta.id}.png`), data);
+    await fs.promises.writeFile(path.join(this.dir, `${meta.id}.json`), JSON.stringify(meta, null, 2));
+
+    logger.debug(`📷 [Screenshot] Saved ${meta.id} (${data.length} bytes)`);
+    return meta;
+  }
+
+  /**
+   * List screenshots, newest first
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.vmId - Only screenshots of this VM
+   * @param {string} filter.userId - Only screenshots of this user
+   * @returns {Promise<Object[]>} Screenshot metadata
+   */
+  async list(filter = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const screenshots = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const meta = await this.get(path.basename(file, '.json'));
+      if (!meta) continue;
+      if (filter.vmId && meta.vmId !== filter.vmId) continue;
+      if (filter.userId && meta.userId !== filter.userId) continue;
+      screenshots.push(meta);
+    }
+
+    return screenshots.sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Get screenshot metadata
+   * @param {string} id - Screenshot ID
+   * @returns {Promise<Object|null>} Metadata or null if not found
+   */
+  async get(id) {
+    if (!SCREENSHOT_ID_PATTERN.test(id)) {
+      return null;
+    }
+    try {
+      const text = await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf-8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`❌ [Screenshot] Failed to read metadata for ${id}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Get the PNG file of a screenshot
+   * @param {Object} meta - Screenshot metadata (from get())
+   * @returns {string|null} Absolute file path or null for an invalid ID
+   */
+  getFilePath(meta) {
+    if (!SCREENSHOT_ID_PATTERN.test(meta.id)) {
+      return null;
+    }
+    return path.join(this.dir, `${meta.id}.png`);
+  }
+}
+
+module.exports = { ScreenshotStore };
@@ -0,0 +1,52 @@
+/**
+ * Secret Box
+ * AES-256-GCM encryption for secrets kept in the session store (TOTP secrets,
+ * cached desktop passwords), so a copy of the store (e.g. a Redis dump) does
+ * not reveal them.
+ *
+ * The key is derived from a configured secret with scrypt and a salt naming
+ * the purpose, so one secret can serve several boxes. Encrypted values are
+ * 'v1:<iv>:<tag>:<data>' with base64 parts.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+class SecretBox {
+  /**
+   * @param {string} secret - Secret the encryption key is derived from
+   * @param {string} salt - Purpose of the box, e.g. 'novnc-ocloudview-mfa'
+   */
+  constructor(secret, salt) {
+    this.key = crypto.scryptSync(secret, salt, 32);
+  }
+
+  /**
+   * @param {string} text - Plain text
+   * @returns {string} Encrypted value
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+  }
+
+  /**
+   * @param {string} value - Value from encrypt()
+   * @returns {string} Plain text
+   * @throws {Error} for an unknown format or a value encrypted with another key
+   */
+  decrypt(value) {
+    const [version, iv, tag, data] = String(value).split(':');
+    if (version !== 'v1') {
+      throw new Error(`Unknown secret format: ${version}`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf-8');
+  }
+}
+
+module.exports = { SecretBox };
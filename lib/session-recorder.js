@@ -0,0 +1,603 @@
+/**
+ * Session Recorder
+ * Records proxied VNC and SPICE sessions for audit.
+ *
+ * VNC recordings use the websockify/noVNC frame format (`var VNC_frame_data = [...]`,
+ * one `'{<ms>{<base64>'` frame per line) and are replayed by public/replay.html.
+ *
+ * A SPICE session is made of several channel connections (main, display,
+ * cursor, inputs, ...), each a separate proxied WebSocket. The recorder reads
+ * the SPICE link message of every channel to find its type and session id
+ * (the main channel learns the session id from the server's MAIN_INIT) and
+ * writes the server -> client stream of the main, display and cursor channels
+ * into one archive per session. Archives are JSON lines:
+ *
+ *   {"type":"header","format":"spice-session","version":1,"id":...,"sessionId":...,"startTime":...}
+ *   {"t":0,"type":"open","channel":1,"chanId":0}
+ *   {"t":12,"type":"data","channel":1,"chanId":0,"data":"<base64>"}
+ *   {"t":9000,"type":"close","channel":1,"chanId":0}
+ *
+ * and are replayed by spice.html (?replay=<id>). Each recording has a JSON
+ * sidecar with its metadata (VM, user, start/end time, size).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeUserId } = require('./user-id');
+const logger = require('./logger');
+
+const RECORDING_EXTENSIONS = {
+  vnc: '.vncrec',
+  spice: '.spicerec',
+};
+const RECORDING_ID_PATTERN = /^[\w.-]+$/;
+
+// SPICE protocol constants (see spice-html5/src/enums.js)
+const SPICE_MAGIC = 'REDQ';
+const SPICE_LINK_HEADER_SIZE = 16; // magic, major, minor, size
+const SPICE_AUTH_REPLY_SIZE = 4;
+const SPICE_MINI_HEADER_SIZE = 6; // u16 type, u32 size
+const SPICE_MSG_MAIN_INIT = 103;
+const SPICE_CHANNEL_MAIN = 1;
+// Channels needed to replay what the user saw
+const SPICE_RECORDED_CHANNELS = {
+  1: 'main',
+  2: 'display',
+  4: 'cursor',
+};
+// Give up on a channel whose link or MAIN_INIT is not found within this much data
+const SPICE_PENDING_LIMIT = 1024 * 1024;
+
+/**
+ * Make a value safe for use in a file name
+ * @param {string} value - Raw value
+ * @returns {string} Sanitized value
+ */
+function safeName(value) {
+  return String(value || 'unknown').replace(/[^\w.-]/g, '_').substring(0, 64);
+}
+
+/**
+ * Generate a recording ID: <time>_<vm>_<user>_<random>
+ * @param {Object} info - Connection info
+ * @param {number} startTime - Recording start time
+ * @returns {string} Recording ID
+ */
+function createRecordingId(info, startTime) {
+  const stamp = new Date(startTime).toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  return `${stamp}_${safeName(info.vmId)}_${safeName(info.userId)}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Base class for a recording file with a metadata sidecar
+ */
+class RecordingFile {
+  /**
+   * @param {string} filePath - Data file
+   * @param {string} metaPath - Metadata sidecar file
+   * @param {Object} meta - Initial metadata
+   */
+  constructor(filePath, metaPath, meta) {
+    this.id = meta.id;
+    this.filePath = filePath;
+    this.metaPath = metaPath;
+    this.meta = meta;
+    this.startTime = meta.startTime;
+    this.frames = 0;
+    this.bytes = 0;
+    this.closed = false;
+    this.metaWrite = Promise.resolve();
+
+    this.stream = fs.createWriteStream(filePath);
+    this.stream.on('error', (error) => {
+      logger.error(`❌ [Recording] Write error for ${meta.id}:`, error.message);
+      this.closed = true;
+    });
+  }
+
+  /**
+   * Finish the recording and update its metadata
+   * @param {string} trailer - Data written before the file is closed
+   */
+  finish(trailer = '') {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.stream.end(trailer);
+
+    const endTime = Date.now();
+    Object.assign(this.meta, {
+      status: 'complete',
+      endTime,
+      duration: endTime - this.startTime,
+      frames: this.frames,
+      bytes: this.bytes,
+    });
+    this.writeMeta();
+
+    logger.debug(`⏹️  [Recording] Finished ${this.id} (${this.frames} frames, ${this.bytes} bytes)`);
+  }
+
+  writeMeta() {
+    // Chain the writes so the final metadata is never overwritten by an earlier write
+    const content = JSON.stringify(this.meta, null, 2);
+    this.metaWrite = this.metaWrite
+      .then(() => fs.promises.writeFile(this.metaPath, content))
+      .catch(error => logger.error(`❌ [Recording] Metadata write error for ${this.id}:`, error.message));
+  }
+}
+
+/**
+ * Recording of a VNC connection (server -> client stream)
+ */
+class VncRecording extends RecordingFile {
+  constructor(filePath, metaPath, meta) {
+    super(filePath, metaPath, meta);
+    this.stream.write('var VNC_frame_data = [\n');
+    this.writeMeta();
+  }
+
+  /**
+   * Append forwarded data
+   * Client frames are not needed for replay and are not recorded
+   * @param {string} direction - 'in' or 'out'
+   * @param {Buffer} data - Forwarded data
+   */
+  write(direction, data) {
+    if (this.closed || direction !== 'out') {
+      return;
+    }
+    const offset = Date.now() - this.startTime;
+    this.stream.write(`'{${offset}{${data.toString('base64')}',\n`);
+    this.frames++;
+    this.bytes += data.length;
+  }
+
+  close() {
+    this.finish("'EOF'];\n");
+  }
+}
+
+/**
+ * Archive of one SPICE session, shared by its channel connections
+ */
+class SpiceArchive extends RecordingFile {
+  constructor(filePath, metaPath, meta) {
+    super(filePath, metaPath, meta);
+    this.openChannels = 0;
+    this.onclose = null;
+    this.writeLine({
+      type: 'header',
+      format: 'spice-session',
+      version: 1,
+      id: meta.id,
+      vmId: meta.vmId,
+      sessionId: meta.spiceSessionId,
+      startTime: meta.startTime,
+    });
+    this.writeMeta();
+  }
+
+  writeLine(entry) {
+    if (!this.closed) {
+      this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  /**
+   * Add a channel to the archive
+   * @param {number} channel - SPICE channel type
+   * @param {number} chanId - Channel ID
+   * @param {number} time - Time the channel connected
+   */
+  openChannel(channel, chanId, time) {
+    this.openChannels++;
+    this.writeLine({ t: Math.max(0, time - this.startTime), type: 'open', channel, chanId });
+
+    const name = `${SPICE_RECORDED_CHANNELS[channel]}:${chanId}`;
+    if (!this.meta.channels.includes(name)) {
+      this.meta.channels.push(name);
+      this.writeMeta();
+    }
+  }
+
+  /**
+   * Append server -> client data of a channel
+   * @param {number} channel - SPICE channel type
+   * @param {number} chanId - Channel ID
+   * @param {Buffer} data - Forwarded data
+   * @param {number} time - Time the data was forwarded
+   */
+  writeData(channel, chanId, data, time) {
+    this.writeLine({ t: Math.max(0, time - this.startTime), type: 'data', channel, chanId, data: data.toString('base64') });
+    this.frames++;
+    this.bytes += data.length;
+  }
+
+  /**
+   * Remove a channel; the archive is finished when its last channel closes
+   * @param {number} channel - SPICE channel type
+   * @param {number} chanId - Channel ID
+   */
+  closeChannel(channel, chanId) {
+    this.writeLine({ t: Date.now() - this.startTime, type: 'close', channel, chanId });
+    this.openChannels--;
+    if (this.openChannels <= 0) {
+      this.close();
+    }
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.finish();
+    if (this.onclose) {
+      this.onclose();
+    }
+  }
+}
+
+/**
+ * Recording tap of one SPICE channel connection
+ * Parses the link handshake to find which session archive the channel belongs to.
+ * Server data seen before that is known is kept and written with its original time.
+ */
+class SpiceChannelRecording {
+  /**
+   * @param {SessionRecorder} recorder - Owning recorder (provides the archives)
+   * @param {Object} info - Connection info
+   */
+  constructor(recorder, info) {
+    this.recorder = recorder;
+    this.info = info;
+    this.state = 'link';      // link -> session (main only) -> recording | ignored
+    this.clientData = Buffer.alloc(0);
+    this.serverData = Buffer.alloc(0);
+    this.serverOffset = 0;    // parse position in serverData
+    this.pending = [];        // [{ data, time }] server data before the archive is known
+    this.pendingBytes = 0;
+    this.archive = null;
+    this.channel = null;
+    this.chanId = null;
+  }
+
+  get id() {
+    return this.archive ? this.archive.id : null;
+  }
+
+  write(direction, data) {
+    if (this.state === 'recording') {
+      if (direction === 'out') {
+        this.archive.writeData(this.channel, this.chanId, data, Date.now());
+      }
+      return;
+    }
+    if (this.state === 'ignored') {
+      return;
+    }
+
+    if (direction === 'in') {
+      if (this.state === 'link') {
+        this.clientData = Buffer.concat([this.clientData, data]);
+        this.parseLink();
+      }
+    } else {
+      this.pending.push({ data, time: Date.now() });
+      this.pendingBytes += data.length;
+      if (this.state === 'session') {
+        this.serverData = Buffer.concat([this.serverData, data]);
+        this.parseMainInit();
+      }
+    }
+
+    if (this.state !== 'recording' && this.pendingBytes > SPICE_PENDING_LIMIT) {
+      logger.warn(`⚠️  [Recording] SPICE channel of connection ${this.info.connectionId} not identified, not recording it`);
+      this.ignore();
+    }
+  }
+
+  /**
+   * Parse the client's SpiceLinkHeader + SpiceLinkMess (connection_id, channel_type, channel_id)
+   */
+  parseLink() {
+    if (this.clientData.length < SPICE_LINK_HEADER_SIZE + 6) {
+      return;
+    }
+    if (this.clientData.toString('latin1', 0, 4) !== SPICE_MAGIC) {
+      this.ignore();
+      return;
+    }
+
+    const connectionId = this.clientData.readUInt32LE(SPICE_LINK_HEADER_SIZE);
+    this.channel = this.clientData.readUInt8(SPICE_LINK_HEADER_SIZE + 4);
+    this.chanId = this.clientData.readUInt8(SPICE_LINK_HEADER_SIZE + 5);
+    this.clientData = null;
+
+    if (!SPICE_RECORDED_CHANNELS[this.channel]) {
+      this.ignore();
+      return;
+    }
+
+    // The main channel links with session id 0, the server assigns one in MAIN_INIT
+    if (this.channel === SPICE_CHANNEL_MAIN && connectionId === 0) {
+      this.state = 'session';
+      this.serverData = Buffer.concat(this.pending.map(frame => frame.data));
+      this.parseMainInit();
+    } else {
+      this.attach(connectionId);
+    }
+  }
+
+  /**
+   * Walk the main channel's server stream until MAIN_INIT
+   * (link reply header + body, auth reply, then mini-header messages)
+   */
+  parseMainInit() {
+    const buffer = this.serverData;
+
+    while (this.state === 'session') {
+      let offset = this.serverOffset;
+
+      if (offset === 0) {
+        if (buffer.length < SPICE_LINK_HEADER_SIZE) return;
+        offset = SPICE_LINK_HEADER_SIZE + buffer.readUInt32LE(12) + SPICE_AUTH_REPLY_SIZE;
+        this.serverOffset = offset;
+        continue;
+      }
+
+      if (buffer.length < offset + SPICE_MINI_HEADER_SIZE) return;
+      const type = buffer.readUInt16LE(offset);
+      const size = buffer.readUInt32LE(offset + 2);
+
+      if (type === SPICE_MSG_MAIN_INIT) {
+        if (buffer.length < offset + SPICE_MINI_HEADER_SIZE + 4) return;
+        this.serverData = null;
+        this.attach(buffer.readUInt32LE(offset + SPICE_MINI_HEADER_SIZE));
+        return;
+      }
+      this.serverOffset = offset + SPICE_MINI_HEADER_SIZE + size;
+    }
+  }
+
+  /**
+   * Attach to the archive of a SPICE session and write the data kept so far
+   * @param {number} spiceSessionId - SPICE session id
+   */
+  attach(spiceSessionId) {
+    this.archive = this.recorder.getSpiceArchive(this.info, spiceSessionId);
+    if (!this.archive) {
+      this.ignore();
+      return;
+    }
+
+    this.state = 'recording';
+    this.archive.openChannel(this.channel, this.chanId, this.info.startTime);
+    this.pending.forEach(frame => this.archive.writeData(this.channel, this.chanId, frame.data, frame.time));
+    this.pending = [];
+    this.pendingBytes = 0;
+
+    logger.debug(`🔴 [Recording] SPICE ${SPICE_RECORDED_CHANNELS[this.channel]} channel of connection ${this.info.connectionId} → ${this.archive.id}`);
+  }
+
+  ignore() {
+    this.state = 'ignored';
+    this.clientData = null;
+    this.serverData = null;
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  close() {
+    if (this.state === 'recording') {
+      this.archive.closeChannel(this.channel, this.chanId);
+    }
+    this.ignore();
+  }
+}
+
+class SessionRecorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {boolean} options.enabled - Record sessions at all
+   * @param {string} options.dir - Directory for recordings
+   * @param {string[]} options.vms - Only record these VM IDs (empty = all)
+   * @param {string[]} options.users - Only record these user IDs, in any case (empty = all)
+   */
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    this.dir = path.resolve(options.dir || 'recordings');
+    this.vms = options.vms || [];
+    this.users = (options.users || []).map(normalizeUserId);
+    this.protocols = Object.keys(RECORDING_EXTENSIONS);
+    this.spiceArchives = new Map(); // `${vmId}:${spiceSessionId}` -> SpiceArchive
+
+    if (this.enabled) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      logger.info(`🔴 Session recording enabled (dir: ${this.dir})`);
+    }
+  }
+
+  /**
+   * Check whether a connection should be recorded
+   * @param {Object} info - Connection info
+   * @param {string} info.vmId - VM ID
+   * @param {string} info.userId - User ID
+   * @param {string} info.protocol - 'vnc' or 'spice'
+   * @returns {boolean} true if the connection will be recorded
+   */
+  shouldRecord({ vmId, userId, protocol }) {
+    if (!this.enabled || !this.protocols.includes(protocol)) {
+      return false;
+    }
+    if (this.vms.length > 0 && !this.vms.includes(vmId)) {
+      return false;
+    }
+    if (this.users.length > 0 && !this.users.includes(normalizeUserId(userId))) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Create the metadata of a new recording
+   * @param {Object} info - Connection info
+   * @param {number} startTime - Recording start time
+   * @returns {Object} Metadata
+   */
+  createMeta(info, startTime) {
+    return {
+      id: createRecordingId(info, startTime),
+      status: 'recording',
+      connectionId: info.connectionId,
+      vmId: info.vmId,
+      userId: info.userId || null,
+      username: info.username || null,
+      protocol: info.protocol,
+      clientAddr: info.clientAddr,
+      startTime,
+      endTime: null,
+      duration: null,
+      frames: 0,
+      bytes: 0,
+    };
+  }
+
+  /**
+   * Start recording a connection
+   * @param {Object} info - Connection info (connectionId, vmId, userId, username, protocol, clientAddr)
+   * @returns {VncRecording|SpiceChannelRecording|null} Recording or null if it could not be started
+   */
+  start(info) {
+    const startTime = Date.now();
+
+    // SPICE channels are written to their session's archive once it is known
+    if (info.protocol === 'spice') {
+      return new SpiceChannelRecording(this, { ...info, startTime });
+    }
+
+    const meta = this.createMeta(info, startTime);
+    try {
+      const recording = new VncRecording(
+        path.join(this.dir, `${meta.id}${RECORDING_EXTENSIONS.vnc}`),
+        path.join(this.dir, `${meta.id}.json`),
+        meta
+      );
+      logger.debug(`🔴 [Recording] Started ${meta.id} for connection ${info.connectionId}`);
+      return recording;
+    } catch (error) {
+      logger.error(`❌ [Recording] Failed to start recording for VM ${info.vmId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get (or create) the archive of a SPICE session
+   * @param {Object} info - Connection info of the channel (with startTime)
+   * @param {number} spiceSessionId - SPICE session id
+   * @returns {SpiceArchive|null} Archive or null if it could not be created
+   */
+  getSpiceArchive(info, spiceSessionId) {
+    const key = `${info.vmId}:${spiceSessionId}`;
+    if (this.spiceArchives.has(key)) {
+      return this.spiceArchives.get(key);
+    }
+
+    const meta = {
+      ...this.createMeta(info, info.startTime),
+      spiceSessionId,
+      channels: [],
+    };
+    try {
+      const archive = new SpiceArchive(
+        path.join(this.dir, `${meta.id}${RECORDING_EXTENSIONS.spice}`),
+        path.join(this.dir, `${meta.id}.json`),
+        meta
+      );
+      archive.onclose = () => this.spiceArchives.delete(key);
+      this.spiceArchives.set(key, archive);
+      logger.debug(`🔴 [Recording] Started ${meta.id} for SPICE session ${spiceSessionId}`);
+      return archive;
+    } catch (error) {
+      logger.error(`❌ [Recording] Failed to start recording for VM ${info.vmId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List recordings, newest first
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.vmId - Only recordings of this VM
+   * @param {string} filter.userId - Only recordings of this user
+   * @returns {Promise<Object[]>} Recording metadata
+   */
+  async list(filter = {}) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const recordings = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const meta = await this.get(path.basename(file, '.json'));
+      if (!meta) continue;
+      if (filter.vmId && meta.vmId !== filter.vmId) continue;
+      if (filter.userId && meta.userId !== filter.userId) continue;
+      recordings.push(meta);
+    }
+
+    return recordings.sort((a, b) => b.startTime - a.startTime);
+  }
+
+  /**
+   * Get recording metadata
+   * @param {string} id - Recording ID
+   * @returns {Promise<Object|null>} Metadata or null if not found
+   */
+  async get(id) {
+    if (!RECORDING_ID_PATTERN.test(id)) {
+      return null;
+    }
+    try {
+      const text = await fs.promises.readFile(path.join(this.dir, `${id}.json`), 'utf-8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`❌ [Recording] Failed to read metadata for ${id}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Get the data file of a recording
+   * @param {Object} meta - Recording metadata (from get())
+   * @returns {string|null} Absolute file path or null for an invalid ID
+   */
+  getFilePath(meta) {
+    if (!RECORDING_ID_PATTERN.test(meta.id)) {
+      return null;
+    }
+    return path.join(this.dir, `${meta.id}${this.getExtension(meta)}`);
+  }
+
+  /**
+   * Get the data file extension of a recording
+   * @param {Object} meta - Recording metadata
+   * @returns {string} File extension
+   */
+  getExtension(meta) {
+    return RECORDING_EXTENSIONS[meta.protocol] || RECORDING_EXTENSIONS.vnc;
+  }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,390 @@
+/**
+ * Session Store
+ * Pluggable storage for login sessions with TTL expiry.
+ * Ships an in-memory driver (single instance) and a Redis-protocol driver
+ * (survives restarts, can be shared by several gateway instances).
+ */
+
+'use strict';
+
+const Redis = require('ioredis');
+const logger = require('./logger');
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Convert a duration to milliseconds
+ * Accepts the same formats as jsonwebtoken's expiresIn ('30s', '15m', '24h', '7d',
+ * or a plain number of seconds)
+ * @param {string|number} value - Duration
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value * 1000;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 's').toLowerCase();
+  return Math.round(amount * DURATION_UNITS[unit]);
+}
+
+/**
+ * Serialize session data to a string
+ * Map values (vncConnections / spiceConnections caches) are tagged so they can be revived
+ * @param {*} value - Session data
+ * @returns {string} Serialized data
+ */
+function serialize(value) {
+  return JSON.stringify(value, (key, val) => {
+    if (val instanceof Map) {
+      return { __type: 'Map', entries: Array.from(val.entries()) };
+    }
+    return val;
+  });
+}
+
+/**
+ * Deserialize session data produced by serialize()
+ * @param {string|null} text - Serialized data
+ * @returns {*} Session data or null
+ */
+function deserialize(text) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  return JSON.parse(text, (key, val) => {
+    if (val && val.__type === 'Map' && Array.isArray(val.entries)) {
+      return new Map(val.entries);
+    }
+    return val;
+  });
+}
+
+/**
+ * In-memory driver
+ * Values are kept serialized so both drivers behave the same way
+ * (mutating an object returned by get() never changes the stored copy)
+ */
+class MemoryDriver {
+  constructor(options = {}) {
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepInterval || 60000);
+    this.sweepTimer.unref();
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+  }
+
+  async update(key, value) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      return false;
+    }
+    entry.value = value;
+    return true;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async take(key) {
+    // No await between reading and deleting, so of two concurrent takes only one gets the value
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    return entry && !this.isExpired(entry) ? entry.value : null;
+  }
+
+  async incr(key, ttlMs) {
+    // No await between reading and writing, so concurrent increments are all counted
+    const entry = this.entries.get(key);
+    const value = (entry && !this.isExpired(entry) ? parseInt(entry.value) : 0) + 1;
+    this.entries.set(key, {
+      value: String(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+    return value;
+  }
+
+  async keys(prefix) {
+    const result = [];
+    for (const [key, entry] of this.entries.entries()) {
+      if (key.startsWith(prefix) && !this.isExpired(entry)) {
+        result.push(key);
+      }
+    }
+    return result;
+  }
+
+  async ping() {
+    return true;
+  }
+
+  /**
+   * Remove expired entries
+   */
+  sweep() {
+    for (const [key, entry] of this.entries.entries()) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+}
+
+/**
+ * Redis-protocol driver (Redis, KeyDB, Valkey, ...)
+ */
+class RedisDriver {
+  constructor(options = {}) {
+    const redisOptions = {
+      host: options.host,
+      port: options.port,
+      password: options.password || undefined,
+      db: options.db,
+      keyPrefix: options.keyPrefix,
+      maxRetriesPerRequest: 2,
+    };
+
+    this.client = options.url ? new Redis(options.url, redisOptions) : new Redis(redisOptions);
+
+    this.client.on('connect', () => {
+      logger.info('🗄️  Session store connected to Redis');
+    });
+    this.client.on('error', (error) => {
+      logger.error('❌ Session store Redis error:', error.message);
+    });
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttlMs) {
+    if (ttlMs) {
+      await this.client.set(key, value, 'PX', ttlMs);
+    } else {
+      await this.client.set(key, value);
+    }
+  }
+
+  async update(key, value) {
+    // KEEPTTL keeps the expiry of the existing key, XX only updates existing keys
+    const result = await this.client.set(key, value, 'KEEPTTL', 'XX');
+    return result === 'OK';
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+
+  async take(key) {
+    // GET + DEL in one transaction, so a value can only be taken once
+    const [[error, value]] = await this.client.multi().get(key).del(key).exec();
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  async incr(key, ttlMs) {
+    // INCR + PEXPIRE in one transaction, so concurrent increments from several instances are all counted
+    const transaction = this.client.multi().incr(key);
+    if (ttlMs) {
+      transaction.pexpire(key, ttlMs);
+    }
+    const [[error, value]] = await transaction.exec();
+    if (error) {
+      throw error;
+    }
+    return value;
+  }
+
+  async keys(prefix) {
+    // SCAN matches against the full key, the client keyPrefix is not applied to MATCH
+    const keyPrefix = this.client.options.keyPrefix || '';
+    const result = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${keyPrefix}${prefix}*`, 'COUNT', 100);
+      cursor = next;
+      batch.forEach(key => result.push(key.substring(keyPrefix.length)));
+    } while (cursor !== '0');
+    return result;
+  }
+
+  async ping() {
+    return (await this.client.ping()) === 'PONG';
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+/**
+ * Session Store
+ * Namespaced, serializing wrapper around a storage driver
+ */
+class SessionStore {
+  /**
+   * @param {Object} driver - MemoryDriver or RedisDriver
+   * @param {Object} options - Store options
+   * @param {string} options.prefix - Key namespace (default 'session:')
+   * @param {number} options.ttl - Default TTL in milliseconds (0 = no expiry)
+   */
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.prefix = options.prefix || 'session:';
+    this.ttl = options.ttl || 0;
+  }
+
+  key(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  /**
+   * Get session data
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>} Session data or null if missing/expired
+   */
+  async get(id) {
+    return deserialize(await this.driver.get(this.key(id)));
+  }
+
+  /**
+   * Create or replace session data, restarting its TTL
+   * @param {string} id - Session ID
+   * @param {Object} data - Session data
+   * @param {number} [ttlMs] - TTL in milliseconds (defaults to the store TTL)
+   */
+  async set(id, data, ttlMs = this.ttl) {
+    await this.driver.set(this.key(id), serialize(data), ttlMs);
+  }
+
+  /**
+   * Update existing session data, keeping its remaining TTL
+   * @param {string} id - Session ID
+   * @param {Object} data - Session data
+   * @returns {Promise<boolean>} false if the session no longer exists
+   */
+  async update(id, data) {
+    return this.driver.update(this.key(id), serialize(data));
+  }
+
+  async delete(id) {
+    await this.driver.delete(this.key(id));
+  }
+
+  /**
+   * Get and delete an entry atomically (single-use data such as connect tickets)
+   * @param {string} id - Entry ID
+   * @returns {Promise<Object|null>} Data or null if missing/expired/already taken
+   */
+  async take(id) {
+    return deserialize(await this.driver.take(this.key(id)));
+  }
+
+  /**
+   * Increment a counter atomically (created at 1), restarting its TTL
+   * @param {string} id - Counter ID
+   * @param {number} [ttlMs] - TTL in milliseconds (defaults to the store TTL)
+   * @returns {Promise<number>} New value
+   */
+  async incr(id, ttlMs = this.ttl) {
+    return this.driver.incr(this.key(id), ttlMs);
+  }
+
+  /**
+   * List session IDs in this namespace
+   * @returns {Promise<string[]>} Session IDs
+   */
+  async keys() {
+    const keys = await this.driver.keys(this.prefix);
+    return keys.map(key => key.substring(this.prefix.length));
+  }
+
+  async size() {
+    return (await this.keys()).length;
+  }
+
+  async ping() {
+    return this.driver.ping();
+  }
+
+  async close() {
+    await this.driver.close();
+  }
+}
+
+/**
+ * Create a session store from configuration
+ * @param {Object} options - Store configuration
+ * @param {string} options.driver - 'memory' or 'redis'
+ * @param {number} options.ttl - Default TTL in milliseconds
+ * @param {Object} options.redis - Redis connection options
+ * @returns {SessionStore} Session store
+ */
+function createSessionStore(options = {}) {
+  const driverName = options.driver || 'memory';
+  let driver;
+
+  switch (driverName) {
+    case 'memory':
+      driver = new MemoryDriver();
+      break;
+    case 'redis':
+      driver = new RedisDriver(options.redis);
+      break;
+    default:
+      throw new Error(`Unknown session store driver: ${driverName}`);
+  }
+
+  logger.debug(`🗄️  Session store initialized (driver: ${driverName}, ttl: ${options.ttl || 0}ms)`);
+  return new SessionStore(driver, { prefix: options.prefix, ttl: options.ttl });
+}
+
+module.exports = {
+  SessionStore,
+  MemoryDriver,
+  RedisDriver,
+  createSessionStore,
+  parseDuration,
+  serialize,
+  deserialize,
+};
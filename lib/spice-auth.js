@@ -0,0 +1,184 @@
+/**
+ * SPICE Ticket at the Proxy
+ * Replaces the ticket the browser sends during the SPICE link handshake with
+ * the desktop password encrypted for the server, so the password never
+ * leaves the gateway.
+ *
+ * Link handshake (all integers little-endian):
+ *   client: SpiceLinkHeader + SpiceLinkMess     (caps tell whether auth selection follows)
+ *   server: SpiceLinkHeader + SpiceLinkReply    (contains the RSA public key)
+ *   client: [auth mechanism u32] + 128-byte RSA-OAEP encrypted ticket
+ *   server: link result u32
+ *
+ * The browser sends an encrypted empty ticket; the rewriter swaps it for the
+ * real one. Everything after the ticket is relayed unchanged.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const SPICE_MAGIC = 0x51444552; // 'REDQ'
+const LINK_HEADER_SIZE = 16; // magic, major, minor, size
+const LINK_MESS_CAPS_OFFSET = 14; // connection_id u32, type u8, id u8, num_common_caps u32, num_channel_caps u32
+const LINK_REPLY_PUB_KEY_OFFSET = 4; // after error u32
+const PUB_KEY_SIZE = 162; // 1024-bit RSA key, DER SubjectPublicKeyInfo
+const ENCRYPTED_TICKET_SIZE = 128;
+const SPICE_LINK_ERR_OK = 0;
+const SPICE_COMMON_CAP_AUTH_SELECTION = 0;
+const SPICE_COMMON_CAP_AUTH_SPICE = 1;
+
+/**
+ * Tracks one SPICE channel's link handshake and rewrites its ticket
+ */
+class SpiceTicketRewriter {
+  /**
+   * @param {string} password - Desktop password (SPICE ticket)
+   */
+  constructor(password) {
+    this.password = password;
+    this.clientState = 'link'; // link -> auth -> ticket -> relay
+    this.clientBuffer = Buffer.alloc(0);
+    this.authSelection = false;
+    this.serverBuffer = Buffer.alloc(0);
+    this.pubKey = null;
+  }
+
+  /**
+   * Observe data from the SPICE server (forwarded unchanged by the proxy)
+   * @param {Buffer} data - Server data
+   */
+  fromServer(data) {
+    if (!this.serverBuffer) {
+      return;
+    }
+
+    this.serverBuffer = Buffer.concat([this.serverBuffer, data]);
+    if (this.serverBuffer.length < LINK_HEADER_SIZE) {
+      return;
+    }
+    const size = this.serverBuffer.readUInt32LE(12);
+    if (this.serverBuffer.length < LINK_HEADER_SIZE + size) {
+      return;
+    }
+
+    const reply = this.serverBuffer.subarray(LINK_HEADER_SIZE, LINK_HEADER_SIZE + size);
+    this.serverBuffer = null;
+
+    if (reply.length >= LINK_REPLY_PUB_KEY_OFFSET + PUB_KEY_SIZE && reply.readUInt32LE(0) === SPICE_LINK_ERR_OK) {
+      this.pubKey = Buffer.from(reply.subarray(LINK_REPLY_PUB_KEY_OFFSET, LINK_REPLY_PUB_KEY_OFFSET + PUB_KEY_SIZE));
+    }
+  }
+
+  /**
+   * Process data from the browser
+   * @param {Buffer} data - Browser data
+   * @returns {Buffer} Data to forward to the server now (empty while waiting for more)
+   */
+  fromClient(data) {
+    if (this.clientState === 'relay') {
+      return data;
+    }
+
+    let buffer = Buffer.concat([this.clientBuffer, data]);
+    const forward = [];
+
+    if (this.clientState === 'link') {
+      if (buffer.length < LINK_HEADER_SIZE) {
+        this.clientBuffer = buffer;
+        return Buffer.alloc(0);
+      }
+      if (buffer.readUInt32LE(0) !== SPICE_MAGIC) {
+        logger.error('❌ [SPICE Auth] Client did not start with a SPICE link header, relaying unchanged');
+        return this.relay(buffer);
+      }
+      const size = buffer.readUInt32LE(12);
+      if (buffer.length < LINK_HEADER_SIZE + size) {
+        this.clientBuffer = buffer;
+        return Buffer.alloc(0);
+      }
+
+      const mess = buffer.subarray(LINK_HEADER_SIZE, LINK_HEADER_SIZE + size);
+      const numCommonCaps = mess.length >= LINK_MESS_CAPS_OFFSET + 4 ? mess.readUInt32LE(6) : 0;
+      const capsOffset = numCommonCaps > 0 ? mess.readUInt32LE(LINK_MESS_CAPS_OFFSET) : 0;
+      if (numCommonCaps > 0 && capsOffset + 4 <= mess.length) {
+        this.authSelection = (mess.readUInt32LE(capsOffset) & (1 << SPICE_COMMON_CAP_AUTH_SELECTION)) !== 0;
+      }
+
+      forward.push(buffer.subarray(0, LINK_HEADER_SIZE + size));
+      buffer = buffer.subarray(LINK_HEADER_SIZE + size);
+      this.clientState = this.authSelection ? 'auth' : 'ticket';
+    }
+
+    if (this.clientState === 'auth') {
+      if (buffer.length < 4) {
+        return this.hold(forward, buffer);
+      }
+      // Only SPICE ticket authentication carries a ticket (SASL has its own exchange)
+      const mechanism = buffer.readUInt32LE(0);
+      forward.push(buffer.subarray(0, 4));
+      buffer = buffer.subarray(4);
+      if (mechanism !== SPICE_COMMON_CAP_AUTH_SPICE) {
+        forward.push(buffer);
+        return this.relay(Buffer.concat(forward));
+      }
+      this.clientState = 'ticket';
+    }
+
+    if (buffer.length < ENCRYPTED_TICKET_SIZE) {
+      return this.hold(forward, buffer);
+    }
+
+    forward.push(this.encryptTicket() || buffer.subarray(0, ENCRYPTED_TICKET_SIZE));
+    forward.push(buffer.subarray(ENCRYPTED_TICKET_SIZE));
+    return this.relay(Buffer.concat(forward));
+  }
+
+  /**
+   * Encrypt the desktop password with the server's public key
+   * @returns {Buffer|null} Encrypted ticket, or null to keep the browser's ticket
+   */
+  encryptTicket() {
+    if (!this.pubKey) {
+      logger.error('❌ [SPICE Auth] No public key from the SPICE server, relaying the client ticket');
+      return null;
+    }
+
+    try {
+      const ticket = crypto.publicEncrypt({
+        key: this.pubKey,
+        format: 'der',
+        type: 'spki',
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      }, Buffer.from(`${this.password}\0`, 'utf-8'));
+      logger.debug('🔐 [SPICE Auth] Replaced client ticket with the desktop password');
+      return ticket;
+    } catch (error) {
+      logger.error('❌ [SPICE Auth] Failed to encrypt ticket:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep an incomplete message until more data arrives
+   */
+  hold(forward, buffer) {
+    this.clientBuffer = buffer;
+    return Buffer.concat(forward);
+  }
+
+  /**
+   * Handshake done, pass everything through from now on
+   */
+  relay(buffer) {
+    this.clientState = 'relay';
+    this.clientBuffer = null;
+    this.serverBuffer = null;
+    return buffer;
+  }
+}
+
+module.exports = {
+  SpiceTicketRewriter,
+};
@@ -1,197 +1,180 @@
 /**
  * SPICE WebSocket Connection Handler
- * Handles authentication and SPICE connection info retrieval for WebSocket connections
+ * Handles ticket authentication and SPICE connection info retrieval for WebSocket connections
+ *
+ * authorizeSPICEUpgrade() runs before the WebSocket handshake (see lib/upgrade-router.js),
+ * handleSPICEConnection() once it is accepted.
  */
 
 'use strict';
 
-const jwt = require('jsonwebtoken');
+const { extractTicket } = require('./connect-tickets');
+const { createUpgradeError } = require('./upgrade-router');
 const logger = require('./logger');
 
 /**
- * Extract JWT token from WebSocket request
- * @param {Object} req - HTTP request object from WebSocket upgrade
- * @returns {string|null} JWT token or null
- */
-function extractToken(req) {
-  // Try query parameter first
-  const urlParams = new URLSearchParams(req.url.split('?')[1]);
-  const queryToken = urlParams.get('token');
-  if (queryToken) return queryToken;
-
-  // Try Authorization header
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
-  }
-
-  return null;
-}
-
-/**
- * Verify JWT token and get SPICE connection info
- * @param {string} token - JWT token
+ * Redeem a connect ticket and get SPICE connection info
+ * @param {string} ticket - Connect ticket (see lib/connect-tickets.js)
  * @param {string} vmId - Virtual machine ID
- * @param {Object} config - Configuration object with jwt.secret
+ * @param {Object} connectTickets - ConnectTickets instance
  * @param {Object} ocloudviewService - OcloudView service instance
  * @param {Object} sessionStore - Session store instance
- * @returns {Promise<Object|null>} SPICE connection info or null
+ * @param {Object} vmAccess - VMAccess instance
+ * @param {string} clientAddr - Client address (for the audit log)
+ * @param {Object} connectionSecrets - SecretBox the cached desktop passwords are encrypted with
+ * @returns {Promise<Object>} SPICE connection info (with owner identity)
+ * @throws {Error} with status 401 (ticket / session), 403 (VM not assigned) or 502 (ocloudview)
  */
-async function verifyAndGetSPICEInfo(token, vmId, config, ocloudviewService, sessionStore) {
-  try {
-    logger.debug('   [Auth] Verifying JWT token for SPICE...');
-    // Verify JWT token
-    const decoded = jwt.verify(token, config.jwt.secret);
-    logger.debug('   [Auth] Token decoded:', {
-      userId: decoded.userId,
-      sessionId: decoded.sessionId,
-      vmId: decoded.vmId,
-      hasOcloudToken: !!decoded.ocloudToken
-    });
+async function verifyAndGetSPICEInfo(ticket, vmId, connectTickets, ocloudviewService, sessionStore, vmAccess, clientAddr, connectionSecrets) {
+  logger.debug('   [Auth] Redeeming connect ticket for SPICE...');
+  const grant = await connectTickets.redeem(ticket, vmId, 'spice');
+  if (!grant) {
+    throw createUpgradeError(401, 'Invalid or expired ticket');
+  }
+  logger.debug('   [Auth] Ticket redeemed:', {
+    userId: grant.userId,
+    sessionId: grant.sessionId,
+    vmId: grant.vmId
+  });
+
+  // Connection owner, recorded by the proxy for connection management
+  const owner = {
+    userId: grant.userId,
+    username: grant.username,
+    sessionId: grant.sessionId
+  };
+
+  logger.debug('   [Auth] Looking up session:', grant.sessionId);
+  const sessionData = await sessionStore.get(grant.sessionId);
+  if (!sessionData) {
+    logger.error('   [Auth] Session not found in store');
+    throw createUpgradeError(401, 'Session expired');
+  }
+  logger.debug('   [Auth] Session found');
 
-    // If it's a VM-specific token
-    if (decoded.vmId && decoded.ocloudToken) {
-      logger.debug('   [Auth] Using VM-specific token for SPICE');
-      const spiceInfo = await ocloudviewService.getSPICEConnectionInfo(decoded.ocloudToken, vmId);
+  // The VM must still be assigned to the user (the machine list may have changed since the ticket)
+  const access = await vmAccess.checkVM({ ...owner, ip: clientAddr }, vmId, 'spice');
+  if (!access.allowed) {
+    throw createUpgradeError(403, `VM not accessible (${access.reason})`);
+  }
+
+  // Check session cache for SPICE connections
+  if (sessionData.spiceConnections && sessionData.spiceConnections.has(vmId)) {
+    const cachedInfo = sessionData.spiceConnections.get(vmId);
+    try {
+      const password = cachedInfo.password ? connectionSecrets.decrypt(cachedInfo.password) : cachedInfo.password;
+      logger.debug('   [Auth] ✅ Using cached SPICE info from session');
       return {
-        host: spiceInfo.hostIp,
-        port: spiceInfo.spicePort,
-        password: spiceInfo.spicePassword
+        host: cachedInfo.host,
+        port: cachedInfo.port,
+        password,
+        ...owner
       };
+    } catch (error) {
+      // Cached before passwords were encrypted, or under another key
+      logger.warn('   [Auth] ⚠️ Cached SPICE password cannot be decrypted:', error.message);
     }
+  }
 
-    // If it's a user token, get info from session
-    if (decoded.sessionId) {
-      logger.debug('   [Auth] Looking up session:', decoded.sessionId);
-      const sessionData = sessionStore.get(decoded.sessionId);
-      if (sessionData) {
-        logger.debug('   [Auth] Session found');
-
-        // Check session cache for SPICE connections
-        if (sessionData.spiceConnections && sessionData.spiceConnections.has(vmId)) {
-          const cachedInfo = sessionData.spiceConnections.get(vmId);
-          logger.debug('   [Auth] ✅ Using cached SPICE info from session');
-          logger.debug('   [Auth] Password preview:', cachedInfo.password ? cachedInfo.password.substring(0, 8) + '***' : 'null');
-          return {
-            host: cachedInfo.host,
-            port: cachedInfo.port,
-            password: cachedInfo.password
-          };
-        } else {
-          logger.debug('   [Auth] ⚠️ SPICE info not cached, fetching from API');
-          const spiceInfo = await ocloudviewService.getSPICEConnectionInfo(sessionData.ocloudToken, vmId);
-
-          // Cache the SPICE info for future use
-          if (!sessionData.spiceConnections) {
-            sessionData.spiceConnections = new Map();
-          }
-          sessionData.spiceConnections.set(vmId, {
-            host: spiceInfo.hostIp,
-            port: spiceInfo.spicePort,
-            password: spiceInfo.spicePassword,
-            timestamp: Date.now()
-          });
-
-          logger.debug('   [Auth] ✅ SPICE info cached for session');
-          return {
-            host: spiceInfo.hostIp,
-            port: spiceInfo.spicePort,
-            password: spiceInfo.spicePassword
-          };
-        }
-      } else {
-        logger.error('   [Auth] Session not found in store');
-      }
-    } else {
-      logger.error('   [Auth] Token missing sessionId and vmId fields');
-    }
-
-    return null;
+  logger.debug('   [Auth] ⚠️ SPICE info not cached, fetching from API');
+  let spiceInfo;
+  try {
+    spiceInfo = await ocloudviewService.getSPICEConnectionInfo(sessionData.ocloudToken, vmId);
   } catch (error) {
-    logger.error('   [Auth] Token verification error:', error.message);
-    if (error.name === 'TokenExpiredError') {
-      logger.error('   [Auth] Token expired at:', error.expiredAt);
-    }
-    return null;
+    logger.error('   [Auth] Failed to get SPICE info:', error.message);
+    throw createUpgradeError(502, 'Failed to get SPICE connection info');
+  }
+
+  // Cache the SPICE info for future use (the password encrypted, as the connect routes do)
+  if (!sessionData.spiceConnections) {
+    sessionData.spiceConnections = new Map();
   }
+  sessionData.spiceConnections.set(vmId, {
+    host: spiceInfo.hostIp,
+    port: spiceInfo.spicePort,
+    password: spiceInfo.spicePassword ? connectionSecrets.encrypt(String(spiceInfo.spicePassword)) : null,
+    timestamp: Date.now()
+  });
+  await sessionStore.update(grant.sessionId, sessionData);
+
+  logger.debug('   [Auth] ✅ SPICE info cached for session');
+  return {
+    host: spiceInfo.hostIp,
+    port: spiceInfo.spicePort,
+    password: spiceInfo.spicePassword,
+    ...owner
+  };
 }
 
 /**
- * Handle WebSocket connection for SPICE
- * @param {WebSocket} ws - WebSocket connection
- * @param {Object} req - HTTP request object
+ * Authorize a SPICE WebSocket upgrade (/spice/{vmId}?ticket=xxx)
+ * @param {Object} req - HTTP upgrade request
+ * @param {Object} params - Route parameters
+ * @param {string} params.vmId - Virtual machine ID
  * @param {Object} options - Handler options
- * @param {Object} options.wsProxy - WebsockifyProxy instance
- * @param {Object} options.config - Configuration object
+ * @param {Object} options.connectTickets - ConnectTickets instance
+ * @param {Object} options.vmAccess - VMAccess instance
  * @param {Object} options.ocloudviewService - OcloudView service
  * @param {Object} options.sessionStore - Session store
+ * @param {Object} options.connectionSecrets - SecretBox for the cached desktop passwords
+ * @param {Object} [options.clipboardPolicy] - ClipboardPolicy, a force-off blocks the clipboard at the proxy
+ * @returns {Promise<Object>} SPICE connection info, passed to handleSPICEConnection()
+ * @throws {Error} with status, the upgrade is rejected with it
  */
-async function handleSPICEConnection(ws, req, options) {
-  const { wsProxy, config, ocloudviewService, sessionStore } = options;
-
-  logger.debug(`🔌 New SPICE WebSocket connection request`);
-  logger.debug(`   URL: ${req.url}`);
-  logger.debug(`   Origin: ${req.headers.origin || 'none'}`);
-
-  // Validate path format: should be /spice/{vmId}?token=xxx
-  const urlPath = req.url.split('?')[0];
-  logger.debug(`   Path: ${urlPath}`);
-
-  if (!urlPath.startsWith('/spice/')) {
-    logger.error(`❌ Invalid WebSocket path: ${urlPath}`);
-    logger.error(`   Expected format: /spice/{vmId}?token=xxx`);
-    ws.close(1002, 'Invalid path');
-    return;
-  }
-
-  // Extract VM ID from URL
-  const urlParts = urlPath.split('/');
-  const vmId = urlParts[2]; // /spice/{vmId}
+async function authorizeSPICEUpgrade(req, params, options) {
+  const { connectTickets, vmAccess, ocloudviewService, sessionStore, connectionSecrets, clipboardPolicy } = options;
+  const { vmId } = params;
 
+  logger.debug(`🔌 New SPICE WebSocket upgrade request`);
   logger.debug(`   VM ID: ${vmId}`);
 
-  if (!vmId || vmId.trim() === '') {
-    logger.error('❌ No VM ID provided in WebSocket connection');
-    ws.close(1002, 'VM ID required');
-    return;
-  }
+  const ticket = extractTicket(req);
+  logger.debug(`   Ticket: ${ticket ? 'provided' : 'null'}`);
 
-  try {
-    // Extract and verify token
-    const token = extractToken(req);
-    logger.debug(`   Token: ${token ? token.substring(0, 20) + '...' : 'null'}`);
-
-    if (!token) {
-      logger.error('❌ No authentication token provided');
-      ws.close(1008, 'Authentication required');
-      return;
-    }
+  if (!ticket) {
+    throw createUpgradeError(401, 'Authentication required');
+  }
 
-    // Get SPICE connection info
-    logger.debug(`   Verifying token and getting SPICE info...`);
-    const spiceInfo = await verifyAndGetSPICEInfo(
-      token,
-      vmId,
-      config,
-      ocloudviewService,
-      sessionStore
-    );
-
-    if (!spiceInfo) {
-      logger.error('❌ Failed to get SPICE connection info');
-      logger.error('   Check: Token validity, session data, OcloudView API');
-      ws.close(1008, 'Connection failed');
-      return;
-    }
+  logger.debug(`   Verifying ticket and getting SPICE info...`);
+  const spiceInfo = await verifyAndGetSPICEInfo(
+    ticket,
+    vmId,
+    connectTickets,
+    ocloudviewService,
+    sessionStore,
+    vmAccess,
+    req.socket.remoteAddress,
+    connectionSecrets
+  );
+
+  logger.debug(`✅ SPICE info retrieved: ${spiceInfo.host}:${spiceInfo.port}`);
+  const clipboardBlocked = clipboardPolicy ? (await clipboardPolicy.get(spiceInfo.userId)).forcedOff : false;
+  return { vmId, ...spiceInfo, clipboardBlocked };
+}
 
-    logger.debug(`✅ SPICE info retrieved: ${spiceInfo.host}:${spiceInfo.port}`);
+/**
+ * Handle an accepted SPICE WebSocket connection
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} req - HTTP request object
+ * @param {Object} spiceInfo - Result of authorizeSPICEUpgrade()
+ * @param {Object} options - Handler options
+ * @param {Object} options.wsProxy - WebsockifyProxy instance
+ */
+async function handleSPICEConnection(ws, req, spiceInfo, options) {
+  const { wsProxy } = options;
 
+  try {
     // Establish WebSocket to TCP proxy
     await wsProxy.handleConnection(ws, {
-      vmId,
+      vmId: spiceInfo.vmId,
       host: spiceInfo.host,
       port: spiceInfo.port,
-      password: spiceInfo.password
+      password: spiceInfo.password,
+      userId: spiceInfo.userId,
+      username: spiceInfo.username,
+      sessionId: spiceInfo.sessionId,
+      clipboardBlocked: spiceInfo.clipboardBlocked,
+      protocol: 'spice'
     });
 
   } catch (error) {
@@ -202,7 +185,7 @@ async function handleSPICEConnection(ws, req, options) {
 }
 
 module.exports = {
-  extractToken,
   verifyAndGetSPICEInfo,
+  authorizeSPICEUpgrade,
   handleSPICEConnection
 };
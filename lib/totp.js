@@ -0,0 +1,163 @@
+/**
+ * TOTP (RFC 6238)
+ * Time-based one-time passwords as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30-second steps, base32 secrets.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} text - Base32 string
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+}
+
+/**
+ * Generate a new random secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step for a moment
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Counter
+ */
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD);
+}
+
+/**
+ * TOTP code for a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} Code
+ */
+function totp(secret, time = Date.now()) {
+  return hotp(secret, timeStep(time));
+}
+
+/**
+ * Check a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verify options
+ * @param {number} options.window - Steps accepted before / after the current one (default 1)
+ * @param {number} options.time - Milliseconds since epoch (default now)
+ * @returns {number|null} Matching time step (store it to reject replays), or null
+ */
+function verifyTotp(secret, code, options = {}) {
+  const window = options.window !== undefined ? options.window : 1;
+  const current = timeStep(options.time);
+  const candidate = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+    return null;
+  }
+
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (shown as QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account name (user)
+ * @param {string} issuer - Service name
+ * @returns {string} otpauth URI
+ */
+function otpauthUrl(secret, account, issuer) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  otpauthUrl,
+};
@@ -0,0 +1,109 @@
+/**
+ * Traffic Meter
+ * Byte/message counters with a rolling throughput rate and peak rate,
+ * used by the proxy for per-connection, per-VM and per-user accounting.
+ *
+ * Directions follow the proxy: 'in' is client -> server (WS -> TCP),
+ * 'out' is server -> client (TCP -> WS).
+ */
+
+'use strict';
+
+class TrafficMeter {
+  /**
+   * @param {Object} options - Meter options
+   * @param {number} options.windowMs - Rolling window for the rate (default 10s)
+   * @param {number} options.bucketMs - Bucket size, also the resolution of the peak rate (default 1s)
+   */
+  constructor(options = {}) {
+    this.bucketMs = options.bucketMs || 1000;
+    this.bucketCount = Math.max(1, Math.round((options.windowMs || 10000) / this.bucketMs));
+    this.startTime = Date.now();
+    this.lastActivity = this.startTime;
+
+    this.bytes = { in: 0, out: 0 };
+    this.messages = { in: 0, out: 0 };
+    this.peakRate = { in: 0, out: 0 };
+
+    // Ring buffer of { slot, in, out }, slot = floor(time / bucketMs)
+    this.buckets = Array.from({ length: this.bucketCount }, () => ({ slot: -1, in: 0, out: 0 }));
+  }
+
+  /**
+   * Get the bucket for a time slot, resetting it if it holds an older slot
+   * @param {number} slot - Time slot
+   * @returns {Object} Bucket
+   */
+  bucketFor(slot) {
+    const bucket = this.buckets[slot % this.bucketCount];
+    if (bucket.slot !== slot) {
+      bucket.slot = slot;
+      bucket.in = 0;
+      bucket.out = 0;
+    }
+    return bucket;
+  }
+
+  /**
+   * Record one forwarded message
+   * @param {string} direction - 'in' or 'out'
+   * @param {number} length - Message size in bytes
+   */
+  record(direction, length) {
+    const now = Date.now();
+    this.lastActivity = now;
+    this.bytes[direction] += length;
+    this.messages[direction]++;
+
+    const bucket = this.bucketFor(Math.floor(now / this.bucketMs));
+    bucket[direction] += length;
+
+    // Peak rate is the busiest single bucket, in bytes per second
+    const bucketRate = bucket[direction] * 1000 / this.bucketMs;
+    if (bucketRate > this.peakRate[direction]) {
+      this.peakRate[direction] = bucketRate;
+    }
+  }
+
+  /**
+   * Get the rolling throughput rate
+   * @param {string} direction - 'in' or 'out'
+   * @returns {number} Bytes per second over the rolling window
+   */
+  getRate(direction) {
+    const now = Date.now();
+    const currentSlot = Math.floor(now / this.bucketMs);
+    const oldestSlot = currentSlot - this.bucketCount + 1;
+
+    let total = 0;
+    this.buckets.forEach(bucket => {
+      if (bucket.slot >= oldestSlot) {
+        total += bucket[direction];
+      }
+    });
+
+    // Young meters have not filled the window yet
+    const windowMs = Math.min(this.bucketCount * this.bucketMs, Math.max(now - this.startTime, this.bucketMs));
+    return total * 1000 / windowMs;
+  }
+
+  /**
+   * Get a plain snapshot of the counters
+   * @returns {Object} Counters, rates and peak rates (rates in bytes per second)
+   */
+  snapshot() {
+    return {
+      bytesIn: this.bytes.in,
+      bytesOut: this.bytes.out,
+      messagesIn: this.messages.in,
+      messagesOut: this.messages.out,
+      rateIn: Math.round(this.getRate('in')),
+      rateOut: Math.round(this.getRate('out')),
+      peakRateIn: Math.round(this.peakRate.in),
+      peakRateOut: Math.round(this.peakRate.out),
+      lastActivity: this.lastActivity,
+    };
+  }
+}
+
+module.exports = TrafficMeter;
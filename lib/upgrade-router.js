@@ -0,0 +1,223 @@
+/**
+ * WebSocket Upgrade Router
+ * Authenticates WebSocket upgrades before the handshake is accepted.
+ *
+ * The WebSocket server runs in noServer mode; every HTTP 'upgrade' request
+ * goes through this router:
+ *
+ *   1. per-IP rate limit       -> 429 Too Many Requests
+ *   2. route match             -> 404 Not Found
+ *   3. Origin check            -> 403 Forbidden
+ *   4. route authorize()       -> 401 / 403 / ... (error.status)
+ *   5. handshake, then route connect(ws, req, context)
+ *
+ * Rejected clients get a plain HTTP response ({ success: false, error, message })
+ * instead of a WebSocket that is closed right after opening.
+ *
+ * Usage:
+ *   router.route('/vnc/:vmId', {
+ *     authorize: async (req, params) => context,   // throw createUpgradeError(401, '...') to reject
+ *     connect: (ws, req, context) => { ... },
+ *   });
+ *   server.on('upgrade', (req, socket, head) => router.handleUpgrade(req, socket, head));
+ */
+
+'use strict';
+
+const http = require('http');
+const logger = require('./logger');
+
+/**
+ * Create an error that rejects an upgrade with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message for the client
+ * @returns {Error} Error with status
+ */
+function createUpgradeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class UpgradeRouter {
+  /**
+   * @param {Object} options - Router options
+   * @param {WebSocket.Server} options.wss - WebSocket server (noServer mode)
+   * @param {string[]} options.allowedOrigins - Origins allowed besides the request's own host
+   * @param {Object} options.rateLimit - { windowMs, max } upgrade attempts per IP
+   */
+  constructor(options = {}) {
+    this.wss = options.wss;
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.rateLimit = {
+      windowMs: options.rateLimit?.windowMs || 60000,
+      max: options.rateLimit?.max || 120,
+    };
+    this.routes = [];
+    this.attempts = new Map(); // ip -> { count, resetAt }
+    this.nextSweep = 0;
+  }
+
+  /**
+   * Register a route
+   * @param {string} pattern - Path pattern, ':name' segments become params (e.g. '/vnc/:vmId')
+   * @param {Object} handlers - Route handlers
+   * @param {Function} handlers.authorize - async (req, params) => context, throws to reject
+   * @param {Function} handlers.connect - (ws, req, context) => void
+   */
+  route(pattern, handlers) {
+    const names = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    }) + '$');
+    this.routes.push({ pattern, regex, names, ...handlers });
+  }
+
+  /**
+   * Find the route for a path
+   * @param {string} urlPath - Request path without query string
+   * @returns {Object|null} { route, params }
+   */
+  match(urlPath) {
+    for (const route of this.routes) {
+      const result = route.regex.exec(urlPath);
+      if (result) {
+        const params = {};
+        route.names.forEach((name, i) => {
+          params[name] = result[i + 1];
+        });
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handle an HTTP upgrade request
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  async handleUpgrade(req, socket, head) {
+    const clientAddr = req.socket.remoteAddress;
+    const urlPath = req.url.split('?')[0];
+    const onSocketError = (error) => logger.debug(`🔌 [Upgrade] Socket error from ${clientAddr}: ${error.message}`);
+    socket.on('error', onSocketError);
+
+    logger.debug(`🔌 [Upgrade] ${urlPath} from ${clientAddr} (origin: ${req.headers.origin || 'none'})`);
+
+    const retryAfter = this.checkRateLimit(clientAddr);
+    if (retryAfter > 0) {
+      logger.warn(`⚠️  [Upgrade] Rate limit exceeded for ${clientAddr}`);
+      return this.reject(socket, 429, '连接过于频繁，请稍后再试', { 'Retry-After': retryAfter });
+    }
+
+    const matched = this.match(urlPath);
+    if (!matched) {
+      logger.error(`❌ [Upgrade] Unknown WebSocket path: ${urlPath}`);
+      return this.reject(socket, 404, 'Invalid path');
+    }
+
+    if (!this.isOriginAllowed(req)) {
+      logger.warn(`⚠️  [Upgrade] Origin not allowed: ${req.headers.origin} (${clientAddr})`);
+      return this.reject(socket, 403, 'Origin not allowed');
+    }
+
+    let context;
+    try {
+      context = await matched.route.authorize(req, matched.params);
+    } catch (error) {
+      const status = error.status || 500;
+      logger.error(`❌ [Upgrade] ${urlPath} rejected with ${status}: ${error.message}`);
+      return this.reject(socket, status, status === 500 ? 'Internal error' : error.message);
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      socket.removeListener('error', onSocketError);
+      matched.route.connect(ws, req, context);
+    });
+  }
+
+  /**
+   * Whether the Origin header is allowed
+   * Non-browser clients send no Origin; browsers must come from this host or an allowed origin
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @returns {boolean} true if allowed
+   */
+  isOriginAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+    if (this.allowedOrigins.includes(origin)) {
+      return true;
+    }
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Count an upgrade attempt for an IP
+   * @param {string} ip - Client address
+   * @returns {number} Seconds to wait if the limit is exceeded, else 0
+   */
+  checkRateLimit(ip) {
+    const now = Date.now();
+
+    // Drop expired windows now and then so the map does not grow with every client ever seen
+    if (now >= this.nextSweep) {
+      for (const [key, entry] of this.attempts) {
+        if (entry.resetAt <= now) {
+          this.attempts.delete(key);
+        }
+      }
+      this.nextSweep = now + this.rateLimit.windowMs;
+    }
+
+    let entry = this.attempts.get(ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + this.rateLimit.windowMs };
+      this.attempts.set(ip, entry);
+    }
+
+    entry.count++;
+    return entry.count > this.rateLimit.max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  }
+
+  /**
+   * Answer the upgrade request with an HTTP error and close the socket
+   * @param {net.Socket} socket - Client socket
+   * @param {number} status - HTTP status code
+   * @param {string} message - Message for the client
+   * @param {Object} headers - Extra response headers
+   */
+  reject(socket, status, message, headers = {}) {
+    if (!socket.writable) {
+      socket.destroy();
+      return;
+    }
+
+    const body = JSON.stringify({
+      success: false,
+      error: http.STATUS_CODES[status] || 'Error',
+      message,
+    });
+    const lines = [
+      `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}`,
+      'Connection: close',
+      'Content-Type: application/json; charset=utf-8',
+      `Content-Length: ${Buffer.byteLength(body)}`,
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    ];
+    socket.end(`${lines.join('\r\n')}\r\n\r\n${body}`);
+  }
+}
+
+module.exports = {
+  UpgradeRouter,
+  createUpgradeError,
+};
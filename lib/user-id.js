@@ -0,0 +1,22 @@
+/**
+ * User IDs
+ * The gateway's user ID is the ocloudview account name as typed at login (or
+ * mapped from the SSO claim). ocloudview accepts it in any case, so ' Alice'
+ * and 'alice' are the same user: per-user records and configured user lists
+ * compare the normalized form.
+ */
+
+'use strict';
+
+/**
+ * Normalize a user ID so 'Alice' and ' alice' share one record
+ * @param {string} userId - User ID as typed
+ * @returns {string} Normalized user ID
+ */
+function normalizeUserId(userId) {
+  return String(userId || '').trim().toLowerCase();
+}
+
+module.exports = {
+  normalizeUserId,
+};
@@ -0,0 +1,121 @@
+/**
+ * VM Access Control
+ * Decides whether a user may open a console on a VM (or run a power action on it).
+ *
+ * A VM is accessible when it is assigned to the user's session:
+ * - a `domain` entry of the session's machine list (VNC and SPICE), or
+ * - a VM handed out by a `desk_pool` of the machine list (SPICE only; the
+ *   desk pool connect call caches it in the session with its deskPoolId)
+ *
+ * Optionally, admins (ADMIN_USERS) may open any VM.
+ *
+ * Denials are written to the audit log as 'access.denied' with a reason:
+ * - not_assigned:      the VM / desk pool is not in the user's machine list
+ * - session_not_found: the login session is gone
+ */
+
+'use strict';
+
+const logger = require('./logger');
+
+class VMAccess {
+  /**
+   * @param {Object} options - Access control options
+   * @param {Object} options.vmStatusMonitor - VMStatusMonitor (provides the session's machine list)
+   * @param {Object} options.sessionStore - Session store
+   * @param {Object} options.auditLog - AuditLog for denials (optional)
+   * @param {Function} options.isAdmin - (userId) => boolean
+   * @param {boolean} options.adminOverride - Allow admins to open any VM
+   */
+  constructor(options = {}) {
+    this.vmStatusMonitor = options.vmStatusMonitor;
+    this.sessionStore = options.sessionStore;
+    this.auditLog = options.auditLog || null;
+    this.isAdmin = options.isAdmin || (() => false);
+    this.adminOverride = options.adminOverride === true;
+  }
+
+  /**
+   * Check access to a VM console
+   * @param {Object} actor - { userId, username, sessionId, ip }
+   * @param {string} vmId - VM ID
+   * @param {string} protocol - 'vnc' or 'spice', or 'power' for power actions
+   * @returns {Promise<Object>} { allowed, via, reason } - via: 'domain' | 'desk_pool' | 'admin'
+   */
+  async checkVM(actor, vmId, protocol) {
+    const machines = await this.vmStatusMonitor.getMachines(actor.sessionId);
+    if (!machines) {
+      return this.deny(actor, { vmId, protocol }, 'session_not_found');
+    }
+
+    if (findEntry(machines.domain, vmId)) {
+      return { allowed: true, via: 'domain' };
+    }
+
+    // Desk pool VMs are only known from the desk pool connect call
+    if (protocol === 'spice') {
+      const sessionData = await this.sessionStore.get(actor.sessionId);
+      const cached = sessionData?.spiceConnections?.get(vmId);
+      if (cached && cached.deskPoolId && findEntry(machines.desk_pool, cached.deskPoolId)) {
+        return { allowed: true, via: 'desk_pool' };
+      }
+    }
+
+    return this.allowAdminOrDeny(actor, { vmId, protocol });
+  }
+
+  /**
+   * Check access to a desk pool
+   * @param {Object} actor - { userId, username, sessionId, ip }
+   * @param {string} deskId - Desk pool entry ID
+   * @returns {Promise<Object>} { allowed, via, reason }
+   */
+  async checkDeskPool(actor, deskId) {
+    const machines = await this.vmStatusMonitor.getMachines(actor.sessionId);
+    if (!machines) {
+      return this.deny(actor, { deskPoolId: deskId, protocol: 'spice' }, 'session_not_found');
+    }
+
+    if (findEntry(machines.desk_pool, deskId)) {
+      return { allowed: true, via: 'desk_pool' };
+    }
+
+    return this.allowAdminOrDeny(actor, { deskPoolId: deskId, protocol: 'spice' });
+  }
+
+  allowAdminOrDeny(actor, target) {
+    if (this.adminOverride && this.isAdmin(actor.userId)) {
+      logger.debug(`🔑 [VM Access] Admin ${actor.userId} allowed on unassigned ${target.vmId || target.deskPoolId}`);
+      return { allowed: true, via: 'admin' };
+    }
+    return this.deny(actor, target, 'not_assigned');
+  }
+
+  deny(actor, target, reason) {
+    logger.warn(`⚠️  [VM Access] Denied ${target.protocol} access to ${target.vmId || target.deskPoolId} for user ${actor.userId} (${reason})`);
+    if (this.auditLog) {
+      this.auditLog.record('access.denied', {
+        userId: actor.userId || null,
+        username: actor.username || null,
+        sessionId: actor.sessionId || null,
+        ip: actor.ip,
+        outcome: 'failure',
+        ...target,
+        reason,
+      });
+    }
+    return { allowed: false, reason };
+  }
+}
+
+/**
+ * Find a machine list entry by ID
+ * @param {Array} entries - machines.domain or machines.desk_pool
+ * @param {string} id - Entry ID
+ * @returns {Object|undefined} Entry
+ */
+function findEntry(entries, id) {
+  return Array.isArray(entries) ? entries.find(entry => String(entry.id) === String(id)) : undefined;
+}
+
+module.exports = VMAccess;
@@ -0,0 +1,263 @@
+/**
+ * VM Status Monitor
+ * Keeps the per-session machine list in sync with ocloudview and pushes
+ * status changes to dashboards over Server-Sent Events.
+ *
+ * The machine list returned by userlogin2 is only a snapshot; this monitor
+ * re-fetches it when the cached copy is older than cacheTtl and polls it for
+ * every session that has at least one open event stream.
+ */
+
+'use strict';
+
+const logger = require('./logger');
+
+class VMStatusMonitor {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {Object} options.sessionStore - Session store
+   * @param {Object} options.ocloudviewService - ocloudview API service
+   * @param {number} options.cacheTtl - Max age of the cached machine list in ms
+   * @param {number} options.pushInterval - Poll interval for open event streams in ms
+   * @param {number} options.keepAliveInterval - SSE comment interval in ms
+   */
+  constructor(options = {}) {
+    this.sessionStore = options.sessionStore;
+    this.ocloudviewService = options.ocloudviewService;
+    this.cacheTtl = options.cacheTtl || 5000;
+    this.pushInterval = options.pushInterval || 10000;
+    this.keepAliveInterval = options.keepAliveInterval || 25000;
+
+    this.pendingRefreshes = new Map(); // sessionId -> Promise (coalesces concurrent refreshes)
+    this.subscriptions = new Map(); // sessionId -> { clients, timer, keepAlive, signature }
+  }
+
+  /**
+   * Get the machine list of a session, refreshing it from ocloudview when stale
+   * Falls back to the cached list if ocloudview cannot be reached
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Ignore the cache
+   * @returns {Promise<Object|null>} Raw machines object or null if the session is gone
+   */
+  async getMachines(sessionId, options = {}) {
+    const sessionData = await this.sessionStore.get(sessionId);
+    if (!sessionData) {
+      return null;
+    }
+
+    const age = Date.now() - (sessionData.machinesUpdatedAt || sessionData.loginTime || 0);
+    if (!options.force && age < this.cacheTtl) {
+      return sessionData.machines;
+    }
+
+    if (!this.pendingRefreshes.has(sessionId)) {
+      const refresh = this.refresh(sessionId, sessionData)
+        .finally(() => this.pendingRefreshes.delete(sessionId));
+      this.pendingRefreshes.set(sessionId, refresh);
+    }
+    return this.pendingRefreshes.get(sessionId);
+  }
+
+  /**
+   * Fetch the machine list from ocloudview and cache it in the session
+   * @param {string} sessionId - Session ID
+   * @param {Object} sessionData - Current session data
+   * @returns {Promise<Object>} Raw machines object
+   */
+  async refresh(sessionId, sessionData) {
+    try {
+      const machines = await this.ocloudviewService.getUserMachines(sessionData.ocloudToken);
+
+      // Re-read the session so connection info cached meanwhile is not overwritten
+      const latest = await this.sessionStore.get(sessionId);
+      if (latest) {
+        latest.machines = machines;
+        latest.machinesUpdatedAt = Date.now();
+        await this.sessionStore.update(sessionId, latest);
+      }
+
+      logger.debug(`🔄 [VM Status] Machine list refreshed for session ${sessionId}`);
+      return machines;
+    } catch (error) {
+      logger.warn(`⚠️  [VM Status] Refresh failed for session ${sessionId}, using cached list:`, error.message);
+      return sessionData.machines;
+    }
+  }
+
+  /**
+   * Open an SSE stream that pushes the VM list whenever a status changes
+   * @param {string} sessionId - Session ID
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  subscribe(sessionId, req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let subscription = this.subscriptions.get(sessionId);
+    if (!subscription) {
+      subscription = {
+        clients: new Set(),
+        signature: null,
+        timer: setInterval(() => this.poll(sessionId), this.pushInterval),
+        keepAlive: setInterval(() => this.broadcast(sessionId, ': keep-alive\n\n'), this.keepAliveInterval),
+      };
+      this.subscriptions.set(sessionId, subscription);
+    }
+    subscription.clients.add(res);
+
+    logger.debug(`📡 [VM Status] Stream opened for session ${sessionId} (${subscription.clients.size} client(s))`);
+
+    req.on('close', () => this.unsubscribe(sessionId, res));
+
+    // Send the current list right away, new clients always get a full snapshot
+    this.getMachines(sessionId)
+      .then(machines => {
+        if (machines) {
+          const vmList = this.ocloudviewService.parseVMList(machines);
+          subscription.signature = JSON.stringify(vmList);
+          this.send(res, 'vms', vmList);
+        }
+      })
+      .catch(error => logger.error('❌ [VM Status] Initial push failed:', error.message));
+  }
+
+  /**
+   * Remove a client stream
+   * @param {string} sessionId - Session ID
+   * @param {Object} res - Express response
+   */
+  unsubscribe(sessionId, res) {
+    const subscription = this.subscriptions.get(sessionId);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.clients.delete(res);
+    logger.debug(`📡 [VM Status] Stream closed for session ${sessionId} (${subscription.clients.size} client(s))`);
+
+    if (subscription.clients.size === 0) {
+      clearInterval(subscription.timer);
+      clearInterval(subscription.keepAlive);
+      this.subscriptions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Re-fetch the machine list of a subscribed session and push it if anything changed
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Options passed to getMachines
+   */
+  async poll(sessionId, options = {}) {
+    const subscription = this.subscriptions.get(sessionId);
+    if (!subscription) {
+      return;
+    }
+
+    try {
+      const machines = await this.getMachines(sessionId, options);
+
+      if (!machines) {
+        // Session expired or logged out: tell the clients and close their streams
+        this.broadcast(sessionId, this.formatEvent('expired', { message: '会话已过期，请重新登录' }));
+        this.closeSession(sessionId);
+        return;
+      }
+
+      const vmList = this.ocloudviewService.parseVMList(machines);
+      const signature = JSON.stringify(vmList);
+      if (signature !== subscription.signature) {
+        subscription.signature = signature;
+        this.broadcast(sessionId, this.formatEvent('vms', vmList));
+      }
+    } catch (error) {
+      logger.error(`❌ [VM Status] Poll failed for session ${sessionId}:`, error.message);
+    }
+  }
+
+  /**
+   * Refresh a session right away (e.g. after a power action) and push the result
+   * @param {string} sessionId - Session ID
+   */
+  notifyChanged(sessionId) {
+    if (this.subscriptions.has(sessionId)) {
+      this.poll(sessionId, { force: true });
+    } else {
+      // Nobody is listening, just make sure the next list request re-fetches
+      this.invalidate(sessionId).catch(() => {});
+    }
+  }
+
+  /**
+   * Mark the cached machine list of a session as stale
+   * @param {string} sessionId - Session ID
+   */
+  async invalidate(sessionId) {
+    const sessionData = await this.sessionStore.get(sessionId);
+    if (sessionData) {
+      sessionData.machinesUpdatedAt = 0;
+      await this.sessionStore.update(sessionId, sessionData);
+    }
+  }
+
+  formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  send(res, event, data) {
+    res.write(this.formatEvent(event, data));
+  }
+
+  broadcast(sessionId, payload) {
+    const subscription = this.subscriptions.get(sessionId);
+    if (subscription) {
+      subscription.clients.forEach(res => res.write(payload));
+    }
+  }
+
+  /**
+   * End all streams of a session
+   * @param {string} sessionId - Session ID
+   */
+  closeSession(sessionId) {
+    const subscription = this.subscriptions.get(sessionId);
+    if (!subscription) {
+      return;
+    }
+    Array.from(subscription.clients).forEach(res => {
+      res.end();
+      this.unsubscribe(sessionId, res);
+    });
+  }
+
+  /**
+   * Get monitor statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let streams = 0;
+    this.subscriptions.forEach(subscription => {
+      streams += subscription.clients.size;
+    });
+    return {
+      sessions: this.subscriptions.size,
+      streams,
+    };
+  }
+
+  /**
+   * Close all streams and stop polling
+   */
+  shutdown() {
+    Array.from(this.subscriptions.keys()).forEach(sessionId => this.closeSession(sessionId));
+    logger.info('✅ VM status monitor shutdown complete');
+  }
+}
+
+module.exports = VMStatusMonitor;
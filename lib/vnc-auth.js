@@ -0,0 +1,326 @@
+/**
+ * VNC Authentication at the Proxy
+ * Completes the RFB handshake with the VNC server using the desktop password
+ * and offers the browser only the "None" security type, so the password
+ * never leaves the gateway.
+ *
+ *   browser  <-- RFB 3.8, security: None -->  gateway  <-- RFB, VNC Authentication -->  VNC server
+ *
+ * Both handshakes end right before ClientInit: the first message the browser
+ * sends afterwards is exactly what the server expects next, so the proxy
+ * relays bytes unchanged from then on.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const logger = require('./logger');
+
+const RFB_VERSION_LENGTH = 12; // 'RFB xxx.yyy\n'
+const RFB_GATEWAY_VERSION = 'RFB 003.008\n';
+const RFB_SECURITY_INVALID = 0;
+const RFB_SECURITY_NONE = 1;
+const RFB_SECURITY_VNC_AUTH = 2;
+const RFB_CHALLENGE_LENGTH = 16;
+
+/**
+ * Buffers a byte stream and reads exact amounts from it
+ */
+class ByteReader {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+    this.consumed = 0;
+    this.error = null;
+    this.wake = null;
+  }
+
+  push(data) {
+    this.chunks.push(data);
+    this.length += data.length;
+    this.notify();
+  }
+
+  fail(error) {
+    this.error = error;
+    this.notify();
+  }
+
+  notify() {
+    if (this.wake) {
+      const wake = this.wake;
+      this.wake = null;
+      wake();
+    }
+  }
+
+  /**
+   * Read exactly n bytes
+   * @param {number} n - Number of bytes
+   * @returns {Promise<Buffer>} The bytes
+   */
+  async read(n) {
+    while (this.length < n) {
+      if (this.error) {
+        throw this.error;
+      }
+      await new Promise(resolve => {
+        this.wake = resolve;
+      });
+    }
+
+    const data = Buffer.concat(this.chunks);
+    this.chunks = data.length > n ? [data.subarray(n)] : [];
+    this.length -= n;
+    this.consumed += n;
+    return data.subarray(0, n);
+  }
+
+  async readUInt8() {
+    return (await this.read(1)).readUInt8(0);
+  }
+
+  async readUInt32() {
+    return (await this.read(4)).readUInt32BE(0);
+  }
+
+  /**
+   * Take everything that has not been read
+   * @returns {Buffer[]} Remaining chunks
+   */
+  drain() {
+    const chunks = this.chunks;
+    this.chunks = [];
+    this.length = 0;
+    return chunks;
+  }
+}
+
+/**
+ * Parse an RFB ProtocolVersion message
+ * @param {Buffer} data - 12 bytes
+ * @returns {number} Minor version the gateway speaks for it: 3, 7 or 8
+ */
+function parseVersion(data) {
+  const match = /^RFB (\d{3})\.(\d{3})\n$/.exec(data.toString('latin1'));
+  if (!match || parseInt(match[1], 10) !== 3) {
+    throw new Error(`Unsupported RFB version: ${JSON.stringify(data.toString('latin1'))}`);
+  }
+  const minor = parseInt(match[2], 10);
+  // 3.889 (Apple Remote Desktop) and anything newer speak 3.8
+  if (minor >= 8) return 8;
+  if (minor === 7) return 7;
+  return 3;
+}
+
+/**
+ * VNC Authentication response: the challenge DES-encrypted with the password
+ * (first 8 bytes, zero padded, bits of every key byte reversed)
+ * @param {string} password - Desktop password
+ * @param {Buffer} challenge - 16-byte server challenge
+ * @returns {Buffer} 16-byte response
+ */
+function vncAuthResponse(password, challenge) {
+  const key = Buffer.alloc(8);
+  Buffer.from(password, 'latin1').copy(key, 0, 0, 8);
+  for (let i = 0; i < key.length; i++) {
+    let byte = key[i];
+    let reversed = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      reversed = (reversed << 1) | (byte & 1);
+      byte >>= 1;
+    }
+    key[i] = reversed;
+  }
+
+  // OpenSSL 3 only ships single DES in the legacy provider; two-key 3DES with
+  // both keys equal (encrypt, decrypt, encrypt) is the same cipher
+  const cipher = crypto.createCipheriv('des-ede-ecb', Buffer.concat([key, key]), null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(challenge), cipher.final()]);
+}
+
+/**
+ * Read a failure reason string (u32 length + text)
+ * @param {ByteReader} reader - Server stream
+ * @returns {Promise<string>} Reason
+ */
+async function readReason(reader) {
+  const length = await reader.readUInt32();
+  return (await reader.read(length)).toString('utf-8');
+}
+
+/**
+ * RFB handshake with the VNC server, up to (not including) ClientInit
+ * @param {ByteReader} server - Server stream
+ * @param {Function} send - Writes to the server
+ * @param {string} password - Desktop password
+ */
+async function authenticateServer(server, send, password) {
+  const minor = parseVersion(await server.read(RFB_VERSION_LENGTH));
+  send(Buffer.from(`RFB 003.00${minor}\n`, 'latin1'));
+
+  let securityType;
+  if (minor === 3) {
+    // 3.3: the server decides
+    securityType = await server.readUInt32();
+    if (securityType === RFB_SECURITY_INVALID) {
+      throw new Error(`VNC server refused the connection: ${await readReason(server)}`);
+    }
+  } else {
+    const count = await server.readUInt8();
+    if (count === 0) {
+      throw new Error(`VNC server refused the connection: ${await readReason(server)}`);
+    }
+    const types = Array.from(await server.read(count));
+
+    if (password && types.includes(RFB_SECURITY_VNC_AUTH)) {
+      securityType = RFB_SECURITY_VNC_AUTH;
+    } else if (types.includes(RFB_SECURITY_NONE)) {
+      securityType = RFB_SECURITY_NONE;
+    } else if (types.includes(RFB_SECURITY_VNC_AUTH)) {
+      throw new Error('VNC server requires a password, but none is known for this VM');
+    } else {
+      throw new Error(`No supported VNC security type (server offers ${types.join(', ')})`);
+    }
+    send(Buffer.from([securityType]));
+  }
+
+  if (securityType === RFB_SECURITY_VNC_AUTH) {
+    if (!password) {
+      throw new Error('VNC server requires a password, but none is known for this VM');
+    }
+    const challenge = await server.read(RFB_CHALLENGE_LENGTH);
+    send(vncAuthResponse(password, challenge));
+  } else if (securityType !== RFB_SECURITY_NONE) {
+    throw new Error(`Unsupported VNC security type ${securityType}`);
+  }
+
+  // SecurityResult: always in 3.8, only after VNC Authentication before that
+  if (minor === 8 || securityType === RFB_SECURITY_VNC_AUTH) {
+    const result = await server.readUInt32();
+    if (result !== 0) {
+      const reason = minor === 8 ? await readReason(server) : 'authentication failed';
+      throw new Error(`VNC authentication failed: ${reason}`);
+    }
+  }
+
+  logger.debug(`🔐 [VNC Auth] Authenticated to VNC server (RFB 3.${minor}, security type ${securityType})`);
+}
+
+/**
+ * RFB handshake with the browser offering only "None", up to ClientInit
+ * If failure is given, the browser is told why the connection is refused instead
+ * @param {ByteReader} client - Browser stream
+ * @param {Function} send - Writes to the browser
+ * @param {string} [failure] - Reason to refuse the connection
+ */
+async function acceptClient(client, send, failure) {
+  send(Buffer.from(RFB_GATEWAY_VERSION, 'latin1'));
+  const minor = parseVersion(await client.read(RFB_VERSION_LENGTH));
+
+  if (failure) {
+    const reason = Buffer.from(failure, 'utf-8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(reason.length);
+    // 3.3: security type 0, 3.7+: empty security type list, each followed by the reason
+    send(Buffer.concat([minor === 3 ? Buffer.alloc(4) : Buffer.from([0]), length, reason]));
+    return;
+  }
+
+  if (minor === 3) {
+    const type = Buffer.alloc(4);
+    type.writeUInt32BE(RFB_SECURITY_NONE);
+    send(type);
+    return;
+  }
+
+  send(Buffer.from([1, RFB_SECURITY_NONE]));
+  const choice = await client.readUInt8();
+  if (choice !== RFB_SECURITY_NONE) {
+    throw new Error(`Browser chose unsupported security type ${choice}`);
+  }
+  if (minor === 8) {
+    send(Buffer.alloc(4)); // SecurityResult OK
+  }
+}
+
+/**
+ * Authenticate to the VNC server and hand the browser a password-less session
+ * @param {WebSocket} ws - Browser WebSocket
+ * @param {net.Socket} target - Connected VNC server socket (not read from yet)
+ * @param {Object} options - Handshake options
+ * @param {string} options.password - Desktop password
+ * @param {Buffer[]} options.clientData - Browser data received before the handshake started
+ * @param {number} options.timeout - Handshake timeout in ms
+ * @returns {Promise<Object>} { sent, received, clientData, serverData } -
+ *   frames sent to the browser, bytes read from it, and unread browser / server data to relay
+ */
+async function negotiateVNC(ws, target, options = {}) {
+  const client = new ByteReader();
+  const server = new ByteReader();
+  const sent = [];
+
+  const onMessage = (data) => client.push(Buffer.from(data));
+  const onData = (data) => server.push(data);
+  const onClientClose = () => client.fail(new Error('Browser closed the connection during VNC handshake'));
+  const onServerClose = () => server.fail(new Error('VNC server closed the connection during VNC handshake'));
+
+  (options.clientData || []).forEach(data => client.push(Buffer.from(data)));
+  ws.on('message', onMessage);
+  ws.on('close', onClientClose);
+  target.on('data', onData);
+  target.on('close', onServerClose);
+
+  const timer = setTimeout(() => {
+    const error = new Error('VNC handshake timeout');
+    client.fail(error);
+    server.fail(error);
+  }, options.timeout || 10000);
+
+  const sendToClient = (data) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(data, { binary: true });
+      sent.push(data);
+    }
+  };
+  const sendToServer = (data) => {
+    if (target.writable) {
+      target.write(data);
+    }
+  };
+
+  try {
+    try {
+      await authenticateServer(server, sendToServer, options.password);
+    } catch (error) {
+      // Tell noVNC why, so the user sees more than a dropped connection
+      await acceptClient(client, sendToClient, error.message).catch(() => {});
+      throw error;
+    }
+    await acceptClient(client, sendToClient);
+
+    const clientData = client.drain();
+    return {
+      sent,
+      received: client.consumed,
+      clientData,
+      serverData: server.drain(),
+    };
+  } finally {
+    clearTimeout(timer);
+    ws.removeListener('message', onMessage);
+    ws.removeListener('close', onClientClose);
+    // Keep server data in the socket buffer until the proxy listens again
+    target.pause();
+    target.removeListener('data', onData);
+    target.removeListener('close', onServerClose);
+  }
+}
+
+module.exports = {
+  ByteReader,
+  negotiateVNC,
+  vncAuthResponse,
+};
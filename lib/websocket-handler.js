@@ -1,179 +1,163 @@
 /**
  * WebSocket Connection Handler
- * Handles authentication and VNC connection info retrieval for WebSocket connections
+ * Handles ticket authentication and VNC connection info retrieval for WebSocket connections
+ *
+ * authorizeVNCUpgrade() runs before the WebSocket handshake (see lib/upgrade-router.js),
+ * handleVNCConnection() once it is accepted.
  */
 
 'use strict';
 
-const jwt = require('jsonwebtoken');
+const { extractTicket } = require('./connect-tickets');
+const { createUpgradeError } = require('./upgrade-router');
 const logger = require('./logger');
 
 /**
- * Extract JWT token from WebSocket request
- * @param {Object} req - HTTP request object from WebSocket upgrade
- * @returns {string|null} JWT token or null
- */
-function extractToken(req) {
-  // Try query parameter first
-  const urlParams = new URLSearchParams(req.url.split('?')[1]);
-  const queryToken = urlParams.get('token');
-  if (queryToken) return queryToken;
-
-  // Try Authorization header
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    return authHeader.substring(7);
-  }
-
-  return null;
-}
-
-/**
- * Verify JWT token and get VNC connection info
- * @param {string} token - JWT token
+ * Redeem a connect ticket and get VNC connection info
+ * @param {string} ticket - Connect ticket (see lib/connect-tickets.js)
  * @param {string} vmId - Virtual machine ID
- * @param {Object} config - Configuration object with jwt.secret
+ * @param {Object} connectTickets - ConnectTickets instance
  * @param {Object} ocloudviewService - OcloudView service instance
  * @param {Object} sessionStore - Session store instance
- * @returns {Promise<Object|null>} VNC connection info or null
+ * @param {Object} vmAccess - VMAccess instance
+ * @param {string} clientAddr - Client address (for the audit log)
+ * @param {Object} connectionSecrets - SecretBox the cached desktop passwords are encrypted with
+ * @returns {Promise<Object>} VNC connection info (with owner identity)
+ * @throws {Error} with status 401 (ticket / session), 403 (VM not assigned) or 502 (ocloudview)
  */
-async function verifyAndGetVNCInfo(token, vmId, config, ocloudviewService, sessionStore) {
-  try {
-    logger.debug('   [Auth] Verifying JWT token...');
-    // Verify JWT token
-    const decoded = jwt.verify(token, config.jwt.secret);
-    logger.debug('   [Auth] Token decoded:', {
-      userId: decoded.userId,
-      sessionId: decoded.sessionId,
-      vmId: decoded.vmId,
-      hasOcloudToken: !!decoded.ocloudToken
-    });
+async function verifyAndGetVNCInfo(ticket, vmId, connectTickets, ocloudviewService, sessionStore, vmAccess, clientAddr, connectionSecrets) {
+  logger.debug('   [Auth] Redeeming connect ticket...');
+  const grant = await connectTickets.redeem(ticket, vmId, 'vnc');
+  if (!grant) {
+    throw createUpgradeError(401, 'Invalid or expired ticket');
+  }
+  logger.debug('   [Auth] Ticket redeemed:', {
+    userId: grant.userId,
+    sessionId: grant.sessionId,
+    vmId: grant.vmId
+  });
+
+  // Connection owner, recorded by the proxy for connection management
+  const owner = {
+    userId: grant.userId,
+    username: grant.username,
+    sessionId: grant.sessionId
+  };
+
+  logger.debug('   [Auth] Looking up session:', grant.sessionId);
+  const sessionData = await sessionStore.get(grant.sessionId);
+  if (!sessionData) {
+    logger.error('   [Auth] Session not found in store');
+    logger.error('   [Auth] Session may have expired or been logged out');
+    throw createUpgradeError(401, 'Session expired');
+  }
+  logger.debug('   [Auth] Session found');
 
-    // If it's a VNC-specific token
-    if (decoded.vmId && decoded.ocloudToken) {
-      logger.debug('   [Auth] Using VNC-specific token');
-      return await ocloudviewService.getCompleteVNCInfo(decoded.ocloudToken, vmId);
-    }
+  // The VM must still be assigned to the user (the machine list may have changed since the ticket)
+  const access = await vmAccess.checkVM({ ...owner, ip: clientAddr }, vmId, 'vnc');
+  if (!access.allowed) {
+    throw createUpgradeError(403, `VM not accessible (${access.reason})`);
+  }
 
-    // If it's a user token, get info from session
-    if (decoded.sessionId) {
-      logger.debug('   [Auth] Looking up session:', decoded.sessionId);
-      const sessionData = sessionStore.get(decoded.sessionId);
-      if (sessionData) {
-        logger.debug('   [Auth] Session found');
-
-        // IMPORTANT: Check session cache first to use same password as frontend
-        // OcloudView API returns different passwords on each call
-        if (sessionData.vncConnections && sessionData.vncConnections.has(vmId)) {
-          const cachedInfo = sessionData.vncConnections.get(vmId);
-          logger.debug('   [Auth] ✅ Using cached VNC info from session');
-          logger.debug('   [Auth] Password preview:', cachedInfo.password ? cachedInfo.password.substring(0, 3) + '***' : 'null');
-          logger.debug('   [Auth] Cached at:', new Date(cachedInfo.timestamp).toISOString());
-          return {
-            host: cachedInfo.host,
-            port: cachedInfo.port,
-            password: cachedInfo.password
-          };
-        } else {
-          logger.debug('   [Auth] ⚠️ VNC info not cached, fetching from API');
-          logger.debug('   [Auth] Note: Frontend should call /api/vnc/connect/:vmId first to cache password');
-          logger.debug('   [Auth] OcloudToken:', sessionData.ocloudToken ? sessionData.ocloudToken.substring(0, 20) + '...' : 'null');
-          return await ocloudviewService.getCompleteVNCInfo(sessionData.ocloudToken, vmId);
-        }
-      } else {
-        logger.error('   [Auth] Session not found in store');
-        logger.error('   [Auth] Available sessions:', Array.from(sessionStore.keys()));
-      }
-    } else {
-      logger.error('   [Auth] Token missing sessionId and vmId fields');
+  // IMPORTANT: Check session cache first to use same password as frontend
+  // OcloudView API returns different passwords on each call
+  if (sessionData.vncConnections && sessionData.vncConnections.has(vmId)) {
+    const cachedInfo = sessionData.vncConnections.get(vmId);
+    try {
+      const password = cachedInfo.password ? connectionSecrets.decrypt(cachedInfo.password) : cachedInfo.password;
+      logger.debug('   [Auth] ✅ Using cached VNC info from session');
+      logger.debug('   [Auth] Cached at:', new Date(cachedInfo.timestamp).toISOString());
+      return {
+        host: cachedInfo.host,
+        port: cachedInfo.port,
+        password,
+        ...owner
+      };
+    } catch (error) {
+      // Cached before passwords were encrypted, or under another key
+      logger.warn('   [Auth] ⚠️ Cached VNC password cannot be decrypted:', error.message);
     }
+  }
 
-    return null;
+  logger.debug('   [Auth] ⚠️ VNC info not cached, fetching from API');
+  logger.debug('   [Auth] Note: Frontend should call /api/vnc/connect/:vmId first to cache password');
+  try {
+    return { ...(await ocloudviewService.getCompleteVNCInfo(sessionData.ocloudToken, vmId)), ...owner };
   } catch (error) {
-    logger.error('   [Auth] Token verification error:', error.message);
-    if (error.name === 'TokenExpiredError') {
-      logger.error('   [Auth] Token expired at:', error.expiredAt);
-    }
-    return null;
+    logger.error('   [Auth] Failed to get VNC info:', error.message);
+    throw createUpgradeError(502, 'Failed to get VNC connection info');
   }
 }
 
 /**
- * Handle WebSocket connection for VNC
- * @param {WebSocket} ws - WebSocket connection
- * @param {Object} req - HTTP request object
+ * Authorize a VNC WebSocket upgrade (/vnc/{vmId}?ticket=xxx)
+ * @param {Object} req - HTTP upgrade request
+ * @param {Object} params - Route parameters
+ * @param {string} params.vmId - Virtual machine ID
  * @param {Object} options - Handler options
- * @param {Object} options.wsProxy - WebsockifyProxy instance
- * @param {Object} options.config - Configuration object
+ * @param {Object} options.connectTickets - ConnectTickets instance
+ * @param {Object} options.vmAccess - VMAccess instance
  * @param {Object} options.ocloudviewService - OcloudView service
  * @param {Object} options.sessionStore - Session store
+ * @param {Object} options.connectionSecrets - SecretBox for the cached desktop passwords
+ * @param {Object} [options.clipboardPolicy] - ClipboardPolicy, a force-off blocks the clipboard at the proxy
+ * @returns {Promise<Object>} VNC connection info, passed to handleVNCConnection()
+ * @throws {Error} with status, the upgrade is rejected with it
  */
-async function handleVNCConnection(ws, req, options) {
-  const { wsProxy, config, ocloudviewService, sessionStore } = options;
-
-  logger.debug(`🔌 New WebSocket connection request`);
-  logger.debug(`   URL: ${req.url}`);
-  logger.debug(`   Origin: ${req.headers.origin || 'none'}`);
-
-  // Validate path format: should be /vnc/{vmId}?token=xxx
-  const urlPath = req.url.split('?')[0];
-  logger.debug(`   Path: ${urlPath}`);
-
-  if (!urlPath.startsWith('/vnc/')) {
-    logger.error(`❌ Invalid WebSocket path: ${urlPath}`);
-    logger.error(`   Expected format: /vnc/{vmId}?token=xxx`);
-    ws.close(1002, 'Invalid path');
-    return;
-  }
-
-  // Extract VM ID from URL
-  const urlParts = urlPath.split('/');
-  const vmId = urlParts[2]; // /vnc/{vmId}
+async function authorizeVNCUpgrade(req, params, options) {
+  const { connectTickets, vmAccess, ocloudviewService, sessionStore, connectionSecrets, clipboardPolicy } = options;
+  const { vmId } = params;
 
+  logger.debug(`🔌 New VNC WebSocket upgrade request`);
   logger.debug(`   VM ID: ${vmId}`);
 
-  if (!vmId || vmId.trim() === '') {
-    logger.error('❌ No VM ID provided in WebSocket connection');
-    ws.close(1002, 'VM ID required');
-    return;
-  }
+  const ticket = extractTicket(req);
+  logger.debug(`   Ticket: ${ticket ? 'provided' : 'null'}`);
 
-  try {
-    // Extract and verify token
-    const token = extractToken(req);
-    logger.debug(`   Token: ${token ? token.substring(0, 20) + '...' : 'null'}`);
-
-    if (!token) {
-      logger.error('❌ No authentication token provided');
-      ws.close(1008, 'Authentication required');
-      return;
-    }
+  if (!ticket) {
+    throw createUpgradeError(401, 'Authentication required');
+  }
 
-    // Get VNC connection info
-    logger.debug(`   Verifying token and getting VNC info...`);
-    const vncInfo = await verifyAndGetVNCInfo(
-      token,
-      vmId,
-      config,
-      ocloudviewService,
-      sessionStore
-    );
-
-    if (!vncInfo) {
-      logger.error('❌ Failed to get VNC connection info');
-      logger.error('   Check: Token validity, session data, OcloudView API');
-      ws.close(1008, 'Connection failed');
-      return;
-    }
+  logger.debug(`   Verifying ticket and getting VNC info...`);
+  const vncInfo = await verifyAndGetVNCInfo(
+    ticket,
+    vmId,
+    connectTickets,
+    ocloudviewService,
+    sessionStore,
+    vmAccess,
+    req.socket.remoteAddress,
+    connectionSecrets
+  );
+
+  logger.debug(`✅ VNC info retrieved: ${vncInfo.host}:${vncInfo.port}`);
+  const clipboardBlocked = clipboardPolicy ? (await clipboardPolicy.get(vncInfo.userId)).forcedOff : false;
+  return { vmId, ...vncInfo, clipboardBlocked };
+}
 
-    logger.debug(`✅ VNC info retrieved: ${vncInfo.host}:${vncInfo.port}`);
+/**
+ * Handle an accepted VNC WebSocket connection
+ * @param {WebSocket} ws - WebSocket connection
+ * @param {Object} req - HTTP request object
+ * @param {Object} vncInfo - Result of authorizeVNCUpgrade()
+ * @param {Object} options - Handler options
+ * @param {Object} options.wsProxy - WebsockifyProxy instance
+ */
+async function handleVNCConnection(ws, req, vncInfo, options) {
+  const { wsProxy } = options;
 
+  try {
     // Establish WebSocket to TCP proxy
     await wsProxy.handleConnection(ws, {
-      vmId,
+      vmId: vncInfo.vmId,
       host: vncInfo.host,
       port: vncInfo.port,
-      password: vncInfo.password
+      password: vncInfo.password,
+      userId: vncInfo.userId,
+      username: vncInfo.username,
+      sessionId: vncInfo.sessionId,
+      clipboardBlocked: vncInfo.clipboardBlocked,
+      protocol: 'vnc'
     });
 
   } catch (error) {
@@ -184,7 +168,7 @@ async function handleVNCConnection(ws, req, options) {
 }
 
 module.exports = {
-  extractToken,
   verifyAndGetVNCInfo,
+  authorizeVNCUpgrade,
   handleVNCConnection
 };
@@ -2,24 +2,44 @@
  * WebSocket-to-TCP Proxy for noVNC
  * Based on websockify-js architecture and design principles
  * Supports dynamic target routing for multiple VNC servers
+ *
+ * The desktop password stays on the gateway: VNC connections are authenticated
+ * here (the browser gets a "None" security type), and the SPICE ticket the
+ * browser sends is replaced with the real one.
  */
 
 'use strict';
 
 const net = require('net');
+const EventEmitter = require('events');
 const WebSocket = require('ws');
 const logger = require('./logger');
+const TrafficMeter = require('./traffic-meter');
+const metrics = require('./metrics');
+const { negotiateVNC } = require('./vnc-auth');
+const { SpiceTicketRewriter } = require('./spice-auth');
+const { VncClipboardFilter, SpiceClipboardFilter } = require('./clipboard-filter');
 
 /**
  * WebSocket Proxy Class
  * Bridges WebSocket clients to VNC TCP servers
+ *
+ * Events:
+ * - 'connection:open'  (info) - proxy established
+ * - 'connection:close' (info) - connection gone, with duration, byte totals and reason
  */
-class WebsockifyProxy {
+class WebsockifyProxy extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.wss = options.wss;
+    this.recorder = options.recorder || null; // SessionRecorder (optional)
     this.connections = new Map(); // connectionId -> connection info
     this.vmConnections = new Map(); // vmId -> Set of connectionIds
+    this.pendingConnections = new Map(); // connectionId -> { vmId, ws, sessionId, closeReason } while connecting / VNC handshake
+    this.vmTraffic = new Map(); // vmId -> TrafficMeter (kept after disconnect for totals, until idle for trafficRetention)
+    this.userTraffic = new Map(); // userId -> TrafficMeter (kept after disconnect for totals, until idle for trafficRetention)
     this.heartbeatInterval = null;
+    this.trafficPruneInterval = null;
     this.connectionIdCounter = 0;
     this.config = {
       heartbeatTimeout: options.heartbeatTimeout || 30000,
@@ -36,13 +56,24 @@ class WebsockifyProxy {
       maxRetries: options.maxRetries !== undefined ? options.maxRetries : 3, // Maximum number of retry attempts
       retryDelay: options.retryDelay || 1000, // Initial retry delay in ms (exponential backoff)
       retryBackoffMultiplier: options.retryBackoffMultiplier || 2, // Backoff multiplier for each retry
+      // VNC handshake (authentication at the proxy)
+      authTimeout: options.authTimeout || 10000, // Max time for both RFB handshakes to complete
+      // Traffic accounting
+      trafficWindow: options.trafficWindow || 10000, // Rolling window for throughput rates in ms
+      trafficRetention: options.trafficRetention || 24 * 60 * 60 * 1000, // Drop per-VM / per-user totals idle this long without connections
       ...options
     };
 
+    this.traffic = this.createTrafficMeter(); // Totals across all connections
+
     if (this.config.enableHeartbeat !== false) {
       this.startHeartbeat();
     }
 
+    // Per-VM / per-user meters would otherwise grow with every VM and user ever seen
+    this.trafficPruneInterval = setInterval(() => this.pruneTrafficMeters(), 60 * 1000);
+    this.trafficPruneInterval.unref();
+
     logger.debug('🚀 WebsockifyProxy initialized');
     logger.debug(`   Max connections per VM: ${this.config.maxConnectionsPerVM}`);
     logger.debug(`   TCP Keepalive: ${this.config.tcpKeepaliveEnable ? 'enabled' : 'disabled'}`);
@@ -84,9 +115,11 @@ class WebsockifyProxy {
    * Handle new WebSocket connection
    * @param {WebSocket} ws - WebSocket client
    * @param {Object} connectionInfo - Connection information including vmId, host, port
+   *   and the owner (userId, username, sessionId) and protocol ('vnc' / 'spice');
+   *   clipboardBlocked drops the clipboard traffic (an administrator forced it off)
    */
   async handleConnection(ws, connectionInfo) {
-    const { vmId, host, port, password } = connectionInfo;
+    const { vmId, host, port, password, userId, username, sessionId, protocol, clipboardBlocked } = connectionInfo;
     const clientAddr = ws._socket?.remoteAddress || 'unknown';
 
     // Generate unique connection ID
@@ -96,8 +129,8 @@ class WebsockifyProxy {
     logger.debug(`   Connection ID: ${connectionId}`);
     logger.debug(`📡 Target: ${host}:${port}`);
 
-    // Check global max connections limit
-    if (this.connections.size >= this.config.maxConnections) {
+    // Check global max connections limit (connections still being set up hold a slot)
+    if (this.connections.size + this.pendingConnections.size >= this.config.maxConnections) {
       logger.error('❌ Global max connections limit reached');
       ws.send(JSON.stringify({
         type: 'error',
@@ -108,9 +141,9 @@ class WebsockifyProxy {
     }
 
     // Check per-VM max connections limit
-    const vmConns = this.vmConnections.get(vmId) || new Set();
-    if (vmConns.size >= this.config.maxConnectionsPerVM) {
-      logger.error(`❌ Max connections limit reached for VM ${vmId} (${vmConns.size}/${this.config.maxConnectionsPerVM})`);
+    const vmSlots = this.getVMConnectionCount(vmId) + this.getPendingConnectionIds(pending => pending.vmId === vmId).length;
+    if (vmSlots >= this.config.maxConnectionsPerVM) {
+      logger.error(`❌ Max connections limit reached for VM ${vmId} (${vmSlots}/${this.config.maxConnectionsPerVM})`);
       ws.send(JSON.stringify({
         type: 'error',
         message: 'Too many connections for this VM'
@@ -119,6 +152,18 @@ class WebsockifyProxy {
       return;
     }
 
+    // Reserve the slot before the first await, so concurrent connections see it and
+    // logout / revocation can close the connection while it is still being set up
+    const pending = { vmId, ws, sessionId: sessionId || null, closeReason: null };
+    this.pendingConnections.set(connectionId, pending);
+    const onEarlyClose = () => this.closePendingConnection(connectionId, 'Client disconnected');
+    ws.once('close', onEarlyClose);
+    const checkPending = () => {
+      if (pending.closeReason) {
+        throw new Error(`Connection closed during setup: ${pending.closeReason}`);
+      }
+    };
+
     // Buffer for messages received before TCP connection is established
     const messageBuffer = [];
     let isProxyReady = false;
@@ -134,31 +179,33 @@ class WebsockifyProxy {
     };
     ws.on('message', tempMessageHandler);
 
+    let target = null;
     try {
       // Create TCP connection to VNC/SPICE server
-      const target = await this.createTargetConnection(host, port);
+      target = await this.createTargetConnection(host, port);
+      checkPending();
 
       // Mark proxy as ready and remove temporary handler
       isProxyReady = true;
       ws.removeListener('message', tempMessageHandler);
       logger.debug(`✅ [Buffer] TCP connection ready, buffered ${messageBuffer.length} message(s)`);
 
-      // Setup bidirectional proxy
-      this.setupProxy(ws, target, vmId, connectionId, clientAddr);
-
-      // Forward buffered messages to TCP server
-      if (messageBuffer.length > 0) {
-        logger.debug(`📤 [Buffer] Forwarding ${messageBuffer.length} buffered message(s) to TCP server`);
-        for (const data of messageBuffer) {
-          const buffer = Buffer.from(data);
-          logger.debug(`   → Forwarding ${buffer.length} bytes`);
-          if (target.writable) {
-            target.write(buffer);
-          }
-        }
+      // VNC: authenticate to the server here, the browser only sees security type "None"
+      let handshake = null;
+      if (protocol === 'vnc') {
+        handshake = await negotiateVNC(ws, target, {
+          password,
+          clientData: messageBuffer,
+          timeout: this.config.authTimeout
+        });
+        checkPending();
+        // Browser data after the handshake (ClientInit) is forwarded like buffered data
+        messageBuffer.splice(0, messageBuffer.length, ...handshake.clientData);
       }
 
-      // Store connection info
+      // Store connection info (before forwarding so byte counters see buffered data)
+      this.pendingConnections.delete(connectionId);
+      ws.removeListener('close', onEarlyClose);
       this.connections.set(connectionId, {
         vmId,
         ws,
@@ -167,9 +214,61 @@ class WebsockifyProxy {
         lastActivity: Date.now(),
         host,
         port,
-        clientAddr
+        clientAddr,
+        userId: userId || null,
+        username: username || null,
+        sessionId: sessionId || null,
+        protocol: protocol || 'unknown',
+        traffic: this.createTrafficMeter(),
+        recording: null,
+        // SPICE: swaps the (empty) ticket from the browser for the real one
+        spiceTicket: protocol === 'spice' && password ? new SpiceTicketRewriter(password) : null,
+        // Clipboard forced off: cut text / agent clipboard messages are dropped in both directions
+        clipboardFilter: clipboardBlocked ? (protocol === 'spice' ? new SpiceClipboardFilter() : new VncClipboardFilter()) : null
       });
 
+      // Record the session if recording is enabled for this VM/user
+      if (this.recorder && this.recorder.shouldRecord({ vmId, userId, protocol })) {
+        this.connections.get(connectionId).recording = this.recorder.start({
+          connectionId, vmId, userId, username, protocol, clientAddr
+        });
+      }
+
+      // The recording starts with the handshake the browser saw (security type "None")
+      if (handshake) {
+        this.recordTraffic(connectionId, 'in', handshake.received);
+        for (const data of handshake.sent) {
+          this.recordTraffic(connectionId, 'out', data.length);
+          this.recordFrame(connectionId, 'out', data);
+        }
+      }
+
+      // Setup bidirectional proxy
+      this.setupProxy(ws, target, vmId, connectionId, clientAddr);
+
+      // Server data that arrived with the end of the VNC handshake
+      if (handshake) {
+        for (const received of handshake.serverData) {
+          const data = this.filterClipboard(connectionId, 'out', received);
+          if (data && data.length > 0 && ws.readyState === WebSocket.OPEN) {
+            ws.send(data, { binary: true });
+            this.recordTraffic(connectionId, 'out', data.length);
+            this.recordFrame(connectionId, 'out', data);
+          }
+        }
+        target.resume();
+      }
+
+      // Forward buffered messages to TCP server
+      if (messageBuffer.length > 0) {
+        logger.debug(`📤 [Buffer] Forwarding ${messageBuffer.length} buffered message(s) to TCP server`);
+        for (const data of messageBuffer) {
+          const buffer = Buffer.from(data);
+          logger.debug(`   → Forwarding ${buffer.length} bytes`);
+          this.forwardToTarget(connectionId, target, buffer);
+        }
+      }
+
       // Track VM connections
       if (!this.vmConnections.has(vmId)) {
         this.vmConnections.set(vmId, new Set());
@@ -181,8 +280,12 @@ class WebsockifyProxy {
       logger.debug(`   Total connections: ${this.connections.size}`);
       logger.debug(`   VM ${vmId} connections: ${vmConnCount}/${this.config.maxConnectionsPerVM}`);
 
+      this.emit('connection:open', this.getConnectionEventInfo(connectionId));
+
     } catch (error) {
-      logger.error(`❌ Failed to establish proxy for VM ${vmId}:`, error.message);
+      // Release the reserved slot
+      this.pendingConnections.delete(connectionId);
+      ws.removeListener('close', onEarlyClose);
 
       // Clean up temporary message handler
       if (!isProxyReady) {
@@ -190,6 +293,19 @@ class WebsockifyProxy {
         logger.debug(`🧹 [Buffer] Cleaned up temporary message handler (${messageBuffer.length} buffered messages discarded)`);
       }
 
+      // Connected, but the VNC handshake failed or the connection was closed meanwhile
+      if (target) {
+        target.destroy();
+      }
+
+      // Closed by the client, logout / revocation or an administrator: the WebSocket is already closing
+      if (pending.closeReason) {
+        logger.debug(`🔌 Connection ${connectionId} for VM ${vmId} closed during setup: ${pending.closeReason}`);
+        return;
+      }
+
+      logger.error(`❌ Failed to establish proxy for VM ${vmId}:`, error.message);
+
       ws.send(JSON.stringify({
         type: 'error',
         message: 'Failed to connect to server'
@@ -265,6 +381,10 @@ class WebsockifyProxy {
         }
 
         // Attempt connection
+        metrics.tcpConnectAttempts.inc();
+        if (attempt > 1) {
+          metrics.tcpConnectRetries.inc();
+        }
         const target = await this._attemptConnection(host, port, attempt);
 
         // Success! Return the connection
@@ -286,6 +406,7 @@ class WebsockifyProxy {
     }
 
     // All attempts failed
+    metrics.tcpConnectFailures.inc();
     logger.error(`❌ All ${maxAttempts} connection attempts failed for ${host}:${port}`);
     logger.error(`   Last error: ${lastError.message}`);
     throw lastError;
@@ -337,9 +458,7 @@ class WebsockifyProxy {
             logger.debug(`   Data (hex): ${hexDump}`);
           }
 
-          if (target.writable) {
-            target.write(buffer);
-          } else {
+          if (!this.forwardToTarget(connectionId, target, buffer)) {
             log(`⚠️ TCP socket not writable, cannot send data`);
           }
         }
@@ -352,9 +471,7 @@ class WebsockifyProxy {
             // If not JSON, treat as binary data
             const buffer = Buffer.from(data);
             logger.debug(`📤 [WS→TCP] ${vmId}: Sending ${buffer.length} bytes (text->binary) to SPICE server`);
-            if (target.writable) {
-              target.write(buffer);
-            } else {
+            if (!this.forwardToTarget(connectionId, target, buffer)) {
               log(`⚠️ TCP socket not writable, cannot send data`);
             }
           }
@@ -362,9 +479,7 @@ class WebsockifyProxy {
         else {
           const buffer = Buffer.from(data);
           logger.debug(`📤 [WS→TCP] ${vmId}: Sending ${buffer.length} bytes (unknown type) to SPICE server`);
-          if (target.writable) {
-            target.write(buffer);
-          } else {
+          if (!this.forwardToTarget(connectionId, target, buffer)) {
             log(`⚠️ TCP socket not writable, cannot send data`);
           }
         }
@@ -386,9 +501,21 @@ class WebsockifyProxy {
           logger.debug(`   Data (hex): ${hexDump}`);
         }
 
+        const conn = this.connections.get(connectionId);
+        if (conn && conn.spiceTicket) {
+          conn.spiceTicket.fromServer(data);
+        }
+
+        const forward = this.filterClipboard(connectionId, 'out', data);
+        if (!forward || forward.length === 0) {
+          return;
+        }
+
         if (ws.readyState === WebSocket.OPEN) {
           logger.debug(`   → Forwarding to WebSocket client (state: OPEN)`);
-          ws.send(data, { binary: true });
+          ws.send(forward, { binary: true });
+          this.recordTraffic(connectionId, 'out', forward.length);
+          this.recordFrame(connectionId, 'out', forward);
           this.updateActivity(connectionId);
         } else {
           logger.error(`   ❌ Cannot forward: WebSocket state is ${ws.readyState} (not OPEN)`);
@@ -409,7 +536,7 @@ class WebsockifyProxy {
     ws.on('close', (code, reason) => {
       log(`WebSocket closed: ${code} [${reason}]`);
       target.end();
-      this.cleanupConnection(connectionId, vmId);
+      this.cleanupConnection(connectionId, vmId, 'client_closed');
       log(`Connection cleaned up (${this.connections.size} total, ${this.getVMConnectionCount(vmId)} for this VM)`);
     });
 
@@ -417,7 +544,7 @@ class WebsockifyProxy {
     ws.on('error', (error) => {
       log(`WebSocket error: ${error.message}`);
       target.end();
-      this.cleanupConnection(connectionId, vmId);
+      this.cleanupConnection(connectionId, vmId, 'client_error');
     });
 
     // Handle TCP close
@@ -426,7 +553,7 @@ class WebsockifyProxy {
       if (ws.readyState === WebSocket.OPEN) {
         ws.close(1000, 'Server connection closed');
       }
-      this.cleanupConnection(connectionId, vmId);
+      this.cleanupConnection(connectionId, vmId, 'server_closed');
     });
 
     // Handle TCP error
@@ -435,16 +562,82 @@ class WebsockifyProxy {
       if (ws.readyState === WebSocket.OPEN) {
         ws.close(1011, 'Server connection error');
       }
-      this.cleanupConnection(connectionId, vmId);
+      this.cleanupConnection(connectionId, vmId, 'server_error');
     });
   }
 
+  /**
+   * Write client data to the TCP server (SPICE tickets are replaced on the way)
+   * @param {string} connectionId - Connection identifier
+   * @param {net.Socket} target - TCP target connection
+   * @param {Buffer} buffer - Client data
+   * @returns {boolean} false if the TCP socket is not writable
+   */
+  forwardToTarget(connectionId, target, buffer) {
+    if (!target.writable) {
+      return false;
+    }
+
+    // Traffic and recording see what the browser sent, not the real ticket
+    this.recordTraffic(connectionId, 'in', buffer.length);
+    this.recordFrame(connectionId, 'in', buffer);
+
+    const conn = this.connections.get(connectionId);
+    const data = this.filterClipboard(connectionId, 'in', conn && conn.spiceTicket ? conn.spiceTicket.fromClient(buffer) : buffer);
+    if (data && data.length > 0) {
+      target.write(data);
+    }
+    return true;
+  }
+
+  /**
+   * Pass data through the connection's clipboard filter (if any)
+   * @param {string} connectionId - Connection identifier
+   * @param {string} direction - 'in' (client -> server) or 'out' (server -> client)
+   * @param {Buffer} data - Data to forward
+   * @returns {Buffer|null} Filtered data, or null if the stream could not be filtered
+   *   (the connection is closed)
+   */
+  filterClipboard(connectionId, direction, data) {
+    const conn = this.connections.get(connectionId);
+    if (!conn || !conn.clipboardFilter) {
+      return data;
+    }
+
+    try {
+      return direction === 'in' ? conn.clipboardFilter.fromClient(data) : conn.clipboardFilter.fromServer(data);
+    } catch (error) {
+      if (!conn.clipboardFilterFailed) {
+        conn.clipboardFilterFailed = true;
+        logger.error(`❌ [Clipboard] Cannot filter connection ${connectionId} for VM ${conn.vmId}: ${error.message}`);
+        // Closed once the caller is done with the connection (it may still be setting it up)
+        process.nextTick(() => this.closeConnection(connectionId, 'Clipboard filter error'));
+      }
+      return null;
+    }
+  }
+
   /**
    * Clean up a connection
    * @param {string} connectionId - Connection ID
    * @param {string} vmId - VM ID
+   * @param {string} reason - Why the connection ended (reported in 'connection:close')
    */
-  cleanupConnection(connectionId, vmId) {
+  cleanupConnection(connectionId, vmId, reason = 'closed') {
+    // Finish the session recording
+    const conn = this.connections.get(connectionId);
+    if (conn && conn.recording) {
+      conn.recording.close();
+    }
+
+    // Several close/error handlers may run for one connection, only report it once
+    if (conn) {
+      this.emit('connection:close', {
+        ...this.getConnectionEventInfo(connectionId),
+        reason,
+      });
+    }
+
     // Remove from connections map
     this.connections.delete(connectionId);
 
@@ -510,6 +703,89 @@ class WebsockifyProxy {
     }
   }
 
+  /**
+   * Create a traffic meter with the proxy's rate window
+   * @returns {TrafficMeter} Traffic meter
+   */
+  createTrafficMeter() {
+    return new TrafficMeter({ windowMs: this.config.trafficWindow });
+  }
+
+  /**
+   * Get (or create) the aggregate traffic meter for a key
+   * @param {Map} meters - vmTraffic or userTraffic
+   * @param {string} key - VM ID or user ID
+   * @returns {TrafficMeter} Traffic meter
+   */
+  getAggregateMeter(meters, key) {
+    let meter = meters.get(key);
+    if (!meter) {
+      meter = this.createTrafficMeter();
+      meters.set(key, meter);
+    }
+    return meter;
+  }
+
+  /**
+   * Drop per-VM and per-user meters without live connections and no traffic for trafficRetention
+   * @returns {number} Number of meters removed
+   */
+  pruneTrafficMeters() {
+    const cutoff = Date.now() - this.config.trafficRetention;
+    const activeUsers = new Set(Array.from(this.connections.values(), conn => conn.userId));
+    let removed = 0;
+
+    for (const [meters, isActive] of [
+      [this.vmTraffic, vmId => this.getVMConnectionCount(vmId) > 0],
+      [this.userTraffic, userId => activeUsers.has(userId)],
+    ]) {
+      for (const [key, meter] of meters.entries()) {
+        if (meter.lastActivity < cutoff && !isActive(key)) {
+          meters.delete(key);
+          removed++;
+        }
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug(`🧹 Removed ${removed} idle traffic meters`);
+    }
+    return removed;
+  }
+
+  /**
+   * Record forwarded data for a connection and its VM, user and the proxy totals
+   * @param {string} connectionId - Connection identifier
+   * @param {string} direction - 'in' (client -> server) or 'out' (server -> client)
+   * @param {number} length - Number of bytes
+   */
+  recordTraffic(connectionId, direction, length) {
+    const conn = this.connections.get(connectionId);
+    if (!conn) {
+      return;
+    }
+
+    conn.traffic.record(direction, length);
+    this.getAggregateMeter(this.vmTraffic, conn.vmId).record(direction, length);
+    if (conn.userId) {
+      this.getAggregateMeter(this.userTraffic, conn.userId).record(direction, length);
+    }
+    this.traffic.record(direction, length);
+  }
+
+  /**
+   * Pass forwarded data to the connection's recording (if any)
+   * @param {string} connectionId - Connection identifier
+   * @param {string} direction - 'in' (client -> server) or 'out' (server -> client)
+   * @param {Buffer} data - Forwarded data
+   */
+  recordFrame(connectionId, direction, data) {
+    const conn = this.connections.get(connectionId);
+    if (conn && conn.recording) {
+      conn.recording.write(direction, data);
+    }
+  }
+
   /**
    * Get all connections for a VM
    * @param {string} vmId - VM identifier
@@ -533,37 +809,154 @@ class WebsockifyProxy {
     return Array.from(this.connections.entries()).map(([connectionId, conn]) => ({
       connectionId,
       vmId: conn.vmId,
+      userId: conn.userId,
+      username: conn.username,
+      protocol: conn.protocol,
       host: conn.host,
       port: conn.port,
       clientAddr: conn.clientAddr,
+      startTime: conn.startTime,
       duration: now - conn.startTime,
-      lastActivity: now - conn.lastActivity
+      lastActivity: now - conn.lastActivity,
+      traffic: conn.traffic.snapshot(),
+      recordingId: conn.recording ? conn.recording.id : null
     }));
   }
 
+  /**
+   * Describe a connection for 'connection:open' / 'connection:close' listeners
+   * @param {string} connectionId - Connection identifier
+   * @returns {Object} Connection info with duration and byte totals
+   */
+  getConnectionEventInfo(connectionId) {
+    const conn = this.connections.get(connectionId);
+    const traffic = conn.traffic.snapshot();
+    return {
+      connectionId,
+      vmId: conn.vmId,
+      userId: conn.userId,
+      username: conn.username,
+      sessionId: conn.sessionId,
+      protocol: conn.protocol,
+      clientAddr: conn.clientAddr,
+      host: conn.host,
+      port: conn.port,
+      startTime: conn.startTime,
+      duration: Date.now() - conn.startTime,
+      bytesIn: traffic.bytesIn,
+      bytesOut: traffic.bytesOut,
+      recordingId: conn.recording ? conn.recording.id : null
+    };
+  }
+
+  /**
+   * Close a single connection
+   * @param {string} connectionId - Connection identifier
+   * @param {string} reason - Close reason sent to the client
+   * @returns {boolean} false if the connection does not exist
+   */
+  closeConnection(connectionId, reason = 'Connection closed by server') {
+    const conn = this.connections.get(connectionId);
+    if (!conn) {
+      return this.closePendingConnection(connectionId, reason);
+    }
+
+    logger.debug(`🔌 Closing connection ${connectionId} for VM ${conn.vmId}: ${reason}`);
+
+    if (conn.ws.readyState === WebSocket.OPEN) {
+      conn.ws.close(1000, reason);
+    }
+    conn.target.end();
+    this.cleanupConnection(connectionId, conn.vmId, reason);
+    return true;
+  }
+
   /**
    * Close all connections for a specific VM
    * @param {string} vmId - VM identifier
+   * @param {string} reason - Close reason sent to the clients
+   * @returns {number} Number of closed connections
    */
-  closeVMConnections(vmId) {
-    const connIds = this.vmConnections.get(vmId);
-    if (!connIds || connIds.size === 0) {
+  closeVMConnections(vmId, reason = 'Connection closed by server') {
+    // Copy the ids, closeConnection() removes them from the set
+    const ids = [
+      ...(this.vmConnections.get(vmId) || []),
+      ...this.getPendingConnectionIds(pending => pending.vmId === vmId),
+    ];
+    if (ids.length === 0) {
       logger.debug(`No connections to close for VM ${vmId}`);
-      return;
+      return 0;
+    }
+
+    logger.debug(`🔌 Closing ${ids.length} connection(s) for VM ${vmId}`);
+    ids.forEach(connectionId => this.closeConnection(connectionId, reason));
+    return ids.length;
+  }
+
+  /**
+   * Close all connections opened by a login session (logout / revocation)
+   * @param {string} sessionId - Login session identifier
+   * @param {string} reason - Close reason sent to the clients
+   * @returns {number} Number of closed connections
+   */
+  closeSessionConnections(sessionId, reason = 'Session ended') {
+    const ids = Array.from(this.connections.entries())
+      .filter(([, conn]) => conn.sessionId === sessionId)
+      .map(([connectionId]) => connectionId)
+      .concat(this.getPendingConnectionIds(pending => pending.sessionId === sessionId));
+
+    if (ids.length > 0) {
+      logger.debug(`🔌 Closing ${ids.length} connection(s) for session ${sessionId}`);
     }
+    ids.forEach(connectionId => this.closeConnection(connectionId, reason));
+    return ids.length;
+  }
 
-    logger.debug(`🔌 Closing ${connIds.size} connection(s) for VM ${vmId}`);
+  /**
+   * Connections still being set up (TCP connect, VNC handshake) that match a filter
+   * @param {Function} filter - (pending) => boolean
+   * @returns {string[]} Connection IDs
+   */
+  getPendingConnectionIds(filter) {
+    return Array.from(this.pendingConnections.entries())
+      .filter(([, pending]) => filter(pending))
+      .map(([connectionId]) => connectionId);
+  }
 
-    connIds.forEach(connectionId => {
-      const conn = this.connections.get(connectionId);
-      if (conn) {
-        if (conn.ws.readyState === WebSocket.OPEN) {
-          conn.ws.close(1000, 'Connection closed by server');
-        }
-        conn.target.end();
-        this.cleanupConnection(connectionId, vmId);
+  /**
+   * Close a connection that is still being set up; handleConnection() drops it
+   * (and its TCP socket) once the pending step returns
+   * @param {string} connectionId - Connection identifier
+   * @param {string} reason - Close reason sent to the client
+   * @returns {boolean} false if there is no such pending connection
+   */
+  closePendingConnection(connectionId, reason) {
+    const pending = this.pendingConnections.get(connectionId);
+    if (!pending) {
+      return false;
+    }
+
+    logger.debug(`🔌 Closing connection ${connectionId} for VM ${pending.vmId} during setup: ${reason}`);
+    pending.closeReason = reason;
+    this.pendingConnections.delete(connectionId);
+    if (pending.ws.readyState === WebSocket.OPEN) {
+      pending.ws.close(1000, reason);
+    }
+    return true;
+  }
+
+  /**
+   * Login sessions that currently own connections
+   * @returns {string[]} Session identifiers
+   */
+  getSessionIds() {
+    const ids = new Set();
+    for (const conn of [...this.connections.values(), ...this.pendingConnections.values()]) {
+      if (conn.sessionId) {
+        ids.add(conn.sessionId);
       }
-    });
+    }
+    return Array.from(ids);
   }
 
   /**
@@ -573,14 +966,25 @@ class WebsockifyProxy {
     logger.debug('🛑 Shutting down WebsockifyProxy...');
 
     this.stopHeartbeat();
+    clearInterval(this.trafficPruneInterval);
 
     // Close all connections
+    for (const connectionId of this.getPendingConnectionIds(() => true)) {
+      this.closePendingConnection(connectionId, 'Server shutting down');
+    }
     for (const [connectionId, conn] of this.connections.entries()) {
       logger.debug(`Closing connection ${connectionId} for VM ${conn.vmId}`);
       if (conn.ws.readyState === WebSocket.OPEN) {
         conn.ws.close(1001, 'Server shutting down');
       }
       conn.target.end();
+      if (conn.recording) {
+        conn.recording.close();
+      }
+      this.emit('connection:close', {
+        ...this.getConnectionEventInfo(connectionId),
+        reason: 'shutdown',
+      });
     }
 
     this.connections.clear();
@@ -596,12 +1000,31 @@ class WebsockifyProxy {
     const now = Date.now();
     const connections = this.getActiveConnections();
 
-    // Get per-VM connection stats
+    // Get per-VM connection and traffic stats (VMs without live connections keep their totals)
     const vmStats = {};
-    for (const [vmId, connIds] of this.vmConnections.entries()) {
+    for (const [vmId, meter] of this.vmTraffic.entries()) {
       vmStats[vmId] = {
-        connectionCount: connIds.size,
-        maxAllowed: this.config.maxConnectionsPerVM
+        connectionCount: this.getVMConnectionCount(vmId),
+        maxAllowed: this.config.maxConnectionsPerVM,
+        traffic: meter.snapshot()
+      };
+    }
+    for (const [vmId, connIds] of this.vmConnections.entries()) {
+      if (!vmStats[vmId]) {
+        vmStats[vmId] = {
+          connectionCount: connIds.size,
+          maxAllowed: this.config.maxConnectionsPerVM,
+          traffic: null
+        };
+      }
+    }
+
+    // Get per-user traffic stats
+    const userStats = {};
+    for (const [userId, meter] of this.userTraffic.entries()) {
+      userStats[userId] = {
+        connectionCount: connections.filter(c => c.userId === userId).length,
+        traffic: meter.snapshot()
       };
     }
 
@@ -611,6 +1034,8 @@ class WebsockifyProxy {
       totalVMs: this.vmConnections.size,
       maxConnectionsPerVM: this.config.maxConnectionsPerVM,
       vmStats: vmStats,
+      userStats: userStats,
+      traffic: this.traffic.snapshot(),
       connections: connections,
       uptime: process.uptime(),
       averageDuration: connections.length > 0
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Mock OpenID Provider
+ * Minimal local IdP for trying the SSO login (authorization code + PKCE)
+ *
+ * Usage:
+ *   node mock-oidc-idp.js [port]
+ *
+ * Gateway .env:
+ *   OIDC_ENABLED=true
+ *   OIDC_ISSUER=http://localhost:9000
+ *   OIDC_CLIENT_ID=novnc-ocloudview
+ *   OIDC_CLIENT_SECRET=            # or the same value as MOCK_CLIENT_SECRET below
+ *   OIDC_REDIRECT_URI=http://localhost:3000/api/auth/oidc/callback   # required, the gateway's own callback URL
+ *
+ * The login page of the mock asks for a user name only; it becomes the
+ * preferred_username claim, and <name>@example.com the email claim.
+ * Set MOCK_CLIENT_SECRET to require client authentication at the token endpoint.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.argv[2]) || 9000;
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_CLIENT_ID || 'novnc-ocloudview';
+const clientSecret = process.env.MOCK_CLIENT_SECRET || '';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+const codes = new Map(); // code -> { username, redirectUri, codeChallenge, nonce, expiresAt }
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge_method } = req.query;
+  if (client_id !== clientId || response_type !== 'code' || !redirect_uri) {
+    return res.status(400).send('invalid_request: unknown client_id, missing redirect_uri or response_type is not code');
+  }
+  if (code_challenge_method !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('invalid_request: PKCE (S256) required');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+    .join('');
+  res.send(`<!DOCTYPE html><html><body style="font-family: sans-serif; margin: 40px;">
+    <h2>Mock IdP</h2>
+    <form method="post" action="/authorize">${hidden}
+      <input name="username" placeholder="user name" value="${escapeHtml(req.query.login_hint || '')}" autofocus>
+      <button name="action" value="allow">Sign in</button>
+      <button name="action" value="deny">Deny</button>
+    </form></body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, username, action } = req.body;
+  const target = new URL(redirect_uri);
+  if (state) {
+    target.searchParams.set('state', state);
+  }
+
+  if (action === 'deny' || !username) {
+    target.searchParams.set('error', 'access_denied');
+    return res.redirect(target.toString());
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { username, redirectUri: redirect_uri, codeChallenge: code_challenge, nonce, expiresAt: Date.now() + 60000 });
+  target.searchParams.set('code', code);
+  console.log(`🔑 ${username} signed in, code issued`);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  let id = req.body.client_id;
+  let secret = req.body.client_secret || '';
+  const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+  if (basic) {
+    [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+  }
+  if (id !== clientId || (clientSecret && secret !== clientSecret)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({
+    sub: `mock-${grant.username}`,
+    preferred_username: grant.username,
+    email: `${grant.username}@example.com`,
+    nonce: grant.nonce,
+  }, privateKey, { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' });
+
+  console.log(`🎫 Tokens issued for ${grant.username}`);
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(port, () => {
+  console.log(`🧪 Mock OpenID Provider at ${issuer} (client_id: ${clientId}${clientSecret ? ', client secret required' : ''})`);
+});
@@ -4,24 +4,14 @@ const API_BASE = '/api';
 
 // 工具函数
 const Utils = {
-  // 获取令牌
+  // 获取令牌（令牌的保存和刷新见 auth.js）
   getToken() {
-    return localStorage.getItem('token') || sessionStorage.getItem('token');
-  },
-
-  // 设置令牌
-  setToken(token, remember = false) {
-    if (remember) {
-      localStorage.setItem('token', token);
-    } else {
-      sessionStorage.setItem('token', token);
-    }
+    return Auth.getToken();
   },
 
   // 清除令牌
   clearToken() {
-    localStorage.removeItem('token');
-    sessionStorage.removeItem('token');
+    Auth.clear();
     localStorage.removeItem('username');
     sessionStorage.removeItem('username');
   },
@@ -110,27 +100,19 @@ const Utils = {
 // API 调用封装
 const API = {
   // 基础请求方法
+  // 访问令牌过期时 Auth.fetch 会先刷新令牌再重试一次
   async request(url, options = {}) {
-    const token = Utils.getToken();
-
-    const defaultOptions = {
-      headers: {
-        'Content-Type': 'application/json',
-        ...(token && { 'Authorization': `Bearer ${token}` }),
-      },
-    };
-
-    const response = await fetch(`${API_BASE}${url}`, {
-      ...defaultOptions,
+    const hadToken = Boolean(Auth.getToken());
+    const response = await Auth.fetch(`${API_BASE}${url}`, {
       ...options,
       headers: {
-        ...defaultOptions.headers,
+        'Content-Type': 'application/json',
         ...options.headers,
       },
     });
 
-    // 处理401错误（未授权）
-    if (response.status === 401) {
+    // 处理401错误（未授权，刷新令牌也已失效）；未登录的请求（如登录失败）交给调用方处理
+    if (response.status === 401 && hadToken) {
       Utils.clearToken();
       window.location.href = '/';
       throw new Error('登录已过期，请重新登录');
@@ -146,7 +128,11 @@ const API = {
         logger.warn(`⚠️ API returned HTTP ${response.status} but operation succeeded`);
         return result;
       }
-      throw new Error(result.message || `请求失败: ${response.status}`);
+      // 附带状态码和响应内容，调用方可据此处理（如登录时要求人机验证）
+      throw Object.assign(new Error(result.message || `请求失败: ${response.status}`), {
+        status: response.status,
+        result,
+      });
     }
 
     return result;
@@ -154,28 +140,92 @@ const API = {
 
   // 认证相关
   auth: {
-    async login(username, password) {
+    // captchaToken: 失败次数较多、服务器要求人机验证时提交
+    async login(username, password, captchaToken) {
       return API.request('/auth/login', {
         method: 'POST',
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify({ username, password, captchaToken }),
       });
     },
 
     async logout() {
-      return API.request('/auth/logout', {
+      const result = await API.request('/auth/logout', {
         method: 'POST',
       });
+      // 通知同一浏览器的其他页面
+      Auth.broadcastLogout();
+      return result;
     },
 
     async verify() {
       return API.request('/auth/verify');
     },
 
+    // 用刷新令牌换取新的令牌（返回 false 表示需要重新登录）
     async refresh() {
-      return API.request('/auth/refresh', {
+      return Auth.refresh();
+    },
+
+    // 单点登录是否启用
+    async oidcStatus() {
+      return API.request('/auth/oidc/status');
+    },
+
+    // 登录第二步：提交二次验证码或恢复码
+    async mfaVerify(challenge, code) {
+      return API.request('/auth/mfa/verify', {
+        method: 'POST',
+        body: JSON.stringify({ challenge, code }),
+      });
+    },
+
+    // 二次验证状态
+    async mfaStatus() {
+      return API.request('/auth/mfa');
+    },
+
+    // 开始启用二次验证（返回密钥和二维码）
+    async mfaEnroll() {
+      return API.request('/auth/mfa/enroll', {
         method: 'POST',
       });
     },
+
+    // 确认启用二次验证（返回恢复码）
+    async mfaConfirm(code) {
+      return API.request('/auth/mfa/confirm', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+      });
+    },
+
+    // 关闭二次验证
+    async mfaDisable(code) {
+      return API.request('/auth/mfa/disable', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+      });
+    },
+
+    // 剪贴板同步设置（VNC）
+    async clipboardPolicy() {
+      return API.request('/auth/clipboard');
+    },
+
+    async setClipboardSync(enabled) {
+      return API.request('/auth/clipboard', {
+        method: 'PUT',
+        body: JSON.stringify({ enabled }),
+      });
+    },
+
+    // 用单点登录回调返回的一次性登录码换取登录令牌
+    async oidcToken(code) {
+      return API.request('/auth/oidc/token', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+      });
+    },
   },
 
   // 虚拟机相关
@@ -212,6 +262,62 @@ const API = {
         method: 'POST',
       });
     },
+
+    // 订阅虚拟机状态推送（SSE）
+    // 使用 fetch 读取事件流，因为 EventSource 无法携带 Authorization 头
+    // 返回 AbortController，调用 abort() 关闭连接；流结束时 Promise resolve
+    subscribe(onEvent) {
+      const controller = new AbortController();
+
+      controller.done = (async () => {
+        const response = await Auth.fetch(`${API_BASE}/vm/events`, {
+          signal: controller.signal,
+        });
+
+        if (response.status === 401) {
+          Utils.clearToken();
+          window.location.href = '/';
+          throw new Error('登录已过期，请重新登录');
+        }
+        if (!response.ok) {
+          throw new Error(`请求失败: ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+
+          // 事件之间以空行分隔
+          let boundary;
+          while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.substring(0, boundary);
+            buffer = buffer.substring(boundary + 2);
+
+            let event = 'message';
+            const dataLines = [];
+            block.split('\n').forEach(line => {
+              if (line.startsWith('event:')) {
+                event = line.substring(6).trim();
+              } else if (line.startsWith('data:')) {
+                dataLines.push(line.substring(5).trim());
+              }
+            });
+
+            if (dataLines.length > 0) {
+              onEvent(event, JSON.parse(dataLines.join('\n')));
+            }
+          }
+        }
+      })();
+
+      return controller;
+    },
   },
 
   // VNC相关
@@ -219,9 +325,15 @@ const API = {
     async connect(vmId) {
       return API.request(`/vnc/connect/${vmId}`);
     },
+  },
 
-    async getToken(vmId) {
-      return API.request(`/vnc/token/${vmId}`);
+  // WebSocket 连接票据（一次性，打开 VNC / SPICE WebSocket 前换取）
+  connect: {
+    async ticket(vmId, protocol) {
+      return API.request('/connect/ticket', {
+        method: 'POST',
+        body: JSON.stringify({ vmId, protocol }),
+      });
     },
   },
 
@@ -231,9 +343,110 @@ const API = {
       return API.request(`/desk-pool/spice/connect/${deskId}`);
     },
   },
+
+  // 连接管理相关（管理员）
+  admin: {
+    async connections() {
+      return API.request('/admin/connections');
+    },
+
+    async closeConnection(connectionId) {
+      return API.request(`/admin/connections/${encodeURIComponent(connectionId)}`, {
+        method: 'DELETE',
+      });
+    },
+
+    async closeVMConnections(vmId) {
+      return API.request(`/admin/vms/${encodeURIComponent(vmId)}/connections`, {
+        method: 'DELETE',
+      });
+    },
+
+    async resetMFA(userId) {
+      return API.request(`/admin/users/${encodeURIComponent(userId)}/mfa`, {
+        method: 'DELETE',
+      });
+    },
+
+    async clipboardPolicy(userId) {
+      return API.request(`/admin/users/${encodeURIComponent(userId)}/clipboard`);
+    },
+
+    // 强制关闭（forcedOff: true）或恢复用户的剪贴板同步
+    async setClipboardForcedOff(userId, forcedOff) {
+      return API.request(`/admin/users/${encodeURIComponent(userId)}/clipboard`, {
+        method: 'PUT',
+        body: JSON.stringify({ forcedOff }),
+      });
+    },
+
+    // 登录锁定列表
+    async loginLocks() {
+      return API.request('/admin/login-locks');
+    },
+
+    // 解除登录锁定（scope: user / ip）
+    async unlockLogin(scope, value) {
+      return API.request(`/admin/login-locks/${scope}/${encodeURIComponent(value)}`, {
+        method: 'DELETE',
+      });
+    },
+  },
+
+  // 会话录像相关（管理员）
+  recordings: {
+    async list(filter = {}) {
+      const query = new URLSearchParams(filter).toString();
+      return API.request(`/recordings${query ? `?${query}` : ''}`);
+    },
+
+    async get(id) {
+      return API.request(`/recordings/${encodeURIComponent(id)}`);
+    },
+
+    // 获取录像数据文本（VNC 为 websockify/noVNC 录像格式，SPICE 为 JSON Lines 会话归档）
+    async download(id) {
+      const response = await Auth.fetch(`${API_BASE}/recordings/${encodeURIComponent(id)}/download`);
+
+      if (response.status === 401) {
+        Utils.clearToken();
+        window.location.href = '/';
+        throw new Error('登录已过期，请重新登录');
+      }
+      if (!response.ok) {
+        throw new Error(`请求失败: ${response.status}`);
+      }
+
+      return response.text();
+    },
+  },
+
+  // 控制台截图相关（管理员）
+  screenshots: {
+    async list(filter = {}) {
+      const query = new URLSearchParams(filter).toString();
+      return API.request(`/screenshots${query ? `?${query}` : ''}`);
+    },
+
+    // 获取截图 PNG
+    async download(id) {
+      const response = await Auth.fetch(`${API_BASE}/screenshots/${encodeURIComponent(id)}/download`);
+
+      if (response.status === 401) {
+        Utils.clearToken();
+        window.location.href = '/';
+        throw new Error('登录已过期，请重新登录');
+      }
+      if (!response.ok) {
+        throw new Error(`请求失败: ${response.status}`);
+      }
+
+      return response.blob();
+    },
+  },
 };
 
-// 认证检查
+// 认证检查（成功时返回当前用户信息）
 async function checkAuth() {
   const token = Utils.getToken();
   if (!token) {
@@ -242,8 +455,8 @@ async function checkAuth() {
   }
 
   try {
-    await API.auth.verify();
-    return true;
+    const result = await API.auth.verify();
+    return result.user;
   } catch (error) {
     Utils.clearToken();
     window.location.href = '/';
@@ -268,15 +481,4 @@ document.addEventListener('DOMContentLoaded', () => {
     logger.error('Unhandled promise rejection:', event.reason);
     Utils.showError('操作失败: ' + (event.reason?.message || '未知错误'));
   });
-
-  // 定期刷新令牌（每10分钟）
-  if (Utils.getToken()) {
-    setInterval(async () => {
-      try {
-        await API.auth.refresh();
-      } catch (error) {
-        logger.error('Token refresh failed:', error);
-      }
-    }, 10 * 60 * 1000);
-  }
 });
\ No newline at end of file
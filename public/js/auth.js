@@ -0,0 +1,162 @@
+// public/js/auth.js - 登录令牌管理
+//
+// 登录后得到两个令牌：
+// - token: 访问令牌（JWT），有效期短（默认 15 分钟），请求接口时放在 Authorization 头中
+// - refreshToken: 刷新令牌，用于换取新的一对令牌；每个刷新令牌只能使用一次，
+//   重复使用会被服务器视为令牌泄露，整个登录会话（包括已打开的桌面连接）都会被吊销
+//
+// 同一浏览器的多个页面共用令牌：刷新时用 Web Locks 加锁，保证同一时刻只有一个页面在刷新；
+// 读取、比较、刷新都在锁内完成，拿到锁后令牌已被其他页面换过则直接使用新令牌。
+// 刷新结果同时通过 BroadcastChannel 通知其他页面。
+// 「记住我」时令牌保存在 localStorage，否则保存在 sessionStorage。
+
+const Auth = {
+  channel: typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('novnc-ocloudview-auth') : null,
+  refreshing: null,
+  refreshTimer: null,
+
+  // 获取访问令牌
+  getToken() {
+    return localStorage.getItem('token') || sessionStorage.getItem('token');
+  },
+
+  // 获取刷新令牌
+  getRefreshToken() {
+    return localStorage.getItem('refreshToken') || sessionStorage.getItem('refreshToken');
+  },
+
+  // 保存令牌；remember 未指定时沿用当前的保存位置
+  setTokens({ token, refreshToken }, remember) {
+    const useLocal = remember !== undefined ? remember : localStorage.getItem('token') !== null;
+    const storage = useLocal ? localStorage : sessionStorage;
+    storage.setItem('token', token);
+    if (refreshToken) {
+      storage.setItem('refreshToken', refreshToken);
+    }
+    this.scheduleRefresh();
+  },
+
+  // 清除令牌
+  clear() {
+    ['token', 'refreshToken'].forEach(key => {
+      localStorage.removeItem(key);
+      sessionStorage.removeItem(key);
+    });
+    clearTimeout(this.refreshTimer);
+  },
+
+  // 通知其他页面已登出
+  broadcastLogout() {
+    if (this.channel) {
+      this.channel.postMessage({ type: 'logout' });
+    }
+  },
+
+  // 访问令牌的过期时间（毫秒时间戳），无法解析时返回 null
+  getTokenExpiry(token = this.getToken()) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp ? payload.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // 在访问令牌过期前 1 分钟自动刷新
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    const expiry = this.getTokenExpiry();
+    if (!expiry || !this.getRefreshToken()) {
+      return;
+    }
+
+    const delay = Math.max(expiry - Date.now() - 60 * 1000, 10 * 1000);
+    const token = this.getToken();
+    this.refreshTimer = setTimeout(() => {
+      this.refresh(token).catch(error => console.error('Token refresh failed:', error));
+    }, delay);
+  },
+
+  // 用刷新令牌换取新的一对令牌；并发调用共用同一次刷新
+  // staleToken 为需要更换的访问令牌（如被服务器拒绝的令牌），在锁内与当前保存的令牌比较
+  // 返回 false 表示刷新令牌无效（需要重新登录）
+  refresh(staleToken = this.getToken()) {
+    if (!this.refreshing) {
+      this.refreshing = this.withLock(() => this.doRefresh(staleToken))
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  },
+
+  async withLock(callback) {
+    if (navigator.locks) {
+      return navigator.locks.request('novnc-ocloudview-token-refresh', callback);
+    }
+    return callback();
+  },
+
+  // 在锁内执行：拿到锁后重新读取保存的令牌，等锁期间其他页面已刷新过则不再刷新
+  async doRefresh(staleToken) {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return false;
+    }
+    if (this.getToken() !== staleToken) {
+      return true;
+    }
+
+    const response = await fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (response.status === 400 || response.status === 401) {
+      this.clear();
+      return false;
+    }
+    if (!response.ok) {
+      throw new Error(`令牌刷新失败: ${response.status}`);
+    }
+
+    const result = await response.json();
+    this.setTokens(result.data);
+    if (this.channel) {
+      this.channel.postMessage({ type: 'tokens', token: result.data.token, refreshToken: result.data.refreshToken });
+    }
+    return true;
+  },
+
+  // 携带访问令牌发送请求；令牌过期（401）时刷新一次后重试
+  async fetch(url, options = {}) {
+    const send = (token) => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        ...(token && { 'Authorization': `Bearer ${token}` }),
+      },
+    });
+
+    const token = this.getToken();
+    const response = await send(token);
+    if (response.status === 401 && token && this.getRefreshToken() && await this.refresh(token)) {
+      return send(this.getToken());
+    }
+    return response;
+  },
+};
+
+// 其他页面刷新了令牌或已登出
+if (Auth.channel) {
+  Auth.channel.onmessage = (event) => {
+    if (event.data.type === 'tokens' && Auth.getToken()) {
+      Auth.setTokens(event.data);
+    } else if (event.data.type === 'logout') {
+      Auth.clear();
+    }
+  };
+}
+
+Auth.scheduleRefresh();
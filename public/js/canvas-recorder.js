@@ -0,0 +1,334 @@
+// public/js/canvas-recorder.js - 控制台录屏（vnc.html / spice.html 共用）
+//
+// 在浏览器中把远程桌面画面录制为 WebM（canvas.captureStream() + MediaRecorder），
+// 录制完成后由用户下载。这是用户自己的操作演示录像，与服务端的审计录像无关，不会上传。
+//
+// 用法：CanvasRecorder.start({ getCanvas, getAudio, name, onStateChange })
+// - getCanvas: 返回当前远程画面的 canvas；每帧调用，画面重建（如分辨率变化）后仍能继续录制
+// - getAudio: 可选，返回要一并录制的 <audio> 元素（SPICE 播放通道），元素可随时出现或替换
+// - name: 文件名前缀，下载的文件为 <name>-<时间>.webm
+// - onStateChange(recording): 开始 / 停止录制时调用，用于更新页面上的按钮
+//
+// 录制时页面右下角显示录制指示（时长、大小、停止按钮）；达到 maxDuration / maxSize
+// （默认 30 分钟 / 500MB）时自动停止。录制中或录像尚未下载时离开页面会提示确认。
+
+const CanvasRecorder = {
+  FRAME_RATE: 15,
+  VIDEO_BITS_PER_SECOND: 2500000,
+  MAX_DURATION: 30 * 60 * 1000,
+  MAX_SIZE: 500 * 1024 * 1024,
+  MIME_TYPES: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'],
+
+  STOP_REASONS: {
+    duration: '已达到最长录制时长',
+    size: '已达到录像大小上限',
+    error: '录制出错',
+  },
+
+  indicator: null,
+  audioContext: null,
+  audioSources: new WeakMap(),
+  state: null,
+  result: null,
+
+  // 浏览器是否支持录制 WebM
+  isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+      this.MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+  },
+
+  isRecording() {
+    return this.state !== null;
+  },
+
+  // 开始录制（需在用户点击中调用，否则声音无法开始）
+  start(options) {
+    if (this.state) {
+      return;
+    }
+    if (!this.isSupported()) {
+      throw new Error('当前浏览器不支持录制 WebM 视频，请使用 Chrome、Edge 或 Firefox');
+    }
+
+    const source = options.getCanvas();
+    if (!source || !source.width) {
+      throw new Error('远程画面尚未显示，无法录制');
+    }
+
+    this.discard();
+    this.ensureIndicator();
+
+    // 录制中间画布：每帧复制远程画面，尺寸固定为开始时的画面大小
+    const frame = document.createElement('canvas');
+    frame.width = source.width;
+    frame.height = source.height;
+    const stream = frame.captureStream(this.FRAME_RATE);
+
+    // 声音经 AudioContext 混入录像；音频元素出现或替换时在每秒检查中重新接入
+    let audioDestination = null;
+    if (options.getAudio) {
+      if (!this.audioContext) {
+        this.audioContext = new AudioContext();
+      }
+      this.audioContext.resume();
+      audioDestination = this.audioContext.createMediaStreamDestination();
+      audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    const mimeType = this.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.VIDEO_BITS_PER_SECOND });
+
+    this.state = {
+      options,
+      frame,
+      stream,
+      recorder,
+      audioDestination,
+      audioElement: null,
+      chunks: [],
+      bytes: 0,
+      startTime: Date.now(),
+      maxDuration: options.maxDuration || this.MAX_DURATION,
+      maxSize: options.maxSize || this.MAX_SIZE,
+      reason: null,
+    };
+
+    recorder.addEventListener('dataavailable', (e) => this.onData(e));
+    recorder.addEventListener('stop', () => this.onStop());
+    recorder.addEventListener('error', (e) => {
+      logger.error('❌ [Recorder] MediaRecorder error:', e.error);
+      this.stop('error');
+    });
+
+    this.drawFrame();
+    this.connectAudio();
+    this.state.frameTimer = setInterval(() => this.drawFrame(), 1000 / this.FRAME_RATE);
+    this.state.tickTimer = setInterval(() => this.tick(), 1000);
+    recorder.start(1000);
+
+    window.addEventListener('beforeunload', this.onBeforeUnload);
+    this.render();
+    if (options.onStateChange) {
+      options.onStateChange(true);
+    }
+    logger.info(`⏺️ [Recorder] Recording ${frame.width}x${frame.height} as ${mimeType}${audioDestination ? ' with audio' : ''}`);
+  },
+
+  // 停止录制；reason 为自动停止的原因（见 STOP_REASONS）
+  stop(reason = null) {
+    if (!this.state) {
+      return;
+    }
+    this.state.reason = this.state.reason || reason;
+    clearInterval(this.state.frameTimer);
+    clearInterval(this.state.tickTimer);
+    if (this.state.recorder.state !== 'inactive') {
+      this.state.recorder.stop();
+    }
+  },
+
+  // 复制一帧远程画面，尺寸变化时按比例缩放居中
+  drawFrame() {
+    const { frame, options } = this.state;
+    const source = options.getCanvas();
+    if (!source || !source.width || !source.height) {
+      return;
+    }
+
+    const ctx = frame.getContext('2d');
+    if (source.width === frame.width && source.height === frame.height) {
+      ctx.drawImage(source, 0, 0);
+      return;
+    }
+
+    const scale = Math.min(frame.width / source.width, frame.height / source.height);
+    const width = source.width * scale;
+    const height = source.height * scale;
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, frame.width, frame.height);
+    ctx.drawImage(source, (frame.width - width) / 2, (frame.height - height) / 2, width, height);
+  },
+
+  // 接入当前的音频元素；同一元素只能创建一次 MediaElementSource，并需一直连到扬声器，否则会静音
+  connectAudio() {
+    const state = this.state;
+    if (!state.audioDestination) {
+      return;
+    }
+
+    const element = state.options.getAudio() || null;
+    if (element === state.audioElement) {
+      return;
+    }
+
+    if (state.audioElement) {
+      this.audioSources.get(state.audioElement).disconnect(state.audioDestination);
+    }
+    if (element) {
+      let source = this.audioSources.get(element);
+      if (!source) {
+        source = this.audioContext.createMediaElementSource(element);
+        source.connect(this.audioContext.destination);
+        this.audioSources.set(element, source);
+      }
+      source.connect(state.audioDestination);
+      logger.debug('⏺️ [Recorder] Audio source connected');
+    }
+    state.audioElement = element;
+  },
+
+  // 每秒检查：时长上限、音频元素变化、更新指示
+  tick() {
+    if (Date.now() - this.state.startTime >= this.state.maxDuration) {
+      this.stop('duration');
+      return;
+    }
+    this.connectAudio();
+    this.render();
+  },
+
+  onData(event) {
+    if (!event.data || event.data.size === 0) {
+      return;
+    }
+    this.state.chunks.push(event.data);
+    this.state.bytes += event.data.size;
+    if (this.state.bytes >= this.state.maxSize) {
+      this.stop('size');
+    }
+  },
+
+  onStop() {
+    const state = this.state;
+    state.stream.getTracks().forEach(track => track.stop());
+    if (state.audioElement) {
+      this.audioSources.get(state.audioElement).disconnect(state.audioDestination);
+    }
+
+    this.state = null;
+    this.result = {
+      blob: new Blob(state.chunks, { type: 'video/webm' }),
+      duration: Date.now() - state.startTime,
+      reason: state.reason,
+      fileName: this.fileName(state.options.name),
+    };
+
+    this.render();
+    if (state.options.onStateChange) {
+      state.options.onStateChange(false);
+    }
+    logger.info(`⏹️ [Recorder] Recording stopped (${this.result.blob.size} bytes${state.reason ? ', ' + state.reason : ''})`);
+  },
+
+  download() {
+    if (!this.result) {
+      return;
+    }
+    const url = URL.createObjectURL(this.result.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.result.fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    this.result.downloaded = true;
+  },
+
+  // 丢弃已完成的录像
+  discard() {
+    this.result = null;
+    if (!this.state) {
+      window.removeEventListener('beforeunload', this.onBeforeUnload);
+    }
+    this.render();
+  },
+
+  // 录制中或录像尚未下载时离开页面需确认（创建录制指示时绑定到本对象）
+  onBeforeUnload(event) {
+    if (this.state || (this.result && !this.result.downloaded)) {
+      event.preventDefault();
+      event.returnValue = '';
+    }
+  },
+
+  fileName(name) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '').replace('T', '-');
+    return `${name || 'recording'}-${stamp}.webm`;
+  },
+
+  formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+  },
+
+  formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  },
+
+  // 首次录制时创建录制指示
+  ensureIndicator() {
+    if (this.indicator) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .rec-indicator { position: fixed; right: 16px; bottom: 16px; z-index: 2500; display: none; align-items: center; gap: 10px;
+        padding: 8px 14px; background: rgba(0, 0, 0, 0.85); color: #fff; border-radius: 6px; font-size: 13px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Microsoft YaHei', sans-serif;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4); font-variant-numeric: tabular-nums; }
+      .rec-indicator.recording { border: 1px solid rgba(229, 57, 53, 0.8); }
+      .rec-indicator .rec-dot { width: 10px; height: 10px; border-radius: 50%; background: #e53935; animation: rec-blink 1s infinite; }
+      .rec-indicator .rec-reason { color: #ffb74d; }
+      .rec-indicator button { padding: 4px 10px; border: none; border-radius: 4px; background: #444; color: #fff; font-size: 12px; cursor: pointer; }
+      .rec-indicator button:hover { background: #555; }
+      .rec-indicator button.primary { background: #28a745; }
+      .rec-indicator button.danger { background: #c62828; }
+      @keyframes rec-blink { 50% { opacity: 0.2; } }
+    `;
+    document.head.appendChild(style);
+
+    this.indicator = document.createElement('div');
+    this.indicator.className = 'rec-indicator';
+    this.indicator.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (action === 'stop') {
+        this.stop();
+      } else if (action === 'download') {
+        this.download();
+      } else if (action === 'discard') {
+        this.discard();
+      }
+    });
+    document.body.appendChild(this.indicator);
+    this.onBeforeUnload = this.onBeforeUnload.bind(this);
+  },
+
+  render() {
+    if (!this.indicator) {
+      return;
+    }
+
+    const state = this.state;
+    this.indicator.classList.toggle('recording', Boolean(state));
+    if (state) {
+      this.indicator.style.display = 'flex';
+      this.indicator.innerHTML = `
+        <span class="rec-dot"></span>
+        <span>录屏中 ${this.formatDuration(Date.now() - state.startTime)} / ${this.formatDuration(state.maxDuration)}</span>
+        <span>${this.formatSize(state.bytes)} / ${this.formatSize(state.maxSize)}</span>
+        <button data-action="stop" class="danger">■ 停止</button>
+      `;
+    } else if (this.result) {
+      this.indicator.style.display = 'flex';
+      this.indicator.innerHTML = `
+        <span>✅ 录屏完成 ${this.formatDuration(this.result.duration)} · ${this.formatSize(this.result.blob.size)}</span>
+        ${this.result.reason ? `<span class="rec-reason">${this.STOP_REASONS[this.result.reason]}</span>` : ''}
+        <button data-action="download" class="primary">⬇ 下载 WebM</button>
+        <button data-action="discard" title="丢弃录像">✕</button>
+      `;
+    } else {
+      this.indicator.style.display = 'none';
+    }
+  },
+};
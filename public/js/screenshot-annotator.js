@@ -0,0 +1,326 @@
+// public/js/screenshot-annotator.js - 控制台截图标注工具（vnc.html / spice.html 共用）
+//
+// 用法：ScreenshotAnnotator.open(source, { vmId, protocol })
+// - source: 截取的远程画面，canvas 或 PNG Blob；打开时复制一份，之后远程画面变化不影响截图
+// - protocol: 'vnc' / 'spice'，上传时随截图保存
+//
+// 截图可用矩形、箭头、文字标注（按原始分辨率绘制），然后下载为 PNG，
+// 或上传到网关（POST /api/vm/:vmId/screenshots），管理员可在 /admin.html 查看，供工单使用。
+// 需要先加载 /js/auth.js（上传时通过 Auth.fetch 携带登录令牌）。
+
+const ScreenshotAnnotator = {
+  COLORS: ['#e53935', '#fdd835', '#43a047', '#1e88e5', '#ffffff', '#000000'],
+
+  overlay: null,
+  canvas: null,
+  base: null,
+  options: null,
+  shapes: [],
+  drawing: null,
+  tool: 'rect',
+  color: '#e53935',
+
+  // 打开标注窗口
+  async open(source, options = {}) {
+    const image = source instanceof Blob ? await createImageBitmap(source) : source;
+
+    this.options = options;
+    this.ensureOverlay();
+    this.base = document.createElement('canvas');
+    this.base.width = image.width;
+    this.base.height = image.height;
+    this.base.getContext('2d').drawImage(image, 0, 0);
+    if (image.close) {
+      image.close();
+    }
+
+    this.canvas.width = this.base.width;
+    this.canvas.height = this.base.height;
+    this.shapes = [];
+    this.drawing = null;
+    this.overlay.querySelector('.shot-note').value = '';
+    this.setStatus('');
+    this.redraw();
+
+    this.overlay.style.display = 'flex';
+    document.addEventListener('keydown', this.onKeyDown, true);
+    logger.debug(`📷 [Screenshot] Captured ${this.base.width}x${this.base.height} (${options.protocol} ${options.vmId})`);
+  },
+
+  // 关闭标注窗口
+  close() {
+    if (!this.overlay) {
+      return;
+    }
+    this.overlay.style.display = 'none';
+    this.base = null;
+    this.shapes = [];
+    document.removeEventListener('keydown', this.onKeyDown, true);
+  },
+
+  // Esc 关闭、Ctrl+Z 撤销；标注窗口打开时按键不传给远程桌面（打开时绑定到本对象）
+  onKeyDown(event) {
+    if (event.target.tagName === 'INPUT') {
+      if (event.key === 'Escape') {
+        event.target.blur();
+      }
+      return;
+    }
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      this.close();
+    } else if (event.key === 'z' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      this.undo();
+    }
+  },
+
+  // 首次打开时创建界面
+  ensureOverlay() {
+    if (this.overlay) {
+      return;
+    }
+
+    const style = document.createElement('style');
+    style.textContent = `
+      .shot-overlay { position: fixed; inset: 0; z-index: 3000; display: none; flex-direction: column;
+        background: rgba(0, 0, 0, 0.85); font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Microsoft YaHei', sans-serif; }
+      .shot-toolbar { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 10px 15px;
+        background: #2c2c2c; color: #fff; font-size: 13px; }
+      .shot-toolbar button { padding: 6px 12px; border: none; border-radius: 4px; background: #444; color: #fff;
+        font-size: 13px; cursor: pointer; }
+      .shot-toolbar button:hover { background: #555; }
+      .shot-toolbar button.active { background: #667eea; }
+      .shot-toolbar button.primary { background: #28a745; }
+      .shot-toolbar .shot-color { width: 20px; height: 20px; padding: 0; border: 2px solid transparent; border-radius: 50%; }
+      .shot-toolbar .shot-color.active { border-color: #fff; }
+      .shot-toolbar .shot-note { flex: 1; min-width: 160px; padding: 6px 10px; border: 1px solid #555; border-radius: 4px;
+        background: #1e1e1e; color: #fff; font-size: 13px; }
+      .shot-toolbar .shot-sep { width: 1px; height: 20px; background: #555; }
+      .shot-status { min-width: 120px; color: #ccc; }
+      .shot-stage { flex: 1; display: flex; align-items: center; justify-content: center; overflow: hidden; padding: 15px; }
+      .shot-stage canvas { max-width: 100%; max-height: 100%; cursor: crosshair; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5); }
+    `;
+    document.head.appendChild(style);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'shot-overlay';
+    overlay.innerHTML = `
+      <div class="shot-toolbar">
+        <strong>📷 截图标注</strong>
+        <span class="shot-sep"></span>
+        <button data-tool="rect" class="active" title="拖动画矩形框">▭ 矩形</button>
+        <button data-tool="arrow" title="从起点拖到箭头指向处">➜ 箭头</button>
+        <button data-tool="text" title="点击位置输入文字">T 文字</button>
+        <span class="shot-sep"></span>
+        ${this.COLORS.map(color => `<button class="shot-color" data-color="${color}" style="background: ${color};" title="${color}"></button>`).join('')}
+        <span class="shot-sep"></span>
+        <button data-action="undo" title="Ctrl+Z">↶ 撤销</button>
+        <button data-action="clear">清除标注</button>
+        <input type="text" class="shot-note" maxlength="500" placeholder="备注（可选，随截图上传，如工单号、问题描述）">
+        <button data-action="download">⬇ 下载 PNG</button>
+        <button data-action="upload" class="primary">⬆ 上传</button>
+        <span class="shot-status"></span>
+        <button data-action="close" title="Esc">✕ 关闭</button>
+      </div>
+      <div class="shot-stage"><canvas></canvas></div>
+    `;
+    document.body.appendChild(overlay);
+
+    this.overlay = overlay;
+    this.canvas = overlay.querySelector('canvas');
+    this.onKeyDown = this.onKeyDown.bind(this);
+
+    overlay.querySelectorAll('[data-tool]').forEach(button => {
+      button.addEventListener('click', () => this.setTool(button.dataset.tool));
+    });
+    overlay.querySelectorAll('[data-color]').forEach(button => {
+      button.addEventListener('click', () => this.setColor(button.dataset.color));
+    });
+    overlay.querySelector('[data-action="undo"]').addEventListener('click', () => this.undo());
+    overlay.querySelector('[data-action="clear"]').addEventListener('click', () => {
+      this.shapes = [];
+      this.redraw();
+    });
+    overlay.querySelector('[data-action="download"]').addEventListener('click', () => this.download());
+    overlay.querySelector('[data-action="upload"]').addEventListener('click', () => this.upload());
+    overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+
+    this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    this.canvas.addEventListener('pointercancel', () => {
+      this.drawing = null;
+      this.redraw();
+    });
+
+    this.setColor(this.color);
+  },
+
+  setTool(tool) {
+    this.tool = tool;
+    this.overlay.querySelectorAll('[data-tool]').forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === tool);
+    });
+  },
+
+  setColor(color) {
+    this.color = color;
+    this.overlay.querySelectorAll('[data-color]').forEach(button => {
+      button.classList.toggle('active', button.dataset.color === color);
+    });
+  },
+
+  undo() {
+    this.shapes.pop();
+    this.redraw();
+  },
+
+  setStatus(text) {
+    this.overlay.querySelector('.shot-status').textContent = text;
+  },
+
+  // 页面坐标换算为截图坐标（画布按比例缩小显示）
+  toImagePoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: Math.round((event.clientX - rect.left) * this.canvas.width / rect.width),
+      y: Math.round((event.clientY - rect.top) * this.canvas.height / rect.height),
+    };
+  },
+
+  onPointerDown(event) {
+    const point = this.toImagePoint(event);
+
+    if (this.tool === 'text') {
+      const text = (prompt('请输入标注文字：') || '').trim();
+      if (text) {
+        this.shapes.push({ type: 'text', x: point.x, y: point.y, text, color: this.color });
+        this.redraw();
+      }
+      return;
+    }
+
+    this.canvas.setPointerCapture(event.pointerId);
+    this.drawing = { type: this.tool, x1: point.x, y1: point.y, x2: point.x, y2: point.y, color: this.color };
+  },
+
+  onPointerMove(event) {
+    if (!this.drawing) {
+      return;
+    }
+    const point = this.toImagePoint(event);
+    this.drawing.x2 = point.x;
+    this.drawing.y2 = point.y;
+    this.redraw();
+  },
+
+  onPointerUp() {
+    const shape = this.drawing;
+    this.drawing = null;
+    // 忽略单击（未拖动）
+    if (shape && Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) > 4) {
+      this.shapes.push(shape);
+    }
+    this.redraw();
+  },
+
+  // 重绘：原始截图 + 全部标注
+  redraw() {
+    const ctx = this.canvas.getContext('2d');
+    ctx.drawImage(this.base, 0, 0);
+
+    // 线宽、字号随截图分辨率缩放，缩小显示时仍清晰可见
+    const lineWidth = Math.max(3, Math.round(this.canvas.width / 400));
+    const shapes = this.drawing ? [...this.shapes, this.drawing] : this.shapes;
+    shapes.forEach(shape => this.drawShape(ctx, shape, lineWidth));
+  },
+
+  drawShape(ctx, shape, lineWidth) {
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (shape.type === 'rect') {
+      ctx.strokeRect(shape.x1, shape.y1, shape.x2 - shape.x1, shape.y2 - shape.y1);
+    } else if (shape.type === 'arrow') {
+      const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+      const head = lineWidth * 5;
+      ctx.beginPath();
+      ctx.moveTo(shape.x1, shape.y1);
+      ctx.lineTo(shape.x2 - Math.cos(angle) * head / 2, shape.y2 - Math.sin(angle) * head / 2);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(shape.x2, shape.y2);
+      ctx.lineTo(shape.x2 - head * Math.cos(angle - Math.PI / 6), shape.y2 - head * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(shape.x2 - head * Math.cos(angle + Math.PI / 6), shape.y2 - head * Math.sin(angle + Math.PI / 6));
+      ctx.closePath();
+      ctx.fill();
+    } else if (shape.type === 'text') {
+      // 文字加描边，在任何背景上都能看清
+      ctx.font = `bold ${lineWidth * 6}px -apple-system, 'Segoe UI', 'Microsoft YaHei', sans-serif`;
+      ctx.textBaseline = 'top';
+      ctx.strokeStyle = shape.color === '#000000' ? '#ffffff' : '#000000';
+      ctx.lineWidth = lineWidth;
+      ctx.strokeText(shape.text, shape.x, shape.y);
+      ctx.fillText(shape.text, shape.x, shape.y);
+    }
+
+    ctx.restore();
+  },
+
+  toBlob() {
+    return new Promise((resolve, reject) => {
+      this.canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('无法生成 PNG')), 'image/png');
+    });
+  },
+
+  // 文件名：screenshot-<虚拟机>-<时间>.png
+  fileName() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '').replace('T', '-');
+    return `screenshot-${this.options.vmId || 'vm'}-${stamp}.png`;
+  },
+
+  async download() {
+    const url = URL.createObjectURL(await this.toBlob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.fileName();
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // 上传到网关，成功后显示截图编号（可填入工单）
+  async upload() {
+    const button = this.overlay.querySelector('[data-action="upload"]');
+    const query = new URLSearchParams({
+      protocol: this.options.protocol || 'vnc',
+      note: this.overlay.querySelector('.shot-note').value.trim(),
+    });
+
+    button.disabled = true;
+    this.setStatus('正在上传...');
+    try {
+      const response = await Auth.fetch(`/api/vm/${encodeURIComponent(this.options.vmId)}/screenshots?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'image/png' },
+        body: await this.toBlob(),
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `上传失败 (${response.status})`);
+      }
+
+      this.setStatus(`✅ 已上传，截图编号：${result.data.id}`);
+      logger.info(`📷 [Screenshot] Uploaded ${result.data.id}`);
+    } catch (error) {
+      logger.error('❌ [Screenshot] Upload failed:', error);
+      this.setStatus(`❌ ${error.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  },
+};
@@ -38,9 +38,16 @@ const UI = {
     lastKeyboardinput: null,
     defaultKeyboardinputLen: 100,
 
+    clipboardTyping: false,
+    clipboardSync: false,
+    clipboardSyncRead: false,
+    clipboardSyncText: null,
+    clipboardSyncPending: null,
+
     inhibitReconnect: true,
     reconnectCallback: null,
     reconnectPassword: null,
+    pathUsed: false,
 
     prime() {
         return WebUtil.initSettings().then(() => {
@@ -320,7 +327,8 @@ const UI = {
         document.getElementById("noVNC_disconnect_button")
             .addEventListener('click', UI.disconnect);
         document.getElementById("noVNC_connect_button")
-            .addEventListener('click', UI.connect);
+            .addEventListener('click', () => UI.refreshPath()
+                .then(ready => ready && UI.connect()));
         document.getElementById("noVNC_cancel_reconnect_button")
             .addEventListener('click', UI.cancelReconnect);
 
@@ -337,6 +345,11 @@ const UI = {
             .addEventListener('click', UI.toggleClipboardPanel);
         document.getElementById("noVNC_clipboard_text")
             .addEventListener('change', UI.clipboardSend);
+        document.getElementById("noVNC_clipboard_type_button")
+            .addEventListener('click', UI.clipboardType);
+        document.getElementById("noVNC_container")
+            .addEventListener('focusin', UI.clipboardSyncFocus);
+        UI.initClipboardSync();
     },
 
     // Add a call to save settings when the element changes,
@@ -973,6 +986,9 @@ const UI = {
     clipboardReceive(e) {
         Log.Debug(">> UI.clipboardReceive: " + e.detail.text.substr(0, 40) + "...");
         document.getElementById('noVNC_clipboard_text').value = e.detail.text;
+        if (UI.clipboardSync) {
+            UI.clipboardSyncWrite(e.detail);
+        }
         Log.Debug("<< UI.clipboardReceive");
     },
 
@@ -983,6 +999,146 @@ const UI = {
         Log.Debug("<< UI.clipboardSend");
     },
 
+    // Starts typing the clipboard text, or stops if already typing
+    clipboardType() {
+        if (UI.clipboardTyping) {
+            UI.rfb.cancelTypeText();
+            return;
+        }
+
+        const text = document.getElementById('noVNC_clipboard_text').value;
+        if (text === "") {
+            return;
+        }
+
+        Log.Debug(">> UI.clipboardType: " + text.substr(0, 40) + "...");
+        UI.rfb.typeText(text);
+        Log.Debug("<< UI.clipboardType");
+    },
+
+    updateClipboardTyping(e) {
+        const button = document.getElementById('noVNC_clipboard_type_button');
+
+        UI.clipboardTyping = !e.detail.done;
+        if (UI.clipboardTyping) {
+            button.value = _("Stop typing") + " (" + e.detail.typed + "/" + e.detail.total + ")";
+        } else {
+            button.value = _("Type clipboard");
+        }
+    },
+
+    // Automatic sync with the browser clipboard, if the page enabled it
+    // (clipboard_sync): the local clipboard is sent whenever the session
+    // gains focus, and the server clipboard is written locally.
+    async initClipboardSync() {
+        UI.clipboardSync = WebUtil.getConfigVar('clipboard_sync', 'false') === 'true';
+        if (!UI.clipboardSync) {
+            return;
+        }
+
+        if (!navigator.clipboard || !window.isSecureContext) {
+            Log.Warn("Clipboard sync needs the Clipboard API of a secure context");
+            UI.clipboardSync = false;
+            return;
+        }
+
+        // Reading needs a permission the browser remembers. Where it
+        // can't be queried (e.g. Firefox, which asks on every read) only
+        // the server clipboard is synced.
+        try {
+            const status = await navigator.permissions.query({ name: 'clipboard-read' });
+            UI.clipboardSyncRead = status.state !== 'denied';
+            status.addEventListener('change', () => {
+                UI.clipboardSyncRead = status.state !== 'denied';
+            });
+        } catch (err) {
+            Log.Info("Clipboard read permission can't be queried, not reading the local clipboard");
+            UI.clipboardSyncRead = false;
+        }
+    },
+
+    async clipboardSyncFocus() {
+        if (!UI.clipboardSync || !UI.rfb || !UI.connected) {
+            return;
+        }
+
+        // Browsers only write the clipboard of a focused page, so a server
+        // clipboard that arrived meanwhile is written now, and wins
+        if (UI.clipboardSyncPending !== null) {
+            const clip = UI.clipboardSyncPending;
+            UI.clipboardSyncPending = null;
+            await UI.clipboardSyncWrite(clip, false);
+            return;
+        }
+
+        if (!UI.clipboardSyncRead) {
+            return;
+        }
+
+        let clip;
+        try {
+            clip = await UI.readLocalClipboard();
+        } catch (err) {
+            if (err.name === 'NotAllowedError' && document.hasFocus()) {
+                // Denied at the permission prompt, don't ask again
+                UI.clipboardSyncRead = false;
+                UI.showStatus(_("Clipboard access was denied, use the clipboard panel instead"), 'warn');
+            }
+            Log.Warn("Reading the local clipboard failed: " + err);
+            return;
+        }
+
+        if (clip === null || clip.text === UI.clipboardSyncText || !UI.rfb) {
+            return;
+        }
+
+        Log.Debug("Sending the local clipboard: " + clip.text.substr(0, 40) + "...");
+        UI.clipboardSyncText = clip.text;
+        document.getElementById('noVNC_clipboard_text').value = clip.text;
+        UI.rfb.clipboardPasteFrom(clip.text, clip.html);
+    },
+
+    // Returns { text, html }, or null if there is no text
+    async readLocalClipboard() {
+        if (!navigator.clipboard.read) {
+            return { text: await navigator.clipboard.readText(), html: null };
+        }
+
+        const items = await navigator.clipboard.read();
+        for (const item of items) {
+            if (!item.types.includes('text/plain')) {
+                continue;
+            }
+
+            const text = await (await item.getType('text/plain')).text();
+            let html = null;
+            if (item.types.includes('text/html')) {
+                html = await (await item.getType('text/html')).text();
+            }
+            return { text: text, html: html };
+        }
+        return null;
+    },
+
+    async clipboardSyncWrite(clip, retryOnFocus = true) {
+        try {
+            if (clip.html !== undefined && window.ClipboardItem) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([clip.text], { type: 'text/plain' }),
+                    'text/html': new Blob([clip.html], { type: 'text/html' }),
+                })]);
+            } else {
+                await navigator.clipboard.writeText(clip.text);
+            }
+            UI.clipboardSyncText = clip.text;
+        } catch (err) {
+            Log.Warn("Writing the local clipboard failed: " + err);
+            if (retryOnFocus) {
+                UI.clipboardSyncPending = clip;
+            }
+        }
+    },
+
 /* ------^-------
  *  /CLIPBOARD
  * ==============
@@ -1041,6 +1197,9 @@ const UI = {
         }
         url += '/' + path;
 
+        UI.clipboardSyncText = null;
+        UI.clipboardSyncPending = null;
+
         try {
             UI.rfb = new RFB(document.getElementById('noVNC_container'), url,
                              { shared: UI.getSetting('shared'),
@@ -1052,6 +1211,7 @@ const UI = {
             UI.showStatus(_("Failed to connect to server: ") + exc, 'error');
             return;
         }
+        UI.pathUsed = true;
 
         UI.rfb.addEventListener("connect", UI.connectFinished);
         UI.rfb.addEventListener("disconnect", UI.disconnectFinished);
@@ -1061,6 +1221,7 @@ const UI = {
         UI.rfb.addEventListener("clippingviewport", UI.updateViewDrag);
         UI.rfb.addEventListener("capabilities", UI.updatePowerButton);
         UI.rfb.addEventListener("clipboard", UI.clipboardReceive);
+        UI.rfb.addEventListener("typetext", UI.updateClipboardTyping);
         UI.rfb.addEventListener("bell", UI.bell);
         UI.rfb.addEventListener("desktopname", UI.updateDesktopName);
         UI.rfb.clipViewport = UI.getSetting('view_clip');
@@ -1086,6 +1247,32 @@ const UI = {
         // Don't display the connection settings until we're actually disconnected
     },
 
+    // The embedding page may hand out WebSocket paths that work only once
+    // (e.g. /vnc.html puts a single-use connect ticket in the path). Before
+    // connecting again, ask it for a fresh path through
+    // window.noVNC_refreshPath(), which returns a promise for the new path.
+    // Resolves to false if no path could be obtained.
+    refreshPath() {
+        if (!UI.pathUsed || typeof window.noVNC_refreshPath !== 'function') {
+            return Promise.resolve(true);
+        }
+
+        return Promise.resolve()
+            .then(() => window.noVNC_refreshPath())
+            .then((path) => {
+                WebUtil.setSetting('path', path);
+                UI.updateSetting('path');
+                UI.pathUsed = false;
+                return true;
+            })
+            .catch((err) => {
+                Log.Error("Failed to get a new connection path: " + err);
+                UI.updateVisualState('disconnected');
+                UI.showStatus(_("Failed to connect to server"), 'error');
+                return false;
+            });
+    },
+
     reconnect() {
         UI.reconnectCallback = null;
 
@@ -1094,7 +1281,13 @@ const UI = {
             return;
         }
 
-        UI.connect(null, UI.reconnectPassword);
+        UI.refreshPath()
+            .then((ready) => {
+                // the reconnect may have been cancelled while waiting
+                if (ready && !UI.inhibitReconnect) {
+                    UI.connect(null, UI.reconnectPassword);
+                }
+            });
     },
 
     cancelReconnect() {
@@ -1102,6 +1295,7 @@ const UI = {
             clearTimeout(UI.reconnectCallback);
             UI.reconnectCallback = null;
         }
+        UI.inhibitReconnect = true;
 
         UI.updateVisualState('disconnected');
 
@@ -1769,6 +1963,10 @@ const UI = {
  */
 };
 
+// The embedding page (/vnc.html) takes screenshots of the remote screen
+// with RFB.toBlob()
+window.noVNC_getRFB = () => UI.rfb;
+
 // Set up translations
 const LINGUAS = ["cs", "de", "el", "es", "fr", "it", "ja", "ko", "nl", "pl", "pt_BR", "ru", "sv", "tr", "zh_CN", "zh_TW"];
 l10n.setup(LINGUAS, "app/locale/")
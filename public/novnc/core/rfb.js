@@ -22,6 +22,7 @@ import GestureHandler from "./input/gesturehandler.js";
 import Cursor from "./util/cursor.js";
 import Websock from "./websock.js";
 import KeyTable from "./input/keysym.js";
+import keysyms from "./input/keysymdef.js";
 import XtScancode from "./input/xtscancodes.js";
 import { encodings } from "./encodings.js";
 import RSAAESAuthenticationState from "./ra2.js";
@@ -43,6 +44,9 @@ const DEFAULT_BACKGROUND = 'rgb(40, 40, 40)';
 // Minimum wait (ms) between two mouse moves
 const MOUSE_MOVE_DELAY = 17;
 
+// Wait (ms) between two characters typed by typeText()
+const TYPE_TEXT_DELAY = 20;
+
 // Wheel thresholds
 const WHEEL_STEP = 50; // Pixels needed for one step
 const WHEEL_LINE_HEIGHT = 19; // Assumed pixels for one line step
@@ -71,13 +75,41 @@ const securityTypePlain             = 256;
 
 // Extended clipboard pseudo-encoding formats
 const extendedClipboardFormatText   = 1;
+const extendedClipboardFormatHtml   = 1 << 2;
 /*eslint-disable no-unused-vars */
 const extendedClipboardFormatRtf    = 1 << 1;
-const extendedClipboardFormatHtml   = 1 << 2;
 const extendedClipboardFormatDib    = 1 << 3;
 const extendedClipboardFormatFiles  = 1 << 4;
 /*eslint-enable */
 
+// Physical keys of a US keyboard for the characters they produce, so
+// typeText() can send scancodes to servers using QEMU extended key events
+const usKeyboardCodes = (() => {
+    const rows = [
+        ["`1234567890-=", "~!@#$%^&*()_+",
+         "Backquote Digit1 Digit2 Digit3 Digit4 Digit5 Digit6 Digit7 Digit8 Digit9 Digit0 Minus Equal"],
+        ["qwertyuiop[]\\", "QWERTYUIOP{}|",
+         "KeyQ KeyW KeyE KeyR KeyT KeyY KeyU KeyI KeyO KeyP BracketLeft BracketRight Backslash"],
+        ["asdfghjkl;'", "ASDFGHJKL:\"",
+         "KeyA KeyS KeyD KeyF KeyG KeyH KeyJ KeyK KeyL Semicolon Quote"],
+        ["zxcvbnm,./", "ZXCVBNM<>?",
+         "KeyZ KeyX KeyC KeyV KeyB KeyN KeyM Comma Period Slash"],
+    ];
+    const map = {
+        " ": { code: "Space", shift: false },
+        "\n": { code: "Enter", shift: false },
+        "\t": { code: "Tab", shift: false },
+    };
+    for (let [plain, shifted, codes] of rows) {
+        codes = codes.split(" ");
+        for (let i = 0; i < codes.length; i++) {
+            map[plain[i]] = { code: codes[i], shift: false };
+            map[shifted[i]] = { code: codes[i], shift: true };
+        }
+    }
+    return map;
+})();
+
 // Extended clipboard pseudo-encoding actions
 const extendedClipboardActionCaps    = 1 << 24;
 const extendedClipboardActionRequest = 1 << 25;
@@ -151,9 +183,12 @@ export default class RFB extends EventTargetMixin {
         this._qemuExtKeyEventSupported = false;
 
         this._clipboardText = null;
+        this._clipboardHtml = null;
         this._clipboardServerCapabilitiesActions = {};
         this._clipboardServerCapabilitiesFormats = {};
 
+        this._typeTextState = null;
+
         // Internal objects
         this._sock = null;              // Websock object
         this._display = null;           // Display object
@@ -493,14 +528,21 @@ export default class RFB extends EventTargetMixin {
         this._canvas.blur();
     }
 
-    clipboardPasteFrom(text) {
+    // The optional html is offered alongside the text when the server
+    // takes HTML through the extended clipboard, and dropped otherwise
+    clipboardPasteFrom(text, html = null) {
         if (this._rfbConnectionState !== 'connected' || this._viewOnly) { return; }
 
         if (this._clipboardServerCapabilitiesFormats[extendedClipboardFormatText] &&
             this._clipboardServerCapabilitiesActions[extendedClipboardActionNotify]) {
 
             this._clipboardText = text;
-            RFB.messages.extendedClipboardNotify(this._sock, [extendedClipboardFormatText]);
+            this._clipboardHtml = null;
+            if (html !== null &&
+                this._clipboardServerCapabilitiesFormats[extendedClipboardFormatHtml]) {
+                this._clipboardHtml = html;
+            }
+            RFB.messages.extendedClipboardNotify(this._sock, this._clipboardFormats());
         } else {
             let length, i;
             let data;
@@ -529,6 +571,45 @@ export default class RFB extends EventTargetMixin {
         }
     }
 
+    // Formats of our clipboard data, for Notify messages
+    _clipboardFormats() {
+        let formats = [];
+        if (this._clipboardText != null) {
+            formats.push(extendedClipboardFormatText);
+        }
+        if (this._clipboardHtml != null) {
+            formats.push(extendedClipboardFormatHtml);
+        }
+        return formats;
+    }
+
+    // Type text as key presses, for text the server's clipboard cannot
+    // take (e.g. non-Latin-1 text without the extended clipboard). The
+    // characters are sent TYPE_TEXT_DELAY ms apart; "typetext" events
+    // report the progress until all are typed or cancelTypeText().
+    typeText(text) {
+        if (this._rfbConnectionState !== 'connected' || this._viewOnly) { return; }
+
+        this.cancelTypeText();
+
+        Log.Info("Typing " + text.length + " characters");
+        this._typeTextState = { chars: Array.from(text.replace(/\r\n?/g, "\n")),
+                                typed: 0,
+                                timer: null };
+        this._typeNextChar();
+    }
+
+    cancelTypeText() {
+        const state = this._typeTextState;
+        if (state === null) { return; }
+
+        clearTimeout(state.timer);
+        this._typeTextState = null;
+
+        Log.Info("Typing cancelled after " + state.typed + " characters");
+        this._dispatchTypeText(state, true);
+    }
+
     getImageData() {
         return this._display.getImageData();
     }
@@ -908,6 +989,7 @@ export default class RFB extends EventTargetMixin {
                 break;
 
             case 'disconnecting':
+                this.cancelTypeText();
                 this._disconnect();
 
                 this._disconnTimer = setTimeout(() => {
@@ -924,6 +1006,58 @@ export default class RFB extends EventTargetMixin {
         }
     }
 
+    _typeNextChar() {
+        const state = this._typeTextState;
+
+        if (state.typed >= state.chars.length) {
+            this._typeTextState = null;
+            this._dispatchTypeText(state, true);
+            return;
+        }
+
+        this._typeChar(state.chars[state.typed++]);
+        this._dispatchTypeText(state, false);
+
+        state.timer = setTimeout(this._typeNextChar.bind(this), TYPE_TEXT_DELAY);
+    }
+
+    _typeChar(char) {
+        const key = usKeyboardCodes[char];
+        let keysym;
+
+        if (char === "\n") {
+            keysym = KeyTable.XK_Return;
+        } else if (char === "\t") {
+            keysym = KeyTable.XK_Tab;
+        } else {
+            const codepoint = char.codePointAt(0);
+            // Skip the remaining control characters
+            if (codepoint < 0x20 || (codepoint >= 0x7f && codepoint < 0xa0)) {
+                return;
+            }
+            keysym = keysyms.lookup(codepoint);
+        }
+
+        // Scancodes mean physical keys, so hold shift ourselves
+        const shift = this._qemuExtKeyEventSupported && key && key.shift;
+
+        if (shift) {
+            this.sendKey(KeyTable.XK_Shift_L, "ShiftLeft", true);
+        }
+        this.sendKey(keysym, key ? key.code : null);
+        if (shift) {
+            this.sendKey(KeyTable.XK_Shift_L, "ShiftLeft", false);
+        }
+    }
+
+    _dispatchTypeText(state, done) {
+        this.dispatchEvent(new CustomEvent(
+            "typetext",
+            { detail: { typed: state.typed,
+                        total: state.chars.length,
+                        done: done } }));
+    }
+
     /* Print errors and disconnect
      *
      * The parameter 'details' is used for information that
@@ -2264,7 +2398,10 @@ export default class RFB extends EventTargetMixin {
                     extendedClipboardActionNotify,
                     extendedClipboardActionProvide
                 ];
-                RFB.messages.extendedClipboardCaps(this._sock, clientActions, {extendedClipboardFormatText: 0});
+                // Keyed by format bit number, valued by the size of
+                // unsolicited data we take (none)
+                let clientFormats = { 0: 0, 2: 0 }; // Text, HTML
+                RFB.messages.extendedClipboardCaps(this._sock, clientActions, clientFormats);
 
             } else if (actions === extendedClipboardActionRequest) {
                 if (this._viewOnly) {
@@ -2275,8 +2412,18 @@ export default class RFB extends EventTargetMixin {
                 if (this._clipboardText != null &&
                     this._clipboardServerCapabilitiesActions[extendedClipboardActionProvide]) {
 
+                    let provideFormats = [];
+                    let provideData = [];
                     if (formats & extendedClipboardFormatText) {
-                        RFB.messages.extendedClipboardProvide(this._sock, [extendedClipboardFormatText], [this._clipboardText]);
+                        provideFormats.push(extendedClipboardFormatText);
+                        provideData.push(this._clipboardText);
+                    }
+                    if ((formats & extendedClipboardFormatHtml) && this._clipboardHtml != null) {
+                        provideFormats.push(extendedClipboardFormatHtml);
+                        provideData.push(this._clipboardHtml);
+                    }
+                    if (provideFormats.length > 0) {
+                        RFB.messages.extendedClipboardProvide(this._sock, provideFormats, provideData);
                     }
                 }
 
@@ -2287,11 +2434,7 @@ export default class RFB extends EventTargetMixin {
 
                 if (this._clipboardServerCapabilitiesActions[extendedClipboardActionNotify]) {
 
-                    if (this._clipboardText != null) {
-                        RFB.messages.extendedClipboardNotify(this._sock, [extendedClipboardFormatText]);
-                    } else {
-                        RFB.messages.extendedClipboardNotify(this._sock, []);
-                    }
+                    RFB.messages.extendedClipboardNotify(this._sock, this._clipboardFormats());
                 }
 
             } else if (actions === extendedClipboardActionNotify) {
@@ -2301,8 +2444,13 @@ export default class RFB extends EventTargetMixin {
 
                 if (this._clipboardServerCapabilitiesActions[extendedClipboardActionRequest]) {
 
+                    // HTML is only of use next to its text
                     if (formats & extendedClipboardFormatText) {
-                        RFB.messages.extendedClipboardRequest(this._sock, [extendedClipboardFormatText]);
+                        let requestFormats = [extendedClipboardFormatText];
+                        if (formats & extendedClipboardFormatHtml) {
+                            requestFormats.push(extendedClipboardFormatHtml);
+                        }
+                        RFB.messages.extendedClipboardRequest(this._sock, requestFormats);
                     }
                 }
 
@@ -2316,11 +2464,13 @@ export default class RFB extends EventTargetMixin {
                 }
                 // Ignore what we had in our clipboard client side.
                 this._clipboardText = null;
+                this._clipboardHtml = null;
 
                 // FIXME: Should probably verify that this data was actually requested
                 let zlibStream = this._sock.rQshiftBytes(length - 4);
                 let streamInflator = new Inflator();
                 let textData = null;
+                let htmlData = null;
 
                 streamInflator.setInput(zlibStream);
                 for (let i = 0; i <= 15; i++) {
@@ -2337,30 +2487,41 @@ export default class RFB extends EventTargetMixin {
                         size |= (sizeArray[3]);
                         let chunk = streamInflator.inflate(size);
 
+                        // The chunk is in the inflator's buffer, which
+                        // the next format reuses
                         if (format === extendedClipboardFormatText) {
-                            textData = chunk;
+                            textData = chunk.slice();
+                        } else if (format === extendedClipboardFormatHtml) {
+                            htmlData = chunk.slice();
                         }
                     }
                 }
                 streamInflator.setInput(null);
 
-                if (textData !== null) {
+                // Both are null terminated UTF-8 with CRLF line endings
+                const decodeClipboardData = (data) => {
                     let tmpText = "";
-                    for (let i = 0; i < textData.length; i++) {
-                        tmpText += String.fromCharCode(textData[i]);
+                    for (let i = 0; i < data.length; i++) {
+                        tmpText += String.fromCharCode(data[i]);
                     }
-                    textData = tmpText;
 
-                    textData = decodeUTF8(textData);
-                    if ((textData.length > 0) && "\0" === textData.charAt(textData.length - 1)) {
-                        textData = textData.slice(0, -1);
+                    tmpText = decodeUTF8(tmpText);
+                    if ((tmpText.length > 0) && "\0" === tmpText.charAt(tmpText.length - 1)) {
+                        tmpText = tmpText.slice(0, -1);
                     }
 
-                    textData = textData.replaceAll("\r\n", "\n");
+                    return tmpText.replaceAll("\r\n", "\n");
+                };
+
+                if (textData !== null) {
+                    let detail = { text: decodeClipboardData(textData) };
+                    if (htmlData !== null) {
+                        detail.html = decodeClipboardData(htmlData);
+                    }
 
                     this.dispatchEvent(new CustomEvent(
                         "clipboard",
-                        { detail: { text: textData } }));
+                        { detail: detail }));
                 }
             } else {
                 return this._fail("Unexpected action in extended clipboard message: " + actions);
@@ -3011,8 +3172,9 @@ RFB.messages = {
         let dataToDeflate = [];
 
         for (let i = 0; i < formats.length; i++) {
-            // We only support the format Text at this time
-            if (formats[i] != extendedClipboardFormatText) {
+            // We only support the formats Text and HTML at this time
+            if (formats[i] != extendedClipboardFormatText &&
+                formats[i] != extendedClipboardFormatHtml) {
                 throw new Error("Unsupported extended clipboard format for Provide message.");
             }
 
@@ -750,7 +750,12 @@ SpiceDisplayConn.prototype.process_channel_message = function(msg)
 
     if (msg.type == Constants.SPICE_MSG_DISPLAY_MONITORS_CONFIG)
     {
-        this.known_unimplemented(msg.type, "Display Monitors Config");
+        /* All heads share the primary surface; monitor windows show their part of it */
+        var monitors_config = new Messages.SpiceMsgDisplayMonitorsConfig(msg.data);
+        Utils.DEBUG > 0 && logger.debug("MonitorsConfig: " + monitors_config.heads.length +
+                                        " heads, max " + monitors_config.max_allowed);
+        this.monitors = monitors_config.heads;
+        this.max_monitors = monitors_config.max_allowed;
         return true;
     }
 
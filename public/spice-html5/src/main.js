@@ -28,8 +28,11 @@ import { SpiceInputsConn, sendCtrlAltDel } from './inputs.js';
 import { SpiceDisplayConn } from './display.js';
 import { SpicePlaybackConn } from './playback.js';
 import { SpicePortConn } from './port.js';
+import { SpiceRecordConn } from './record.js';
 import { handle_file_dragover, handle_file_drop } from './filexfer.js';
 import { resize_helper, handle_resize } from './resize.js';
+import { open_monitor_window, close_monitor_windows } from './monitors.js';
+import { SpiceReplay } from './replay.js';
 
 /*----------------------------------------------------------------------------
 **  SpiceMainConn
@@ -39,6 +42,15 @@ import { resize_helper, handle_resize } from './resize.js';
 **      Invocation:  You must pass an object with properties as follows:
 **          uri         (required)  Uri of a WebSocket listener that is
 **                                  connected to a spice server.
+**          replay      (optional)  A SpiceReplay (see replay.js) to play a
+**                                  recorded session from instead of
+**                                  connecting to a server; uri is then
+**                                  not needed.
+**          uri_provider (optional) A function (type, chan_id) returning a
+**                                  Promise of the uri for one channel.
+**                                  Called for every channel, for servers
+**                                  that only accept single-use uris; uri
+**                                  is then not needed.
 **          password    (required)  Password to send to the spice server
 **          message_id  (optional)  Identifier of an element in the DOM
 **                                  where SpiceConn will write messages.
@@ -65,7 +77,7 @@ import { resize_helper, handle_resize } from './resize.js';
 **--------------------------------------------------------------------------*/
 function SpiceMainConn()
 {
-    if (typeof WebSocket === "undefined")
+    if (typeof WebSocket === "undefined" && !(arguments[0] && arguments[0].replay))
         throw new Error("WebSocket unavailable.  You need to use a different browser.");
 
     SpiceConn.apply(this, arguments);
@@ -75,6 +87,14 @@ function SpiceMainConn()
     this.file_xfer_task_id = 0;
     this.file_xfer_read_queue = [];
     this.ports = [];
+
+    /* Agent messages larger than VD_AGENT_MAX_DATA_SIZE arrive in several
+    **  SPICE_MSG_MAIN_AGENT_DATA messages; only the first one has a header. */
+    this.agent_data_partial = null;
+    this.agent_caps = 0;
+    this.agent_max_clipboard = -1;
+    /* Text we grabbed the guest clipboard with, sent when the guest asks */
+    this.clipboard_text = null;
 }
 
 SpiceMainConn.prototype = Object.create(SpiceConn.prototype);
@@ -195,11 +215,12 @@ SpiceMainConn.prototype.process_channel_message = function(msg)
             else if (chans.channels[i].type == Constants.SPICE_CHANNEL_CURSOR)
                 this.cursor = new SpiceCursorConn(conn);
             else if (chans.channels[i].type == Constants.SPICE_CHANNEL_PLAYBACK)
-                this.cursor = new SpicePlaybackConn(conn);
+                this.playback = new SpicePlaybackConn(conn);
             else if (chans.channels[i].type == Constants.SPICE_CHANNEL_PORT)
                 this.ports.push(new SpicePortConn(conn));
+            else if (chans.channels[i].type == Constants.SPICE_CHANNEL_RECORD)
+                this.record = new SpiceRecordConn(conn);
             else if (chans.channels[i].type == Constants.SPICE_CHANNEL_USBREDIR ||
-                     chans.channels[i].type == Constants.SPICE_CHANNEL_RECORD ||
                      chans.channels[i].type == Constants.SPICE_CHANNEL_WEBDAV)
             {
                 // Skip optional channels that are not needed - don't create connection
@@ -251,6 +272,9 @@ SpiceMainConn.prototype.process_channel_message = function(msg)
     if (msg.type == Constants.SPICE_MSG_MAIN_AGENT_DISCONNECTED)
     {
         this.agent_connected = false;
+        this.agent_data_partial = null;
+        this.agent_caps = 0;
+        this.clipboard_text = null;
         return true;
     }
 
@@ -261,7 +285,9 @@ SpiceMainConn.prototype.process_channel_message = function(msg)
         logger.debug("  - Message type:", msg.type);
         logger.debug("  - Message data length:", msg.data ? msg.data.byteLength : 0);
 
-        var agent_data = new Messages.SpiceMsgMainAgentData(msg.data);
+        var agent_data = this.reassemble_agent_data(msg.data);
+        if (!agent_data)
+            return true;
         logger.debug("  - Agent data type:", agent_data.type);
         logger.debug("  - Agent data size:", agent_data.size);
 
@@ -269,10 +295,21 @@ SpiceMainConn.prototype.process_channel_message = function(msg)
         {
             logger.debug("  - Processing: VD_AGENT_ANNOUNCE_CAPABILITIES");
             var agent_caps = new Messages.VDAgentAnnounceCapabilities(agent_data.data);
+            this.agent_caps = agent_caps.caps;
             if (agent_caps.request)
                 this.announce_agent_capabilities(0);
             return true;
         }
+        else if (agent_data.type == Constants.VD_AGENT_CLIPBOARD_GRAB ||
+                 agent_data.type == Constants.VD_AGENT_CLIPBOARD_REQUEST ||
+                 agent_data.type == Constants.VD_AGENT_CLIPBOARD ||
+                 agent_data.type == Constants.VD_AGENT_CLIPBOARD_RELEASE ||
+                 agent_data.type == Constants.VD_AGENT_MAX_CLIPBOARD)
+        {
+            logger.debug("  - Processing: clipboard message", agent_data.type);
+            this.handle_clipboard_message(agent_data);
+            return true;
+        }
         else if (agent_data.type == Constants.VD_AGENT_FILE_XFER_STATUS)
         {
             logger.debug("  - Processing: VD_AGENT_FILE_XFER_STATUS");
@@ -360,6 +397,20 @@ SpiceMainConn.prototype.stop = function(msg)
         this.display = undefined;
     }
 
+    if (this.playback)
+    {
+        this.playback.cleanup();
+        this.playback = undefined;
+    }
+
+    if (this.record)
+    {
+        this.record.cleanup();
+        this.record = undefined;
+    }
+
+    close_monitor_windows(this);
+
     this.cleanup();
 
     if ("extra_channels" in this)
@@ -406,16 +457,149 @@ SpiceMainConn.prototype.announce_agent_capabilities = function(request)
 {
     var caps = new Messages.VDAgentAnnounceCapabilities(request, (1 << Constants.VD_AGENT_CAP_MOUSE_STATE) |
                                                         (1 << Constants.VD_AGENT_CAP_MONITORS_CONFIG) |
-                                                        (1 << Constants.VD_AGENT_CAP_REPLY));
+                                                        (1 << Constants.VD_AGENT_CAP_REPLY) |
+                                                        (1 << Constants.VD_AGENT_CAP_CLIPBOARD_BY_DEMAND));
     this.send_agent_message(Constants.VD_AGENT_ANNOUNCE_CAPABILITIES, caps);
 }
 
+SpiceMainConn.prototype.agent_has_cap = function(cap)
+{
+    return (this.agent_caps & (1 << cap)) != 0;
+}
+
+/* Collect the chunks of an agent message; returns the message once complete */
+SpiceMainConn.prototype.reassemble_agent_data = function(data)
+{
+    var agent_data = this.agent_data_partial;
+    if (!agent_data)
+    {
+        agent_data = new Messages.SpiceMsgMainAgentData(data);
+        var received = agent_data.data ? agent_data.data.byteLength : 0;
+        if (received >= agent_data.size)
+            return agent_data;
+
+        agent_data.buffer = new Uint8Array(agent_data.size);
+        agent_data.buffer.set(new Uint8Array(agent_data.data || new ArrayBuffer(0)));
+        agent_data.received = received;
+        this.agent_data_partial = agent_data;
+        return null;
+    }
+
+    var chunk = new Uint8Array(data, 0, Math.min(data.byteLength, agent_data.size - agent_data.received));
+    agent_data.buffer.set(chunk, agent_data.received);
+    agent_data.received += chunk.length;
+    if (agent_data.received < agent_data.size)
+        return null;
+
+    this.agent_data_partial = null;
+    agent_data.data = agent_data.buffer.buffer;
+    delete agent_data.buffer;
+    delete agent_data.received;
+    return agent_data;
+}
+
+/*----------------------------------------------------------------------------
+**  Clipboard
+**      Only UTF-8 text is shared.  Both sides announce a new clipboard with
+**  a GRAB listing the types they have; the other side asks for the data with
+**  a REQUEST when it needs it.  We ask as soon as the guest grabs, so the
+**  text is ready for the page (onclipboard) without a paste in the browser.
+**--------------------------------------------------------------------------*/
+SpiceMainConn.prototype.handle_clipboard_message = function(agent_data)
+{
+    switch (agent_data.type)
+    {
+        case Constants.VD_AGENT_CLIPBOARD_GRAB:
+            var grab = new Messages.VDAgentClipboardGrab(agent_data.data);
+            this.clipboard_text = null;
+            if (grab.types.indexOf(Constants.VD_AGENT_CLIPBOARD_UTF8_TEXT) >= 0)
+                this.send_agent_message(Constants.VD_AGENT_CLIPBOARD_REQUEST,
+                    new Messages.VDAgentClipboardRequest(Constants.VD_AGENT_CLIPBOARD_UTF8_TEXT));
+            break;
+
+        case Constants.VD_AGENT_CLIPBOARD_REQUEST:
+            var request = new Messages.VDAgentClipboardRequest(agent_data.data);
+            var text = request.type == Constants.VD_AGENT_CLIPBOARD_UTF8_TEXT && this.clipboard_text !== null ?
+                this.clipboard_text : "";
+            /* An empty reply tells the guest we have nothing of that type */
+            this.send_agent_message(Constants.VD_AGENT_CLIPBOARD,
+                new Messages.VDAgentClipboard(request.type, this.encode_clipboard_text(text)));
+            break;
+
+        case Constants.VD_AGENT_CLIPBOARD:
+            var clipboard = new Messages.VDAgentClipboard(agent_data.data);
+            if (clipboard.type != Constants.VD_AGENT_CLIPBOARD_UTF8_TEXT)
+                break;
+            var received = new TextDecoder("utf-8").decode(clipboard.data).replace(/\0+$/, "");
+            if (this.agent_has_cap(Constants.VD_AGENT_CAP_GUEST_LINEEND_CRLF))
+                received = received.replace(/\r\n/g, "\n");
+            if (this.onclipboard !== undefined)
+                this.onclipboard(received);
+            break;
+
+        case Constants.VD_AGENT_CLIPBOARD_RELEASE:
+            break;
+
+        case Constants.VD_AGENT_MAX_CLIPBOARD:
+            this.agent_max_clipboard = new Messages.VDAgentMaxClipboard(agent_data.data).max;
+            break;
+    }
+}
+
+SpiceMainConn.prototype.encode_clipboard_text = function(text)
+{
+    if (this.agent_has_cap(Constants.VD_AGENT_CAP_GUEST_LINEEND_CRLF))
+        text = text.replace(/\r?\n/g, "\r\n");
+    return new TextEncoder().encode(text).buffer;
+}
+
+SpiceMainConn.prototype.clipboard_available = function()
+{
+    return this.agent_connected && this.agent_has_cap(Constants.VD_AGENT_CAP_CLIPBOARD_BY_DEMAND);
+}
+
+/* Offer text to the guest clipboard; returns false if the agent cannot take it */
+SpiceMainConn.prototype.clipboard_grab = function(text)
+{
+    if (!this.clipboard_available())
+        return false;
+
+    if (this.agent_max_clipboard > 0 && this.encode_clipboard_text(text).byteLength > this.agent_max_clipboard)
+    {
+        this.log_warn("Clipboard text exceeds the agent limit of " + this.agent_max_clipboard + " bytes");
+        return false;
+    }
+
+    this.clipboard_text = text;
+    this.send_agent_message(Constants.VD_AGENT_CLIPBOARD_GRAB,
+        new Messages.VDAgentClipboardGrab([ Constants.VD_AGENT_CLIPBOARD_UTF8_TEXT ]));
+    return true;
+}
+
+/* Give up the guest clipboard we grabbed with clipboard_grab() */
+SpiceMainConn.prototype.clipboard_release = function()
+{
+    if (this.clipboard_text === null)
+        return;
+
+    this.clipboard_text = null;
+    if (this.agent_connected)
+        this.send_agent_message(Constants.VD_AGENT_CLIPBOARD_RELEASE, new Messages.VDAgentClipboardRelease());
+}
+
 SpiceMainConn.prototype.resize_window = function(flags, width, height, depth, x, y)
 {
     var monitors_config = new Messages.VDAgentMonitorsConfig(flags, width, height, depth, x, y);
     this.send_agent_message(Constants.VD_AGENT_MONITORS_CONFIG, monitors_config);
 }
 
+/* Configure several guest monitors: a list of { width, height, depth, x, y } */
+SpiceMainConn.prototype.resize_monitors = function(flags, monitors)
+{
+    var monitors_config = new Messages.VDAgentMonitorsConfig(flags, monitors);
+    this.send_agent_message(Constants.VD_AGENT_MONITORS_CONFIG, monitors_config);
+}
+
 SpiceMainConn.prototype.file_xfer_start = function(file)
 {
     var task_id, xfer_start, task;
@@ -548,6 +732,24 @@ SpiceMainConn.prototype.handle_mouse_mode = function(current, supported)
         this.inputs.mouse_mode = current;
 }
 
+/* Turn the microphone on or off.  Turning it on asks for permission right
+**  away (it must follow a user gesture); the guest only receives audio while
+**  one of its applications records. */
+SpiceMainConn.prototype.set_microphone = async function(enabled)
+{
+    if (!this.record)
+    {
+        if (enabled)
+            throw new Error("The server has no record channel");
+        return;
+    }
+
+    if (enabled)
+        await this.record.open_microphone();
+    else
+        this.record.close_microphone();
+}
+
 /* Shift current time to attempt to get a time matching that of the server */
 SpiceMainConn.prototype.relative_now = function()
 {
@@ -557,9 +759,12 @@ SpiceMainConn.prototype.relative_now = function()
 
 export {
   SpiceMainConn,
+  SpiceReplay,
   handle_file_dragover,
   handle_file_drop,
   resize_helper,
   handle_resize,
+  open_monitor_window,
+  close_monitor_windows,
   sendCtrlAltDel,
 };
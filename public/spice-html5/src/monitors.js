@@ -0,0 +1,198 @@
+"use strict";
+
+/*----------------------------------------------------------------------------
+**  monitors.js
+**      Shows additional guest monitors in their own browser windows.
+**
+**  The guest draws all of its monitors into the one primary surface of the
+**  display channel; SPICE_MSG_DISPLAY_MONITORS_CONFIG tells where each head
+**  lies in it.  This window shows monitor 0 (at the surface origin).  Every
+**  monitor window (spice-monitor.html) gets a canvas into which its part of
+**  the surface is copied on each animation frame, with the usual input
+**  handlers attached; the canvas carries the origin of its part so mouse
+**  positions are translated to surface coordinates (see spicemsg.js).
+**
+**  Resizing any window sends the combined monitors config (resize.js).
+**  Where the Window Management API is available, monitor windows are opened
+**  on the other screens, sized to fill them.
+**
+**  Only a guest with a single display channel (e.g. a multi-head QXL device)
+**  is supported.
+**--------------------------------------------------------------------------*/
+
+import * as Inputs from './inputs.js';
+import { handle_resize } from './resize.js';
+
+var MONITOR_PAGE = '/spice-monitor.html';
+var next_monitor_id = 1;
+var pending_monitors = {};
+
+/* Called by spice-monitor.html once it has loaded */
+window.spice_attach_monitor = function(id, win)
+{
+    var monitor = pending_monitors[id];
+    delete pending_monitors[id];
+    if (monitor)
+        attach_monitor(monitor, win);
+}
+
+async function screen_placement(index)
+{
+    if (!('getScreenDetails' in window))
+        return 'width=' + window.innerWidth + ',height=' + window.innerHeight;
+
+    try
+    {
+        var details = await window.getScreenDetails();
+        var screens = details.screens.filter(function(s) { return s !== details.currentScreen; });
+        if (screens.length == 0)
+            return 'width=' + window.innerWidth + ',height=' + window.innerHeight;
+
+        var s = screens[(index - 1) % screens.length];
+        return 'left=' + s.availLeft + ',top=' + s.availTop + ',width=' + s.availWidth + ',height=' + s.availHeight;
+    }
+    catch (e)
+    {
+        /* Permission denied: open the window where the browser puts it */
+        logger.debug("🖥️  [Monitors] Screen details unavailable: " + e.message);
+        return 'width=' + window.innerWidth + ',height=' + window.innerHeight;
+    }
+}
+
+/* Open a window for one more guest monitor; must follow a user gesture */
+async function open_monitor_window(sc)
+{
+    if (!sc.monitor_windows)
+        sc.monitor_windows = [];
+
+    var max = sc.display && sc.display.max_monitors;
+    if (max && sc.monitor_windows.length + 1 >= max)
+        throw new Error("The guest supports at most " + max + " monitors");
+
+    var monitor = {
+        id: next_monitor_id++,
+        index: sc.monitor_windows.length + 1,
+        sc: sc,
+        window: null,
+        canvas: null,
+        origin: { x: 0, y: 0 }
+    };
+
+    var features = 'popup,' + await screen_placement(monitor.index);
+    var win = window.open(MONITOR_PAGE + '?id=' + monitor.id + '&monitor=' + monitor.index,
+                          'spice-monitor-' + monitor.id, features);
+    if (!win)
+        throw new Error("The monitor window was blocked by the browser");
+
+    monitor.window = win;
+    pending_monitors[monitor.id] = monitor;
+    return monitor;
+}
+
+function attach_monitor(monitor, win)
+{
+    var sc = monitor.sc;
+    var canvas = win.document.getElementById('monitor-canvas');
+
+    monitor.window = win;
+    monitor.canvas = canvas;
+    canvas.sc = sc;
+    canvas.spice_origin = { x: monitor.origin.x, y: monitor.origin.y };
+    canvas.tabIndex = 0;
+
+    canvas.addEventListener('mousemove', Inputs.handle_mousemove);
+    canvas.addEventListener('mousedown', Inputs.handle_mousedown);
+    canvas.addEventListener('contextmenu', Inputs.handle_contextmenu);
+    canvas.addEventListener('mouseup', Inputs.handle_mouseup);
+    canvas.addEventListener('keydown', Inputs.handle_keydown, true);
+    canvas.addEventListener('keyup', Inputs.handle_keyup, true);
+    canvas.addEventListener('wheel', Inputs.handle_mousewheel);
+    canvas.addEventListener('mouseover', function() { this.focus(); });
+
+    win.addEventListener('resize', handle_resize);
+    win.addEventListener('pagehide', function() { close_monitor_window(monitor); });
+
+    sc.monitor_windows.push(monitor);
+    logger.debug("🖥️  [Monitors] Monitor window " + monitor.index + " attached");
+    handle_resize();
+
+    draw_monitor(monitor);
+    canvas.focus();
+}
+
+/* Copy this monitor's part of the primary surface */
+function draw_monitor(monitor)
+{
+    if (monitor.window.closed || monitor.sc.monitor_windows.indexOf(monitor) < 0)
+        return;
+
+    var sc = monitor.sc;
+    var canvas = monitor.canvas;
+    var origin = monitor_origin(monitor);
+    var width = monitor.window.innerWidth - (monitor.window.innerWidth % 8);
+    var height = monitor.window.innerHeight - (monitor.window.innerHeight % 8);
+
+    if (canvas.width != width || canvas.height != height)
+    {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    canvas.spice_origin.x = origin.x;
+    canvas.spice_origin.y = origin.y;
+
+    var ctx = canvas.getContext('2d');
+    var surface = sc.display && sc.display.surfaces && sc.display.surfaces[sc.display.primary_surface];
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    if (surface)
+        ctx.drawImage(surface.canvas, origin.x, origin.y, width, height, 0, 0, width, height);
+
+    var screen = document.getElementById(sc.screen_id);
+    if (screen)
+        canvas.style.cursor = screen.style.cursor;
+
+    monitor.window.requestAnimationFrame(function() { draw_monitor(monitor); });
+}
+
+/* Where the guest put the head; our requested layout until it tells us */
+function monitor_origin(monitor)
+{
+    var heads = monitor.sc.display && monitor.sc.display.monitors;
+    if (heads)
+    {
+        for (var i = 0; i < heads.length; i++)
+            if (heads[i].monitor_id == monitor.index && heads[i].width > 0)
+                return { x: heads[i].x, y: heads[i].y };
+    }
+    return monitor.origin;
+}
+
+function close_monitor_window(monitor)
+{
+    var sc = monitor.sc;
+    var i = sc.monitor_windows ? sc.monitor_windows.indexOf(monitor) : -1;
+    if (i < 0)
+        return;
+
+    sc.monitor_windows.splice(i, 1);
+    /* Monitors after it move up one place */
+    for (; i < sc.monitor_windows.length; i++)
+        sc.monitor_windows[i].index = i + 1;
+
+    if (!monitor.window.closed)
+        monitor.window.close();
+    logger.debug("🖥️  [Monitors] Monitor window " + monitor.index + " closed");
+    if (sc.state != "closing")
+        handle_resize();
+}
+
+function close_monitor_windows(sc)
+{
+    while (sc.monitor_windows && sc.monitor_windows.length > 0)
+        close_monitor_window(sc.monitor_windows[0]);
+}
+
+export {
+  open_monitor_window,
+  close_monitor_windows,
+};
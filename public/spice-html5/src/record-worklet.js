@@ -0,0 +1,45 @@
+"use strict";
+
+/*----------------------------------------------------------------------------
+**  record-worklet.js
+**      AudioWorklet that turns the microphone signal into frames of
+**  interleaved signed 16 bit samples, the format of the Spice record channel.
+**  A mono microphone is copied to every channel.
+**--------------------------------------------------------------------------*/
+class SpiceRecordProcessor extends AudioWorkletProcessor
+{
+    constructor(options)
+    {
+        super();
+        this.channels = options.processorOptions.channels;
+        this.frame_size = options.processorOptions.frame_size;
+        this.frame = new Int16Array(this.frame_size * this.channels);
+        this.filled = 0;
+    }
+
+    process(inputs)
+    {
+        var input = inputs[0];
+        if (!input || input.length == 0)
+            return true;
+
+        for (var i = 0; i < input[0].length; i++)
+        {
+            for (var c = 0; c < this.channels; c++)
+            {
+                var s = input[Math.min(c, input.length - 1)][i];
+                this.frame[this.filled * this.channels + c] = s < 0 ? Math.max(s, -1) * 0x8000 : Math.min(s, 1) * 0x7fff;
+            }
+
+            if (++this.filled == this.frame_size)
+            {
+                this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+                this.frame = new Int16Array(this.frame_size * this.channels);
+                this.filled = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('spice-record-processor', SpiceRecordProcessor);
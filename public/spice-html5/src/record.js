@@ -0,0 +1,308 @@
+"use strict";
+
+/*----------------------------------------------------------------------------
+**  SpiceRecordConn
+**      Drive the Spice Record channel (sound in, i.e. the microphone)
+**
+**  The server sends RECORD_START when a guest application opens its
+**  microphone and RECORD_STOP when it closes it.  While the user has the
+**  microphone enabled (SpiceMainConn.set_microphone) and the guest records,
+**  the signal is captured with getUserMedia, cut into 10 ms frames of S16
+**  samples by an AudioWorklet (record-worklet.js) and sent as RECORD_DATA.
+**  The first frame after a start is preceded by RECORD_MODE and
+**  RECORD_START_MARK.
+**
+**  Frames are sent as raw PCM, or as Opus if the server supports it and the
+**  browser has a WebCodecs AudioEncoder.
+**--------------------------------------------------------------------------*/
+
+import * as Utils from './utils.js';
+import * as Messages from './spicemsg.js';
+import { Constants } from './enums.js';
+import { SpiceConn } from './spiceconn.js';
+
+var OPUS_FREQUENCY = 48000;
+var OPUS_BITRATE = 64000;
+
+function SpiceRecordConn()
+{
+    SpiceConn.apply(this, arguments);
+
+    this.start = null;          /* SpiceMsgRecordStart while the guest records */
+    this.stream = null;         /* MediaStream of the microphone */
+    this.capture = null;        /* Audio graph and encoder while capturing */
+    this.volume = 1;
+    this.mute = false;
+}
+
+SpiceRecordConn.prototype = Object.create(SpiceConn.prototype);
+SpiceRecordConn.prototype.process_channel_message = function(msg)
+{
+    if (msg.type == Constants.SPICE_MSG_RECORD_START)
+    {
+        var start = new Messages.SpiceMsgRecordStart(msg.data);
+        Utils.PLAYBACK_DEBUG > 0 && logger.debug("RecordStart; channels " + start.channels +
+                                                  "; frequency " + start.frequency);
+
+        if (start.format != Constants.SPICE_AUDIO_FMT_S16)
+        {
+            this.log_err('The recorder cannot handle format ' + start.format);
+            return true;
+        }
+
+        this.stop_capture();
+        this.start = start;
+        if (this.stream)
+            this.start_capture().catch(this.handle_capture_error.bind(this));
+        return true;
+    }
+
+    if (msg.type == Constants.SPICE_MSG_RECORD_STOP)
+    {
+        Utils.PLAYBACK_DEBUG > 0 && logger.debug("RecordStop");
+        this.stop_capture();
+        this.start = null;
+        this.report_state();
+        return true;
+    }
+
+    if (msg.type == Constants.SPICE_MSG_RECORD_VOLUME)
+    {
+        var volume = new Messages.SpiceMsgAudioVolume(msg.data);
+        if (volume.volume.length > 0)
+            this.volume = volume.volume.reduce(function(sum, v) { return sum + v; }, 0) /
+                          volume.volume.length / 0xffff;
+        this.apply_gain();
+        return true;
+    }
+
+    if (msg.type == Constants.SPICE_MSG_RECORD_MUTE)
+    {
+        this.mute = new Messages.SpiceMsgAudioMute(msg.data).mute != 0;
+        this.apply_gain();
+        return true;
+    }
+
+    return false;
+}
+
+/* Ask for the microphone; capturing starts once the guest records */
+SpiceRecordConn.prototype.open_microphone = async function()
+{
+    if (this.stream)
+        return;
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia)
+        throw new Error("Microphone access requires HTTPS");
+
+    this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true },
+        video: false
+    });
+    this.report_state();
+
+    if (this.start)
+    {
+        try
+        {
+            await this.start_capture();
+        }
+        catch (e)
+        {
+            this.close_microphone();
+            throw e;
+        }
+    }
+}
+
+SpiceRecordConn.prototype.close_microphone = function()
+{
+    this.stop_capture();
+    if (this.stream)
+    {
+        this.stream.getTracks().forEach(function(track) { track.stop(); });
+        this.stream = null;
+        this.report_state();
+    }
+}
+
+/* Tell the page whether the microphone is off, waiting for the guest, or captured */
+SpiceRecordConn.prototype.report_state = function(error)
+{
+    if (this.parent.onmicrophone !== undefined)
+        this.parent.onmicrophone(!this.stream ? "off" : this.capture ? "active" : "waiting", error);
+}
+
+SpiceRecordConn.prototype.handle_capture_error = function(e)
+{
+    this.log_err('Microphone capture failed: ' + e.message);
+    this.stop_capture();
+    if (this.stream)
+    {
+        this.stream.getTracks().forEach(function(track) { track.stop(); });
+        this.stream = null;
+    }
+    this.report_state(e);
+}
+
+SpiceRecordConn.prototype.start_capture = async function()
+{
+    var start = this.start;
+    var capture = {
+        channels: start.channels,
+        frequency: start.frequency,
+        mode: await this.choose_mode(start),
+        started: false
+    };
+    /* The recording may have stopped or restarted while we waited */
+    if (this.start !== start || !this.stream || this.capture)
+        return;
+    this.capture = capture;
+
+    if (capture.mode == Constants.SPICE_AUDIO_DATA_MODE_OPUS)
+    {
+        var conn = this;
+        capture.encoder = new AudioEncoder({
+            output: function(chunk) {
+                var data = new ArrayBuffer(chunk.byteLength);
+                chunk.copyTo(data);
+                conn.send_data(data);
+            },
+            error: function(e) {
+                conn.handle_capture_error(e);
+            }
+        });
+        capture.encoder.configure(this.opus_config(start));
+        capture.timestamp = 0;
+    }
+
+    capture.context = new AudioContext({ sampleRate: start.frequency });
+    await capture.context.audioWorklet.addModule(new URL('./record-worklet.js', import.meta.url));
+    if (this.capture !== capture)
+        return;
+
+    capture.source = capture.context.createMediaStreamSource(this.stream);
+    capture.gain = capture.context.createGain();
+    capture.node = new AudioWorkletNode(capture.context, 'spice-record-processor', {
+        numberOfOutputs: 0,
+        processorOptions: { channels: start.channels, frame_size: start.frequency / 100 }
+    });
+    capture.node.port.onmessage = this.handle_frame.bind(this, capture);
+    capture.source.connect(capture.gain).connect(capture.node);
+    this.apply_gain();
+
+    Utils.PLAYBACK_DEBUG > 0 && logger.debug("Record capture started; mode " + capture.mode);
+    this.report_state();
+}
+
+SpiceRecordConn.prototype.stop_capture = function()
+{
+    var capture = this.capture;
+    if (!capture)
+        return;
+    this.capture = null;
+
+    if (capture.source)
+        capture.source.disconnect();
+    if (capture.node)
+        capture.node.port.onmessage = null;
+    if (capture.context)
+        capture.context.close();
+    if (capture.encoder && capture.encoder.state != "closed")
+        capture.encoder.close();
+}
+
+SpiceRecordConn.prototype.opus_config = function(start)
+{
+    return {
+        codec: 'opus',
+        sampleRate: start.frequency,
+        numberOfChannels: start.channels,
+        bitrate: OPUS_BITRATE,
+        /* The server decodes one 10 ms frame per packet */
+        opus: { frameDuration: 10000 }
+    };
+}
+
+SpiceRecordConn.prototype.choose_mode = async function(start)
+{
+    var remote_caps = this.reply_link && this.reply_link.channel_caps.length ? this.reply_link.channel_caps[0] : 0;
+    if ('AudioEncoder' in window && start.frequency == OPUS_FREQUENCY &&
+        (remote_caps & (1 << Constants.SPICE_RECORD_CAP_OPUS)))
+    {
+        try
+        {
+            var support = await AudioEncoder.isConfigSupported(this.opus_config(start));
+            if (support.supported)
+                return Constants.SPICE_AUDIO_DATA_MODE_OPUS;
+        }
+        catch (e)
+        {
+            Utils.PLAYBACK_DEBUG > 0 && logger.debug("Opus encoding not available: " + e.message);
+        }
+    }
+    return Constants.SPICE_AUDIO_DATA_MODE_RAW;
+}
+
+SpiceRecordConn.prototype.apply_gain = function()
+{
+    if (this.capture && this.capture.gain)
+        this.capture.gain.gain.value = this.mute ? 0 : this.volume;
+}
+
+SpiceRecordConn.prototype.handle_frame = function(capture, e)
+{
+    if (this.capture !== capture)
+        return;
+
+    if (capture.encoder)
+    {
+        var frames = e.data.byteLength / 2 / capture.channels;
+        capture.encoder.encode(new AudioData({
+            format: 's16',
+            sampleRate: capture.frequency,
+            numberOfFrames: frames,
+            numberOfChannels: capture.channels,
+            timestamp: capture.timestamp,
+            data: e.data
+        }));
+        capture.timestamp += frames * 1000000 / capture.frequency;
+    }
+    else
+        this.send_data(e.data);
+}
+
+SpiceRecordConn.prototype.send_data = function(data)
+{
+    var capture = this.capture;
+    if (!capture || !this.ws || this.state != "ready")
+        return;
+
+    var time = this.parent.relative_now() >>> 0;
+    var mr;
+    if (!capture.started)
+    {
+        mr = new Messages.SpiceMiniData();
+        mr.build_msg(Constants.SPICE_MSGC_RECORD_MODE, new Messages.SpiceMsgcRecordMode(time, capture.mode));
+        this.send_msg(mr);
+
+        mr = new Messages.SpiceMiniData();
+        mr.build_msg(Constants.SPICE_MSGC_RECORD_START_MARK, new Messages.SpiceMsgcRecordStartMark(time));
+        this.send_msg(mr);
+        capture.started = true;
+    }
+
+    mr = new Messages.SpiceMiniData();
+    mr.build_msg(Constants.SPICE_MSGC_RECORD_DATA, new Messages.SpiceMsgcRecordData(time, data));
+    this.send_msg(mr);
+}
+
+SpiceRecordConn.prototype.cleanup = function()
+{
+    this.close_microphone();
+    SpiceConn.prototype.cleanup.call(this);
+}
+
+export {
+  SpiceRecordConn,
+};
@@ -0,0 +1,271 @@
+"use strict";
+
+/*----------------------------------------------------------------------------
+**  replay.js
+**      Plays a recorded SPICE session (an archive written by the gateway's
+**  session recorder) through the normal channel classes.  Instead of
+**  opening WebSockets, every SpiceConn created with a replay asks it for a
+**  SpiceReplaySocket, which receives the channel's recorded server data at
+**  the recorded times.  Whatever the client sends is dropped.
+**
+**  Archive format (JSON lines):
+**      {"type":"header","format":"spice-session","version":1,...}
+**      {"t":<ms>,"type":"open"|"data"|"close","channel":<type>,"chanId":<id>,"data":<base64>}
+**
+**  Usage:
+**      var replay = new SpiceReplay(text);
+**      var sc = new SpiceMainConn({ replay: replay, screen_id: ... });
+**      replay.play();
+**--------------------------------------------------------------------------*/
+
+/*----------------------------------------------------------------------------
+**  SpiceReplaySocket
+**      Stands in for the WebSocket of one channel.  Data delivered before
+**  the channel has 'connected' is queued.
+**--------------------------------------------------------------------------*/
+class SpiceReplaySocket extends EventTarget
+{
+    constructor(url)
+    {
+        super();
+        this.url = url;
+        this.protocol = 'binary';
+        this.binaryType = 'arraybuffer';
+        this.readyState = 0;    /* CONNECTING */
+        this.queue = [];
+    }
+
+    open()
+    {
+        if (this.readyState != 0)
+            return;
+        this.readyState = 1;    /* OPEN */
+        this.dispatchEvent(new Event('open'));
+
+        var queue = this.queue;
+        this.queue = [];
+        queue.forEach(function(data) { this.deliver(data); }, this);
+    }
+
+    deliver(data)
+    {
+        if (this.readyState == 0)
+            this.queue.push(data);
+        else if (this.readyState == 1)
+            this.dispatchEvent(new MessageEvent('message', { data: data }));
+    }
+
+    send()
+    {
+        /* Nothing to send to */
+    }
+
+    close()
+    {
+        if (this.readyState == 3)
+            return;
+        this.readyState = 3;    /* CLOSED */
+        var socket = this;
+        window.setTimeout(function() {
+            socket.dispatchEvent(new CloseEvent('close', { code: 1000, wasClean: true }));
+        }, 0);
+    }
+}
+
+function channel_key(type, chan_id)
+{
+    return type + ":" + chan_id;
+}
+
+function decode_base64(text)
+{
+    var binary = atob(text);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++)
+        bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+/*----------------------------------------------------------------------------
+**  SpiceReplay
+**      Parses an archive and delivers its data on a clock that can be
+**  paused, sped up and fast-forwarded.  Going back in time needs a new
+**  SpiceReplay and SpiceMainConn, since SPICE state can only be rebuilt
+**  from the start of the session.
+**--------------------------------------------------------------------------*/
+function SpiceReplay(text)
+{
+    var lines = text.split("\n").filter(function(line) { return line.trim() != ""; });
+    if (lines.length == 0)
+        throw new Error("Empty SPICE recording");
+
+    this.header = JSON.parse(lines[0]);
+    if (this.header.format != "spice-session")
+        throw new Error("Not a SPICE session recording");
+
+    /* Channels write to the archive independently; order everything by time */
+    this.events = lines.slice(1)
+        .map(function(line) { return JSON.parse(line); })
+        .filter(function(e) { return e.type == "data"; })
+        .sort(function(a, b) { return a.t - b.t; });
+
+    this.channels = {};
+    lines.slice(1).forEach(function(line) {
+        var e = JSON.parse(line);
+        this.channels[channel_key(e.channel, e.chanId)] = true;
+    }, this);
+
+    this.duration = this.events.length > 0 ? this.events[this.events.length - 1].t : 0;
+    this.url = "replay://" + this.header.id;
+    this.sockets = {};
+    this.backlog = {};
+    this.index = 0;
+    this.position = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.timer = undefined;
+    this.onupdate = undefined;
+}
+
+SpiceReplay.prototype =
+{
+    /* Called by SpiceConn instead of new WebSocket() */
+    open_channel: function(type, chan_id)
+    {
+        var key = channel_key(type, chan_id);
+        var socket = new SpiceReplaySocket(this.url);
+        this.sockets[key] = socket;
+
+        if (this.backlog[key])
+        {
+            this.backlog[key].forEach(function(data) { socket.deliver(data); });
+            delete this.backlog[key];
+        }
+
+        /* Channels that are not in the recording stay 'connecting' */
+        if (this.channels[key])
+            window.setTimeout(function() { socket.open(); }, 0);
+
+        return socket;
+    },
+
+    deliver: function(e)
+    {
+        var key = channel_key(e.channel, e.chanId);
+        var data = decode_base64(e.data);
+
+        /* The main channel creates the other channels when it processes
+        **  the channel list, which may be after their first data is due */
+        if (this.sockets[key])
+            this.sockets[key].deliver(data);
+        else
+        {
+            if (! this.backlog[key])
+                this.backlog[key] = [];
+            this.backlog[key].push(data);
+        }
+    },
+
+    current_time: function()
+    {
+        if (! this.playing)
+            return this.position;
+        return Math.min(this.duration, this.position + (Date.now() - this.wall_start) * this.speed);
+    },
+
+    finished: function()
+    {
+        return this.index >= this.events.length;
+    },
+
+    rebase: function()
+    {
+        this.position = this.current_time();
+        this.wall_start = Date.now();
+    },
+
+    play: function()
+    {
+        if (this.playing || this.finished())
+            return;
+        this.wall_start = Date.now();
+        this.playing = true;
+        this.schedule_next();
+        this.notify();
+    },
+
+    pause: function()
+    {
+        if (! this.playing)
+            return;
+        this.rebase();
+        this.playing = false;
+        window.clearTimeout(this.timer);
+        this.notify();
+    },
+
+    set_speed: function(speed)
+    {
+        this.rebase();
+        this.speed = speed;
+        if (this.playing)
+        {
+            window.clearTimeout(this.timer);
+            this.schedule_next();
+        }
+    },
+
+    schedule_next: function()
+    {
+        if (! this.playing)
+            return;
+
+        if (this.finished())
+        {
+            this.position = this.duration;
+            this.playing = false;
+            this.notify();
+            return;
+        }
+
+        var replay = this;
+        var delay = Math.max(0, (this.events[this.index].t - this.current_time()) / this.speed);
+        this.timer = window.setTimeout(function() {
+            var now = replay.current_time();
+            while (! replay.finished() && replay.events[replay.index].t <= now)
+                replay.deliver(replay.events[replay.index++]);
+            replay.schedule_next();
+        }, delay);
+    },
+
+    /* Deliver everything up to time (ms) at once */
+    fast_forward: function(time)
+    {
+        var playing = this.playing;
+        this.pause();
+        while (! this.finished() && this.events[this.index].t <= time)
+            this.deliver(this.events[this.index++]);
+        this.position = Math.max(this.position, Math.min(time, this.duration));
+        if (playing)
+            this.play();
+        this.notify();
+    },
+
+    stop: function()
+    {
+        this.pause();
+        for (var key in this.sockets)
+            this.sockets[key].close();
+    },
+
+    notify: function()
+    {
+        if (this.onupdate !== undefined)
+            this.onupdate(this);
+    },
+}
+
+export {
+  SpiceReplay,
+  SpiceReplaySocket,
+};
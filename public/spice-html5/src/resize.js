@@ -95,10 +95,35 @@ function resize_helper(sc)
         logger.debug(`🖥️  [Resize] Requesting resolution: ${w}x${h} (window: ${original_w}x${original_h})`);
     }
 
-    sc.resize_window(0, w, h, 32, 0, 0);
+    if (sc.monitor_windows && sc.monitor_windows.length > 0)
+        resize_monitors(sc, w, h);
+    else
+        sc.resize_window(0, w, h, 32, 0, 0);
     sc.spice_resize_timer = undefined;
 }
 
+/* With monitor windows open (monitors.js) every window is one guest monitor:
+**  this window is monitor 0, the others are placed to its right in the
+**  order they were opened. */
+function resize_monitors(sc, w, h)
+{
+    var monitors = [ { width: w, height: h, depth: 32, x: 0, y: 0 } ];
+    var x = w;
+    for (var i = 0; i < sc.monitor_windows.length; i++)
+    {
+        var win = sc.monitor_windows[i].window;
+        var mw = win.innerWidth - (win.innerWidth % 8);
+        var mh = win.innerHeight - (win.innerHeight % 8);
+        sc.monitor_windows[i].origin = { x: x, y: 0 };
+        monitors.push({ width: mw, height: mh, depth: 32, x: x, y: 0 });
+        x += mw;
+    }
+
+    logger.debug(`🖥️  [Resize] Requesting ${monitors.length} monitors: ` +
+                 monitors.map(function(m) { return m.width + 'x' + m.height + '+' + m.x; }).join(', '));
+    sc.resize_monitors(0, monitors);
+}
+
 function handle_resize(e)
 {
     var sc = window.spice_connection;
@@ -48,23 +48,25 @@ import { rsa_encrypt } from './ticket.js';
 
 function SpiceConn(o)
 {
-    if (o === undefined || o.uri === undefined || ! o.uri)
+    if (o === undefined || ((o.uri === undefined || ! o.uri) && o.replay === undefined && o.uri_provider === undefined))
         throw new Error("You must specify a uri");
 
-    this.ws = new WebSocket(o.uri, 'binary');
-
-    if (! this.ws.binaryType)
-        throw new Error("WebSocket doesn't support binaryType.  Try a different browser.");
-
     this.connection_id = o.connection_id !== undefined ? o.connection_id : 0;
     this.type = o.type !== undefined ? o.type : Constants.SPICE_CHANNEL_MAIN;
     this.chan_id = o.chan_id !== undefined ? o.chan_id : 0;
+    if (o.replay !== undefined)
+        this.replay = o.replay;
+    if (o.uri_provider !== undefined)
+        this.uri_provider = o.uri_provider;
     if (o.parent !== undefined)
     {
         this.parent = o.parent;
         this.message_id = o.parent.message_id;
         this.password = o.parent.password;
+        this.replay = o.parent.replay;
+        this.uri_provider = o.parent.uri_provider;
     }
+
     if (o.screen_id !== undefined)
         this.screen_id = o.screen_id;
     if (o.dump_id !== undefined)
@@ -79,91 +81,127 @@ function SpiceConn(o)
         this.onsuccess = o.onsuccess;
     if (o.onagent !== undefined)
         this.onagent = o.onagent;
+    if (o.onclipboard !== undefined)
+        this.onclipboard = o.onclipboard;
+    if (o.onmicrophone !== undefined)
+        this.onmicrophone = o.onmicrophone;
 
     this.state = "connecting";
-    this.ws.parent = this;
-    this.wire_reader = new SpiceWireReader(this, this.process_inbound);
     this.messages_sent = 0;
     this.warnings = [];
 
-    this.ws.addEventListener('open', function(e) {
-        logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        logger.debug("✅ [WebSocket] Connection OPENED");
-        logger.debug("   Connection ID: " + this.parent.connection_id);
-        logger.debug("   Channel type: " + this.parent.type);
-        logger.debug("   State: " + this.parent.state + " → start");
-        logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    /* In replay mode the channel reads a recorded session instead of a server.
+    **  A uri_provider is asked for a new uri for every channel (the gateway's
+    **  connect tickets are single-use), so the socket opens once it arrives */
+    if (this.replay)
+        this.open_socket(this.replay.open_channel(this.type, this.chan_id));
+    else if (this.uri_provider !== undefined)
+        this.request_uri();
+    else
+        this.open_socket(new WebSocket(o.uri, 'binary'));
+
+    /* Channels that were not recorded never connect in replay mode; that is not an error */
+    if (! this.replay)
+        this.timeout = window.setTimeout(spiceconn_timeout, Constants.SPICE_CONNECT_TIMEOUT, this);
+}
 
-        /***********************************************************************
-        **          WHERE IT ALL REALLY BEGINS
-        ***********************************************************************/
-        this.parent.send_hdr();
-        this.parent.wire_reader.request(SpiceLinkHeader.prototype.buffer_size());
-        this.parent.state = "start";
-    });
-    this.ws.addEventListener('error', function(e) {
-        logger.error("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        logger.error("❌ [WebSocket] Connection ERROR");
-        logger.error("   Connection ID: " + this.parent.connection_id);
-        logger.error("   Channel type: " + this.parent.type);
-        logger.error("   State: " + this.parent.state);
-        logger.error("   Error event:", e);
-        if ('url' in e.target) {
-            logger.error("   URL: " + e.target.url);
-            this.parent.log_err("WebSocket error: Can't connect to websocket on URL: " + e.target.url);
-        }
-        logger.error("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        this.parent.report_error(e);
-    });
-    this.ws.addEventListener('close', function(e) {
-        logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-        logger.debug("🔌 [WebSocket] Connection CLOSED");
-        logger.debug("   Connection ID: " + this.parent.connection_id);
-        logger.debug("   Channel type: " + this.parent.type);
-        logger.debug("   State: " + this.parent.state);
-        logger.debug("   Close code: " + e.code);
-        logger.debug("   Close reason: " + (e.reason || '(no reason)'));
-        logger.debug("   Was clean: " + e.wasClean);
-        logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+SpiceConn.prototype =
+{
+    open_socket : function(ws)
+    {
+        if (! ws.binaryType)
+            throw new Error("WebSocket doesn't support binaryType.  Try a different browser.");
 
-        if (this.parent.state != "closing" && this.parent.state != "error" && this.parent.onerror !== undefined)
-        {
-            var e;
-            logger.error("⚠️  [WebSocket] Unexpected close - generating error based on state");
-            if (this.parent.state == "connecting")
-            {
-                e = new Error("Connection refused.");
-                logger.error("   Error type: Connection refused (state: connecting)");
-            }
-            else if (this.parent.state == "start" || this.parent.state == "link")
-            {
-                e = new Error("Unexpected protocol mismatch.");
-                logger.error("   Error type: Protocol mismatch (state: " + this.parent.state + ")");
-            }
-            else if (this.parent.state == "ticket")
-            {
-                e = new Error("Bad password.");
-                logger.error("   Error type: Bad password (state: ticket)");
+        this.ws = ws;
+        this.ws.parent = this;
+        this.wire_reader = new SpiceWireReader(this, this.process_inbound);
+
+        this.ws.addEventListener('open', function(e) {
+            logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+            logger.debug("✅ [WebSocket] Connection OPENED");
+            logger.debug("   Connection ID: " + this.parent.connection_id);
+            logger.debug("   Channel type: " + this.parent.type);
+            logger.debug("   State: " + this.parent.state + " → start");
+            logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+
+            /***********************************************************************
+            **          WHERE IT ALL REALLY BEGINS
+            ***********************************************************************/
+            this.parent.send_hdr();
+            this.parent.wire_reader.request(SpiceLinkHeader.prototype.buffer_size());
+            this.parent.state = "start";
+        });
+        this.ws.addEventListener('error', function(e) {
+            logger.error("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+            logger.error("❌ [WebSocket] Connection ERROR");
+            logger.error("   Connection ID: " + this.parent.connection_id);
+            logger.error("   Channel type: " + this.parent.type);
+            logger.error("   State: " + this.parent.state);
+            logger.error("   Error event:", e);
+            if ('url' in e.target) {
+                logger.error("   URL: " + e.target.url);
+                this.parent.log_err("WebSocket error: Can't connect to websocket on URL: " + e.target.url);
             }
-            else
+            logger.error("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+            this.parent.report_error(e);
+        });
+        this.ws.addEventListener('close', function(e) {
+            logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+            logger.debug("🔌 [WebSocket] Connection CLOSED");
+            logger.debug("   Connection ID: " + this.parent.connection_id);
+            logger.debug("   Channel type: " + this.parent.type);
+            logger.debug("   State: " + this.parent.state);
+            logger.debug("   Close code: " + e.code);
+            logger.debug("   Close reason: " + (e.reason || '(no reason)'));
+            logger.debug("   Was clean: " + e.wasClean);
+            logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+
+            if (this.parent.state != "closing" && this.parent.state != "error" && this.parent.onerror !== undefined)
             {
-                e = new Error("Unexpected close while " + this.parent.state);
-                logger.error("   Error type: Unexpected close (state: " + this.parent.state + ")");
-            }
+                var e;
+                logger.error("⚠️  [WebSocket] Unexpected close - generating error based on state");
+                if (this.parent.state == "connecting")
+                {
+                    e = new Error("Connection refused.");
+                    logger.error("   Error type: Connection refused (state: connecting)");
+                }
+                else if (this.parent.state == "start" || this.parent.state == "link")
+                {
+                    e = new Error("Unexpected protocol mismatch.");
+                    logger.error("   Error type: Protocol mismatch (state: " + this.parent.state + ")");
+                }
+                else if (this.parent.state == "ticket")
+                {
+                    e = new Error("Bad password.");
+                    logger.error("   Error type: Bad password (state: ticket)");
+                }
+                else
+                {
+                    e = new Error("Unexpected close while " + this.parent.state);
+                    logger.error("   Error type: Unexpected close (state: " + this.parent.state + ")");
+                }
 
-            this.parent.onerror(e);
-            this.parent.log_err(e.toString());
-        }
-    });
+                this.parent.onerror(e);
+                this.parent.log_err(e.toString());
+            }
+        });
 
-    if (this.ws.readyState == 2 || this.ws.readyState == 3)
-        throw new Error("Unable to connect to " + o.uri);
+        if (this.ws.readyState == 2 || this.ws.readyState == 3)
+            throw new Error("Unable to connect to " + this.ws.url);
+    },
 
-    this.timeout = window.setTimeout(spiceconn_timeout, Constants.SPICE_CONNECT_TIMEOUT, this);
-}
+    request_uri : function()
+    {
+        var conn = this;
+        this.uri_provider(this.type, this.chan_id).then(function(uri) {
+            if (! conn.stopped)
+                conn.open_socket(new WebSocket(uri, 'binary'));
+        }).catch(function(e) {
+            if (! conn.stopped)
+                conn.report_error(e);
+        });
+    },
 
-SpiceConn.prototype =
-{
     send_hdr : function ()
     {
         logger.debug("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
@@ -191,6 +229,13 @@ SpiceConn.prototype =
                 caps |= (1 << Constants.SPICE_PLAYBACK_CAP_OPUS);
             msg.channel_caps.push(caps);
         }
+        else if (msg.channel_type == Constants.SPICE_CHANNEL_RECORD)
+        {
+            var caps = (1 << Constants.SPICE_RECORD_CAP_VOLUME);
+            if ('AudioEncoder' in window)
+                caps |= (1 << Constants.SPICE_RECORD_CAP_OPUS);
+            msg.channel_caps.push(caps);
+        }
         else if (msg.channel_type == Constants.SPICE_CHANNEL_MAIN)
         {
             msg.channel_caps.push(
@@ -204,10 +249,11 @@ SpiceConn.prototype =
             // Force H.264 codec only - server does not support other codecs
             // Always enable MULTI_CODEC for codec negotiation
             var caps =  (1 << Constants.SPICE_DISPLAY_CAP_SIZED_STREAM) |
+                        (1 << Constants.SPICE_DISPLAY_CAP_MONITORS_CONFIG) |
                         (1 << Constants.SPICE_DISPLAY_CAP_STREAM_REPORT) |
                         (1 << Constants.SPICE_DISPLAY_CAP_MULTI_CODEC);
 
-            logger.debug('   Base capabilities: SIZED_STREAM | STREAM_REPORT | MULTI_CODEC');
+            logger.debug('   Base capabilities: SIZED_STREAM | MONITORS_CONFIG | STREAM_REPORT | MULTI_CODEC');
 
             // Only enable H.264 codec capability
             // Do NOT enable VP8 or MJPEG - server only supports H.264
@@ -484,9 +530,9 @@ SpiceConn.prototype =
             }
             else
             {
-                // Suppress errors for known unimplemented channels (usbredir, record, webdav)
+                // Suppress errors for known unimplemented channels (usbredir, webdav)
                 var channel_type = this.channel_type();
-                if (channel_type !== "usbredir" && channel_type !== "record" && channel_type !== "webdav")
+                if (channel_type !== "usbredir" && channel_type !== "webdav")
                 {
                     this.log_err(channel_type + ": No message handlers for this channel; message " + msg.type);
                 }
@@ -609,6 +655,7 @@ SpiceConn.prototype =
 
     cleanup: function()
     {
+        this.stopped = true;
         if (this.timeout)
         {
             window.clearTimeout(this.timeout);
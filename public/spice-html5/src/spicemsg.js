@@ -555,15 +555,15 @@ VDAgentAnnounceCapabilities.prototype =
     }
 }
 
+/* Either a single monitor, or (flags, monitors) with a list of
+**  { width, height, depth, x, y } */
 function VDAgentMonitorsConfig(flags, width, height, depth, x, y)
 {
-    this.num_mon = 1;
     this.flags = flags;
-    this.width = width;
-    this.height = height;
-    this.depth = depth;
-    this.x = x;
-    this.y = y;
+    if (Array.isArray(width))
+        this.monitors = width;
+    else
+        this.monitors = [ { width: width, height: height, depth: depth, x: x, y: y } ];
 }
 
 VDAgentMonitorsConfig.prototype =
@@ -572,17 +572,20 @@ VDAgentMonitorsConfig.prototype =
     {
         at = at || 0;
         var dv = new SpiceDataView(a);
-        dv.setUint32(at, this.num_mon, true); at += 4;
+        dv.setUint32(at, this.monitors.length, true); at += 4;
         dv.setUint32(at, this.flags, true); at += 4;
-        dv.setUint32(at, this.height, true); at += 4;
-        dv.setUint32(at, this.width, true); at += 4;
-        dv.setUint32(at, this.depth, true); at += 4;
-        dv.setUint32(at, this.x, true); at += 4;
-        dv.setUint32(at, this.y, true); at += 4;
+        for (var i = 0; i < this.monitors.length; i++)
+        {
+            dv.setUint32(at, this.monitors[i].height, true); at += 4;
+            dv.setUint32(at, this.monitors[i].width, true); at += 4;
+            dv.setUint32(at, this.monitors[i].depth, true); at += 4;
+            dv.setUint32(at, this.monitors[i].x, true); at += 4;
+            dv.setUint32(at, this.monitors[i].y, true); at += 4;
+        }
     },
     buffer_size: function()
     {
-        return 28;
+        return 8 + 20 * this.monitors.length;
     }
 }
 
@@ -670,6 +673,166 @@ VDAgentFileXferDataMessage.prototype =
     }
 }
 
+/* Clipboard messages are sent without the selection header: we do not
+**  announce VD_AGENT_CAP_CLIPBOARD_SELECTION, so neither side uses it. */
+function VDAgentClipboardGrab(types)
+{
+    if (Array.isArray(types))
+        this.types = types;
+    else
+        this.from_buffer(types);
+}
+
+VDAgentClipboardGrab.prototype =
+{
+    to_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        for (var i = 0; i < this.types.length; i++, at += 4)
+            dv.setUint32(at, this.types[i], true);
+    },
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        this.types = [];
+        if (!a)
+            return at;
+        var dv = new SpiceDataView(a);
+        for (; at + 4 <= a.byteLength; at += 4)
+            this.types.push(dv.getUint32(at, true));
+        return at;
+    },
+    buffer_size: function()
+    {
+        return 4 * this.types.length;
+    }
+}
+
+function VDAgentClipboardRequest(type)
+{
+    if (typeof type === "number")
+        this.type = type;
+    else
+        this.from_buffer(type);
+}
+
+VDAgentClipboardRequest.prototype =
+{
+    to_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        dv.setUint32(at, this.type, true); at += 4;
+    },
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        this.type = dv.getUint32(at, true); at += 4;
+        return at;
+    },
+    buffer_size: function()
+    {
+        return 4;
+    }
+}
+
+function VDAgentClipboard(type, data)
+{
+    if (typeof type === "number")
+    {
+        this.type = type;
+        this.data = data;
+    }
+    else
+        this.from_buffer(type);
+}
+
+VDAgentClipboard.prototype =
+{
+    to_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        dv.setUint32(at, this.type, true); at += 4;
+        new Uint8Array(a, at, this.data.byteLength).set(new Uint8Array(this.data));
+    },
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        this.type = dv.getUint32(at, true); at += 4;
+        this.data = a.slice(at);
+        return a.byteLength;
+    },
+    buffer_size: function()
+    {
+        return 4 + this.data.byteLength;
+    }
+}
+
+function VDAgentClipboardRelease()
+{
+}
+
+VDAgentClipboardRelease.prototype =
+{
+    to_buffer: function(a, at)
+    {
+    },
+    buffer_size: function()
+    {
+        return 0;
+    }
+}
+
+function VDAgentMaxClipboard(a, at)
+{
+    this.from_buffer(a, at);
+}
+
+VDAgentMaxClipboard.prototype =
+{
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        this.max = dv.getUint32(at, true) | 0; at += 4;
+        return at;
+    },
+}
+
+function SpiceMsgDisplayMonitorsConfig(a, at)
+{
+    this.from_buffer(a, at);
+}
+
+SpiceMsgDisplayMonitorsConfig.prototype =
+{
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        var count = dv.getUint16(at, true); at += 2;
+        this.max_allowed = dv.getUint16(at, true); at += 2;
+        this.heads = [];
+        for (var i = 0; i < count; i++)
+        {
+            var head = {};
+            head.monitor_id = dv.getUint32(at, true); at += 4;
+            head.surface_id = dv.getUint32(at, true); at += 4;
+            head.width = dv.getUint32(at, true); at += 4;
+            head.height = dv.getUint32(at, true); at += 4;
+            head.x = dv.getUint32(at, true); at += 4;
+            head.y = dv.getUint32(at, true); at += 4;
+            head.flags = dv.getUint32(at, true); at += 4;
+            this.heads.push(head);
+        }
+        return at;
+    },
+}
+
 function SpiceMsgNotify(a, at)
 {
     this.from_buffer(a, at);
@@ -940,6 +1103,122 @@ SpiceMsgPlaybackStart.prototype =
 
 
 
+function SpiceMsgRecordStart(a, at)
+{
+    this.from_buffer(a, at);
+}
+
+SpiceMsgRecordStart.prototype =
+{
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        this.channels = dv.getUint32(at, true); at += 4;
+        this.format = dv.getUint16(at, true); at += 2;
+        this.frequency = dv.getUint32(at, true); at += 4;
+        return at;
+    },
+}
+
+function SpiceMsgAudioVolume(a, at)
+{
+    this.from_buffer(a, at);
+}
+
+SpiceMsgAudioVolume.prototype =
+{
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        var nchannels = dv.getUint8(at, true); at += 1;
+        this.volume = [];
+        for (var i = 0; i < nchannels; i++)
+        {
+            this.volume.push(dv.getUint16(at, true)); at += 2;
+        }
+        return at;
+    },
+}
+
+function SpiceMsgAudioMute(a, at)
+{
+    this.from_buffer(a, at);
+}
+
+SpiceMsgAudioMute.prototype =
+{
+    from_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        this.mute = dv.getUint8(at, true); at += 1;
+        return at;
+    },
+}
+
+function SpiceMsgcRecordMode(time, mode)
+{
+    this.time = time;
+    this.mode = mode;
+}
+
+SpiceMsgcRecordMode.prototype =
+{
+    to_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        dv.setUint32(at, this.time, true); at += 4;
+        dv.setUint16(at, this.mode, true); at += 2;
+    },
+    buffer_size: function()
+    {
+        return 6;
+    }
+}
+
+function SpiceMsgcRecordStartMark(time)
+{
+    this.time = time;
+}
+
+SpiceMsgcRecordStartMark.prototype =
+{
+    to_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        dv.setUint32(at, this.time, true); at += 4;
+    },
+    buffer_size: function()
+    {
+        return 4;
+    }
+}
+
+function SpiceMsgcRecordData(time, data)
+{
+    this.time = time;
+    this.data = data;
+}
+
+SpiceMsgcRecordData.prototype =
+{
+    to_buffer: function(a, at)
+    {
+        at = at || 0;
+        var dv = new SpiceDataView(a);
+        dv.setUint32(at, this.time, true); at += 4;
+        new Uint8Array(a, at, this.data.byteLength).set(new Uint8Array(this.data));
+    },
+    buffer_size: function()
+    {
+        return 4 + this.data.byteLength;
+    }
+}
+
 function SpiceMsgCursorSet(a, at)
 {
     this.from_buffer(a, at);
@@ -960,6 +1239,14 @@ SpiceMsgCursorSet.prototype =
 }
 
 
+/* A monitor window shows part of the primary surface; its canvas carries
+**  the origin of that part, so positions are in surface coordinates */
+function surface_position(e)
+{
+    var origin = e.target.spice_origin;
+    return origin ? { x: e.offsetX + origin.x, y: e.offsetY + origin.y } : { x: e.offsetX, y: e.offsetY };
+}
+
 function SpiceMsgcMousePosition(sc, e)
 {
     // FIXME - figure out how to correctly compute display_id
@@ -967,11 +1254,12 @@ function SpiceMsgcMousePosition(sc, e)
     this.buttons_state = sc.buttons_state;
     if (e)
     {
-        this.x = e.offsetX;
-        this.y = e.offsetY;
+        var pos = surface_position(e);
+        this.x = pos.x;
+        this.y = pos.y;
 
-        sc.mousex = e.offsetX;
-        sc.mousey = e.offsetY;
+        sc.mousex = pos.x;
+        sc.mousey = pos.y;
     }
     else
     {
@@ -1004,16 +1292,17 @@ function SpiceMsgcMouseMotion(sc, e)
     this.buttons_state = sc.buttons_state;
     if (e)
     {
-        this.x = e.offsetX;
-        this.y = e.offsetY;
+        var pos = surface_position(e);
+        this.x = pos.x;
+        this.y = pos.y;
 
         if (sc.mousex !== undefined)
         {
             this.x -= sc.mousex;
             this.y -= sc.mousey;
         }
-        sc.mousex = e.offsetX;
-        sc.mousey = e.offsetY;
+        sc.mousex = pos.x;
+        sc.mousey = pos.y;
     }
     else
     {
@@ -1353,6 +1642,12 @@ export {
   VDAgentFileXferStatusMessage,
   VDAgentFileXferStartMessage,
   VDAgentFileXferDataMessage,
+  VDAgentClipboardGrab,
+  VDAgentClipboardRequest,
+  VDAgentClipboard,
+  VDAgentClipboardRelease,
+  VDAgentMaxClipboard,
+  SpiceMsgDisplayMonitorsConfig,
   SpiceMsgNotify,
   SpiceMsgcDisplayInit,
   SpiceMsgDisplayBase,
@@ -1367,6 +1662,12 @@ export {
   SpiceMsgPlaybackData,
   SpiceMsgPlaybackMode,
   SpiceMsgPlaybackStart,
+  SpiceMsgRecordStart,
+  SpiceMsgAudioVolume,
+  SpiceMsgAudioMute,
+  SpiceMsgcRecordMode,
+  SpiceMsgcRecordStartMark,
+  SpiceMsgcRecordData,
   SpiceMsgCursorSet,
   SpiceMsgcMousePosition,
   SpiceMsgcMouseMotion,
@@ -13,8 +13,26 @@ const net = require('net');
 const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const WebsockifyProxy = require('./lib/websockify-proxy');
-const { handleVNCConnection } = require('./lib/websocket-handler');
-const { handleSPICEConnection } = require('./lib/spice-handler');
+const { authorizeVNCUpgrade, handleVNCConnection } = require('./lib/websocket-handler');
+const { authorizeSPICEUpgrade, handleSPICEConnection } = require('./lib/spice-handler');
+const { UpgradeRouter } = require('./lib/upgrade-router');
+const { createSessionStore, parseDuration } = require('./lib/session-store');
+const VMStatusMonitor = require('./lib/vm-status-monitor');
+const VMAccess = require('./lib/vm-access');
+const metrics = require('./lib/metrics');
+const HealthCheck = require('./lib/health-check');
+const SessionRecorder = require('./lib/session-recorder');
+const { ScreenshotStore } = require('./lib/screenshot-store');
+const AuditLog = require('./lib/audit-log');
+const { ConnectTickets } = require('./lib/connect-tickets');
+const { OIDCClient } = require('./lib/oidc');
+const { MFA } = require('./lib/mfa');
+const { SecretBox } = require('./lib/secret-box');
+const { ClipboardPolicy } = require('./lib/clipboard-policy');
+const { RefreshTokens } = require('./lib/refresh-tokens');
+const { LoginLimiter } = require('./lib/login-limiter');
+const { Captcha } = require('./lib/captcha');
+const { normalizeUserId } = require('./lib/user-id');
 const logger = require('./lib/logger');
 require('dotenv').config();
 
@@ -27,10 +45,144 @@ const config = {
   ocloudview: {
     apiUrl: process.env.OCLOUDVIEW_API_URL || 'http://172.16.31.100:8001',
     timeout: 30000,
+    // 电源操作接口路径（POST {path}/{domainId}）。本项目没有 ocloudview 的接口文档：forceReset 是原有代码
+    // 已在调用的接口，startDomain / shutdownDomain / rebootDomain 按同样的命名推定，部署前需按所用的
+    // ocloudview 版本核对，不一致时用环境变量覆盖
+    powerPaths: {
+      start: process.env.OCLOUDVIEW_START_PATH || '/ocloud/usermodule/startDomain',
+      stop: process.env.OCLOUDVIEW_SHUTDOWN_PATH || '/ocloud/usermodule/shutdownDomain',
+      restart: process.env.OCLOUDVIEW_REBOOT_PATH || '/ocloud/usermodule/rebootDomain',
+      forceReset: process.env.OCLOUDVIEW_FORCE_RESET_PATH || '/ocloud/usermodule/forceReset',
+    },
   },
+  // 访问令牌（JWT）有效期短，过期后用刷新令牌换取新的一对令牌；
+  // expiresIn 为登录会话及刷新令牌的有效期（刷新时重新计算），maxLifetime 为从登录起的最长有效期
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key-change-in-production',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    accessExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+    maxLifetime: parseDuration(process.env.SESSION_MAX_LIFETIME || '7d'),
+  },
+  // 会话录像配置（审计用，录制 VNC / SPICE 服务器到客户端的画面数据）
+  recording: {
+    enabled: process.env.RECORDING_ENABLED === 'true',
+    dir: process.env.RECORDING_DIR || path.join(__dirname, 'recordings'),
+    vms: (process.env.RECORDING_VMS || '').split(',').map(vm => vm.trim()).filter(Boolean),       // 仅录制这些虚拟机（留空为全部）
+    users: (process.env.RECORDING_USERS || '').split(',').map(user => user.trim()).filter(Boolean), // 仅录制这些用户（留空为全部）
+  },
+  // 控制台截图配置（vnc.html / spice.html 中标注后上传的 PNG，供工单使用）
+  screenshots: {
+    dir: process.env.SCREENSHOT_DIR || path.join(__dirname, 'screenshots'),
+    maxSize: parseInt(process.env.SCREENSHOT_MAX_SIZE) || 10 * 1024 * 1024, // 单张截图上限（字节）
+  },
+  // 审计日志配置 - 登录、连接、电源操作等事件（JSON Lines）
+  // sinks: file（可通过 /api/admin/audit 查询）、syslog（RFC 5424 / UDP），逗号分隔；none 为关闭
+  audit: {
+    sinks: (process.env.AUDIT_LOG_SINKS || 'file').split(',').map(sink => sink.trim()).filter(Boolean),
+    file: process.env.AUDIT_LOG_FILE || path.join(__dirname, 'logs', 'audit.log'),
+    syslog: {
+      host: process.env.AUDIT_SYSLOG_HOST || '127.0.0.1',
+      port: parseInt(process.env.AUDIT_SYSLOG_PORT) || 514,
+      facility: process.env.AUDIT_SYSLOG_FACILITY || 'local0',
+      appName: process.env.AUDIT_SYSLOG_APP_NAME || 'novnc-ocloudview',
+    },
+  },
+  // 健康检查配置
+  health: {
+    probeTimeout: parseInt(process.env.HEALTH_PROBE_TIMEOUT) || 3000,    // 单次探测超时（毫秒）
+    cacheTtl: parseInt(process.env.HEALTH_PROBE_CACHE_TTL) || 10000,     // ocloudview 探测结果缓存时间（毫秒）
+  },
+  // 监控指标配置 - 设置 METRICS_TOKEN 后 /metrics 需要 Authorization: Bearer <token>
+  metrics: {
+    token: process.env.METRICS_TOKEN || '',
+  },
+  // 管理员配置 - 可访问连接管理接口 (/api/admin/*) 的用户（ocloudview 登录名，逗号分隔，不区分大小写）
+  admin: {
+    users: (process.env.ADMIN_USERS || '').split(',').map(normalizeUserId).filter(Boolean),
+  },
+  // 虚拟机访问控制 - 只能打开会话虚拟机列表中分配给自己的虚拟机（domain / desk_pool）
+  vmAccess: {
+    adminOverride: process.env.VM_ACCESS_ADMIN_OVERRIDE === 'true', // 管理员可打开任意虚拟机
+  },
+  // 接口整体频率限制（每个 IP）- 仅防止滥用，不应影响虚拟机列表轮询；登录另有单独的失败限制
+  rateLimit: {
+    windowMs: parseDuration(process.env.API_RATE_LIMIT_WINDOW || '15m'),
+    max: parseInt(process.env.API_RATE_LIMIT_MAX) || 1000,
+  },
+  // 登录失败限制（防暴力破解）- 按用户名和 IP 分别计数，达到次数后锁定，之后每次失败锁定时间翻倍
+  // 计数和锁定保存在会话存储中，使用 Redis 时多实例共享
+  loginLimit: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,                      // 每个用户名允许连续失败的次数
+    ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,                // 每个 IP 允许失败的次数
+    lockout: parseDuration(process.env.LOGIN_LOCKOUT || '1m'),                      // 首次锁定时间
+    maxLockout: parseDuration(process.env.LOGIN_MAX_LOCKOUT || '1h'),               // 最长锁定时间
+    failureWindow: parseDuration(process.env.LOGIN_FAILURE_WINDOW || '15m'),        // 超过该时间没有失败则清零
+    captchaAfter: process.env.LOGIN_CAPTCHA_AFTER != null ? parseInt(process.env.LOGIN_CAPTCHA_AFTER) : 3, // 失败几次后要求人机验证（需配置 CAPTCHA_PROVIDER，0 为不要求）
+  },
+  // 人机验证 - hcaptcha / recaptcha / turnstile，留空为不启用
+  captcha: {
+    provider: process.env.CAPTCHA_PROVIDER || '',
+    siteKey: process.env.CAPTCHA_SITE_KEY || '',
+    secret: process.env.CAPTCHA_SECRET || '',
+    verifyUrl: process.env.CAPTCHA_VERIFY_URL || '',
+  },
+  // 单点登录（OpenID Connect 授权码 + PKCE）- 身份提供方认证后，按 ID token 声明映射到 ocloudview 账号
+  oidc: {
+    enabled: process.env.OIDC_ENABLED === 'true',
+    issuer: process.env.OIDC_ISSUER || '',
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',                  // 公共客户端留空（仅 PKCE）
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',                    // 必填，身份提供方登记的回调地址（…/api/auth/oidc/callback）
+    scopes: process.env.OIDC_SCOPES || 'openid profile email',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username', // 作为 ocloudview 登录名的声明
+    usernamePattern: process.env.OIDC_USERNAME_PATTERN || '',            // 可选正则，取第一个捕获组作为登录名
+    // 换取 ocloudview token 的方式 - service: 服务账号凭据; header: 可信请求头（ocloudview 信任网关传入的用户名）
+    ocloudview: {
+      mode: process.env.OCLOUDVIEW_SSO_MODE || 'service',
+      loginPath: process.env.OCLOUDVIEW_SSO_LOGIN_PATH || '/ocloud/usermodule/ssologin',
+      serviceAccount: process.env.OCLOUDVIEW_SERVICE_ACCOUNT || '',
+      serviceSecret: process.env.OCLOUDVIEW_SERVICE_SECRET || '',
+      header: process.env.OCLOUDVIEW_SSO_HEADER || 'X-Remote-User',
+      headerSecret: process.env.OCLOUDVIEW_SSO_HEADER_SECRET || '',
+    },
+  },
+  // 二次验证（TOTP）- 用户在仪表板自行启用，启用后登录需输入验证码或恢复码
+  mfa: {
+    issuer: process.env.MFA_ISSUER || '云桌面',                                 // 验证器应用中显示的名称
+    encryptionKey: process.env.MFA_ENCRYPTION_KEY || '',                        // TOTP 密钥及待验证登录的加密密钥（留空则由 JWT_SECRET 派生）
+    challengeTtl: parseDuration(process.env.MFA_CHALLENGE_TTL || '5m'),         // 登录时输入验证码的时限
+    maxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS) || 5,                   // 每次登录允许输错的次数
+    allowMemoryStore: process.env.MFA_ALLOW_MEMORY_STORE === 'true',            // 内存会话存储（重启丢失启用状态）下是否允许启用
+  },
+  // noVNC 剪贴板自动同步 - 用户在仪表板自行开关，管理员可对单个用户强制关闭
+  clipboard: {
+    syncDefault: process.env.CLIPBOARD_SYNC_DEFAULT !== 'false',                // 用户未设置时是否开启
+  },
+  // 会话存储配置 - memory: 单实例内存存储; redis: 重启不丢失，可多实例共享
+  session: {
+    store: process.env.SESSION_STORE || 'memory',
+    encryptionKey: process.env.SESSION_ENCRYPTION_KEY || '',              // 会话中缓存的桌面密码的加密密钥（留空则由 JWT_SECRET 派生）
+    checkInterval: parseInt(process.env.SESSION_CHECK_INTERVAL) || 30000, // 检查代理连接所属会话是否仍有效的间隔（毫秒）
+    redis: {
+      url: process.env.REDIS_URL,
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT) || 6379,
+      password: process.env.REDIS_PASSWORD,
+      db: parseInt(process.env.REDIS_DB) || 0,
+      keyPrefix: process.env.REDIS_KEY_PREFIX || 'novnc-ocloudview:',
+    },
+  },
+  // 虚拟机状态刷新配置 - 登录返回的虚拟机列表只是快照，需要定期从 ocloudview 重新获取
+  vmStatus: {
+    // 用户虚拟机列表接口（GET，请求头 token_login）。本项目没有 ocloudview 的接口文档，默认路径是推定的，
+    // 部署前需按所用的 ocloudview 版本核对：接口需返回与 userlogin2 相同的 { returnCode, machines }
+    machinesPath: process.env.OCLOUDVIEW_MACHINES_PATH || '/ocloud/usermodule/machines',
+    cacheTtl: parseInt(process.env.VM_STATUS_CACHE_TTL) || 5000,        // 会话内虚拟机列表缓存时间（毫秒）
+    pushInterval: parseInt(process.env.VM_STATUS_PUSH_INTERVAL) || 10000, // 状态推送轮询间隔（毫秒）
+  },
+  // WebSocket 连接票据 - 打开 VNC / SPICE WebSocket 前换取的一次性票据，代替 URL 中的登录令牌
+  connectTicket: {
+    ttl: parseDuration(process.env.CONNECT_TICKET_TTL || '30s'),   // 票据有效期
   },
   websocket: {
     path: process.env.WEBSOCKET_PATH || '/vnc',
@@ -38,6 +190,14 @@ const config = {
       interval: 30000,
       timeout: 60000,
     },
+    // 允许发起 WebSocket 连接的页面来源（Origin，逗号分隔），与请求 Host 同源的页面始终允许；默认与 CORS_ORIGIN 相同
+    allowedOrigins: (process.env.WS_ALLOWED_ORIGINS || process.env.CORS_ORIGIN || 'http://localhost:3000')
+      .split(',').map(origin => origin.trim()).filter(Boolean),
+    // 每个 IP 的 WebSocket 连接频率限制（SPICE 每次连接会打开多个通道）
+    rateLimit: {
+      windowMs: parseInt(process.env.WS_RATE_LIMIT_WINDOW) || 60000,
+      max: parseInt(process.env.WS_RATE_LIMIT_MAX) || 120,
+    },
   },
   vnc: {
     defaultPort: 5900,
@@ -49,6 +209,8 @@ const config = {
     maxRetries: parseInt(process.env.MAX_RETRIES) || 3, // 最大重试次数
     retryDelay: parseInt(process.env.RETRY_DELAY) || 1000, // 初始重试延迟（毫秒）
     retryBackoffMultiplier: parseFloat(process.env.RETRY_BACKOFF_MULTIPLIER) || 2, // 重试延迟倍数
+    // 代理端 VNC 认证（与 VNC 服务器、浏览器两次 RFB 握手）的超时时间
+    authTimeout: parseInt(process.env.VNC_AUTH_TIMEOUT) || 10000,
   },
   // SPICE 个性化配置
   spice: {
@@ -66,6 +228,18 @@ const config = {
   },
 };
 
+// ===== 人机验证 =====
+let captcha = null;
+if (config.captcha.provider) {
+  if (!config.captcha.siteKey || !config.captcha.secret) {
+    logger.error('❌ CAPTCHA_PROVIDER is set but CAPTCHA_SITE_KEY / CAPTCHA_SECRET are missing, CAPTCHA disabled');
+  } else {
+    captcha = new Captcha({ ...config.captcha, timeout: config.ocloudview.timeout });
+  }
+}
+// 人机验证组件的脚本和 iframe 来源，加入内容安全策略
+const captchaOrigins = captcha ? captcha.origins : [];
+
 // ===== Express 应用初始化 =====
 const app = express();
 
@@ -74,11 +248,12 @@ app.use(helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
+      scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'", ...captchaOrigins],
       scriptSrcAttr: ["'unsafe-inline'"],  // 允许内联事件处理器
-      styleSrc: ["'self'", "'unsafe-inline'"],
+      styleSrc: ["'self'", "'unsafe-inline'", ...captchaOrigins],
       imgSrc: ["'self'", "data:", "blob:"],
-      connectSrc: ["'self'", "ws:", "wss:"],
+      connectSrc: ["'self'", "ws:", "wss:", ...captchaOrigins],
+      frameSrc: ["'self'", ...captchaOrigins],
       fontSrc: ["'self'", "data:"],
       workerSrc: ["'self'", "blob:"],
       upgradeInsecureRequests: null,  // 禁用升级不安全请求，避免 HTTP 环境下的错误
@@ -100,10 +275,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // 速率限制
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-});
+const limiter = rateLimit(config.rateLimit);
 app.use('/api', limiter);
 
 // ===== 工具函数 =====
@@ -117,6 +289,27 @@ function decodePassword(encodedPassword) {
   return Buffer.from(encodedPassword, 'base64').toString('utf-8');
 }
 
+// 创建带 HTTP 状态码的错误（路由据此返回对应的状态码）
+function createServiceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 为错误信息添加上下文前缀，保留原有的状态码
+function wrapServiceError(prefix, error) {
+  return createServiceError(prefix + error.message, error.status);
+}
+
+// ===== 虚拟机电源操作定义 =====
+// path: ocloudview 接口路径 ({path}/{domainId})，可通过环境变量配置（见 config.ocloudview.powerPaths）
+const POWER_ACTIONS = {
+  'start': { path: config.ocloudview.powerPaths.start, label: '启动', sentMessage: '虚拟机启动命令已发送' },
+  'stop': { path: config.ocloudview.powerPaths.stop, label: '关闭', sentMessage: '虚拟机关机命令已发送' },
+  'restart': { path: config.ocloudview.powerPaths.restart, label: '重启', sentMessage: '虚拟机重启命令已发送' },
+  'force-reset': { path: config.ocloudview.powerPaths.forceReset, label: '强制重启', sentMessage: '虚拟机强制重启命令已发送' },
+};
+
 // ===== ocloudview API 服务类 =====
 class OcloudviewService {
   constructor() {
@@ -130,6 +323,8 @@ class OcloudviewService {
     this.client.interceptors.request.use(
       (request) => {
         logger.debug(`🔄 API Request: ${request.method?.toUpperCase()} ${request.url}`);
+        // 记录请求开始时间，用于统计 ocloudview 接口延迟
+        request.metricsStartTime = process.hrtime.bigint();
         return request;
       },
       (error) => Promise.reject(error)
@@ -139,15 +334,18 @@ class OcloudviewService {
     this.client.interceptors.response.use(
       (response) => {
         logger.debug(`✅ API Response: ${response.status} ${response.config.url}`);
+        metrics.observeOcloudviewRequest(response.config, response.status);
         return response;
       },
       (error) => {
         logger.error('❌ API Response Error:', error.response?.status, error.message);
+        metrics.observeOcloudviewRequest(error.config, error.response?.status || 'error');
         return Promise.reject(this.handleApiError(error));
       }
     );
   }
 
+  // 将 ocloudview 错误转换为带状态码的错误（status 为返回给前端的 HTTP 状态码）
   handleApiError(error) {
     if (error.response) {
       const { status, data } = error.response;
@@ -156,28 +354,36 @@ class OcloudviewService {
       if (data && data.returnCode) {
         switch (data.returnCode) {
           case 5090:
-            return new Error('当前密码错误');
+            return createServiceError('当前密码错误', 401);
           case 5098:
-            return new Error('用户不存在');
+            return createServiceError('用户不存在', 401);
           default:
-            return new Error(data.msg || `API错误: ${data.returnCode}`);
+            return createServiceError(data.msg || `API错误: ${data.returnCode}`, 502);
         }
       }
 
       switch (status) {
         case 401:
-          return new Error('未授权：请检查登录状态');
+          return createServiceError('未授权：请检查登录状态', 401);
         case 403:
-          return new Error('禁止访问：权限不足');
+          return createServiceError('禁止访问：权限不足', 403);
         case 404:
-          return new Error('资源不存在');
+          return createServiceError('资源不存在', 404);
         case 500:
-          return new Error('ocloudview服务器错误');
+          return createServiceError('ocloudview服务器错误', 502);
         default:
-          return new Error(data?.message || data?.msg || `API错误: ${status}`);
+          return createServiceError(data?.message || data?.msg || `API错误: ${status}`, 502);
       }
     }
-    return new Error('无法连接到ocloudview服务器');
+    return createServiceError('无法连接到ocloudview服务器', 503);
+  }
+
+  // 检查虚拟机操作接口的返回码（操作类接口成功时 returnCode 为 0）
+  checkOperationResult(data, defaultMessage) {
+    if (data.returnCode !== 0) {
+      // ocloudview 拒绝了操作（如虚拟机状态不允许），返回 409
+      throw createServiceError(data.msg || defaultMessage, 409);
+    }
   }
 
   // 用户登录
@@ -189,26 +395,75 @@ class OcloudviewService {
         password: encodedPassword,
       });
 
+      return this.parseLoginResult(response.data);
+    } catch (error) {
+      throw wrapServiceError('登录失败: ', error);
+    }
+  }
+
+  // 单点登录：用户已通过身份提供方认证，由网关以服务凭据或可信请求头为该账号换取 ocloudview token
+  // 接口返回结构与 userlogin2 一致
+  async ssoLogin(username) {
+    const { mode, loginPath, serviceAccount, serviceSecret, header, headerSecret } = config.oidc.ocloudview;
+    try {
+      let response;
+      if (mode === 'header') {
+        response = await this.client.post(loginPath, { sAMAccountName: username }, {
+          headers: {
+            [header]: username,
+            ...(headerSecret && { 'X-Gateway-Secret': headerSecret }),
+          },
+        });
+      } else {
+        response = await this.client.post(loginPath, {
+          sAMAccountName: username,
+          serviceAccount,
+          servicePassword: encodePassword(serviceSecret),
+        });
+      }
+
+      return this.parseLoginResult(response.data);
+    } catch (error) {
+      throw new Error('单点登录失败: ' + error.message);
+    }
+  }
+
+  // 解析登录接口返回
+  parseLoginResult(data) {
+    // 检查返回码
+    if (data.returnCode !== 200) {
+      // 401: 账号或密码被拒绝（计入登录失败次数）
+      throw createServiceError(data.msg || '登录失败', 401);
+    }
+
+    return {
+      success: true,
+      token: data.token_login,
+      username: data.userName,
+      machines: data.machines,
+      isFirstLogin: data.isFirstLogin,
+    };
+  }
+
+  // 获取用户虚拟机列表（实时状态，返回结构与登录接口的 machines 一致；路径见 config.vmStatus.machinesPath）
+  async getUserMachines(token) {
+    try {
+      const response = await this.client.get(config.vmStatus.machinesPath, {
+        headers: { 'token_login': token },
+      });
+
       const data = response.data;
-      
-      // 检查返回码
-      if (data.returnCode !== 200) {
-        throw new Error(data.msg || '登录失败');
+      if (data.returnCode !== 200 || !data.machines) {
+        throw createServiceError(data.msg || '获取虚拟机列表失败', 502);
       }
 
-      return {
-        success: true,
-        token: data.token_login,
-        username: data.userName,
-        machines: data.machines,
-        isFirstLogin: data.isFirstLogin,
-      };
+      return data.machines;
     } catch (error) {
-      throw new Error('登录失败: ' + error.message);
+      throw wrapServiceError('获取虚拟机列表失败: ', error);
     }
   }
 
-  // 获取虚拟机列表（从登录返回的数据中解析）
+  // 解析虚拟机列表（登录返回或实时获取的 machines 数据）
   parseVMList(machines) {
     const vmList = [];
 
@@ -455,12 +710,14 @@ class OcloudviewService {
     }
   }
 
-  // 强制重启虚拟机
-  async forceReset(token, domainId) {
+  // 虚拟机电源操作（启动、关机、重启、强制重启共用）
+  async domainPowerAction(token, domainId, action) {
+    const { path: actionPath, label, sentMessage } = POWER_ACTIONS[action];
+
     try {
-      logger.debug(`🔄 [Force Reset] Resetting VM: ${domainId}`);
+      logger.debug(`🔄 [Power ${action}] ${label} VM: ${domainId}`);
 
-      const response = await this.client.post(`/ocloud/usermodule/forceReset/${domainId}`,
+      const response = await this.client.post(`${actionPath}/${domainId}`,
         {},
         {
           headers: {
@@ -470,32 +727,45 @@ class OcloudviewService {
         }
       );
 
-      logger.debug(`✅ [Force Reset] Response received:`, {
+      logger.debug(`✅ [Power ${action}] Response received:`, {
         returnCode: response.data.returnCode,
         msg: response.data.msg
       });
 
       const data = response.data;
-
-      if (data.returnCode !== 0) {
-        throw new Error(data.msg || '强制重启失败');
-      }
+      this.checkOperationResult(data, `${label}失败`);
 
       return {
         success: true,
-        message: data.msg || '虚拟机强制重启命令已发送',
+        message: data.msg || sentMessage,
         data: data.data || {},
       };
     } catch (error) {
-      logger.error(`❌ [Force Reset] Error:`, error.message);
-      if (error.response) {
-        logger.error(`   Response status: ${error.response.status}`);
-        logger.error(`   Response data:`, error.response.data);
-      }
-      throw new Error('强制重启虚拟机失败: ' + error.message);
+      logger.error(`❌ [Power ${action}] Error:`, error.message);
+      throw wrapServiceError(`${label}虚拟机失败: `, error);
     }
   }
 
+  // 启动虚拟机
+  async startVM(token, domainId) {
+    return this.domainPowerAction(token, domainId, 'start');
+  }
+
+  // 正常关机（向客户机操作系统发送关机信号）
+  async shutdownVM(token, domainId) {
+    return this.domainPowerAction(token, domainId, 'stop');
+  }
+
+  // 正常重启
+  async rebootVM(token, domainId) {
+    return this.domainPowerAction(token, domainId, 'restart');
+  }
+
+  // 强制重启虚拟机
+  async forceReset(token, domainId) {
+    return this.domainPowerAction(token, domainId, 'force-reset');
+  }
+
   // 获取共享桌面池连接信息 (doubleclick2 for desk_pool)
   async getDeskPoolConnectionInfo(token, deskId, username) {
     try {
@@ -610,11 +880,103 @@ class OcloudviewService {
 
 const ocloudviewService = new OcloudviewService();
 
-// ===== 会话存储（简单实现，生产环境应使用 Redis） =====
-const sessionStore = new Map();
+// ===== 会话存储 =====
+// 会话有效期与 JWT 有效期一致
+const sessionStore = createSessionStore({
+  driver: config.session.store,
+  ttl: parseDuration(config.jwt.expiresIn),
+  redis: config.session.redis,
+});
+
+// 会话中缓存的桌面密码（代理连接时使用）加密保存，会话存储（如 Redis）中没有明文密码
+const connectionSecrets = new SecretBox(config.session.encryptionKey || config.jwt.secret, 'novnc-ocloudview-session');
+const sealPassword = (password) => (password ? connectionSecrets.encrypt(String(password)) : null);
+
+// ===== WebSocket 连接票据 =====
+const connectTickets = new ConnectTickets({
+  sessionStore,
+  ttl: config.connectTicket.ttl,
+});
+
+// ===== 刷新令牌 =====
+const refreshTokens = new RefreshTokens({
+  sessionStore,
+  ttl: parseDuration(config.jwt.expiresIn),
+});
+
+// ===== 登录失败限制 =====
+const loginLimiter = new LoginLimiter({
+  ...config.loginLimit,
+  captchaAfter: captcha ? config.loginLimit.captchaAfter : 0,
+  sessionStore,
+});
+
+// ===== 二次验证（TOTP） =====
+if (!config.mfa.encryptionKey) {
+  logger.warn('⚠️  MFA_ENCRYPTION_KEY is not set, TOTP secrets and parked logins are encrypted with a key derived from JWT_SECRET');
+}
+// 启用状态保存在会话存储中：内存存储重启即丢失（用户会在不知情时失去二次验证），默认不允许启用
+const mfaAvailable = config.session.store === 'redis' || config.mfa.allowMemoryStore;
+if (!mfaAvailable) {
+  logger.warn('⚠️  MFA enrollment is disabled: SESSION_STORE=memory loses enrollments on restart (use SESSION_STORE=redis or set MFA_ALLOW_MEMORY_STORE=true)');
+} else if (config.session.store !== 'redis') {
+  logger.warn('⚠️  MFA_ALLOW_MEMORY_STORE is set, MFA enrollments are kept in memory and lost on restart');
+}
+const mfa = new MFA({
+  ...config.mfa,
+  encryptionKey: config.mfa.encryptionKey || config.jwt.secret,
+  available: mfaAvailable,
+  sessionStore,
+});
+
+// ===== 剪贴板同步策略 =====
+const clipboardPolicy = new ClipboardPolicy({
+  ...config.clipboard,
+  sessionStore,
+});
+
+// ===== 单点登录（OpenID Connect） =====
+let oidcClient = null;
+if (config.oidc.enabled) {
+  // 回调地址不按请求的 Host 生成：Host 可由客户端伪造，授权码会被发往别处
+  if (!config.oidc.issuer || !config.oidc.clientId || !config.oidc.redirectUri) {
+    logger.error('❌ OIDC_ENABLED is set but OIDC_ISSUER / OIDC_CLIENT_ID / OIDC_REDIRECT_URI are missing, SSO disabled');
+  } else {
+    oidcClient = new OIDCClient({
+      ...config.oidc,
+      timeout: config.ocloudview.timeout,
+      sessionStore,
+    });
+  }
+}
+
+// ===== 会话录像 =====
+const sessionRecorder = new SessionRecorder(config.recording);
+
+// ===== 控制台截图 =====
+const screenshotStore = new ScreenshotStore(config.screenshots);
+
+// ===== 审计日志 =====
+const auditLog = new AuditLog(config.audit);
+
+// 审计事件的请求方信息
+const auditActor = (req) => ({
+  userId: req.user?.userId || null,
+  username: req.user?.username || null,
+  sessionId: req.user?.sessionId || null,
+  ip: req.ip,
+});
+
+// ===== 虚拟机状态监控 =====
+const vmStatusMonitor = new VMStatusMonitor({
+  sessionStore,
+  ocloudviewService,
+  cacheTtl: config.vmStatus.cacheTtl,
+  pushInterval: config.vmStatus.pushInterval,
+});
 
 // ===== 认证中间件 =====
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -630,7 +992,7 @@ const authMiddleware = (req, res, next) => {
     const decoded = jwt.verify(token, config.jwt.secret);
 
     // 从会话存储中获取 OcloudView token
-    const sessionData = sessionStore.get(decoded.sessionId);
+    const sessionData = await sessionStore.get(decoded.sessionId);
     
     if (!sessionData) {
       return res.status(401).json({
@@ -646,7 +1008,6 @@ const authMiddleware = (req, res, next) => {
       sessionId: decoded.sessionId,
     };
     req.ocloudToken = sessionData.ocloudToken;
-    req.machines = sessionData.machines;
 
     next();
   } catch (error) {
@@ -665,9 +1026,68 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+// ===== 管理员中间件（需在 authMiddleware 之后使用） =====
+// 按规范化的用户名比较，' Admin' 和 'admin' 是同一个管理员
+const isAdminUser = (userId) => config.admin.users.includes(normalizeUserId(userId));
+
+const adminMiddleware = (req, res, next) => {
+  if (!isAdminUser(req.user.userId)) {
+    logger.warn(`⚠️  Admin access denied for user: ${req.user.userId}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: '需要管理员权限',
+    });
+  }
+  next();
+};
+
+// ===== 虚拟机访问控制 =====
+const vmAccess = new VMAccess({
+  vmStatusMonitor,
+  sessionStore,
+  auditLog,
+  isAdmin: isAdminUser,
+  adminOverride: config.vmAccess.adminOverride,
+});
+
+// 拒绝访问（403）：reason 说明原因，拒绝事件由 vmAccess 写入审计日志（access.denied）
+const sendVMAccessDenied = (res, target, access) => res.status(403).json({
+  success: false,
+  error: 'Forbidden',
+  reason: access.reason,
+  ...target,
+  message: access.reason === 'session_not_found' ? '会话已失效，请重新登录' : '无权访问该虚拟机',
+});
+
+// 控制台访问检查：vmId / deskId 必须在当前会话的虚拟机列表中
+const vmAccessMiddleware = (protocol) => async (req, res, next) => {
+  try {
+    if (protocol === 'desk_pool') {
+      const access = await vmAccess.checkDeskPool(auditActor(req), req.params.deskId);
+      if (!access.allowed) {
+        return sendVMAccessDenied(res, { deskPoolId: req.params.deskId }, access);
+      }
+    } else {
+      const access = await vmAccess.checkVM(auditActor(req), req.params.vmId, protocol);
+      if (!access.allowed) {
+        return sendVMAccessDenied(res, { vmId: req.params.vmId }, access);
+      }
+    }
+    next();
+  } catch (error) {
+    logger.error('❌ VM access check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check VM access',
+      message: error.message,
+    });
+  }
+};
+
 // ===== API 路由 =====
 
-// 健康检查
+// 健康检查（兼容旧版，仅表示进程存活）
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
@@ -677,73 +1097,234 @@ app.get('/health', (req, res) => {
   });
 });
 
+// 存活检查 - 进程正常即返回 200
+app.get('/health/live', (req, res) => {
+  res.json(healthCheck.getLiveness());
+});
+
+// 就绪检查 - 探测 ocloudview、代理容量和会话存储，任一不可用返回 503
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, body } = await healthCheck.getReadiness();
+    res.status(ready ? 200 : 503).json(body);
+  } catch (error) {
+    logger.error('❌ Readiness check error:', error);
+    res.status(503).json({
+      status: 'not_ready',
+      reasons: ['health_check_error'],
+      error: error.message,
+    });
+  }
+});
+
+// Prometheus 监控指标
+app.get('/metrics', async (req, res) => {
+  if (config.metrics.token && req.headers.authorization !== `Bearer ${config.metrics.token}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: '需要监控指标访问令牌',
+    });
+  }
+
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('❌ Metrics collection error:', error);
+    res.status(500).end(error.message);
+  }
+});
+
+// 签发访问令牌（短有效期 JWT）
+function signAccessToken(userId, username, sessionId) {
+  return jwt.sign(
+    { userId, username, sessionId },
+    config.jwt.secret,
+    { expiresIn: config.jwt.accessExpiresIn }
+  );
+}
+
+// 创建登录会话并签发访问令牌和刷新令牌（密码登录与单点登录共用）
+async function createLoginSession(userId, loginResult) {
+  // 生成会话ID
+  const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  // 存储 OcloudView token 和虚拟机信息
+  await sessionStore.set(sessionId, {
+    userId,
+    ocloudToken: loginResult.token,
+    machines: loginResult.machines,
+    machinesUpdatedAt: Date.now(),
+    username: loginResult.username,
+    loginTime: Date.now(),
+  });
+
+  const { refreshToken, expiresIn: refreshExpiresIn } = await refreshTokens.issue(sessionId);
+
+  return {
+    sessionId,
+    data: {
+      token: signAccessToken(userId, loginResult.username, sessionId),
+      refreshToken,
+      user: {
+        userId,
+        username: loginResult.username,
+        isAdmin: isAdminUser(userId),
+      },
+      expiresIn: config.jwt.accessExpiresIn,
+      refreshExpiresIn,
+    },
+  };
+}
+
+// 吊销登录会话：删除会话（访问令牌和刷新令牌随之失效）并断开该会话打开的所有桌面连接
+async function revokeSession(sessionId, reason) {
+  await sessionStore.delete(sessionId);
+  return wsProxy.closeSessionConnections(sessionId, reason);
+}
+
+// 登录第一步（ocloudview 密码 / 单点登录）通过后：启用了二次验证的用户先返回 mfa_required 挑战，
+// 验证码通过（/api/auth/mfa/verify）后才创建会话；audit 为最终写入 auth.login 的附加字段
+async function startLogin(userId, loginResult, audit) {
+  if (await mfa.isEnabled(userId)) {
+    const { challenge, expiresIn } = await mfa.createChallenge({ userId, loginResult, audit });
+    return { mfaRequired: true, data: { mfa_required: true, challenge, expiresIn } };
+  }
+  return createLoginSession(userId, loginResult);
+}
+
+// 登录锁定剩余时间的提示文字
+function formatRetryAfter(seconds) {
+  return seconds < 60 ? `${seconds} 秒` : `${Math.ceil(seconds / 60)} 分钟`;
+}
+
+// 登录被锁定（429，带 Retry-After）
+function sendLoginLocked(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Too many failed logins',
+    message: `登录失败次数过多，请 ${formatRetryAfter(retryAfter)}后再试`,
+    retryAfter,
+  });
+}
+
 // 认证接口
+// 登录失败按用户名和 IP 计数（loginLimiter），超过次数锁定；失败次数较多时要求先完成人机验证（captchaToken）
 app.post('/api/auth/login', [
   body('username').notEmpty().withMessage('用户名不能为空'),
   body('password').notEmpty().withMessage('密码不能为空'),
 ], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array() 
+    });
+  }
+
+  const { username, password, captchaToken } = req.body;
+
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
+    const limit = await loginLimiter.check(username, req.ip);
+    if (limit.locked) {
+      metrics.loginTotal.inc({ result: 'locked' });
+      auditLog.record('auth.login', {
+        outcome: 'failure',
+        userId: username,
+        ip: req.ip,
+        method: 'password',
+        error: `Locked out (${limit.scope})`,
+      });
+      return sendLoginLocked(res, limit.retryAfter);
+    }
+
+    if (limit.captchaRequired && !(await captcha.verify(captchaToken, req.ip))) {
+      metrics.loginTotal.inc({ result: 'captcha' });
+      return res.status(400).json({
         success: false,
-        errors: errors.array() 
+        error: 'Captcha required',
+        message: captchaToken ? '人机验证失败，请重试' : '请完成人机验证',
+        captcha: captcha.getClientConfig(),
       });
     }
+  } catch (error) {
+    logger.error('Login limiter error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: error.message,
+    });
+  }
 
-    const { username, password } = req.body;
-    
+  try {
     // 调用 OcloudView 登录接口
     const loginResult = await ocloudviewService.login(username, password);
-
-    // 生成会话ID
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    // 存储 OcloudView token 和虚拟机信息
-    sessionStore.set(sessionId, {
-      ocloudToken: loginResult.token,
-      machines: loginResult.machines,
-      username: loginResult.username,
-      loginTime: Date.now(),
-    });
-
-    // 生成 JWT token
-    const jwtToken = jwt.sign(
-      {
-        userId: username,
-        username: loginResult.username,
-        sessionId: sessionId,
-      },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
+    // 启用二次验证时密码正确还不算登录成功，失败次数在验证码通过后才清零（否则可借密码无限猜验证码）
+    const login = await startLogin(username, loginResult, { method: 'password' });
+    if (login.mfaRequired) {
+      return res.json({
+        success: true,
+        message: '请输入二次验证码',
+        data: login.data,
+      });
+    }
+    const { sessionId, data } = login;
+    await loginLimiter.recordSuccess(username);
 
     res.json({
       success: true,
       message: '登录成功',
-      data: {
-        token: jwtToken,
-        user: { 
-          userId: username, 
-          username: loginResult.username,
-        },
-        expiresIn: config.jwt.expiresIn,
-      },
+      data,
+    });
+    metrics.loginTotal.inc({ result: 'success' });
+    auditLog.record('auth.login', {
+      userId: username,
+      username: loginResult.username,
+      sessionId,
+      ip: req.ip,
+      method: 'password',
     });
   } catch (error) {
     logger.error('Login error:', error);
+    metrics.loginTotal.inc({ result: 'failure' });
+    auditLog.record('auth.login', {
+      outcome: 'failure',
+      userId: username,
+      ip: req.ip,
+      method: 'password',
+      error: error.message,
+    });
+
+    // 只有账号或密码被拒绝才计入失败次数（ocloudview 不可用等不计）
+    let failure = null;
+    if (error.status === 401) {
+      try {
+        failure = await loginLimiter.recordFailure(username, req.ip);
+      } catch (limiterError) {
+        logger.error('Login limiter error:', limiterError);
+      }
+    }
+    if (failure && failure.locked) {
+      return sendLoginLocked(res, failure.retryAfter);
+    }
+
     res.status(401).json({
       success: false,
       error: 'Authentication failed',
       message: error.message || '登录失败',
+      ...(failure && { attemptsLeft: failure.attemptsLeft }),
+      ...(failure && failure.captchaRequired && { captcha: captcha.getClientConfig() }),
     });
   }
 });
 
 app.post('/api/auth/logout', authMiddleware, async (req, res) => {
   try {
-    // 清除会话
-    sessionStore.delete(req.user.sessionId);
+    // 清除会话并断开桌面连接
+    const closedConnections = await revokeSession(req.user.sessionId, 'Logged out');
+    auditLog.record('auth.logout', { ...auditActor(req), closedConnections });
     res.json({ success: true, message: '登出成功' });
   } catch (error) {
     res.status(500).json({ 
@@ -754,45 +1335,517 @@ app.post('/api/auth/logout', authMiddleware, async (req, res) => {
   }
 });
 
-app.post('/api/auth/refresh', authMiddleware, (req, res) => {
-  // 生成新的会话ID
-  const newSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  
-  // 复制会话数据到新会话
-  const oldSession = sessionStore.get(req.user.sessionId);
-  sessionStore.set(newSessionId, oldSession);
-  sessionStore.delete(req.user.sessionId);
+// 刷新令牌：刷新令牌只能使用一次，每次返回新的访问令牌和刷新令牌；
+// 已使用过的刷新令牌再次出现说明令牌已泄露，吊销整个登录会话
+app.post('/api/auth/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('刷新令牌不能为空'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-  const newToken = jwt.sign(
-    {
-      userId: req.user.userId,
-      username: req.user.username,
-      sessionId: newSessionId,
-    },
-    config.jwt.secret,
-    { expiresIn: config.jwt.expiresIn }
-  );
+    const rotated = await refreshTokens.rotate(req.body.refreshToken);
+    if (!rotated) {
+      auditLog.record('auth.refresh', { outcome: 'failure', ip: req.ip, error: 'Invalid refresh token' });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: '登录已失效，请重新登录',
+      });
+    }
 
-  res.json({
-    success: true,
-    message: '令牌刷新成功',
-    data: { token: newToken, expiresIn: config.jwt.expiresIn },
-  });
-});
+    if (rotated.reused) {
+      const session = await sessionStore.get(rotated.sessionId);
+      const closedConnections = await revokeSession(rotated.sessionId, 'Session revoked');
+      auditLog.record('auth.revoke', {
+        userId: session?.userId || null,
+        username: session?.username || null,
+        sessionId: rotated.sessionId,
+        ip: req.ip,
+        reason: 'refresh_token_reuse',
+        closedConnections,
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token reused',
+        message: '登录已失效，请重新登录',
+      });
+    }
 
-app.get('/api/auth/verify', authMiddleware, (req, res) => {
-  res.json({
-    success: true,
-    valid: true,
-    user: req.user,
-  });
-});
+    // 会话已过期或已登出
+    const session = await sessionStore.get(rotated.sessionId);
+    if (!session) {
+      auditLog.record('auth.refresh', { outcome: 'failure', sessionId: rotated.sessionId, ip: req.ip, error: 'Session expired' });
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired',
+        message: '会话已过期，请重新登录',
+      });
+    }
 
-// 虚拟机管理接口
-app.get('/api/vm/list', authMiddleware, async (req, res) => {
-  try {
-    // 从会话中获取虚拟机列表
-    const vmList = ocloudviewService.parseVMList(req.machines);
+    // 超过最长有效期（从登录时间起算）需重新登录，刷新不能无限延长会话
+    const remaining = session.loginTime + config.jwt.maxLifetime - Date.now();
+    if (remaining <= 0) {
+      const closedConnections = await revokeSession(rotated.sessionId, 'Session expired');
+      auditLog.record('auth.refresh', {
+        outcome: 'failure',
+        userId: session.userId,
+        username: session.username,
+        sessionId: rotated.sessionId,
+        ip: req.ip,
+        error: 'Session lifetime exceeded',
+        closedConnections,
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired',
+        message: '登录已超过最长有效期，请重新登录',
+      });
+    }
+
+    // 重新计算会话有效期（保留原登录时间，不超过最长有效期）
+    const sessionTtl = Math.min(sessionStore.ttl, remaining);
+    await sessionStore.set(rotated.sessionId, session, sessionTtl);
+
+    auditLog.record('auth.refresh', {
+      userId: session.userId,
+      username: session.username,
+      sessionId: rotated.sessionId,
+      ip: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: '令牌刷新成功',
+      data: {
+        token: signAccessToken(session.userId, session.username, rotated.sessionId),
+        refreshToken: rotated.refreshToken,
+        expiresIn: config.jwt.accessExpiresIn,
+        refreshExpiresIn: Math.min(rotated.expiresIn, Math.round(sessionTtl / 1000)),
+      },
+    });
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    auditLog.record('auth.refresh', { outcome: 'failure', ip: req.ip, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed',
+      message: error.message,
+    });
+  }
+});
+
+app.get('/api/auth/verify', authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    valid: true,
+    user: { ...req.user, isAdmin: isAdminUser(req.user.userId) },
+  });
+});
+
+// ===== 单点登录接口 =====
+// 回调出错时带错误码回到登录页（sso_error: denied / unmapped / failed / unavailable）
+const redirectSSOError = (res, code) => res.redirect(`/?sso_error=${code}`);
+
+const requireOIDC = (req, res, next) => {
+  if (!oidcClient) {
+    return res.status(404).json({
+      success: false,
+      error: 'SSO disabled',
+      message: '未启用单点登录',
+    });
+  }
+  next();
+};
+
+// 发起登录的浏览器在 httpOnly Cookie 中保存 state，回调时必须一致：
+// 他人的回调地址（含其授权码）不能在本浏览器上完成登录
+const OIDC_STATE_COOKIE = 'oidc_state';
+const oidcStateCookieOptions = (req) => ({ httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/api/auth/oidc' });
+
+// 读取请求中的 Cookie
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.substring(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.substring(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// 登录页据此决定是否显示「使用 SSO 登录」按钮
+app.get('/api/auth/oidc/status', (req, res) => {
+  res.json({ success: true, data: { enabled: oidcClient !== null } });
+});
+
+// 跳转到身份提供方登录页
+app.get('/api/auth/oidc/login', requireOIDC, async (req, res) => {
+  try {
+    const { url, state } = await oidcClient.createAuthorizationUrl({
+      redirectUri: config.oidc.redirectUri,
+      remember: req.query.remember === '1',
+    });
+    res.cookie(OIDC_STATE_COOKIE, state, { ...oidcStateCookieOptions(req), maxAge: oidcClient.requestTtl });
+    res.redirect(url);
+  } catch (error) {
+    logger.error('❌ OIDC login error:', error.message);
+    redirectSSOError(res, 'unavailable');
+  }
+});
+
+// 身份提供方回调：校验 ID token，映射 ocloudview 账号并换取 ocloudview token，创建会话
+// 登录令牌不放在跳转地址中，登录页用一次性登录码换取（POST /api/auth/oidc/token）
+app.get('/api/auth/oidc/callback', requireOIDC, async (req, res) => {
+  let username = null;
+  let ssoError = 'failed';
+  const browserState = readCookie(req, OIDC_STATE_COOKIE);
+  res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions(req));
+  try {
+    // 用户在身份提供方取消登录或被拒绝
+    if (req.query.error) {
+      ssoError = 'denied';
+      throw createServiceError(`Provider returned ${req.query.error}: ${req.query.error_description || ''}`, 401);
+    }
+
+    const login = await oidcClient.handleCallback(req.query, browserState);
+    username = login.username;
+
+    const loginResult = await ocloudviewService.ssoLogin(username);
+    const audit = { method: 'oidc', subject: login.claims.sub };
+    const started = await startLogin(username, loginResult, audit);
+    const code = await oidcClient.issueLoginCode({ ...started.data, remember: login.remember });
+    if (started.mfaRequired) {
+      return res.redirect(`/?sso_code=${encodeURIComponent(code)}`);
+    }
+    const { sessionId } = started;
+
+    metrics.loginTotal.inc({ result: 'success' });
+    auditLog.record('auth.login', {
+      userId: username,
+      username: loginResult.username,
+      sessionId,
+      ip: req.ip,
+      ...audit,
+    });
+    res.redirect(`/?sso_code=${encodeURIComponent(code)}`);
+  } catch (error) {
+    logger.error('❌ OIDC callback error:', error.message);
+    metrics.loginTotal.inc({ result: 'failure' });
+    auditLog.record('auth.login', {
+      outcome: 'failure',
+      userId: username,
+      ip: req.ip,
+      method: 'oidc',
+      error: error.message,
+    });
+    redirectSSOError(res, error.status === 403 ? 'unmapped' : ssoError);
+  }
+});
+
+// 用一次性登录码换取登录令牌（返回结构与 /api/auth/login 相同）
+app.post('/api/auth/oidc/token', requireOIDC, [
+  body('code').isString().notEmpty().withMessage('登录码不能为空'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const login = await oidcClient.redeemLoginCode(req.body.code);
+    if (!login) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid login code',
+        message: '登录码无效或已过期，请重新登录',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '登录成功',
+      data: login,
+    });
+  } catch (error) {
+    logger.error('OIDC token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'SSO login failed',
+      message: error.message,
+    });
+  }
+});
+
+// ===== 二次验证接口 =====
+// 二次验证失败的提示
+const mfaErrorMessage = (error) => {
+  if (error.status === 429) {
+    return '验证码错误次数过多，请重新登录';
+  }
+  if (error.attemptsLeft !== undefined) {
+    return `验证码错误，还可尝试 ${error.attemptsLeft} 次`;
+  }
+  return error.message === 'Invalid code' ? '验证码错误' : '验证已过期，请重新登录';
+};
+
+// 登录第二步：提交验证码（或恢复码），通过后返回登录令牌（结构与 /api/auth/login 相同）
+// 验证码错误与密码错误一样按用户名和 IP 计入 loginLimiter，锁定期间不再校验验证码
+app.post('/api/auth/mfa/verify', [
+  body('challenge').isString().notEmpty().withMessage('缺少验证挑战'),
+  body('code').isString().notEmpty().withMessage('验证码不能为空'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const challengeUser = await mfa.getChallengeUser(req.body.challenge);
+    if (challengeUser) {
+      const limit = await loginLimiter.check(challengeUser, req.ip);
+      if (limit.locked) {
+        metrics.loginTotal.inc({ result: 'locked' });
+        auditLog.record('auth.login', {
+          outcome: 'failure',
+          userId: challengeUser,
+          ip: req.ip,
+          mfa: 'failed',
+          error: `Locked out (${limit.scope})`,
+        });
+        return sendLoginLocked(res, limit.retryAfter);
+      }
+    }
+
+    const { login, via } = await mfa.verifyChallenge(req.body.challenge, req.body.code);
+    const { sessionId, data } = await createLoginSession(login.userId, login.loginResult);
+    await loginLimiter.recordSuccess(login.userId);
+
+    res.json({
+      success: true,
+      message: '登录成功',
+      data,
+    });
+    metrics.loginTotal.inc({ result: 'success' });
+    auditLog.record('auth.login', {
+      userId: login.userId,
+      username: login.loginResult.username,
+      sessionId,
+      ip: req.ip,
+      ...login.audit,
+      mfa: via,
+    });
+  } catch (error) {
+    if (!error.status) {
+      logger.error('MFA verify error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'MFA verification failed',
+        message: error.message,
+      });
+    }
+
+    metrics.loginTotal.inc({ result: 'failure' });
+    auditLog.record('auth.login', {
+      outcome: 'failure',
+      userId: error.userId || null,
+      ip: req.ip,
+      mfa: 'failed',
+      error: error.message,
+    });
+
+    // 验证码错误（error.userId 为该挑战的用户）计入登录失败次数
+    let failure = null;
+    if (error.userId) {
+      try {
+        failure = await loginLimiter.recordFailure(error.userId, req.ip);
+      } catch (limiterError) {
+        logger.error('Login limiter error:', limiterError);
+      }
+    }
+    if (failure && failure.locked) {
+      return sendLoginLocked(res, failure.retryAfter);
+    }
+
+    res.status(error.status).json({
+      success: false,
+      error: error.message,
+      attemptsLeft: error.attemptsLeft,
+      message: mfaErrorMessage(error),
+    });
+  }
+});
+
+// 当前用户的二次验证状态
+app.get('/api/auth/mfa', authMiddleware, async (req, res) => {
+  try {
+    res.json({ success: true, data: await mfa.getStatus(req.user.userId) });
+  } catch (error) {
+    logger.error('MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get MFA status',
+      message: error.message,
+    });
+  }
+});
+
+// 开始启用二次验证：返回新密钥和二维码（otpauth://），用验证器应用扫描后提交验证码确认
+app.post('/api/auth/mfa/enroll', authMiddleware, async (req, res) => {
+  try {
+    res.json({ success: true, data: await mfa.beginEnrollment(req.user.userId) });
+  } catch (error) {
+    logger.error('MFA enroll error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: error.status === 409 ? '已启用二次验证'
+        : error.status === 503 ? '服务器未配置持久化会话存储，暂不能启用二次验证，请联系管理员' : error.message,
+    });
+  }
+});
+
+// 确认启用：验证码正确后启用，并返回恢复码（仅显示这一次）
+app.post('/api/auth/mfa/confirm', authMiddleware, [
+  body('code').isString().notEmpty().withMessage('验证码不能为空'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await mfa.confirmEnrollment(req.user.userId, req.body.code);
+    auditLog.record('mfa.enroll', auditActor(req));
+    res.json({
+      success: true,
+      message: '二次验证已启用',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    logger.error('MFA confirm error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: error.message === 'Invalid code' ? '验证码错误' : '请重新开始启用二次验证',
+    });
+  }
+});
+
+// 关闭二次验证（需提交验证码或恢复码）
+// 验证码错误与登录第二步一样计入 loginLimiter，锁定期间不再校验验证码
+app.post('/api/auth/mfa/disable', authMiddleware, [
+  body('code').isString().notEmpty().withMessage('验证码不能为空'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const limit = await loginLimiter.check(req.user.userId, req.ip);
+    if (limit.locked) {
+      auditLog.record('mfa.disable', { ...auditActor(req), outcome: 'failure', error: `Locked out (${limit.scope})` });
+      return sendLoginLocked(res, limit.retryAfter);
+    }
+
+    if (!(await mfa.verify(req.user.userId, req.body.code))) {
+      auditLog.record('mfa.disable', { ...auditActor(req), outcome: 'failure', error: 'Invalid code' });
+      const failure = await loginLimiter.recordFailure(req.user.userId, req.ip);
+      if (failure.locked) {
+        return sendLoginLocked(res, failure.retryAfter);
+      }
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code',
+        message: '验证码错误',
+      });
+    }
+
+    await mfa.reset(req.user.userId);
+    auditLog.record('mfa.disable', auditActor(req));
+    res.json({ success: true, message: '二次验证已关闭' });
+  } catch (error) {
+    logger.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable MFA',
+      message: error.message,
+    });
+  }
+});
+
+// 当前用户的剪贴板同步设置
+app.get('/api/auth/clipboard', authMiddleware, async (req, res) => {
+  try {
+    res.json({ success: true, data: await clipboardPolicy.get(req.user.userId) });
+  } catch (error) {
+    logger.error('Clipboard policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get clipboard policy',
+      message: error.message,
+    });
+  }
+});
+
+// 开启或关闭剪贴板同步（管理员强制关闭时不能开启），下次连接生效
+app.put('/api/auth/clipboard', authMiddleware, [
+  body('enabled').isBoolean({ strict: true }).withMessage('enabled 必须是布尔值'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const policy = await clipboardPolicy.setEnabled(req.user.userId, req.body.enabled);
+    auditLog.record('clipboard.preference', { ...auditActor(req), enabled: req.body.enabled });
+    res.json({
+      success: true,
+      message: req.body.enabled ? '剪贴板同步已开启' : '剪贴板同步已关闭',
+      data: policy,
+    });
+  } catch (error) {
+    logger.error('Clipboard preference error:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: error.status === 403 ? '管理员已关闭您的剪贴板同步' : error.message,
+    });
+  }
+});
+
+// 虚拟机管理接口
+app.get('/api/vm/list', authMiddleware, async (req, res) => {
+  try {
+    // 获取虚拟机列表（缓存过期时从 ocloudview 刷新）
+    const machines = await vmStatusMonitor.getMachines(req.user.sessionId);
+    const vmList = ocloudviewService.parseVMList(machines);
     
     // 支持搜索和过滤
     let filteredList = vmList;
@@ -809,325 +1862,785 @@ app.get('/api/vm/list', authMiddleware, async (req, res) => {
       filteredList = filteredList.filter(vm => vm.status === req.query.status);
     }
 
-    res.json({ 
-      success: true, 
-      data: filteredList,
-      total: filteredList.length,
+    res.json({ 
+      success: true, 
+      data: filteredList,
+      total: filteredList.length,
+    });
+  } catch (error) {
+    logger.error('Get VM list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get VM list',
+      message: error.message,
+    });
+  }
+});
+
+// 虚拟机状态推送（Server-Sent Events，状态变化时推送完整列表）
+// 注意：需在 /api/vm/:id 之前注册
+app.get('/api/vm/events', authMiddleware, (req, res) => {
+  vmStatusMonitor.subscribe(req.user.sessionId, req, res);
+});
+
+app.get('/api/vm/:id', authMiddleware, async (req, res) => {
+  try {
+    const vmId = req.params.id;
+    const machines = await vmStatusMonitor.getMachines(req.user.sessionId);
+    const vmList = ocloudviewService.parseVMList(machines);
+    const vm = vmList.find(v => v.id === vmId);
+    
+    if (!vm) {
+      return res.status(404).json({
+        success: false,
+        error: 'VM not found',
+        message: '虚拟机不存在',
+      });
+    }
+
+    res.json({ success: true, data: vm });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get VM detail',
+      message: error.message,
+    });
+  }
+});
+
+// 虚拟机电源操作（启动、停止、重启、强制重启）
+// 与控制台连接相同，只能操作分配给自己的虚拟机（vmAccess，拒绝时审计 access.denied，protocol 为 power）
+const VM_ID_PATTERN = /^[\w.-]{1,128}$/;
+const powerActionHandlers = {
+  'start': (token, vmId) => ocloudviewService.startVM(token, vmId),
+  'stop': (token, vmId) => ocloudviewService.shutdownVM(token, vmId),
+  'restart': (token, vmId) => ocloudviewService.rebootVM(token, vmId),
+  'force-reset': (token, vmId) => ocloudviewService.forceReset(token, vmId),
+};
+
+Object.entries(powerActionHandlers).forEach(([action, handler]) => {
+  app.post(`/api/vm/:vmId/${action}`, authMiddleware, [
+    param('vmId').matches(VM_ID_PATTERN).withMessage('虚拟机 ID 格式不正确'),
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const vmId = req.params.vmId;
+      logger.debug(`⚡ Power action '${action}' request for VM: ${vmId}`);
+
+      const access = await vmAccess.checkVM(auditActor(req), vmId, 'power');
+      if (!access.allowed) {
+        return sendVMAccessDenied(res, { vmId }, access);
+      }
+
+      const result = await handler(req.ocloudToken, vmId);
+
+      // 立即刷新状态并推送给仪表板
+      vmStatusMonitor.notifyChanged(req.user.sessionId);
+
+      auditLog.record('vm.power', { ...auditActor(req), vmId, action });
+
+      res.json({
+        success: true,
+        message: result.message,
+        data: { vmId: vmId, action: action }
+      });
+    } catch (error) {
+      logger.error(`Power action '${action}' error:`, error);
+      auditLog.record('vm.power', {
+        ...auditActor(req),
+        outcome: 'failure',
+        vmId: req.params.vmId,
+        action,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({
+        success: false,
+        error: `Failed to ${action} VM`,
+        message: error.message,
+      });
+    }
+  });
+});
+
+// VNC 连接接口
+app.get('/api/vnc/connect/:vmId', authMiddleware, vmAccessMiddleware('vnc'), async (req, res) => {
+  try {
+    const vmId = req.params.vmId;
+
+    logger.debug(`📞 VNC connect request for VM: ${vmId}`);
+
+    // 获取完整的VNC连接信息
+    const vncInfo = await ocloudviewService.getCompleteVNCInfo(req.ocloudToken, vmId);
+
+    logger.debug(`📊 VNC Info retrieved:`, {
+      host: vncInfo.host,
+      port: vncInfo.port,
+      hasPassword: !!vncInfo.password,
+      passwordLength: vncInfo.password ? vncInfo.password.length : 0,
+      passwordPreview: vncInfo.password ? vncInfo.password.substring(0, 3) + '***' : 'null'
+    });
+
+    // 缓存 VNC 连接信息到 session（包括加密后的密码）
+    // WebSocket 连接时代理用同一个密码完成 VNC 认证，密码不会返回给浏览器
+    const sessionData = await sessionStore.get(req.user.sessionId);
+    if (sessionData) {
+      if (!sessionData.vncConnections) {
+        sessionData.vncConnections = new Map();
+      }
+      sessionData.vncConnections.set(vmId, {
+        host: vncInfo.host,
+        port: vncInfo.port,
+        password: sealPassword(vncInfo.password),
+        timestamp: Date.now(),
+      });
+      await sessionStore.update(req.user.sessionId, sessionData);
+      logger.debug(`✅ VNC info cached in session for VM ${vmId}`);
+    }
+
+    // 生成 WebSocket URL
+    const wsProtocol = req.secure ? 'wss' : 'ws';
+    const wsHost = req.get('host');
+    const wsUrl = `${wsProtocol}://${wsHost}${config.websocket.path}/${vmId}`;
+
+    auditLog.record('connect.info', { ...auditActor(req), vmId, protocol: 'vnc' });
+
+    // 密码只留在网关：VNC 认证由代理完成，浏览器无需密码
+    const { password, encodedPassword, ...publicInfo } = vncInfo;
+
+    res.json({
+      success: true,
+      data: {
+        ...publicInfo,
+        websocketUrl: wsUrl,
+        protocol: 'vnc',
+        // 本次会话是否会被录制（vnc.html 据此提示用户）
+        recording: sessionRecorder.shouldRecord({ vmId, userId: req.user.userId, protocol: 'vnc' }),
+        // 是否自动同步浏览器剪贴板（vnc.html 传给 noVNC）
+        clipboardSync: (await clipboardPolicy.get(req.user.userId)).sync,
+      },
+    });
+  } catch (error) {
+    logger.error('❌ Get VNC connection error:', error);
+    auditLog.record('connect.info', {
+      ...auditActor(req),
+      outcome: 'failure',
+      vmId: req.params.vmId,
+      protocol: 'vnc',
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get VNC connection',
+      message: error.message,
+    });
+  }
+});
+
+// SPICE 连接接口
+app.get('/api/spice/connect/:vmId', authMiddleware, vmAccessMiddleware('spice'), async (req, res) => {
+  try {
+    const vmId = req.params.vmId;
+
+    logger.debug(`📞 SPICE connect request for VM: ${vmId}`);
+
+    // 获取 SPICE 连接信息
+    const spiceInfo = await ocloudviewService.getSPICEConnectionInfo(req.ocloudToken, vmId);
+
+    logger.debug(`📊 SPICE Info retrieved:`, {
+      host: spiceInfo.hostIp,
+      port: spiceInfo.spicePort,
+      hasPassword: !!spiceInfo.spicePassword,
+      passwordLength: spiceInfo.spicePassword ? spiceInfo.spicePassword.length : 0,
+      passwordPreview: spiceInfo.spicePassword ? spiceInfo.spicePassword.substring(0, 8) + '***' : 'null'
+    });
+
+    // 缓存 SPICE 连接信息到 session（包括加密后的密码）
+    // WebSocket 连接时代理用同一个密码替换浏览器发送的 SPICE ticket，密码不会返回给浏览器
+    const sessionData = await sessionStore.get(req.user.sessionId);
+    if (sessionData) {
+      if (!sessionData.spiceConnections) {
+        sessionData.spiceConnections = new Map();
+      }
+      sessionData.spiceConnections.set(vmId, {
+        host: spiceInfo.hostIp,
+        port: spiceInfo.spicePort,
+        password: sealPassword(spiceInfo.spicePassword),
+        timestamp: Date.now(),
+      });
+      await sessionStore.update(req.user.sessionId, sessionData);
+      logger.debug(`✅ SPICE info cached in session for VM ${vmId}`);
+    }
+
+    // 生成 WebSocket URL
+    const wsProtocol = req.secure ? 'wss' : 'ws';
+    const wsHost = req.get('host');
+    const wsUrl = `${wsProtocol}://${wsHost}/spice/${vmId}`;
+
+    auditLog.record('connect.info', { ...auditActor(req), vmId, protocol: 'spice' });
+
+    res.json({
+      success: true,
+      data: {
+        host: spiceInfo.hostIp,
+        port: spiceInfo.spicePort,
+        vmId: spiceInfo.vmId,
+        vmName: spiceInfo.vmName,
+        websocketUrl: wsUrl,
+        protocol: 'spice',
+        recording: sessionRecorder.shouldRecord({ vmId, userId: req.user.userId, protocol: 'spice' }),
+      },
+    });
+  } catch (error) {
+    logger.error('❌ Get SPICE connection error:', error);
+    auditLog.record('connect.info', {
+      ...auditActor(req),
+      outcome: 'failure',
+      vmId: req.params.vmId,
+      protocol: 'spice',
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get SPICE connection',
+      message: error.message,
+    });
+  }
+});
+
+// 共享桌面池 SPICE 连接接口
+app.get('/api/desk-pool/spice/connect/:deskId', authMiddleware, vmAccessMiddleware('desk_pool'), async (req, res) => {
+  try {
+    const deskId = req.params.deskId;
+    const username = req.user.username;
+
+    logger.debug(`📞 Desk Pool SPICE connect request for desk pool: ${deskId}, user: ${username}`);
+
+    // 获取共享桌面池 SPICE 连接信息
+    const spiceInfo = await ocloudviewService.getDeskPoolSPICEConnectionInfo(req.ocloudToken, deskId, username);
+
+    logger.debug(`📊 Desk Pool SPICE Info retrieved:`, {
+      host: spiceInfo.hostIp,
+      port: spiceInfo.spicePort,
+      vmId: spiceInfo.vmId,
+      vmName: spiceInfo.vmName,
+      hasPassword: !!spiceInfo.spicePassword,
+    });
+
+    // 缓存 SPICE 连接信息到 session
+    const sessionData = await sessionStore.get(req.user.sessionId);
+    if (sessionData) {
+      if (!sessionData.spiceConnections) {
+        sessionData.spiceConnections = new Map();
+      }
+      // 使用返回的实际 vmId 作为 key
+      sessionData.spiceConnections.set(spiceInfo.vmId, {
+        host: spiceInfo.hostIp,
+        port: spiceInfo.spicePort,
+        password: sealPassword(spiceInfo.spicePassword),
+        timestamp: Date.now(),
+        deskPoolId: deskId,
+      });
+      await sessionStore.update(req.user.sessionId, sessionData);
+      logger.debug(`✅ Desk Pool SPICE info cached in session for VM ${spiceInfo.vmId}`);
+    }
+
+    // 生成 WebSocket URL（使用实际的 vmId）
+    const wsProtocol = req.secure ? 'wss' : 'ws';
+    const wsHost = req.get('host');
+    const wsUrl = `${wsProtocol}://${wsHost}/spice/${spiceInfo.vmId}`;
+
+    auditLog.record('connect.info', { ...auditActor(req), vmId: spiceInfo.vmId, protocol: 'spice', deskPoolId: deskId });
+
+    res.json({
+      success: true,
+      data: {
+        host: spiceInfo.hostIp,
+        port: spiceInfo.spicePort,
+        vmId: spiceInfo.vmId,
+        vmName: spiceInfo.vmName,
+        websocketUrl: wsUrl,
+        protocol: 'spice',
+        deskPoolId: deskId,
+        recording: sessionRecorder.shouldRecord({ vmId: spiceInfo.vmId, userId: req.user.userId, protocol: 'spice' }),
+      },
+    });
+  } catch (error) {
+    logger.error('❌ Get Desk Pool SPICE connection error:', error);
+    auditLog.record('connect.info', {
+      ...auditActor(req),
+      outcome: 'failure',
+      protocol: 'spice',
+      deskPoolId: req.params.deskId,
+      error: error.message,
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get desk pool SPICE connection',
+      message: error.message,
+    });
+  }
+});
+
+// WebSocket 连接票据（一次性，绑定虚拟机和协议，有效期约 30 秒）
+// 页面在打开 WebSocket 前换取，连接地址为 /vnc/{vmId}?ticket=xxx 或 /spice/{vmId}?ticket=xxx
+// SPICE 每个通道都是独立的 WebSocket，每个通道需要单独换取票据
+app.post('/api/connect/ticket', authMiddleware, [
+  body('vmId').isString().notEmpty().withMessage('虚拟机 ID 不能为空'),
+  body('protocol').isIn(['vnc', 'spice']).withMessage('protocol 必须是 vnc 或 spice'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    // 票据只发给有权访问该虚拟机的用户（WebSocket 连接时会再次检查）
+    const access = await vmAccess.checkVM(auditActor(req), req.body.vmId, req.body.protocol);
+    if (!access.allowed) {
+      return sendVMAccessDenied(res, { vmId: req.body.vmId }, access);
+    }
+
+    const { ticket, expiresIn } = await connectTickets.issue({
+      vmId: req.body.vmId,
+      protocol: req.body.protocol,
+      userId: req.user.userId,
+      username: req.user.username,
+      sessionId: req.user.sessionId,
+    });
+
+    res.json({
+      success: true,
+      data: { ticket, expiresIn },
+    });
+  } catch (error) {
+    logger.error('❌ Issue connect ticket error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue connect ticket',
+      message: error.message,
+    });
+  }
+});
+
+// 连接管理接口（管理员）
+// 列出所有代理连接
+app.get('/api/admin/connections', authMiddleware, adminMiddleware, (req, res) => {
+  const stats = wsProxy.getStats();
+
+  res.json({
+    success: true,
+    data: {
+      totalConnections: stats.totalConnections,
+      maxConnections: stats.maxConnections,
+      totalVMs: stats.totalVMs,
+      maxConnectionsPerVM: stats.maxConnectionsPerVM,
+      uptime: stats.uptime,
+      traffic: stats.traffic,
+      vmStats: stats.vmStats,
+      userStats: stats.userStats,
+      connections: stats.connections,
+    },
+  });
+});
+
+// 断开单个连接
+app.delete('/api/admin/connections/:connectionId', authMiddleware, adminMiddleware, (req, res) => {
+  const connectionId = req.params.connectionId;
+  const closed = wsProxy.closeConnection(connectionId, 'Closed by administrator');
+
+  if (!closed) {
+    return res.status(404).json({
+      success: false,
+      error: 'Connection not found',
+      message: '连接不存在或已断开',
+    });
+  }
+
+  logger.info(`🔌 Admin ${req.user.userId} closed connection ${connectionId}`);
+  auditLog.record('admin.disconnect', { ...auditActor(req), connectionId });
+  res.json({
+    success: true,
+    message: '连接已断开',
+    data: { connectionId },
+  });
+});
+
+// 断开虚拟机的所有连接
+app.delete('/api/admin/vms/:vmId/connections', authMiddleware, adminMiddleware, (req, res) => {
+  const vmId = req.params.vmId;
+  const closedCount = wsProxy.closeVMConnections(vmId, 'Closed by administrator');
+
+  logger.info(`🔌 Admin ${req.user.userId} closed ${closedCount} connection(s) for VM ${vmId}`);
+  auditLog.record('admin.disconnect', { ...auditActor(req), vmId, closedCount });
+  res.json({
+    success: true,
+    message: `已断开 ${closedCount} 个连接`,
+    data: { vmId, closedCount },
+  });
+});
+
+// 重置用户的二次验证（用户丢失验证器且恢复码用完时，由管理员重置后重新启用）
+app.delete('/api/admin/users/:userId/mfa', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const existed = await mfa.reset(userId);
+    logger.info(`🔐 Admin ${req.user.userId} reset MFA of ${userId}`);
+    auditLog.record('admin.mfa_reset', { ...auditActor(req), targetUserId: userId, outcome: existed ? 'success' : 'failure' });
+
+    if (!existed) {
+      return res.status(404).json({
+        success: false,
+        error: 'MFA not enrolled',
+        message: '该用户未启用二次验证',
+      });
+    }
+    res.json({ success: true, message: '二次验证已重置' });
+  } catch (error) {
+    logger.error('MFA reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset MFA',
+      message: error.message,
     });
+  }
+});
+
+// 查看用户的剪贴板同步策略（管理员）
+app.get('/api/admin/users/:userId/clipboard', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    res.json({ success: true, data: await clipboardPolicy.get(req.params.userId) });
   } catch (error) {
-    logger.error('Get VM list error:', error);
+    logger.error('Clipboard policy error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get VM list',
+      error: 'Failed to get clipboard policy',
       message: error.message,
     });
   }
 });
 
-app.get('/api/vm/:id', authMiddleware, async (req, res) => {
+// 强制关闭（或恢复）用户的剪贴板同步（管理员），用户下次连接生效
+app.put('/api/admin/users/:userId/clipboard', authMiddleware, adminMiddleware, [
+  body('forcedOff').isBoolean({ strict: true }).withMessage('forcedOff 必须是布尔值'),
+], async (req, res) => {
   try {
-    const vmId = req.params.id;
-    const vmList = ocloudviewService.parseVMList(req.machines);
-    const vm = vmList.find(v => v.id === vmId);
-    
-    if (!vm) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'VM not found',
-        message: '虚拟机不存在',
+        errors: errors.array()
       });
     }
 
-    res.json({ success: true, data: vm });
+    const { userId } = req.params;
+    const policy = await clipboardPolicy.setForcedOff(userId, req.body.forcedOff, req.user.userId);
+    auditLog.record('admin.clipboard_policy', { ...auditActor(req), targetUserId: userId, forcedOff: req.body.forcedOff });
+    res.json({
+      success: true,
+      message: req.body.forcedOff ? '已强制关闭该用户的剪贴板同步' : '已恢复该用户的剪贴板同步设置',
+      data: policy,
+    });
   } catch (error) {
+    logger.error('Clipboard policy update error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get VM detail',
+      error: 'Failed to update clipboard policy',
       message: error.message,
     });
   }
 });
 
-// 虚拟机操作（启动、停止、重启）
-app.post('/api/vm/:id/start', authMiddleware, async (req, res) => {
+// 登录锁定列表（管理员）
+app.get('/api/admin/login-locks', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    // 注意：OcloudView API 可能不支持直接的启动/停止操作
-    // 这里返回模拟响应，实际项目中需要根据 API 文档实现
-    res.json({ 
-      success: true, 
-      message: '虚拟机启动命令已发送',
-      data: { vmId: req.params.id }
-    });
+    const locks = await loginLimiter.listLocks();
+    res.json({ success: true, data: locks, total: locks.length });
   } catch (error) {
+    logger.error('Get login locks error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to start VM',
+      error: 'Failed to get login locks',
       message: error.message,
     });
   }
 });
 
-app.post('/api/vm/:id/stop', authMiddleware, async (req, res) => {
+// 解除登录锁定（管理员）- scope: user（用户名）或 ip，同时清除失败次数
+app.delete('/api/admin/login-locks/:scope/:value', authMiddleware, adminMiddleware, [
+  param('scope').isIn(['user', 'ip']).withMessage('scope 必须是 user 或 ip'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
   try {
-    res.json({ 
-      success: true, 
-      message: '虚拟机停止命令已发送',
-      data: { vmId: req.params.id }
+    const { scope, value } = req.params;
+    const existed = await loginLimiter.unlock(scope, value);
+    logger.info(`🔓 Admin ${req.user.userId} unlocked login ${scope} ${value}`);
+    auditLog.record('admin.login_unlock', {
+      ...auditActor(req),
+      outcome: existed ? 'success' : 'failure',
+      scope,
+      ...(scope === 'user' ? { targetUserId: value } : { targetIp: value }),
     });
+
+    if (!existed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not locked',
+        message: '未找到登录锁定或失败记录',
+      });
+    }
+    res.json({ success: true, message: '已解除登录锁定' });
   } catch (error) {
+    logger.error('Login unlock error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to stop VM',
+      error: 'Failed to unlock login',
       message: error.message,
     });
   }
 });
 
-app.post('/api/vm/:id/restart', authMiddleware, async (req, res) => {
+// 审计日志查询（管理员）
+// 支持按事件类型（逗号分隔，'proxy.' 等前缀匹配）、用户、虚拟机、结果、时间范围过滤，按时间倒序返回
+app.get('/api/admin/audit', authMiddleware, adminMiddleware, [
+  query('from').optional().custom(value => !Number.isNaN(Date.parse(value)) || /^\d+$/.test(value)).withMessage('from 必须是时间'),
+  query('to').optional().custom(value => !Number.isNaN(Date.parse(value)) || /^\d+$/.test(value)).withMessage('to 必须是时间'),
+  query('outcome').optional().isIn(['success', 'failure']).withMessage('outcome 必须是 success 或 failure'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit 必须在 1-1000 之间'),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  if (!auditLog.canQuery()) {
+    return res.status(404).json({
+      success: false,
+      error: 'Audit query unavailable',
+      message: '审计日志查询需要启用 file 输出（AUDIT_LOG_SINKS）',
+    });
+  }
+
   try {
+    const events = await auditLog.query({
+      type: req.query.type,
+      userId: req.query.userId,
+      vmId: req.query.vmId,
+      outcome: req.query.outcome,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+    });
+
     res.json({
       success: true,
-      message: '虚拟机重启命令已发送',
-      data: { vmId: req.params.id }
+      data: events,
+      total: events.length,
     });
   } catch (error) {
+    logger.error('❌ Query audit log error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to restart VM',
+      error: 'Failed to query audit log',
       message: error.message,
     });
   }
 });
 
-// 强制重启虚拟机
-app.post('/api/vm/:id/force-reset', authMiddleware, async (req, res) => {
+// 会话录像接口（管理员）
+// 列出录像，支持按虚拟机、用户过滤
+app.get('/api/recordings', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const vmId = req.params.id;
-    logger.debug(`⚡ Force reset request for VM: ${vmId}`);
-
-    // 调用 OcloudView API 强制重启虚拟机
-    const result = await ocloudviewService.forceReset(req.ocloudToken, vmId);
+    const recordings = await sessionRecorder.list({
+      vmId: req.query.vmId,
+      userId: req.query.userId,
+    });
 
     res.json({
       success: true,
-      message: result.message || '虚拟机强制重启命令已发送',
-      data: { vmId: vmId }
+      data: recordings,
+      total: recordings.length,
+      enabled: sessionRecorder.enabled,
     });
   } catch (error) {
-    logger.error('Force reset VM error:', error);
+    logger.error('❌ List recordings error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to force reset VM',
+      error: 'Failed to list recordings',
       message: error.message,
     });
   }
 });
 
-// VNC 连接接口
-app.get('/api/vnc/connect/:vmId', authMiddleware, async (req, res) => {
+// 获取录像信息
+app.get('/api/recordings/:id', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const vmId = req.params.vmId;
-
-    logger.debug(`📞 VNC connect request for VM: ${vmId}`);
-
-    // 获取完整的VNC连接信息
-    const vncInfo = await ocloudviewService.getCompleteVNCInfo(req.ocloudToken, vmId);
+    const recording = await sessionRecorder.get(req.params.id);
 
-    logger.debug(`📊 VNC Info retrieved:`, {
-      host: vncInfo.host,
-      port: vncInfo.port,
-      hasPassword: !!vncInfo.password,
-      passwordLength: vncInfo.password ? vncInfo.password.length : 0,
-      passwordPreview: vncInfo.password ? vncInfo.password.substring(0, 3) + '***' : 'null'
-    });
-
-    // 缓存 VNC 连接信息到 session（包括密码）
-    // 这样 WebSocket 连接时可以使用相同的密码
-    const sessionData = sessionStore.get(req.user.sessionId);
-    if (sessionData) {
-      if (!sessionData.vncConnections) {
-        sessionData.vncConnections = new Map();
-      }
-      sessionData.vncConnections.set(vmId, {
-        host: vncInfo.host,
-        port: vncInfo.port,
-        password: vncInfo.password,
-        timestamp: Date.now(),
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found',
+        message: '录像不存在',
       });
-      logger.debug(`✅ VNC info cached in session for VM ${vmId}`);
     }
 
-    // 生成 WebSocket URL
-    const wsProtocol = req.secure ? 'wss' : 'ws';
-    const wsHost = req.get('host');
-    const wsUrl = `${wsProtocol}://${wsHost}${config.websocket.path}/${vmId}`;
-
-    res.json({
-      success: true,
-      data: {
-        ...vncInfo,
-        websocketUrl: wsUrl,
-        protocol: 'vnc',
-      },
-    });
+    res.json({ success: true, data: recording });
   } catch (error) {
-    logger.error('❌ Get VNC connection error:', error);
+    logger.error('❌ Get recording error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get VNC connection',
+      error: 'Failed to get recording',
       message: error.message,
     });
   }
 });
 
-// SPICE 连接接口
-app.get('/api/spice/connect/:vmId', authMiddleware, async (req, res) => {
+// 下载录像数据（VNC 为 websockify/noVNC 录像格式，SPICE 为 JSON Lines 会话归档）
+app.get('/api/recordings/:id/download', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const vmId = req.params.vmId;
-
-    logger.debug(`📞 SPICE connect request for VM: ${vmId}`);
-
-    // 获取 SPICE 连接信息
-    const spiceInfo = await ocloudviewService.getSPICEConnectionInfo(req.ocloudToken, vmId);
-
-    logger.debug(`📊 SPICE Info retrieved:`, {
-      host: spiceInfo.hostIp,
-      port: spiceInfo.spicePort,
-      hasPassword: !!spiceInfo.spicePassword,
-      passwordLength: spiceInfo.spicePassword ? spiceInfo.spicePassword.length : 0,
-      passwordPreview: spiceInfo.spicePassword ? spiceInfo.spicePassword.substring(0, 8) + '***' : 'null'
-    });
+    const recording = await sessionRecorder.get(req.params.id);
 
-    // 缓存 SPICE 连接信息到 session（包括密码）
-    // 这样 WebSocket 连接时可以使用相同的密码
-    const sessionData = sessionStore.get(req.user.sessionId);
-    if (sessionData) {
-      if (!sessionData.spiceConnections) {
-        sessionData.spiceConnections = new Map();
-      }
-      sessionData.spiceConnections.set(vmId, {
-        host: spiceInfo.hostIp,
-        port: spiceInfo.spicePort,
-        password: spiceInfo.spicePassword,
-        timestamp: Date.now(),
+    if (!recording) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recording not found',
+        message: '录像不存在',
       });
-      logger.debug(`✅ SPICE info cached in session for VM ${vmId}`);
     }
 
-    // 生成 WebSocket URL
-    const wsProtocol = req.secure ? 'wss' : 'ws';
-    const wsHost = req.get('host');
-    const wsUrl = `${wsProtocol}://${wsHost}/spice/${vmId}`;
-
-    res.json({
-      success: true,
-      data: {
-        host: spiceInfo.hostIp,
-        port: spiceInfo.spicePort,
-        password: spiceInfo.spicePassword,
-        vmId: spiceInfo.vmId,
-        vmName: spiceInfo.vmName,
-        websocketUrl: wsUrl,
-        protocol: 'spice',
-      },
+    logger.info(`📼 Admin ${req.user.userId} downloaded recording ${recording.id}`);
+    res.download(sessionRecorder.getFilePath(recording), `${recording.id}${sessionRecorder.getExtension(recording)}`, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Recording file not found',
+          message: '录像文件不存在',
+        });
+      }
     });
   } catch (error) {
-    logger.error('❌ Get SPICE connection error:', error);
+    logger.error('❌ Download recording error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get SPICE connection',
+      error: 'Failed to download recording',
       message: error.message,
     });
   }
 });
 
-// 共享桌面池 SPICE 连接接口
-app.get('/api/desk-pool/spice/connect/:deskId', authMiddleware, async (req, res) => {
-  try {
-    const deskId = req.params.deskId;
-    const username = req.user.username;
-
-    logger.debug(`📞 Desk Pool SPICE connect request for desk pool: ${deskId}, user: ${username}`);
-
-    // 获取共享桌面池 SPICE 连接信息
-    const spiceInfo = await ocloudviewService.getDeskPoolSPICEConnectionInfo(req.ocloudToken, deskId, username);
+// 控制台截图接口
+// 上传截图（PNG 原始数据），protocol 为截图所用的控制台协议，note 为备注
+app.post('/api/vm/:vmId/screenshots', authMiddleware,
+  (req, res, next) => vmAccessMiddleware(req.query.protocol === 'spice' ? 'spice' : 'vnc')(req, res, next),
+  express.raw({ type: 'image/png', limit: config.screenshots.maxSize }),
+  async (req, res) => {
+    try {
+      const protocol = req.query.protocol === 'spice' ? 'spice' : 'vnc';
+      const screenshot = await screenshotStore.save(req.body, {
+        vmId: req.params.vmId,
+        userId: req.user.userId,
+        username: req.user.username,
+        protocol,
+        note: req.query.note,
+        clientAddr: req.ip,
+      });
 
-    logger.debug(`📊 Desk Pool SPICE Info retrieved:`, {
-      host: spiceInfo.hostIp,
-      port: spiceInfo.spicePort,
-      vmId: spiceInfo.vmId,
-      vmName: spiceInfo.vmName,
-      hasPassword: !!spiceInfo.spicePassword,
-    });
+      auditLog.record('screenshot.upload', {
+        ...auditActor(req),
+        vmId: req.params.vmId,
+        protocol,
+        screenshotId: screenshot.id,
+        bytes: screenshot.bytes,
+      });
+      logger.info(`📷 ${req.user.userId} uploaded screenshot ${screenshot.id} of VM ${req.params.vmId}`);
 
-    // 缓存 SPICE 连接信息到 session
-    const sessionData = sessionStore.get(req.user.sessionId);
-    if (sessionData) {
-      if (!sessionData.spiceConnections) {
-        sessionData.spiceConnections = new Map();
-      }
-      // 使用返回的实际 vmId 作为 key
-      sessionData.spiceConnections.set(spiceInfo.vmId, {
-        host: spiceInfo.hostIp,
-        port: spiceInfo.spicePort,
-        password: spiceInfo.spicePassword,
-        timestamp: Date.now(),
-        deskPoolId: deskId,
+      res.status(201).json({
+        success: true,
+        message: '截图已上传',
+        data: screenshot,
+      });
+    } catch (error) {
+      logger.error('❌ Upload screenshot error:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        message: error.status === 400 ? '截图必须是 PNG 图片'
+          : error.status === 413 ? '截图过大' : error.message,
       });
-      logger.debug(`✅ Desk Pool SPICE info cached in session for VM ${spiceInfo.vmId}`);
     }
+  });
 
-    // 生成 WebSocket URL（使用实际的 vmId）
-    const wsProtocol = req.secure ? 'wss' : 'ws';
-    const wsHost = req.get('host');
-    const wsUrl = `${wsProtocol}://${wsHost}/spice/${spiceInfo.vmId}`;
+// 列出截图（管理员），支持按虚拟机、用户过滤
+app.get('/api/screenshots', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const screenshots = await screenshotStore.list({
+      vmId: req.query.vmId,
+      userId: req.query.userId,
+    });
 
     res.json({
       success: true,
-      data: {
-        host: spiceInfo.hostIp,
-        port: spiceInfo.spicePort,
-        password: spiceInfo.spicePassword,
-        vmId: spiceInfo.vmId,
-        vmName: spiceInfo.vmName,
-        websocketUrl: wsUrl,
-        protocol: 'spice',
-        deskPoolId: deskId,
-      },
+      data: screenshots,
+      total: screenshots.length,
     });
   } catch (error) {
-    logger.error('❌ Get Desk Pool SPICE connection error:', error);
+    logger.error('❌ List screenshots error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get desk pool SPICE connection',
+      error: 'Failed to list screenshots',
       message: error.message,
     });
   }
 });
 
-app.get('/api/vnc/token/:vmId', authMiddleware, async (req, res) => {
+// 下载截图（管理员）
+app.get('/api/screenshots/:id/download', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const vmId = req.params.vmId;
+    const screenshot = await screenshotStore.get(req.params.id);
 
-    // 生成VNC访问令牌
-    const vncToken = jwt.sign(
-      {
-        vmId,
-        ocloudToken: req.ocloudToken, // 包含 OcloudView token
-        timestamp: Date.now(),
-      },
-      config.jwt.secret,
-      { expiresIn: '1h' }
-    );
+    if (!screenshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Screenshot not found',
+        message: '截图不存在',
+      });
+    }
 
-    res.json({
-      success: true,
-      data: { token: vncToken, expiresIn: '1h' },
+    logger.info(`📷 Admin ${req.user.userId} downloaded screenshot ${screenshot.id}`);
+    res.download(screenshotStore.getFilePath(screenshot), `${screenshot.id}.png`, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Screenshot file not found',
+          message: '截图文件不存在',
+        });
+      }
     });
   } catch (error) {
+    logger.error('❌ Download screenshot error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate VNC token',
+      error: 'Failed to download screenshot',
       message: error.message,
     });
   }
@@ -1144,17 +2657,57 @@ app.get('/api', (req, res) => {
         logout: 'POST /api/auth/logout',
         refresh: 'POST /api/auth/refresh',
         verify: 'GET /api/auth/verify',
+        oidcStatus: 'GET /api/auth/oidc/status',
+        oidcLogin: 'GET /api/auth/oidc/login',
+        oidcCallback: 'GET /api/auth/oidc/callback',
+        oidcToken: 'POST /api/auth/oidc/token',
+        mfaVerify: 'POST /api/auth/mfa/verify',
+        mfaStatus: 'GET /api/auth/mfa',
+        mfaEnroll: 'POST /api/auth/mfa/enroll',
+        mfaConfirm: 'POST /api/auth/mfa/confirm',
+        mfaDisable: 'POST /api/auth/mfa/disable',
+        clipboard: 'GET /api/auth/clipboard',
+        setClipboard: 'PUT /api/auth/clipboard',
       },
       vm: {
         list: 'GET /api/vm/list',
+        events: 'GET /api/vm/events',
         detail: 'GET /api/vm/:id',
         start: 'POST /api/vm/:id/start',
         stop: 'POST /api/vm/:id/stop',
         restart: 'POST /api/vm/:id/restart',
+        forceReset: 'POST /api/vm/:id/force-reset',
+        uploadScreenshot: 'POST /api/vm/:vmId/screenshots',
       },
       vnc: {
         connect: 'GET /api/vnc/connect/:vmId',
-        token: 'GET /api/vnc/token/:vmId',
+      },
+      spice: {
+        connect: 'GET /api/spice/connect/:vmId',
+        deskPoolConnect: 'GET /api/desk-pool/spice/connect/:deskId',
+      },
+      connect: {
+        ticket: 'POST /api/connect/ticket',
+      },
+      admin: {
+        connections: 'GET /api/admin/connections',
+        closeConnection: 'DELETE /api/admin/connections/:connectionId',
+        closeVMConnections: 'DELETE /api/admin/vms/:vmId/connections',
+        resetMFA: 'DELETE /api/admin/users/:userId/mfa',
+        clipboardPolicy: 'GET /api/admin/users/:userId/clipboard',
+        setClipboardPolicy: 'PUT /api/admin/users/:userId/clipboard',
+        loginLocks: 'GET /api/admin/login-locks',
+        unlockLogin: 'DELETE /api/admin/login-locks/:scope/:value',
+        audit: 'GET /api/admin/audit',
+      },
+      recordings: {
+        list: 'GET /api/recordings',
+        detail: 'GET /api/recordings/:id',
+        download: 'GET /api/recordings/:id/download',
+      },
+      screenshots: {
+        list: 'GET /api/screenshots',
+        download: 'GET /api/screenshots/:id/download',
       },
     },
   });
@@ -1188,12 +2741,10 @@ app.use((err, req, res, next) => {
 const server = http.createServer(app);
 
 // 创建WebSocket服务器
-// Note: 不指定 path，以便接受所有路径的 WebSocket 连接
-// 然后在连接处理器中进行路径验证
+// noServer 模式：HTTP upgrade 请求先经过 upgradeRouter 的频率限制、Origin 检查和票据认证，
+// 通过后才完成 WebSocket 握手，拒绝时直接返回 HTTP 401/403/429
 const wss = new WebSocket.Server({
-  server,
-  noServer: false,
-  // 移除 path 限制，允许 /vnc/* 格式的路径
+  noServer: true,
   // Handle WebSocket subprotocols (SPICE client uses 'binary' subprotocol)
   handleProtocols: (protocols, request) => {
     logger.debug(`🔌 [WebSocket] Client requested protocols: ${Array.from(protocols).join(', ')}`);
@@ -1225,39 +2776,101 @@ const wsProxy = new WebsockifyProxy({
   // 连接重试配置
   maxRetries: config.vnc.maxRetries,
   retryDelay: config.vnc.retryDelay,
-  retryBackoffMultiplier: config.vnc.retryBackoffMultiplier
+  retryBackoffMultiplier: config.vnc.retryBackoffMultiplier,
+  // 代理端 VNC 认证超时
+  authTimeout: config.vnc.authTimeout,
+  // 会话录像
+  recorder: sessionRecorder
 });
 
 logger.info('🔌 WebsockifyProxy initialized (based on websockify-js architecture)');
 
-// WebSocket连接处理
-wss.on('connection', (ws, req) => {
-  logger.debug(`📱 New WebSocket connection from ${req.socket.remoteAddress}`);
-
-  const urlPath = req.url.split('?')[0];
-
-  // 根据路径选择处理器
-  if (urlPath.startsWith('/vnc/')) {
-    // 使用 VNC 连接处理器
-    handleVNCConnection(ws, req, {
-      wsProxy,
-      config,
-      ocloudviewService,
-      sessionStore
-    });
-  } else if (urlPath.startsWith('/spice/')) {
-    // 使用 SPICE 连接处理器
-    handleSPICEConnection(ws, req, {
-      wsProxy,
-      config,
-      ocloudviewService,
-      sessionStore
-    });
-  } else {
-    logger.error(`❌ Unknown WebSocket path: ${urlPath}`);
-    logger.error(`   Expected: /vnc/{vmId} or /spice/{vmId}`);
-    ws.close(1002, 'Invalid path');
+// 代理连接的建立与断开写入审计日志（断开时包含时长和流量）
+wsProxy.on('connection:open', (info) => {
+  auditLog.record('proxy.open', {
+    connectionId: info.connectionId,
+    userId: info.userId,
+    username: info.username,
+    sessionId: info.sessionId,
+    ip: info.clientAddr,
+    vmId: info.vmId,
+    protocol: info.protocol,
+    target: `${info.host}:${info.port}`,
+    recordingId: info.recordingId,
+  });
+});
+
+wsProxy.on('connection:close', (info) => {
+  auditLog.record('proxy.close', {
+    connectionId: info.connectionId,
+    userId: info.userId,
+    username: info.username,
+    sessionId: info.sessionId,
+    ip: info.clientAddr,
+    vmId: info.vmId,
+    protocol: info.protocol,
+    duration: info.duration,
+    bytesIn: info.bytesIn,
+    bytesOut: info.bytesOut,
+    reason: info.reason,
+  });
+});
+
+// 定期断开所属会话已失效（过期、在其他实例登出或被吊销）的代理连接
+const sessionCheckTimer = setInterval(async () => {
+  for (const sessionId of wsProxy.getSessionIds()) {
+    try {
+      if (!(await sessionStore.get(sessionId))) {
+        wsProxy.closeSessionConnections(sessionId, 'Session expired');
+      }
+    } catch (error) {
+      logger.error('❌ Session check error:', error);
+    }
   }
+}, config.session.checkInterval);
+sessionCheckTimer.unref();
+
+// 注册连接数、会话数等实时监控指标
+metrics.registerGatewayGauges({ wsProxy, sessionStore });
+
+// 健康检查
+const healthCheck = new HealthCheck({
+  client: ocloudviewService.client,
+  wsProxy,
+  sessionStore,
+  probeTimeout: config.health.probeTimeout,
+  cacheTtl: config.health.cacheTtl,
+});
+
+// WebSocket 路由：authorize 在握手前认证并返回连接信息，connect 在握手后建立代理
+const upgradeHandlerOptions = {
+  wsProxy,
+  connectTickets,
+  vmAccess,
+  ocloudviewService,
+  sessionStore,
+  connectionSecrets,
+  clipboardPolicy
+};
+
+const upgradeRouter = new UpgradeRouter({
+  wss,
+  allowedOrigins: config.websocket.allowedOrigins,
+  rateLimit: config.websocket.rateLimit,
+});
+
+upgradeRouter.route(`${config.websocket.path}/:vmId`, {
+  authorize: (req, params) => authorizeVNCUpgrade(req, params, upgradeHandlerOptions),
+  connect: (ws, req, vncInfo) => handleVNCConnection(ws, req, vncInfo, upgradeHandlerOptions),
+});
+
+upgradeRouter.route('/spice/:vmId', {
+  authorize: (req, params) => authorizeSPICEUpgrade(req, params, upgradeHandlerOptions),
+  connect: (ws, req, spiceInfo) => handleSPICEConnection(ws, req, spiceInfo, upgradeHandlerOptions),
+});
+
+server.on('upgrade', (req, socket, head) => {
+  upgradeRouter.handleUpgrade(req, socket, head);
 });
 
 wss.on('error', (error) => {
@@ -1275,7 +2888,8 @@ server.listen(PORT, () => {
   logger.info(`🔗 OcloudView API: ${config.ocloudview.apiUrl}`);
   logger.info('');
   logger.info('📚 API Endpoints:');
-  logger.info(`   Health Check: http://localhost:${PORT}/health`);
+  logger.info(`   Health Check: http://localhost:${PORT}/health/live, http://localhost:${PORT}/health/ready`);
+  logger.info(`   Metrics: http://localhost:${PORT}/metrics`);
   logger.info(`   API Root: http://localhost:${PORT}/api`);
   logger.info('');
   logger.info('🎯 Ready to accept connections!');
@@ -1288,8 +2902,14 @@ const gracefulShutdown = async (signal) => {
   // 关闭 WebSocket 代理和所有连接
   await wsProxy.shutdown();
 
-  // 清理会话存储
-  sessionStore.clear();
+  // 关闭虚拟机状态推送流
+  vmStatusMonitor.shutdown();
+
+  // 写完剩余的审计事件（代理关闭时产生的 proxy.close 也在其中）
+  await auditLog.close();
+
+  // 关闭会话存储连接（Redis 中的会话保留，重启后用户无需重新登录）
+  await sessionStore.close();
 
   wss.close(() => {
     logger.info('✅ WebSocket server closed');
@@ -0,0 +1,106 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dgram = require('dgram');
+const AuditLog = require('../lib/audit-log');
+
+describe('AuditLog', () => {
+  let dir;
+  let file;
+  let auditLog;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    file = path.join(dir, 'audit.log');
+  });
+
+  afterEach(async () => {
+    if (auditLog) {
+      await auditLog.close();
+      auditLog = null;
+    }
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write events through the file sink and wait until they are on disk
+   */
+  async function recordEvents(events) {
+    auditLog = new AuditLog({ sinks: ['file'], file });
+    for (const [type, fields] of events) {
+      auditLog.record(type, fields);
+    }
+    await auditLog.close();
+    auditLog = new AuditLog({ sinks: ['file'], file });
+  }
+
+  test('writes one JSON line per event', async () => {
+    await recordEvents([['auth.login', { userId: 'alice', ip: '10.0.0.1' }]]);
+
+    const lines = (await fs.promises.readFile(file, 'utf-8')).trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toEqual({
+      time: expect.any(String),
+      type: 'auth.login',
+      outcome: 'success',
+      userId: 'alice',
+      ip: '10.0.0.1',
+    });
+  });
+
+  test('queries events newest first with filters', async () => {
+    await recordEvents([
+      ['auth.login', { userId: 'alice' }],
+      ['proxy.open', { userId: 'alice', vmId: 'vm-1' }],
+      ['proxy.close', { userId: 'bob', vmId: 'vm-1' }],
+      ['vm.power', { userId: 'alice', vmId: 'vm-2', outcome: 'failure' }],
+    ]);
+
+    expect((await auditLog.query()).map(event => event.type)).toEqual(['vm.power', 'proxy.close', 'proxy.open', 'auth.login']);
+    expect((await auditLog.query({ type: 'proxy.' })).map(event => event.type)).toEqual(['proxy.close', 'proxy.open']);
+    expect((await auditLog.query({ type: 'auth.login,vm.power' })).map(event => event.type)).toEqual(['vm.power', 'auth.login']);
+    expect((await auditLog.query({ userId: 'alice', vmId: 'vm-1' })).map(event => event.type)).toEqual(['proxy.open']);
+    expect((await auditLog.query({ outcome: 'failure' })).map(event => event.type)).toEqual(['vm.power']);
+    expect((await auditLog.query({ limit: 2 })).map(event => event.type)).toEqual(['vm.power', 'proxy.close']);
+  });
+
+  test('filters by time', async () => {
+    await recordEvents([['auth.login', { userId: 'alice' }]]);
+    const [event] = await auditLog.query();
+    const time = Date.parse(event.time);
+
+    expect(await auditLog.query({ from: time + 1 })).toEqual([]);
+    expect(await auditLog.query({ to: new Date(time).toISOString() })).toEqual([event]);
+  });
+
+  test('returns nothing before the first event is written', async () => {
+    auditLog = new AuditLog({ sinks: ['file'], file });
+
+    expect(await auditLog.query()).toEqual([]);
+  });
+
+  test('cannot be queried without the file sink', async () => {
+    auditLog = new AuditLog({ sinks: [] });
+
+    expect(auditLog.canQuery()).toBe(false);
+    await expect(auditLog.query()).rejects.toThrow('Audit log query requires the file sink');
+  });
+
+  test('sends RFC 5424 messages to syslog', async () => {
+    const server = dgram.createSocket('udp4');
+    await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+    const received = new Promise(resolve => server.once('message', message => resolve(message.toString())));
+
+    try {
+      auditLog = new AuditLog({ sinks: ['syslog'], syslog: { host: '127.0.0.1', port: server.address().port, facility: 'local0' } });
+      auditLog.record('auth.login', { userId: 'alice', outcome: 'failure' });
+
+      // local0 (16) * 8 + warning (4)
+      expect(await received).toMatch(/^<132>1 \S+ \S+ novnc-ocloudview \d+ auth\.login - \{.*"userId":"alice".*\}$/);
+    } finally {
+      server.close();
+    }
+  });
+});
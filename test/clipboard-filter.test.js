@@ -0,0 +1,226 @@
+'use strict';
+
+const { VncClipboardFilter, SpiceClipboardFilter } = require('../lib/clipboard-filter');
+
+/**
+ * Feed data one byte at a time, as the worst case of TCP / WebSocket chunking
+ */
+function feedBytewise(filter, direction, data) {
+  const forwarded = [];
+  for (let i = 0; i < data.length; i++) {
+    forwarded.push(filter[direction](data.subarray(i, i + 1)));
+  }
+  return Buffer.concat(forwarded);
+}
+
+describe('VncClipboardFilter', () => {
+  const CLIENT_INIT = Buffer.from([1]);
+  const KEY_EVENT = Buffer.from([4, 1, 0, 0, 0, 0, 0, 0x61]);
+  const POINTER_EVENT = Buffer.from([5, 0, 0, 10, 0, 20]);
+
+  /**
+   * ServerInit for a 32-bit true colour framebuffer
+   */
+  function serverInit(name = 'vm-1') {
+    const message = Buffer.alloc(24);
+    message.writeUInt16BE(800, 0);
+    message.writeUInt16BE(600, 2);
+    Buffer.from([32, 24, 0, 1, 0, 255, 0, 255, 0, 255, 16, 8, 0]).copy(message, 4);
+    message.writeUInt32BE(name.length, 20);
+    return Buffer.concat([message, Buffer.from(name)]);
+  }
+
+  function cutText(type, text) {
+    const message = Buffer.alloc(8);
+    message[0] = type;
+    message.writeInt32BE(text.length, 4);
+    return Buffer.concat([message, Buffer.from(text)]);
+  }
+
+  function setEncodings(encodings) {
+    const message = Buffer.alloc(4 + encodings.length * 4);
+    message[0] = 2;
+    message.writeUInt16BE(encodings.length, 2);
+    encodings.forEach((encoding, i) => message.writeInt32BE(encoding, 4 + i * 4));
+    return message;
+  }
+
+  function rect(width, height, encoding, data = Buffer.alloc(0)) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(width, 4);
+    header.writeUInt16BE(height, 6);
+    header.writeInt32BE(encoding, 8);
+    return Buffer.concat([header, data]);
+  }
+
+  function framebufferUpdate(...rects) {
+    const header = Buffer.from([0, 0, 0, 0]);
+    header.writeUInt16BE(rects.length, 2);
+    return Buffer.concat([header, ...rects]);
+  }
+
+  test('drops ClientCutText and forwards the messages around it', () => {
+    const filter = new VncClipboardFilter();
+    const input = Buffer.concat([CLIENT_INIT, KEY_EVENT, cutText(6, 'secret'), POINTER_EVENT]);
+
+    expect(filter.fromClient(input)).toEqual(Buffer.concat([CLIENT_INIT, KEY_EVENT, POINTER_EVENT]));
+  });
+
+  test('drops ClientCutText split across chunks', () => {
+    const filter = new VncClipboardFilter();
+    const input = Buffer.concat([CLIENT_INIT, cutText(6, 'secret'), KEY_EVENT]);
+
+    expect(feedBytewise(filter, 'fromClient', input)).toEqual(Buffer.concat([CLIENT_INIT, KEY_EVENT]));
+  });
+
+  test('asks only for encodings the server stream can be framed with', () => {
+    const filter = new VncClipboardFilter();
+    const extendedClipboard = 0xc0a1e5ce | 0;
+    const input = Buffer.concat([CLIENT_INIT, setEncodings([1, 7, -260, 16, 21, 5, 2, 0, -26, -250, -223, extendedClipboard, 0x574d5664])]);
+
+    expect(filter.fromClient(input)).toEqual(Buffer.concat([CLIENT_INIT, setEncodings([1, 7, 16, 0, -26, -250, -223])]));
+  });
+
+  test('drops ServerCutText between framebuffer updates', () => {
+    const filter = new VncClipboardFilter();
+    const update = framebufferUpdate(
+      rect(2, 2, 0, Buffer.alloc(2 * 2 * 4, 0xaa)), // Raw
+      rect(4, 4, 7, Buffer.from([0x80, 1, 2, 3])), // Tight fill
+      rect(8, 8, 7, Buffer.from([0x00, 3, 0xbb, 0xbb, 0xbb])), // Tight basic, compact length 3
+      rect(16, 1, 7, Buffer.from([0x40, 1, 1, 0, 0, 0, 9, 9, 9, 0xcc, 0xcc])), // Tight 2-colour palette, 2 bytes raw
+      rect(64, 64, 16, Buffer.from([0, 0, 0, 2, 0xdd, 0xdd])), // ZRLE
+      rect(0, 0, -224) // LastRect
+    );
+    const input = Buffer.concat([serverInit(), update, cutText(3, 'secret'), Buffer.from([2]), update]);
+
+    const expected = Buffer.concat([serverInit(), update, Buffer.from([2]), update]);
+    expect(filter.fromServer(input)).toEqual(expected);
+    expect(feedBytewise(new VncClipboardFilter(), 'fromServer', input)).toEqual(expected);
+  });
+
+  test('frames Tight pixels with the pixel format the client set', () => {
+    const filter = new VncClipboardFilter();
+    const pixelFormat = Buffer.from([0, 0, 0, 0, 16, 16, 0, 1, 0, 31, 0, 63, 0, 31, 11, 5, 0, 0, 0, 0]);
+    filter.fromServer(serverInit());
+    filter.fromClient(Buffer.concat([CLIENT_INIT, pixelFormat]));
+
+    const update = framebufferUpdate(rect(4, 4, 7, Buffer.from([0x80, 1, 2]))); // 2-byte fill pixel
+    expect(filter.fromServer(Buffer.concat([update, cutText(3, 'secret')]))).toEqual(update);
+  });
+
+  test('refuses data it cannot frame, also afterwards', () => {
+    const filter = new VncClipboardFilter();
+    filter.fromServer(serverInit());
+
+    expect(() => filter.fromServer(framebufferUpdate(rect(16, 16, 5)))).toThrow('Unexpected VNC rectangle encoding 5');
+    expect(() => filter.fromServer(Buffer.from([2]))).toThrow('Unexpected VNC rectangle encoding 5');
+    expect(() => new VncClipboardFilter().fromClient(Buffer.from([1, 99]))).toThrow('Unexpected VNC client message type 99');
+  });
+});
+
+describe('SpiceClipboardFilter', () => {
+  const TICKET = Buffer.alloc(128, 0x11);
+  const LINK_RESULT = Buffer.alloc(4);
+  const AUTH_SPICE = Buffer.from([1, 0, 0, 0]);
+
+  /**
+   * SpiceLinkHeader + SpiceLinkMess announcing auth selection and the mini header
+   */
+  function linkMessage(channel, caps = 0x09) {
+    const mess = Buffer.alloc(22);
+    mess.writeUInt8(channel, 4);
+    mess.writeUInt32LE(1, 6);
+    mess.writeUInt32LE(18, 14);
+    mess.writeUInt32LE(caps, 18);
+    const header = Buffer.alloc(16);
+    header.write('REDQ', 0, 'latin1');
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(mess.length, 12);
+    return Buffer.concat([header, mess]);
+  }
+
+  function linkReply() {
+    const header = Buffer.alloc(16);
+    header.write('REDQ', 0, 'latin1');
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(178, 12);
+    return Buffer.concat([header, Buffer.alloc(178)]);
+  }
+
+  function message(type, data) {
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(type, 0);
+    header.writeUInt32LE(data.length, 2);
+    return Buffer.concat([header, data]);
+  }
+
+  /**
+   * vdagent message, optionally only its first chunk
+   */
+  function agentMessage(type, data, chunkSize = Infinity) {
+    const header = Buffer.alloc(20);
+    header.writeUInt32LE(1, 0);
+    header.writeUInt32LE(type, 4);
+    header.writeUInt32LE(data.length, 16);
+    return Buffer.concat([header, data]).subarray(0, chunkSize);
+  }
+
+  function serverSide(filter) {
+    filter.fromClient(Buffer.concat([linkMessage(1), AUTH_SPICE, TICKET]));
+    return filter.fromServer(Buffer.concat([linkReply(), LINK_RESULT]));
+  }
+
+  test('drops agent clipboard messages from the guest, with all their chunks', () => {
+    const filter = new SpiceClipboardFilter();
+    expect(serverSide(filter)).toEqual(Buffer.concat([linkReply(), LINK_RESULT]));
+
+    const ping = message(4, Buffer.alloc(12, 1)); // SPICE_MSG_PING
+    const grab = message(109, agentMessage(7, Buffer.from([1, 0, 0, 0])));
+    const clipboardStart = message(109, agentMessage(4, Buffer.alloc(3000, 0x41), 2048));
+    const clipboardEnd = message(109, Buffer.alloc(3000 + 20 - 2048, 0x41));
+    const mouse = message(109, agentMessage(1, Buffer.alloc(8)));
+
+    const input = Buffer.concat([ping, grab, clipboardStart, ping, clipboardEnd, mouse]);
+    const expected = Buffer.concat([ping, ping, mouse]);
+    expect(filter.fromServer(input)).toEqual(expected);
+
+    const bytewise = new SpiceClipboardFilter();
+    serverSide(bytewise);
+    expect(feedBytewise(bytewise, 'fromServer', input)).toEqual(expected);
+  });
+
+  test('drops agent clipboard messages from the browser', () => {
+    const filter = new SpiceClipboardFilter();
+    const link = Buffer.concat([linkMessage(1), AUTH_SPICE, TICKET]);
+    const request = message(107, agentMessage(8, Buffer.from([1, 0, 0, 0])));
+    const monitors = message(107, agentMessage(2, Buffer.alloc(28)));
+
+    expect(filter.fromClient(Buffer.concat([link, request, monitors]))).toEqual(Buffer.concat([link, monitors]));
+  });
+
+  test('clears the clipboard capabilities from capability announcements', () => {
+    const filter = new SpiceClipboardFilter();
+    serverSide(filter);
+    const caps = Buffer.alloc(8);
+    caps.writeUInt32LE((1 << 0) | (1 << 3) | (1 << 5) | (1 << 6) | (1 << 9), 4);
+
+    const forwarded = filter.fromServer(message(109, agentMessage(6, caps)));
+    expect(forwarded.readUInt32LE(6 + 20 + 4)).toBe((1 << 0) | (1 << 9));
+    expect(forwarded.length).toBe(6 + 20 + 8);
+  });
+
+  test('relays other channels unchanged', () => {
+    const filter = new SpiceClipboardFilter();
+    const input = Buffer.concat([linkMessage(2, 0x01), AUTH_SPICE, TICKET, Buffer.from([1, 2, 3])]);
+
+    expect(filter.fromClient(input)).toEqual(input);
+    expect(filter.fromServer(message(109, agentMessage(4, Buffer.alloc(4))))).toEqual(message(109, agentMessage(4, Buffer.alloc(4))));
+  });
+
+  test('refuses a main channel without the mini header', () => {
+    const filter = new SpiceClipboardFilter();
+    const input = Buffer.concat([linkMessage(1, 0x01), AUTH_SPICE, TICKET, message(107, Buffer.alloc(4))]);
+
+    expect(() => filter.fromClient(input)).toThrow('SPICE client did not negotiate the mini header');
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { SessionStore, MemoryDriver } = require('../lib/session-store');
+const { ConnectTickets, extractTicket } = require('../lib/connect-tickets');
+
+const GRANT = { vmId: 'vm-1', protocol: 'vnc', userId: 'alice', username: 'Alice', sessionId: 'session-1' };
+
+describe('ConnectTickets', () => {
+  let driver;
+  let tickets;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    driver = new MemoryDriver();
+    tickets = new ConnectTickets({ sessionStore: new SessionStore(driver), ttl: 30000 });
+  });
+
+  afterEach(async () => {
+    await driver.close();
+    jest.useRealTimers();
+  });
+
+  test('redeems a ticket once', async () => {
+    const { ticket, expiresIn } = await tickets.issue(GRANT);
+    expect(expiresIn).toBe(30);
+
+    expect(await tickets.redeem(ticket, 'vm-1', 'vnc')).toMatchObject(GRANT);
+    expect(await tickets.redeem(ticket, 'vm-1', 'vnc')).toBeNull();
+  });
+
+  test('lets only one of two concurrent redemptions win', async () => {
+    const { ticket } = await tickets.issue(GRANT);
+
+    const results = await Promise.all([tickets.redeem(ticket, 'vm-1', 'vnc'), tickets.redeem(ticket, 'vm-1', 'vnc')]);
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  test.each([
+    ['another VM', 'vm-2', 'vnc'],
+    ['another protocol', 'vm-1', 'spice'],
+  ])('rejects a ticket used for %s and burns it', async (name, vmId, protocol) => {
+    const { ticket } = await tickets.issue(GRANT);
+
+    expect(await tickets.redeem(ticket, vmId, protocol)).toBeNull();
+    expect(await tickets.redeem(ticket, 'vm-1', 'vnc')).toBeNull();
+  });
+
+  test('rejects an expired ticket', async () => {
+    const { ticket } = await tickets.issue(GRANT);
+    jest.advanceTimersByTime(30001);
+
+    expect(await tickets.redeem(ticket, 'vm-1', 'vnc')).toBeNull();
+  });
+
+  test('rejects an unknown ticket', async () => {
+    expect(await tickets.redeem('not-a-ticket', 'vm-1', 'vnc')).toBeNull();
+  });
+});
+
+describe('extractTicket', () => {
+  test('reads the ticket from the WebSocket URL', () => {
+    expect(extractTicket({ url: '/vnc/vm-1?ticket=abc-123' })).toBe('abc-123');
+    expect(extractTicket({ url: '/vnc/vm-1' })).toBeNull();
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const HealthCheck = require('../lib/health-check');
+
+describe('HealthCheck', () => {
+  let client;
+  let wsProxy;
+  let sessionStore;
+  let healthCheck;
+
+  beforeEach(() => {
+    client = { get: jest.fn(async () => ({ status: 404 })) };
+    wsProxy = { connections: new Map(), config: { maxConnections: 2 } };
+    sessionStore = { ping: jest.fn(async () => true) };
+    healthCheck = new HealthCheck({ client, wsProxy, sessionStore, probeTimeout: 100, cacheTtl: 10000 });
+  });
+
+  test('liveness only reports the process', () => {
+    expect(healthCheck.getLiveness()).toMatchObject({ status: 'ok', uptime: expect.any(Number) });
+  });
+
+  test('is ready when ocloudview answers, the proxy has room and the store pings', async () => {
+    const { ready, body } = await healthCheck.getReadiness();
+
+    expect(ready).toBe(true);
+    expect(body).toMatchObject({
+      status: 'ready',
+      reasons: [],
+      checks: {
+        ocloudview: { status: 'ok', httpStatus: 404 },
+        proxy: { status: 'ok', connections: 0, maxConnections: 2, headroom: 2 },
+        sessionStore: { status: 'ok' },
+      },
+    });
+  });
+
+  test('is not ready when ocloudview is unreachable', async () => {
+    client.get.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const { ready, body } = await healthCheck.getReadiness();
+    expect(ready).toBe(false);
+    expect(body).toMatchObject({ status: 'not_ready', reasons: ['ocloudview_unreachable'] });
+  });
+
+  test('is not ready when the proxy is at capacity', async () => {
+    wsProxy.connections.set('a', {}).set('b', {});
+
+    const { ready, body } = await healthCheck.getReadiness();
+    expect(ready).toBe(false);
+    expect(body.reasons).toEqual(['proxy_at_capacity']);
+  });
+
+  test('is not ready when the session store does not answer in time', async () => {
+    sessionStore.ping.mockReturnValue(new Promise(() => {}));
+
+    const { ready, body } = await healthCheck.getReadiness();
+    expect(ready).toBe(false);
+    expect(body.reasons).toEqual(['session_store_unavailable']);
+    expect(body.checks.sessionStore.error).toBe('Session store ping timeout');
+  });
+
+  test('reuses the ocloudview probe for cacheTtl and coalesces concurrent probes', async () => {
+    await Promise.all([healthCheck.checkOcloudview(), healthCheck.checkOcloudview()]);
+    await healthCheck.checkOcloudview();
+    expect(client.get).toHaveBeenCalledTimes(1);
+
+    healthCheck.ocloudviewResult.checkedAt -= 10000;
+    await healthCheck.checkOcloudview();
+    expect(client.get).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const { SessionStore, MemoryDriver } = require('../lib/session-store');
+const { LoginLimiter } = require('../lib/login-limiter');
+
+const MINUTE = 60 * 1000;
+
+describe('LoginLimiter', () => {
+  let driver;
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    driver = new MemoryDriver();
+    limiter = new LoginLimiter({
+      sessionStore: new SessionStore(driver),
+      maxFailures: 3,
+      ipMaxFailures: 5,
+      lockout: MINUTE,
+      maxLockout: 10 * MINUTE,
+      failureWindow: 15 * MINUTE,
+    });
+  });
+
+  afterEach(async () => {
+    await driver.close();
+    jest.useRealTimers();
+  });
+
+  async function fail(times, username = 'alice', ip = '10.0.0.1') {
+    let result;
+    for (let i = 0; i < times; i++) {
+      result = await limiter.recordFailure(username, ip);
+    }
+    return result;
+  }
+
+  test('locks a username after maxFailures', async () => {
+    expect(await fail(2)).toMatchObject({ attemptsLeft: 1, locked: false });
+    expect(await fail(1)).toMatchObject({ attemptsLeft: 0, locked: true, retryAfter: 60 });
+
+    expect(await limiter.check('alice', '10.0.0.2')).toMatchObject({ locked: true, scope: 'user', retryAfter: 60 });
+    expect(await limiter.check('bob', '10.0.0.2')).toMatchObject({ locked: false });
+  });
+
+  test('counts concurrent failures', async () => {
+    await Promise.all([1, 2, 3].map(() => limiter.recordFailure('alice', '10.0.0.1')));
+
+    expect(await limiter.check('alice', '10.0.0.2')).toMatchObject({ locked: true, scope: 'user' });
+  });
+
+  test('counts a username in any case as the same user', async () => {
+    await limiter.recordFailure('Alice', '10.0.0.1');
+    await limiter.recordFailure(' alice', '10.0.0.2');
+    await limiter.recordFailure('ALICE ', '10.0.0.3');
+
+    expect(await limiter.check('alice', '10.0.0.4')).toMatchObject({ locked: true, scope: 'user' });
+  });
+
+  test('locks an IP after ipMaxFailures across usernames', async () => {
+    for (const username of ['a', 'b', 'c', 'd', 'e']) {
+      await limiter.recordFailure(username, '10.0.0.1');
+    }
+
+    expect(await limiter.check('f', '10.0.0.1')).toMatchObject({ locked: true, scope: 'ip' });
+    expect(await limiter.check('f', '10.0.0.2')).toMatchObject({ locked: false });
+  });
+
+  test('doubles the lockout for every failure after a lock expires', async () => {
+    await fail(3);
+    jest.advanceTimersByTime(MINUTE + 1);
+    expect(await limiter.check('alice', '10.0.0.1')).toMatchObject({ locked: false });
+
+    expect(await fail(1)).toMatchObject({ locked: true, retryAfter: 120 });
+    jest.advanceTimersByTime(2 * MINUTE + 1);
+    expect(await fail(1)).toMatchObject({ locked: true, retryAfter: 240 });
+  });
+
+  test('caps the lockout at maxLockout', async () => {
+    expect(await fail(10)).toMatchObject({ locked: true, retryAfter: 600 });
+  });
+
+  test('forgets failures after the failure window', async () => {
+    await fail(2);
+    jest.advanceTimersByTime(15 * MINUTE + 1);
+
+    expect(await fail(1)).toMatchObject({ attemptsLeft: 2, locked: false });
+  });
+
+  test('a success clears the username counter but not the IP counter', async () => {
+    await fail(2);
+    await limiter.recordSuccess('Alice');
+
+    expect(await fail(1)).toMatchObject({ attemptsLeft: 2, locked: false });
+    await fail(2, 'bob');
+    expect(await limiter.check('carol', '10.0.0.1')).toMatchObject({ locked: true, scope: 'ip' });
+  });
+
+  test('requires a CAPTCHA after captchaAfter failures', async () => {
+    limiter.captchaAfter = 2;
+
+    expect(await fail(1)).toMatchObject({ captchaRequired: false });
+    expect(await fail(1)).toMatchObject({ captchaRequired: true });
+    expect(await limiter.check('alice', '10.0.0.1')).toMatchObject({ locked: false, captchaRequired: true });
+  });
+
+  test('unlock removes the lock and the counter', async () => {
+    await fail(3);
+    expect(await limiter.listLocks()).toEqual([
+      expect.objectContaining({ scope: 'user', value: 'alice', failures: 3 }),
+    ]);
+
+    expect(await limiter.unlock('user', 'ALICE')).toBe(true);
+    expect(await limiter.check('alice', '10.0.0.2')).toMatchObject({ locked: false });
+    expect(await limiter.listLocks()).toEqual([]);
+    expect(await limiter.unlock('user', 'alice')).toBe(false);
+  });
+});
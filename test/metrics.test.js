@@ -0,0 +1,66 @@
+'use strict';
+
+const metrics = require('../lib/metrics');
+
+describe('normalizeEndpoint', () => {
+  test.each([
+    ['/ocloud/v1/domain/vm-1', '/ocloud/v1/domain/:id'],
+    ['/ocloud/v1/domain/vm-1/vnc?x=1', '/ocloud/v1/domain/:id/vnc'],
+    ['/ocloud/usermodule/startDomain/vm-1', '/ocloud/usermodule/startDomain/:id'],
+    ['/ocloud/v1/login', '/ocloud/v1/login'],
+  ])('turns %p into %p', (url, endpoint) => {
+    expect(metrics.normalizeEndpoint(url)).toBe(endpoint);
+  });
+});
+
+describe('observeOcloudviewRequest', () => {
+  test('records the request under its endpoint template', async () => {
+    metrics.observeOcloudviewRequest({ method: 'post', url: '/ocloud/usermodule/startDomain/vm-1', metricsStartTime: process.hrtime.bigint() }, 200);
+
+    const { values } = await metrics.ocloudviewRequestDuration.get();
+    expect(values).toContainEqual(expect.objectContaining({
+      metricName: 'novnc_ocloudview_ocloudview_request_duration_seconds_count',
+      labels: { method: 'POST', endpoint: '/ocloud/usermodule/startDomain/:id', status: '200' },
+      value: 1,
+    }));
+  });
+
+  test('ignores requests without a start time', () => {
+    expect(() => metrics.observeOcloudviewRequest({ url: '/ocloud/v1/login' }, 200)).not.toThrow();
+  });
+});
+
+describe('registerGatewayGauges', () => {
+  const wsProxy = { connections: new Map(), vmConnections: new Map() };
+  const sessionStore = { size: jest.fn() };
+
+  beforeAll(() => {
+    metrics.registerGatewayGauges({ wsProxy, sessionStore });
+  });
+
+  async function gaugeValues(name) {
+    return (await metrics.register.getSingleMetric(`novnc_ocloudview_${name}`).get()).values;
+  }
+
+  test('reads the proxy connections on scrape', async () => {
+    wsProxy.connections.set('vm-1_1', { protocol: 'vnc' }).set('vm-1_2', { protocol: 'spice' }).set('vm-2_3', { protocol: 'vnc' });
+    wsProxy.vmConnections.set('vm-1', new Set(['vm-1_1', 'vm-1_2'])).set('vm-2', new Set(['vm-2_3']));
+
+    expect(await gaugeValues('proxy_active_connections')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ labels: { protocol: 'vnc' }, value: 2 }),
+      expect.objectContaining({ labels: { protocol: 'spice' }, value: 1 }),
+    ]));
+    expect(await gaugeValues('proxy_vm_connections')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ labels: { vm_id: 'vm-1' }, value: 2 }),
+      expect.objectContaining({ labels: { vm_id: 'vm-2' }, value: 1 }),
+    ]));
+  });
+
+  test('keeps the last session count when the store is unreachable', async () => {
+    sessionStore.size.mockResolvedValueOnce(3);
+    expect(await gaugeValues('sessions')).toEqual([expect.objectContaining({ value: 3 })]);
+
+    sessionStore.size.mockRejectedValueOnce(new Error('Connection is closed'));
+    expect(await gaugeValues('sessions')).toEqual([expect.objectContaining({ value: 3 })]);
+  });
+});
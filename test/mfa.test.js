@@ -0,0 +1,142 @@
+'use strict';
+
+const { SessionStore, MemoryDriver } = require('../lib/session-store');
+const { MFA } = require('../lib/mfa');
+const { totp } = require('../lib/totp');
+
+const STEP = 30 * 1000;
+
+describe('MFA', () => {
+  let driver;
+  let mfa;
+
+  beforeEach(() => {
+    driver = new MemoryDriver();
+    mfa = new MFA({ sessionStore: new SessionStore(driver), encryptionKey: 'test-key', maxAttempts: 3 });
+  });
+
+  afterEach(async () => {
+    await driver.close();
+  });
+
+  /**
+   * Enroll a user; later codes have to come from a later time step (replay protection)
+   * @returns {Promise<Object>} { secret, recoveryCodes }
+   */
+  async function enroll(userId = 'alice') {
+    const { secret } = await mfa.beginEnrollment(userId);
+    const recoveryCodes = await mfa.confirmEnrollment(userId, totp(secret));
+    return { secret, recoveryCodes };
+  }
+
+  async function expectRejection(promise, status, message) {
+    await expect(promise).rejects.toMatchObject({ status, message });
+  }
+
+  describe('enrollment', () => {
+    test('enables TOTP with the first valid code and returns recovery codes', async () => {
+      const { secret, otpauthUrl, qrCode } = await mfa.beginEnrollment('Alice');
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(await mfa.isEnabled('alice')).toBe(false);
+
+      await expectRejection(mfa.confirmEnrollment('alice', '000000'), 400, 'Invalid code');
+      const recoveryCodes = await mfa.confirmEnrollment('alice', totp(secret));
+      expect(recoveryCodes).toHaveLength(10);
+
+      expect(await mfa.isEnabled(' ALICE ')).toBe(true);
+      expect(await mfa.getStatus('alice')).toMatchObject({ available: true, enabled: true, recoveryCodesRemaining: 10 });
+    });
+
+    test('keeps the secret encrypted in the store', async () => {
+      const { secret } = await enroll();
+
+      const [key] = await driver.keys('mfa:user:');
+      expect(await driver.get(key)).not.toContain(secret);
+    });
+
+    test('refuses enrollment without a persistent store', async () => {
+      mfa.available = false;
+
+      await expectRejection(mfa.beginEnrollment('alice'), 503, 'Two-factor authentication requires a persistent session store');
+      expect(await mfa.getStatus('alice')).toMatchObject({ available: false, enabled: false });
+    });
+
+    test('refuses a second enrollment', async () => {
+      await enroll();
+
+      await expectRejection(mfa.beginEnrollment('ALICE'), 409, 'Two-factor authentication is already enabled');
+    });
+  });
+
+  describe('login challenge', () => {
+    test('returns the parked login for a valid code, once', async () => {
+      const { secret } = await enroll();
+      const { challenge, expiresIn } = await mfa.createChallenge({ userId: 'alice', loginResult: { token: 't' } });
+      expect(expiresIn).toBe(300);
+      expect(await mfa.getChallengeUser(challenge)).toBe('alice');
+
+      const code = totp(secret, Date.now() + STEP);
+      expect(await mfa.verifyChallenge(challenge, code)).toEqual({
+        login: { userId: 'alice', loginResult: { token: 't' } },
+        via: 'totp',
+      });
+
+      await expectRejection(mfa.verifyChallenge(challenge, code), 400, 'Unknown or expired challenge');
+      expect(await mfa.getChallengeUser(challenge)).toBeNull();
+    });
+
+    test('keeps the parked ocloudview login encrypted', async () => {
+      await mfa.createChallenge({ userId: 'alice', loginResult: { token: 'ocloud-token' } });
+
+      const [entry] = driver.entries.values();
+      expect(JSON.stringify(entry)).not.toContain('ocloud-token');
+    });
+
+    test('rejects a code of an already used time step', async () => {
+      const { secret } = await enroll();
+      const code = totp(secret, Date.now() + STEP);
+
+      const first = await mfa.createChallenge({ userId: 'alice' });
+      await mfa.verifyChallenge(first.challenge, code);
+
+      const second = await mfa.createChallenge({ userId: 'alice' });
+      await expectRejection(mfa.verifyChallenge(second.challenge, code), 400, 'Invalid code');
+    });
+
+    test('counts wrong codes and drops the challenge after maxAttempts', async () => {
+      await enroll();
+      const { challenge } = await mfa.createChallenge({ userId: 'alice' });
+
+      await expect(mfa.verifyChallenge(challenge, '000000')).rejects.toMatchObject({ status: 400, userId: 'alice', attemptsLeft: 2 });
+      await expect(mfa.verifyChallenge(challenge, '000000')).rejects.toMatchObject({ status: 400, userId: 'alice', attemptsLeft: 1 });
+      await expect(mfa.verifyChallenge(challenge, '000000')).rejects.toMatchObject({ status: 429, userId: 'alice' });
+
+      await expectRejection(mfa.verifyChallenge(challenge, '000000'), 400, 'Unknown or expired challenge');
+    });
+
+    test('accepts a recovery code once', async () => {
+      const { recoveryCodes } = await enroll();
+      const typed = recoveryCodes[0].toUpperCase().replace('-', ' ');
+
+      const first = await mfa.createChallenge({ userId: 'alice' });
+      expect(await mfa.verifyChallenge(first.challenge, typed)).toMatchObject({ via: 'recovery' });
+      expect(await mfa.getStatus('alice')).toMatchObject({ recoveryCodesRemaining: 9 });
+
+      const second = await mfa.createChallenge({ userId: 'alice' });
+      await expectRejection(mfa.verifyChallenge(second.challenge, recoveryCodes[0]), 400, 'Invalid code');
+    });
+
+    test('rejects an unknown challenge', async () => {
+      await expectRejection(mfa.verifyChallenge('not-a-challenge', '123456'), 400, 'Unknown or expired challenge');
+    });
+  });
+
+  test('reset turns TOTP off', async () => {
+    await enroll();
+
+    expect(await mfa.reset('ALICE')).toBe(true);
+    expect(await mfa.isEnabled('alice')).toBe(false);
+    expect(await mfa.reset('alice')).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const jwt = require('jsonwebtoken');
+const { SessionStore, MemoryDriver } = require('../lib/session-store');
+const { OIDCClient, codeChallenge } = require('../lib/oidc');
+
+const ISSUER = 'https://idp.example.com';
+const CLIENT_ID = 'novnc-ocloudview';
+const CLIENT_SECRET = 'client-secret';
+const REDIRECT_URI = 'https://gateway.example.com/api/auth/oidc/callback';
+
+describe('OIDCClient', () => {
+  let driver;
+  let client;
+
+  beforeEach(() => {
+    driver = new MemoryDriver();
+    client = new OIDCClient({
+      issuer: ISSUER,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      sessionStore: new SessionStore(driver),
+    });
+
+    // The provider: discovery and a token endpoint issuing an HS256 ID token for the requested nonce
+    client.http = {
+      get: jest.fn(async () => ({
+        data: {
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          jwks_uri: `${ISSUER}/jwks`,
+        },
+      })),
+      post: jest.fn(),
+    };
+  });
+
+  afterEach(async () => {
+    await driver.close();
+  });
+
+  /**
+   * Start a login and let the provider answer the code exchange with an ID token
+   * @param {Object} claims - Extra ID token claims
+   * @returns {Promise<Object>} { state, url } - state is what the browser cookie holds
+   */
+  async function startLogin(claims = {}) {
+    const { url, state } = await client.createAuthorizationUrl({ redirectUri: REDIRECT_URI, remember: true });
+    const params = new URL(url).searchParams;
+    const idToken = jwt.sign(
+      { sub: 'user-1', preferred_username: 'alice', nonce: params.get('nonce'), ...claims },
+      CLIENT_SECRET,
+      { issuer: ISSUER, audience: CLIENT_ID, expiresIn: 60 }
+    );
+    client.http.post.mockResolvedValue({ data: { id_token: idToken } });
+    return { state, url: new URL(url) };
+  }
+
+  test('builds an authorization URL with state, nonce and PKCE', async () => {
+    const { state, url } = await startLogin();
+
+    expect(url.origin + url.pathname).toBe(`${ISSUER}/authorize`);
+    expect(url.searchParams.get('state')).toBe(state);
+    expect(url.searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+
+    await client.handleCallback({ code: 'code-1', state }, state);
+    const form = new URLSearchParams(client.http.post.mock.calls[0][1]);
+    expect(form.get('redirect_uri')).toBe(REDIRECT_URI);
+    expect(codeChallenge(form.get('code_verifier'))).toBe(url.searchParams.get('code_challenge'));
+  });
+
+  test('finishes a login from the browser that started it', async () => {
+    const { state } = await startLogin();
+
+    expect(await client.handleCallback({ code: 'code-1', state }, state)).toMatchObject({
+      username: 'alice',
+      remember: true,
+      claims: { sub: 'user-1' },
+    });
+  });
+
+  test.each([
+    ['without the state cookie', undefined],
+    ['with a different state cookie', 'other-state'],
+  ])('rejects a callback %s and keeps the login usable', async (name, browserState) => {
+    const { state } = await startLogin();
+
+    await expect(client.handleCallback({ code: 'code-1', state }, browserState))
+      .rejects.toMatchObject({ status: 400, message: 'Login state does not belong to this browser' });
+    expect(client.http.post).not.toHaveBeenCalled();
+
+    expect(await client.handleCallback({ code: 'code-1', state }, state)).toMatchObject({ username: 'alice' });
+  });
+
+  test('rejects a callback without state', async () => {
+    const { state } = await startLogin();
+
+    await expect(client.handleCallback({ code: 'code-1' }, state))
+      .rejects.toMatchObject({ status: 400, message: 'Login state does not belong to this browser' });
+  });
+
+  test('accepts a state only once', async () => {
+    const { state } = await startLogin();
+    await client.handleCallback({ code: 'code-1', state }, state);
+
+    await expect(client.handleCallback({ code: 'code-1', state }, state))
+      .rejects.toMatchObject({ status: 400, message: 'Unknown or expired login state' });
+  });
+
+  test('rejects an expired state', async () => {
+    jest.useFakeTimers();
+    try {
+      const { state } = await startLogin();
+      jest.advanceTimersByTime(client.requestTtl + 1);
+
+      await expect(client.handleCallback({ code: 'code-1', state }, state))
+        .rejects.toMatchObject({ status: 400, message: 'Unknown or expired login state' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('hands the login to the login page once', async () => {
+    const code = await client.issueLoginCode({ token: 'jwt', user: { username: 'alice' } });
+
+    expect(await client.redeemLoginCode(code)).toEqual({ token: 'jwt', user: { username: 'alice' } });
+    expect(await client.redeemLoginCode(code)).toBeNull();
+  });
+
+  test('rejects an ID token issued for another nonce', async () => {
+    const { state } = await startLogin({ nonce: 'other-nonce' });
+
+    await expect(client.handleCallback({ code: 'code-1', state }, state))
+      .rejects.toMatchObject({ status: 401, message: 'ID token nonce mismatch' });
+  });
+});
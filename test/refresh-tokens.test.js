@@ -0,0 +1,56 @@
+'use strict';
+
+const { SessionStore, MemoryDriver } = require('../lib/session-store');
+const { RefreshTokens } = require('../lib/refresh-tokens');
+
+describe('RefreshTokens', () => {
+  let driver;
+  let refreshTokens;
+
+  beforeEach(() => {
+    driver = new MemoryDriver();
+    refreshTokens = new RefreshTokens({ sessionStore: new SessionStore(driver), ttl: 60 * 60 * 1000 });
+  });
+
+  afterEach(async () => {
+    await driver.close();
+  });
+
+  test('rotates a token into a new one for the same session', async () => {
+    const { refreshToken, expiresIn } = await refreshTokens.issue('session-1');
+    expect(expiresIn).toBe(3600);
+
+    const rotated = await refreshTokens.rotate(refreshToken);
+    expect(rotated).toMatchObject({ sessionId: 'session-1', expiresIn: 3600 });
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+
+    expect(await refreshTokens.rotate(rotated.refreshToken)).toMatchObject({ sessionId: 'session-1' });
+  });
+
+  test('reports a consumed token presented again as reused', async () => {
+    const { refreshToken } = await refreshTokens.issue('session-1');
+    await refreshTokens.rotate(refreshToken);
+
+    expect(await refreshTokens.rotate(refreshToken)).toEqual({ reused: true, sessionId: 'session-1' });
+  });
+
+  test('lets only one of two concurrent rotations win', async () => {
+    const { refreshToken } = await refreshTokens.issue('session-1');
+
+    const results = await Promise.all([refreshTokens.rotate(refreshToken), refreshTokens.rotate(refreshToken)]);
+    expect(results.filter(result => result.refreshToken)).toHaveLength(1);
+    expect(results.filter(result => result.reused)).toHaveLength(1);
+  });
+
+  test('returns null for an unknown token', async () => {
+    expect(await refreshTokens.rotate('not-a-token')).toBeNull();
+  });
+
+  test('keeps only hashes of the tokens', async () => {
+    const { refreshToken } = await refreshTokens.issue('session-1');
+
+    const keys = await driver.keys('refresh:');
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).not.toContain(refreshToken);
+  });
+});
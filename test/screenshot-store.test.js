@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScreenshotStore } = require('../lib/screenshot-store');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+const INFO = { vmId: 'vm-1', userId: 'alice', username: 'Alice', protocol: 'vnc', note: 'Login screen', clientAddr: '10.0.0.1' };
+
+describe('ScreenshotStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'screenshots-'));
+    store = new ScreenshotStore({ dir, maxSize: 1024 });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('saves a PNG with a metadata sidecar', async () => {
+    const meta = await store.save(PNG, INFO);
+    expect(meta).toMatchObject({ vmId: 'vm-1', userId: 'alice', note: 'Login screen', bytes: PNG.length });
+    expect(meta.id).toMatch(/^\d{8}T\d{6}_vm-1_[0-9a-f]{6}$/);
+
+    expect(await store.get(meta.id)).toEqual(meta);
+    expect(await fs.promises.readFile(store.getFilePath(meta))).toEqual(PNG);
+  });
+
+  test('lists screenshots newest first, filtered by VM and user', async () => {
+    const first = await store.save(PNG, INFO);
+    const second = await store.save(PNG, { ...INFO, vmId: 'vm-2' });
+    second.time = first.time + 1000;
+    await fs.promises.writeFile(path.join(dir, `${second.id}.json`), JSON.stringify(second));
+
+    expect(await store.list()).toEqual([second, first]);
+    expect(await store.list({ vmId: 'vm-1' })).toEqual([first]);
+    expect(await store.list({ userId: 'bob' })).toEqual([]);
+  });
+
+  test('rejects data that is not a PNG', async () => {
+    await expect(store.save(Buffer.from('GIF89a image data'), INFO))
+      .rejects.toMatchObject({ status: 400, message: 'Screenshot must be a PNG image' });
+  });
+
+  test('rejects a screenshot larger than maxSize', async () => {
+    await expect(store.save(Buffer.concat([PNG, Buffer.alloc(1024)]), INFO))
+      .rejects.toMatchObject({ status: 413, message: 'Screenshot is too large' });
+  });
+
+  test('rejects screenshot IDs that leave the screenshot directory', async () => {
+    expect(await store.get('../secrets')).toBeNull();
+    expect(store.getFilePath({ id: '../secrets' })).toBeNull();
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  test('lists nothing before the directory exists', async () => {
+    const missing = new ScreenshotStore({ dir: path.join(dir, 'missing') });
+
+    expect(await missing.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const { SecretBox } = require('../lib/secret-box');
+
+describe('SecretBox', () => {
+  const box = new SecretBox('test-secret', 'novnc-ocloudview-session');
+
+  /**
+   * Flip one bit of a base64 part of an encrypted value
+   * @param {string} value - Value from encrypt()
+   * @param {number} index - 1 iv, 2 tag, 3 data
+   */
+  function tamper(value, index) {
+    const parts = value.split(':');
+    const bytes = Buffer.from(parts[index], 'base64');
+    bytes[0] ^= 0x01;
+    parts[index] = bytes.toString('base64');
+    return parts.join(':');
+  }
+
+  test('decrypts what it encrypted', () => {
+    const sealed = box.encrypt('desktop-password');
+
+    expect(sealed).toMatch(/^v1:/);
+    expect(sealed).not.toContain('desktop-password');
+    expect(box.decrypt(sealed)).toBe('desktop-password');
+  });
+
+  test('uses a new IV for every value', () => {
+    expect(box.encrypt('desktop-password')).not.toBe(box.encrypt('desktop-password'));
+  });
+
+  test.each([
+    ['another secret', new SecretBox('other-secret', 'novnc-ocloudview-session')],
+    ['another salt', new SecretBox('test-secret', 'novnc-ocloudview-mfa')],
+  ])('rejects a value encrypted with %s', (name, other) => {
+    expect(() => box.decrypt(other.encrypt('desktop-password'))).toThrow();
+  });
+
+  test.each([
+    ['IV', 1],
+    ['tag', 2],
+    ['data', 3],
+  ])('rejects a value with a modified %s', (name, index) => {
+    const sealed = box.encrypt('desktop-password');
+
+    expect(() => box.decrypt(tamper(sealed, index))).toThrow();
+  });
+
+  test('rejects an unknown format', () => {
+    expect(() => box.decrypt('desktop-password')).toThrow('Unknown secret format: desktop-password');
+  });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../lib/session-recorder');
+
+const CONNECTION = {
+  connectionId: 'vm-1_1',
+  vmId: 'vm-1',
+  userId: 'alice',
+  username: 'Alice',
+  protocol: 'vnc',
+  clientAddr: '10.0.0.1',
+};
+
+describe('SessionRecorder', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'recordings-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('shouldRecord', () => {
+    test('records nothing when disabled', () => {
+      const recorder = new SessionRecorder({ enabled: false, dir });
+
+      expect(recorder.shouldRecord(CONNECTION)).toBe(false);
+    });
+
+    test('records every VNC and SPICE connection without filters', () => {
+      const recorder = new SessionRecorder({ enabled: true, dir });
+
+      expect(recorder.shouldRecord(CONNECTION)).toBe(true);
+      expect(recorder.shouldRecord({ ...CONNECTION, protocol: 'spice' })).toBe(true);
+      expect(recorder.shouldRecord({ ...CONNECTION, protocol: 'rdp' })).toBe(false);
+    });
+
+    test('only records the configured VMs and users', () => {
+      const recorder = new SessionRecorder({ enabled: true, dir, vms: ['vm-1'], users: ['alice'] });
+
+      expect(recorder.shouldRecord(CONNECTION)).toBe(true);
+      expect(recorder.shouldRecord({ ...CONNECTION, vmId: 'vm-2' })).toBe(false);
+      expect(recorder.shouldRecord({ ...CONNECTION, userId: 'bob' })).toBe(false);
+    });
+
+    test('matches configured users in any case', () => {
+      const recorder = new SessionRecorder({ enabled: true, dir, users: ['Alice'] });
+
+      expect(recorder.shouldRecord({ ...CONNECTION, userId: ' alice' })).toBe(true);
+      expect(recorder.shouldRecord({ ...CONNECTION, userId: 'ALICE' })).toBe(true);
+    });
+  });
+
+  describe('VNC recording', () => {
+    /**
+     * Record two server frames and one client frame, then close
+     * @returns {Promise<Object>} Metadata read back from the recorder
+     */
+    async function recordSession(recorder) {
+      const recording = recorder.start(CONNECTION);
+      recording.write('out', Buffer.from('RFB 003.008\n'));
+      recording.write('in', Buffer.from('RFB 003.008\n'));
+      recording.write('out', Buffer.from([1, 2, 3]));
+      recording.close();
+      await new Promise(resolve => recording.stream.on('close', resolve));
+      await recording.metaWrite;
+      return recorder.get(recording.meta.id);
+    }
+
+    test('writes the frames in the noVNC replay format with a metadata sidecar', async () => {
+      const recorder = new SessionRecorder({ enabled: true, dir });
+
+      const meta = await recordSession(recorder);
+      expect(meta).toMatchObject({ status: 'complete', vmId: 'vm-1', userId: 'alice', frames: 2, bytes: 15 });
+      expect(meta.id).toMatch(/^\d{8}T\d{6}_vm-1_alice_[0-9a-f]{6}$/);
+
+      const lines = (await fs.promises.readFile(recorder.getFilePath(meta), 'utf-8')).trim().split('\n');
+      expect(lines[0]).toBe('var VNC_frame_data = [');
+      expect(lines[1]).toMatch(new RegExp(`^'\\{\\d+\\{${Buffer.from('RFB 003.008\n').toString('base64')}',$`));
+      expect(lines[lines.length - 1]).toBe("'EOF'];");
+    });
+
+    test('lists recordings filtered by VM and user', async () => {
+      const recorder = new SessionRecorder({ enabled: true, dir });
+      const meta = await recordSession(recorder);
+
+      expect(await recorder.list()).toEqual([meta]);
+      expect(await recorder.list({ vmId: 'vm-1', userId: 'alice' })).toEqual([meta]);
+      expect(await recorder.list({ vmId: 'vm-2' })).toEqual([]);
+    });
+  });
+
+  describe('SPICE recording', () => {
+    /**
+     * SpiceLinkHeader + SpiceLinkMess start of a channel connection
+     */
+    function linkMessage(sessionId, channel, chanId) {
+      const message = Buffer.alloc(16 + 18);
+      message.write('REDQ', 0, 'latin1');
+      message.writeUInt32LE(2, 4);
+      message.writeUInt32LE(18, 12);
+      message.writeUInt32LE(sessionId, 16);
+      message.writeUInt8(channel, 20);
+      message.writeUInt8(chanId, 21);
+      return message;
+    }
+
+    test('writes the server stream of a display channel into the session archive', async () => {
+      const recorder = new SessionRecorder({ enabled: true, dir });
+      const recording = recorder.start({ ...CONNECTION, protocol: 'spice' });
+
+      recording.write('in', linkMessage(42, 2, 0));
+      recording.write('out', Buffer.from('display data'));
+      const archive = recording.archive;
+      expect(recording.id).toBe(archive.id);
+      recording.close();
+      await new Promise(resolve => archive.stream.on('close', resolve));
+      await archive.metaWrite;
+
+      const meta = await recorder.get(archive.id);
+      expect(meta).toMatchObject({ status: 'complete', protocol: 'spice', spiceSessionId: 42, channels: ['display:0'] });
+
+      const entries = (await fs.promises.readFile(recorder.getFilePath(meta), 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+      expect(entries.map(entry => entry.type)).toEqual(['header', 'open', 'data', 'close']);
+      expect(entries[0]).toMatchObject({ format: 'spice-session', sessionId: 42 });
+      expect(Buffer.from(entries[2].data, 'base64').toString()).toBe('display data');
+    });
+
+    test('does not record channels that are not needed for replay', () => {
+      const recorder = new SessionRecorder({ enabled: true, dir });
+      const recording = recorder.start({ ...CONNECTION, protocol: 'spice' });
+
+      recording.write('in', linkMessage(42, 3, 0)); // inputs
+      recording.write('out', Buffer.from('data'));
+      expect(recording.id).toBeNull();
+      expect(recorder.spiceArchives.size).toBe(0);
+    });
+  });
+
+  test('rejects recording IDs that leave the recording directory', async () => {
+    const recorder = new SessionRecorder({ enabled: true, dir });
+
+    expect(await recorder.get('../secrets')).toBeNull();
+    expect(recorder.getFilePath({ id: '../secrets', protocol: 'vnc' })).toBeNull();
+    expect(await recorder.get('missing')).toBeNull();
+  });
+
+  test('lists nothing before the directory exists', async () => {
+    const recorder = new SessionRecorder({ enabled: false, dir: path.join(dir, 'missing') });
+
+    expect(await recorder.list()).toEqual([]);
+  });
+});
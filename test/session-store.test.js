@@ -0,0 +1,124 @@
+'use strict';
+
+const {
+  SessionStore,
+  MemoryDriver,
+  createSessionStore,
+  parseDuration,
+  serialize,
+  deserialize,
+} = require('../lib/session-store');
+
+describe('parseDuration', () => {
+  test.each([
+    ['30s', 30 * 1000],
+    ['15m', 15 * 60 * 1000],
+    ['24h', 24 * 60 * 60 * 1000],
+    ['7d', 7 * 24 * 60 * 60 * 1000],
+    ['500ms', 500],
+    ['90', 90 * 1000],
+    [90, 90 * 1000],
+  ])('parses %p', (value, expected) => {
+    expect(parseDuration(value)).toBe(expected);
+  });
+
+  test('rejects an unknown format', () => {
+    expect(() => parseDuration('1 week')).toThrow('Invalid duration: 1 week');
+  });
+});
+
+describe('serialize', () => {
+  test('keeps Map values (connection caches) across a round trip', () => {
+    const data = { userId: 'alice', vncConnections: new Map([['vm-1', { host: '10.0.0.1', port: 5900 }]]) };
+
+    const restored = deserialize(serialize(data));
+    expect(restored.vncConnections).toBeInstanceOf(Map);
+    expect(restored.vncConnections.get('vm-1')).toEqual({ host: '10.0.0.1', port: 5900 });
+  });
+
+  test('returns null for a missing value', () => {
+    expect(deserialize(null)).toBeNull();
+  });
+});
+
+describe('SessionStore with the memory driver', () => {
+  let driver;
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    driver = new MemoryDriver();
+    store = new SessionStore(driver, { ttl: 60 * 1000 });
+  });
+
+  afterEach(async () => {
+    await driver.close();
+    jest.useRealTimers();
+  });
+
+  test('stores a copy of the data', async () => {
+    const data = { userId: 'alice' };
+    await store.set('s1', data);
+    data.userId = 'mallory';
+
+    const stored = await store.get('s1');
+    stored.userId = 'mallory';
+    expect(await store.get('s1')).toEqual({ userId: 'alice' });
+  });
+
+  test('expires data after the TTL', async () => {
+    await store.set('s1', { userId: 'alice' });
+    await store.set('s2', { userId: 'bob' }, 120 * 1000);
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(await store.get('s1')).toBeNull();
+    expect(await store.get('s2')).toEqual({ userId: 'bob' });
+    expect(await store.keys()).toEqual(['s2']);
+  });
+
+  test('update keeps the remaining TTL and does not create data', async () => {
+    await store.set('s1', { userId: 'alice' });
+    jest.advanceTimersByTime(30 * 1000);
+
+    expect(await store.update('s1', { userId: 'alice', vmIds: ['vm-1'] })).toBe(true);
+    jest.advanceTimersByTime(30 * 1000);
+    expect(await store.get('s1')).toBeNull();
+
+    expect(await store.update('s2', { userId: 'bob' })).toBe(false);
+    expect(await store.get('s2')).toBeNull();
+  });
+
+  test('take returns a value once, also to concurrent callers', async () => {
+    await store.set('s1', { userId: 'alice' });
+
+    const results = await Promise.all([store.take('s1'), store.take('s1')]);
+    expect(results.filter(Boolean)).toEqual([{ userId: 'alice' }]);
+    expect(await store.get('s1')).toBeNull();
+  });
+
+  test('keeps namespaces apart', async () => {
+    const other = new SessionStore(driver, { prefix: 'other:' });
+    await store.set('s1', { userId: 'alice' });
+    await other.set('s1', { userId: 'bob' });
+
+    expect(await store.get('s1')).toEqual({ userId: 'alice' });
+    expect(await other.keys()).toEqual(['s1']);
+
+    await other.delete('s1');
+    expect(await other.get('s1')).toBeNull();
+    expect(await store.size()).toBe(1);
+  });
+
+  test('sweeps expired entries', async () => {
+    await store.set('s1', { userId: 'alice' });
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(driver.entries.size).toBe(0);
+  });
+});
+
+describe('createSessionStore', () => {
+  test('rejects an unknown driver', () => {
+    expect(() => createSessionStore({ driver: 'mongo' })).toThrow('Unknown session store driver: mongo');
+  });
+});
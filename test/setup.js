@@ -0,0 +1,2 @@
+// Keep test output readable; set DEBUG_LEVEL to see the module logs
+process.env.DEBUG_LEVEL = process.env.DEBUG_LEVEL || 'none';
@@ -0,0 +1,110 @@
+'use strict';
+
+const crypto = require('crypto');
+const { SpiceTicketRewriter } = require('../lib/spice-auth');
+
+const CLIENT_TICKET = Buffer.alloc(128, 0xaa);
+
+/**
+ * SpiceLinkHeader + SpiceLinkMess with one common caps word
+ */
+function linkMessage(commonCaps) {
+  const mess = Buffer.alloc(22);
+  mess.writeUInt8(1, 4); // main channel
+  mess.writeUInt32LE(1, 6); // num_common_caps
+  mess.writeUInt32LE(18, 14); // caps_offset
+  mess.writeUInt32LE(commonCaps, 18);
+  return Buffer.concat([linkHeader(mess.length), mess]);
+}
+
+/**
+ * SpiceLinkHeader + SpiceLinkReply carrying the public key
+ */
+function linkReply(publicKey) {
+  const reply = Buffer.alloc(4 + publicKey.length + 12);
+  publicKey.copy(reply, 4);
+  return Buffer.concat([linkHeader(reply.length), reply]);
+}
+
+function linkHeader(size) {
+  const header = Buffer.alloc(16);
+  header.writeUInt32LE(0x51444552, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(size, 12);
+  return header;
+}
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value, 0);
+  return buffer;
+}
+
+describe('SpiceTicketRewriter', () => {
+  let keys;
+
+  beforeAll(() => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+    keys = { publicKey: publicKey.export({ type: 'spki', format: 'der' }), privateKey };
+  });
+
+  function decryptTicket(ticket) {
+    return crypto.privateDecrypt({ key: keys.privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING }, ticket);
+  }
+
+  test('replaces the client ticket with the desktop password', () => {
+    const rewriter = new SpiceTicketRewriter('secret');
+    const link = linkMessage(0);
+
+    expect(rewriter.fromClient(link)).toEqual(link);
+    rewriter.fromServer(linkReply(keys.publicKey));
+
+    const forwarded = rewriter.fromClient(Buffer.concat([CLIENT_TICKET, Buffer.from('after')]));
+    expect(forwarded).toHaveLength(128 + 5);
+    expect(decryptTicket(forwarded.subarray(0, 128)).toString('utf-8')).toBe('secret\0');
+    expect(forwarded.subarray(128).toString()).toBe('after');
+    expect(rewriter.fromClient(Buffer.from('relay'))).toEqual(Buffer.from('relay'));
+  });
+
+  test('holds split messages until they are complete', () => {
+    const rewriter = new SpiceTicketRewriter('secret');
+    const link = linkMessage(0);
+
+    expect(rewriter.fromClient(link.subarray(0, 10))).toHaveLength(0);
+    expect(rewriter.fromClient(link.subarray(10))).toEqual(link);
+
+    const reply = linkReply(keys.publicKey);
+    rewriter.fromServer(reply.subarray(0, 100));
+    rewriter.fromServer(reply.subarray(100));
+
+    expect(rewriter.fromClient(CLIENT_TICKET.subarray(0, 60))).toHaveLength(0);
+    const forwarded = rewriter.fromClient(CLIENT_TICKET.subarray(60));
+    expect(decryptTicket(forwarded).toString('utf-8')).toBe('secret\0');
+  });
+
+  test('rewrites the ticket after SPICE auth selection', () => {
+    const rewriter = new SpiceTicketRewriter('secret');
+    rewriter.fromClient(linkMessage(1 << 0));
+    rewriter.fromServer(linkReply(keys.publicKey));
+
+    const forwarded = rewriter.fromClient(Buffer.concat([u32(1), CLIENT_TICKET]));
+    expect(forwarded.readUInt32LE(0)).toBe(1);
+    expect(decryptTicket(forwarded.subarray(4)).toString('utf-8')).toBe('secret\0');
+  });
+
+  test('relays other auth mechanisms unchanged', () => {
+    const rewriter = new SpiceTicketRewriter('secret');
+    rewriter.fromClient(linkMessage(1 << 0));
+    rewriter.fromServer(linkReply(keys.publicKey));
+
+    const sasl = Buffer.concat([u32(2), Buffer.from('sasl data')]);
+    expect(rewriter.fromClient(sasl)).toEqual(sasl);
+  });
+
+  test('keeps the client ticket without a public key from the server', () => {
+    const rewriter = new SpiceTicketRewriter('secret');
+    rewriter.fromClient(linkMessage(0));
+
+    expect(rewriter.fromClient(CLIENT_TICKET)).toEqual(CLIENT_TICKET);
+  });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const TrafficMeter = require('../lib/traffic-meter');
+
+describe('TrafficMeter', () => {
+  let meter;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    meter = new TrafficMeter({ windowMs: 10000, bucketMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts bytes and messages per direction', () => {
+    meter.record('in', 100);
+    meter.record('in', 50);
+    meter.record('out', 1000);
+
+    expect(meter.snapshot()).toMatchObject({
+      bytesIn: 150,
+      bytesOut: 1000,
+      messagesIn: 2,
+      messagesOut: 1,
+    });
+  });
+
+  test('averages the rate over the time the meter has existed while the window fills', () => {
+    jest.advanceTimersByTime(2000);
+    meter.record('out', 4000);
+
+    expect(meter.getRate('out')).toBe(2000);
+  });
+
+  test('averages the rate over the rolling window', () => {
+    jest.advanceTimersByTime(20000);
+    meter.record('out', 5000);
+    jest.advanceTimersByTime(5000);
+    meter.record('out', 5000);
+
+    expect(meter.getRate('out')).toBe(1000);
+
+    jest.advanceTimersByTime(6000);
+    expect(meter.getRate('out')).toBe(500);
+    jest.advanceTimersByTime(5000);
+    expect(meter.getRate('out')).toBe(0);
+  });
+
+  test('keeps the busiest second as peak rate', () => {
+    meter.record('in', 3000);
+    meter.record('in', 3000);
+    jest.advanceTimersByTime(1000);
+    meter.record('in', 1000);
+
+    expect(meter.snapshot().peakRateIn).toBe(6000);
+  });
+
+  test('tracks the last activity', () => {
+    jest.advanceTimersByTime(5000);
+    meter.record('in', 1);
+
+    expect(meter.snapshot().lastActivity).toBe(Date.now());
+  });
+});
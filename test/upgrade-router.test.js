@@ -0,0 +1,127 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { UpgradeRouter, createUpgradeError } = require('../lib/upgrade-router');
+
+/**
+ * Client socket that keeps what the router answered
+ */
+function createSocket() {
+  const socket = new EventEmitter();
+  socket.writable = true;
+  socket.end = jest.fn();
+  socket.destroy = jest.fn();
+  return socket;
+}
+
+function createRequest(url, headers = {}) {
+  return { url, headers: { host: 'gateway.example.com', ...headers }, socket: { remoteAddress: '10.0.0.1' } };
+}
+
+/**
+ * Status line and JSON body of a rejection
+ */
+function response(socket) {
+  const [head, body] = socket.end.mock.calls[0][0].split('\r\n\r\n');
+  return { status: parseInt(head.split(' ')[1], 10), head, body: JSON.parse(body) };
+}
+
+describe('UpgradeRouter', () => {
+  let ws;
+  let wss;
+  let router;
+  let vnc;
+
+  beforeEach(() => {
+    ws = {};
+    wss = { handleUpgrade: jest.fn((req, socket, head, callback) => callback(ws)) };
+    router = new UpgradeRouter({ wss, allowedOrigins: ['https://portal.example.com'], rateLimit: { windowMs: 60000, max: 2 } });
+    vnc = {
+      authorize: jest.fn(async (req, params) => ({ vmId: params.vmId })),
+      connect: jest.fn(),
+    };
+    router.route('/vnc/:vmId', vnc);
+  });
+
+  test('authorizes, then hands the socket to the route', async () => {
+    const req = createRequest('/vnc/vm-1?ticket=abc');
+    await router.handleUpgrade(req, createSocket(), Buffer.alloc(0));
+
+    expect(vnc.authorize).toHaveBeenCalledWith(req, { vmId: 'vm-1' });
+    expect(vnc.connect).toHaveBeenCalledWith(ws, req, { vmId: 'vm-1' });
+  });
+
+  test('rejects an unknown path with 404', async () => {
+    const socket = createSocket();
+    await router.handleUpgrade(createRequest('/rdp/vm-1'), socket, Buffer.alloc(0));
+
+    expect(response(socket)).toMatchObject({ status: 404, body: { success: false, message: 'Invalid path' } });
+    expect(wss.handleUpgrade).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['no origin', undefined, true],
+    ['its own host', 'https://gateway.example.com', true],
+    ['an allowed origin', 'https://portal.example.com', true],
+    ['another origin', 'https://evil.example.com', false],
+    ['a malformed origin', 'not a url', false],
+  ])('checks the origin: %s', async (name, origin, allowed) => {
+    const socket = createSocket();
+    await router.handleUpgrade(createRequest('/vnc/vm-1', origin ? { origin } : {}), socket, Buffer.alloc(0));
+
+    if (allowed) {
+      expect(vnc.connect).toHaveBeenCalled();
+    } else {
+      expect(response(socket)).toMatchObject({ status: 403, body: { message: 'Origin not allowed' } });
+      expect(vnc.authorize).not.toHaveBeenCalled();
+    }
+  });
+
+  test('rejects with the status of the authorize error', async () => {
+    vnc.authorize.mockRejectedValue(createUpgradeError(401, 'Invalid or expired ticket'));
+    const socket = createSocket();
+    await router.handleUpgrade(createRequest('/vnc/vm-1'), socket, Buffer.alloc(0));
+
+    expect(response(socket)).toMatchObject({ status: 401, body: { error: 'Unauthorized', message: 'Invalid or expired ticket' } });
+    expect(wss.handleUpgrade).not.toHaveBeenCalled();
+  });
+
+  test('hides unexpected errors behind a 500', async () => {
+    vnc.authorize.mockRejectedValue(new Error('Redis connection lost'));
+    const socket = createSocket();
+    await router.handleUpgrade(createRequest('/vnc/vm-1'), socket, Buffer.alloc(0));
+
+    expect(response(socket)).toMatchObject({ status: 500, body: { message: 'Internal error' } });
+  });
+
+  test('rate limits upgrades per IP', async () => {
+    jest.useFakeTimers();
+    try {
+      for (let i = 0; i < 2; i++) {
+        await router.handleUpgrade(createRequest('/vnc/vm-1'), createSocket(), Buffer.alloc(0));
+      }
+      const socket = createSocket();
+      await router.handleUpgrade(createRequest('/vnc/vm-1'), socket, Buffer.alloc(0));
+
+      const { status, head } = response(socket);
+      expect(status).toBe(429);
+      expect(head).toContain('Retry-After: 60');
+      expect(vnc.connect).toHaveBeenCalledTimes(2);
+
+      jest.advanceTimersByTime(60000);
+      await router.handleUpgrade(createRequest('/vnc/vm-1'), createSocket(), Buffer.alloc(0));
+      expect(vnc.connect).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('destroys a socket that can no longer be written', async () => {
+    const socket = createSocket();
+    socket.writable = false;
+    await router.handleUpgrade(createRequest('/rdp/vm-1'), socket, Buffer.alloc(0));
+
+    expect(socket.destroy).toHaveBeenCalled();
+    expect(socket.end).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { ByteReader, negotiateVNC, vncAuthResponse } = require('../lib/vnc-auth');
+
+const RFB_38 = Buffer.from('RFB 003.008\n', 'latin1');
+
+/**
+ * Password whose bit-reversed bytes are the DES key 133457799BBCDFF1
+ * (VNC Authentication reverses the bits of every key byte)
+ */
+const TEXTBOOK_PASSWORD = Buffer.from('c82cea9ed93dfb8f', 'hex').toString('latin1');
+
+describe('vncAuthResponse', () => {
+  test('DES-encrypts the challenge with the bit-reversed password', () => {
+    // DES test vector: key 133457799BBCDFF1, plaintext 0123456789ABCDEF -> 85E813540F0AB405
+    const challenge = Buffer.from('0123456789abcdef0123456789abcdef', 'hex');
+
+    expect(vncAuthResponse(TEXTBOOK_PASSWORD, challenge).toString('hex')).toBe('85e813540f0ab40585e813540f0ab405');
+  });
+
+  test('uses the first 8 bytes of the password, zero padded', () => {
+    const challenge = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+
+    expect(vncAuthResponse('secret12-ignored', challenge)).toEqual(vncAuthResponse('secret12', challenge));
+    expect(vncAuthResponse('abc', challenge)).toEqual(vncAuthResponse('abc\0\0\0\0\0', challenge));
+    expect(vncAuthResponse('abc', challenge)).not.toEqual(vncAuthResponse('abd', challenge));
+  });
+});
+
+describe('ByteReader', () => {
+  test('reads exact amounts across chunks', async () => {
+    const reader = new ByteReader();
+    const pending = reader.read(5);
+    reader.push(Buffer.from('abc'));
+    reader.push(Buffer.from('defg'));
+
+    expect((await pending).toString()).toBe('abcde');
+    expect(reader.consumed).toBe(5);
+    expect(Buffer.concat(reader.drain()).toString()).toBe('fg');
+  });
+
+  test('rejects a pending read when the stream fails', async () => {
+    const reader = new ByteReader();
+    const pending = reader.read(4);
+    reader.fail(new Error('closed'));
+
+    await expect(pending).rejects.toThrow('closed');
+  });
+});
+
+describe('negotiateVNC', () => {
+  let ws;
+  let target;
+
+  beforeEach(() => {
+    ws = Object.assign(new EventEmitter(), { readyState: WebSocket.OPEN, sent: [] });
+    ws.send = (data) => ws.sent.push(Buffer.from(data));
+    target = Object.assign(new EventEmitter(), { writable: true, written: [] });
+    target.write = (data) => target.written.push(Buffer.from(data));
+    target.pause = () => {};
+  });
+
+  function reason(text) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(text.length);
+    return Buffer.concat([length, Buffer.from(text)]);
+  }
+
+  test('answers the VNC Authentication challenge and offers the browser None', async () => {
+    const challenge = Buffer.from('0123456789abcdef0123456789abcdef', 'hex');
+    const negotiation = negotiateVNC(ws, target, {
+      password: TEXTBOOK_PASSWORD,
+      clientData: [RFB_38, Buffer.from([1, 0])], // version, security type None, ClientInit
+    });
+    target.emit('data', Buffer.concat([RFB_38, Buffer.from([1, 2]), challenge, Buffer.alloc(4)]));
+
+    const result = await negotiation;
+    expect(target.written).toEqual([RFB_38, Buffer.from([2]), vncAuthResponse(TEXTBOOK_PASSWORD, challenge)]);
+    expect(ws.sent).toEqual([RFB_38, Buffer.from([1, 1]), Buffer.alloc(4)]);
+    expect(result.received).toBe(13);
+    expect(result.clientData).toEqual([Buffer.from([0])]);
+  });
+
+  test('tells the browser why when the VNC server rejects the password', async () => {
+    const negotiation = negotiateVNC(ws, target, { password: 'wrong', clientData: [RFB_38] });
+    target.emit('data', Buffer.concat([RFB_38, Buffer.from([1, 2]), Buffer.alloc(16), Buffer.from([0, 0, 0, 1]), reason('bad password')]));
+
+    await expect(negotiation).rejects.toThrow('VNC authentication failed: bad password');
+    expect(ws.sent).toEqual([RFB_38, Buffer.concat([Buffer.from([0]), reason('VNC authentication failed: bad password')])]);
+  });
+
+  test('refuses a server that needs a password when none is known', async () => {
+    const negotiation = negotiateVNC(ws, target, { password: null, clientData: [RFB_38] });
+    target.emit('data', Buffer.concat([RFB_38, Buffer.from([1, 2])]));
+
+    await expect(negotiation).rejects.toThrow('VNC server requires a password, but none is known for this VM');
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const WebsockifyProxy = require('../lib/websockify-proxy');
+
+const HOUR = 60 * 60 * 1000;
+const CONNECTION = { vmId: 'vm-1', host: '10.0.0.10', port: 5901, userId: 'alice', sessionId: 'session-1', protocol: 'spice' };
+
+/**
+ * Browser WebSocket that keeps what the proxy sent and how it was closed
+ */
+function createWebSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = WebSocket.OPEN;
+  ws.send = jest.fn();
+  ws.close = jest.fn(() => {
+    ws.readyState = WebSocket.CLOSED;
+    ws.emit('close');
+  });
+  return ws;
+}
+
+/**
+ * Promise with its resolve / reject functions, to hold the TCP connect
+ */
+function deferred() {
+  const result = {};
+  result.promise = new Promise((resolve, reject) => Object.assign(result, { resolve, reject }));
+  return result;
+}
+
+describe('WebsockifyProxy', () => {
+  let proxy;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    proxy = new WebsockifyProxy({ enableHeartbeat: false, trafficRetention: HOUR });
+  });
+
+  afterEach(async () => {
+    // Only stub connections are registered by the tests
+    proxy.connections.clear();
+    await proxy.shutdown();
+    jest.useRealTimers();
+  });
+
+  describe('pruneTrafficMeters', () => {
+    test('drops meters idle for trafficRetention', () => {
+      proxy.getAggregateMeter(proxy.vmTraffic, 'vm-1').record('in', 100);
+      proxy.getAggregateMeter(proxy.userTraffic, 'alice').record('in', 100);
+      jest.advanceTimersByTime(HOUR + 1);
+
+      expect(proxy.pruneTrafficMeters()).toBe(2);
+      expect(proxy.vmTraffic.size).toBe(0);
+      expect(proxy.userTraffic.size).toBe(0);
+    });
+
+    test('keeps meters with recent traffic', () => {
+      proxy.getAggregateMeter(proxy.vmTraffic, 'vm-1');
+      jest.advanceTimersByTime(HOUR - 1000);
+      proxy.getAggregateMeter(proxy.vmTraffic, 'vm-1').record('out', 100);
+      jest.advanceTimersByTime(2000);
+
+      expect(proxy.pruneTrafficMeters()).toBe(0);
+      expect(proxy.vmTraffic.has('vm-1')).toBe(true);
+    });
+
+    test('keeps meters of VMs and users with live connections', () => {
+      proxy.getAggregateMeter(proxy.vmTraffic, 'vm-1');
+      proxy.getAggregateMeter(proxy.userTraffic, 'alice');
+      proxy.connections.set('vm-1_1', { vmId: 'vm-1', userId: 'alice' });
+      proxy.vmConnections.set('vm-1', new Set(['vm-1_1']));
+      jest.advanceTimersByTime(HOUR + 1);
+
+      expect(proxy.pruneTrafficMeters()).toBe(0);
+      expect(proxy.vmTraffic.has('vm-1')).toBe(true);
+      expect(proxy.userTraffic.has('alice')).toBe(true);
+    });
+
+    test('runs every minute', () => {
+      proxy.getAggregateMeter(proxy.vmTraffic, 'vm-1');
+      jest.advanceTimersByTime(HOUR + 60 * 1000);
+
+      expect(proxy.vmTraffic.size).toBe(0);
+    });
+  });
+
+  describe('connection setup', () => {
+    let connect;
+
+    beforeEach(() => {
+      connect = deferred();
+      proxy.config.maxConnectionsPerVM = 1;
+      proxy.createTargetConnection = jest.fn(() => connect.promise);
+    });
+
+    test('reserves the slot while the TCP connection is opened', async () => {
+      const first = proxy.handleConnection(createWebSocket(), CONNECTION);
+      const second = createWebSocket();
+      await proxy.handleConnection(second, CONNECTION);
+
+      expect(second.close).toHaveBeenCalledWith(1008, 'Too many connections');
+      expect(proxy.createTargetConnection).toHaveBeenCalledTimes(1);
+
+      connect.reject(new Error('Connection timeout'));
+      await first;
+    });
+
+    test('releases the slot when the connection fails', async () => {
+      const ws = createWebSocket();
+      const pending = proxy.handleConnection(ws, CONNECTION);
+      connect.reject(new Error('Connection timeout'));
+      await pending;
+
+      expect(ws.close).toHaveBeenCalledWith(1011, 'Connection failed');
+      expect(proxy.pendingConnections.size).toBe(0);
+    });
+
+    test('closes a connection of an ended session before it is established', async () => {
+      const ws = createWebSocket();
+      const target = { destroy: jest.fn() };
+      const pending = proxy.handleConnection(ws, CONNECTION);
+
+      expect(proxy.getSessionIds()).toEqual(['session-1']);
+      expect(proxy.closeSessionConnections('session-1', 'Logged out')).toBe(1);
+      expect(ws.close).toHaveBeenCalledWith(1000, 'Logged out');
+      expect(proxy.pendingConnections.size).toBe(0);
+
+      connect.resolve(target);
+      await pending;
+      expect(target.destroy).toHaveBeenCalled();
+      expect(proxy.connections.size).toBe(0);
+      expect(ws.send).not.toHaveBeenCalled();
+    });
+
+    test('releases the slot when the browser goes away during setup', async () => {
+      const ws = createWebSocket();
+      const target = { destroy: jest.fn() };
+      const pending = proxy.handleConnection(ws, CONNECTION);
+
+      ws.close();
+      expect(proxy.pendingConnections.size).toBe(0);
+
+      connect.resolve(target);
+      await pending;
+      expect(target.destroy).toHaveBeenCalled();
+      expect(proxy.connections.size).toBe(0);
+    });
+
+    test('closes a connection with a forced-off clipboard whose stream cannot be filtered', async () => {
+      const ws = createWebSocket();
+      const target = Object.assign(new EventEmitter(), { writable: true, write: jest.fn(), end: jest.fn() });
+      const pending = proxy.handleConnection(ws, { ...CONNECTION, clipboardBlocked: true });
+      connect.resolve(target);
+      await pending;
+
+      // Link reply, link result and a message although the client never asked for the mini header
+      target.emit('data', Buffer.concat([Buffer.alloc(16), Buffer.alloc(4), Buffer.alloc(6)]));
+      expect(ws.send).not.toHaveBeenCalled();
+
+      jest.runAllTicks();
+      expect(ws.close).toHaveBeenCalledWith(1000, 'Clipboard filter error');
+      expect(proxy.connections.size).toBe(0);
+    });
+  });
+});